@@ -21,6 +21,15 @@ export class Player extends WildcardEventEmitter {
     this.hasActed = false; // Whether player has acted in current betting round
     this.lastAction = null; // Last action taken (Action enum)
     this.hasOption = false; // For big blind option tracking
+
+    // Timeout tracking across hands - see GameEngine timeoutPolicy
+    this.timeBank = null; // Time bank left in ms (null until first needed)
+    this.consecutiveTimeouts = 0; // Timeouts since the player last acted
+    this.sittingOut = false; // Not dealt into new hands while true
+
+    // Rebuys and add-ons taken this entry - see Table rebuys config
+    this.rebuys = 0;
+    this.addOns = 0;
   }
 
   /**
@@ -45,6 +54,40 @@ export class Player extends WildcardEventEmitter {
     });
   }
 
+  /**
+   * Agree to run the remaining board more than once - OPTIONAL
+   * Asked when everyone still in the hand is all-in (or only one player
+   * could act) and the table allows running it multiple times. Throwing,
+   * or not answering within the action timeout, declines.
+   * @param {number} times - Number of boards that would be dealt
+   * @param {Object} context - { board, pot } at the time of the all-in
+   * @returns {boolean|Promise<boolean>} True to agree
+   */
+  agreeToRunItMultiple(_times, _context) {
+    return true;
+  }
+
+  /**
+   * Rebuy after busting - OPTIONAL
+   * Asked before the table deals its next hand, unless the player has
+   * already rebought through Table.rebuy(). Declining is elimination.
+   * @param {Object} context - { tableId, chips, rebuys, maxRebuys }
+   * @returns {boolean|Promise<boolean>} True to rebuy
+   */
+  acceptRebuy(_context) {
+    return false;
+  }
+
+  /**
+   * Take the add-on offered when the rebuy period ends - OPTIONAL
+   * Asked before the table deals its next hand.
+   * @param {Object} context - { tableId, chips }
+   * @returns {boolean|Promise<boolean>} True to take the add-on
+   */
+  acceptAddOn(_context) {
+    return false;
+  }
+
   /**
    * Receive a message/notification - OPTIONAL
    * @param {Object} message - Message object
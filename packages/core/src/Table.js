@@ -1,10 +1,100 @@
 import { nanoid } from 'nanoid';
 import { WildcardEventEmitter } from './base/WildcardEventEmitter.js';
 import { GameEngine } from './game/GameEngine.js';
+import { StudGameEngine } from './game/StudGameEngine.js';
 import { TableState, PlayerState } from './types/index.js';
 import { validateIntegerAmount } from './utils/validation.js';
 import { Deck } from './game/Deck.js';
 import { BaseDeck } from './game/BaseDeck.js';
+import { OpenHandHistory } from './history/OpenHandHistory.js';
+import { AnteTypes, Variants } from './constants.js';
+import { ActionClock } from './game/ActionClock.js';
+import { BlindSchedule } from './game/BlindSchedule.js';
+import { createRandomSeed, nextSeed, normalizeSeed } from './utils/random.js';
+
+// Bump when the snapshot() layout changes, and teach migrateSnapshot() the
+// old layout
+const SNAPSHOT_VERSION = 2;
+
+/**
+ * Check for a seven-card stud variant, which StudGameEngine deals
+ * @param {string} variant - Table variant
+ * @returns {boolean} True for stud and stud hi-lo
+ */
+function isStudVariant(variant) {
+  return (
+    variant === Variants.SEVEN_CARD_STUD ||
+    variant === Variants.SEVEN_CARD_STUD_HI_LO
+  );
+}
+
+/**
+ * Missed-blind state for a seat, reset once the player is dealt back in
+ * @returns {Object} { missedBlinds, waitingForBigBlind, postMissedBlinds }
+ */
+function createBlindTracking() {
+  return {
+    missedBlinds: { small: false, big: false },
+    waitingForBigBlind: false,
+    postMissedBlinds: false,
+  };
+}
+
+/**
+ * Bring an older table snapshot up to the current layout
+ * Version 2 added time banks and the clock's hand count, sitting out and
+ * missed blinds, blind schedules (in config), and rebuys and add-ons
+ * @param {Object} data - Parsed snapshot
+ * @returns {Object} Snapshot in the current layout
+ */
+function migrateSnapshot(data) {
+  if (data?.version !== 1) {
+    return data;
+  }
+  const upgradePlayer = (record) => ({
+    timeBank: null,
+    sittingOut: false,
+    rebuys: 0,
+    addOns: 0,
+    ...record,
+  });
+  return {
+    ...data,
+    version: 2,
+    players: data.players.map((record) => ({
+      ...createBlindTracking(),
+      rebuyOffer: null,
+      ...upgradePlayer(record),
+    })),
+    waitingList: data.waitingList.map(upgradePlayer),
+    clockHandsPlayed: 0,
+    rebuyPeriodOver: false,
+    addOnOpen: false,
+  };
+}
+
+/**
+ * Validate a rebuy policy and fill in its defaults
+ * @param {Object} rebuys - config.rebuys
+ * @returns {Object} { chips, maxRebuys, hands, addOnChips }; a null
+ *   maxRebuys or hands means no limit
+ */
+function normalizeRebuys(rebuys) {
+  const limit = (value, name) =>
+    value === undefined || value === null
+      ? null
+      : validateIntegerAmount(value, name);
+  const normalized = {
+    chips: validateIntegerAmount(rebuys.chips, 'rebuy chips'),
+    maxRebuys: limit(rebuys.maxRebuys, 'maxRebuys'),
+    hands: limit(rebuys.hands, 'rebuy hands'),
+    addOnChips: validateIntegerAmount(rebuys.addOnChips ?? 0, 'addOnChips'),
+  };
+  if (normalized.chips === 0) {
+    throw new Error('rebuy chips must be positive');
+  }
+  return normalized;
+}
 
 /**
  * Represents a poker table that manages games and players
@@ -27,12 +117,51 @@ export class Table extends WildcardEventEmitter {
       maxPlayers: config.maxPlayers || 9,
       minPlayers: config.minPlayers || 2,
       blinds: validatedBlinds, // Ensure validated blinds override any spread config
+      ante: validateIntegerAmount(config.ante ?? 0, 'ante'),
+      anteType: config.anteType || AnteTypes.STANDARD,
+      runItTimes: validateIntegerAmount(config.runItTimes ?? 1, 'runItTimes'),
       timeout: config.timeout || 30000,
     };
 
     // Simulation mode for fast execution without delays
     this.simulationMode = config.simulationMode === true;
 
+    // One clock for every hand, so time banks carry over and replenish
+    this.clock = new ActionClock({
+      ...config.timeoutPolicy,
+      timeout: this.config.timeout,
+      simulationMode: this.simulationMode,
+    });
+
+    // Blinds follow the schedule, when there is one, from hand to hand
+    this.blindSchedule = null;
+    delete this.config.blindSchedule;
+    if (config.blindSchedule) {
+      this.blindSchedule =
+        config.blindSchedule instanceof BlindSchedule
+          ? config.blindSchedule
+          : new BlindSchedule({
+              simulationMode: this.simulationMode,
+              ...config.blindSchedule,
+            });
+      this.blindSchedule.on('*', (eventName, data) => {
+        this.emit(eventName, { tableId: this.id, ...data });
+      });
+      this.applyBlindSchedule({ update: false });
+    }
+
+    // Busted players may rebuy before the next hand while the period lasts
+    if (config.rebuys) {
+      this.config.rebuys = normalizeRebuys(config.rebuys);
+    }
+    this.rebuyPeriodOver = false;
+    this.addOnOpen = false; // From the end of the rebuy period to the next deal
+    this.rebuySettlement = null; // Pending settleRebuys() promise
+
+    // Seeded tables deal the first hand from config.seed and derive the rest
+    this.nextHandSeed =
+      config.seed !== undefined ? normalizeSeed(config.seed) : undefined;
+
     this.players = new Map();
     this.waitingList = [];
     this.state = TableState.WAITING;
@@ -45,7 +174,9 @@ export class Table extends WildcardEventEmitter {
     if (config.deck) {
       this.setDeck(config.deck);
     } else {
-      this.deck = new Deck();
+      this.deck = new Deck({
+        shortDeck: this.config.variant === Variants.SHORT_DECK_HOLDEM,
+      });
     }
 
     // Dead button rule tracking
@@ -61,9 +192,11 @@ export class Table extends WildcardEventEmitter {
   /**
    * Add a player to the table
    * @param {Player} player - The player to add
+   * @param {Object} [options]
+   * @param {number} [options.seatNumber] - Seat to take (defaults to the first free seat)
    * @returns {boolean} True if player was added successfully
    */
-  addPlayer(player) {
+  addPlayer(player, { seatNumber = null } = {}) {
     if (this.players.size >= this.config.maxPlayers) {
       this.waitingList.push(player);
       this.emit('player:waiting', {
@@ -80,18 +213,36 @@ export class Table extends WildcardEventEmitter {
     // Player should already have chips set before being added to the table
     // Tables no longer enforce buy-in limits - that's a tournament/room policy
 
-    const seatNumber = this.getNextAvailableSeat();
+    const seat = seatNumber ?? this.getNextAvailableSeat();
+    if (seatNumber !== null) {
+      if (
+        !Number.isInteger(seatNumber) ||
+        seatNumber < 1 ||
+        seatNumber > this.config.maxPlayers
+      ) {
+        throw new Error(
+          `Invalid seat ${seatNumber}. Seats are 1 to ${this.config.maxPlayers}`,
+        );
+      }
+      for (const playerData of this.players.values()) {
+        if (playerData.seatNumber === seatNumber) {
+          throw new Error(`Seat ${seatNumber} is already taken`);
+        }
+      }
+    }
 
     this.players.set(player.id, {
       player,
       state: PlayerState.WAITING,
-      seatNumber,
+      seatNumber: seat,
+      ...createBlindTracking(),
+      rebuyOffer: null,
     });
 
     this.emit('player:joined', {
       player,
       tableId: this.id,
-      seatNumber,
+      seatNumber: seat,
     });
 
     // Emit event when minimum players first reached (consumer can decide to start)
@@ -169,6 +320,12 @@ export class Table extends WildcardEventEmitter {
    */
   async tryStartGame() {
     try {
+      // Rebuys and add-ons are settled before the deal. With none pending
+      // nothing is awaited, so the checks below run in the same tick.
+      if (this.state === TableState.WAITING && this.hasRebuyDecisions()) {
+        await this.settleRebuys();
+      }
+
       // Check table state
       if (this.state !== TableState.WAITING) {
         const stateNames = {
@@ -196,6 +353,25 @@ export class Table extends WildcardEventEmitter {
         return failureResult;
       }
 
+      if (this.blindSchedule && this.applyBlindSchedule()) {
+        const failureResult = {
+          success: false,
+          reason: 'ON_BREAK',
+          details: {
+            message: 'The blind schedule is on a break',
+            breakEndsAt: this.blindSchedule.breakEndsAt,
+            nextLevel: this.blindSchedule.next,
+            tableId: this.id,
+            timestamp: new Date().toISOString(),
+          },
+        };
+
+        // Emit failure event for debugging
+        this.emit('game:start-failed', failureResult);
+
+        return failureResult;
+      }
+
       // Check player count
       if (this.players.size < this.config.minPlayers) {
         const failureResult = {
@@ -238,7 +414,14 @@ export class Table extends WildcardEventEmitter {
         }
       }
 
-      const activePlayers = this.players.size - playersWithNoChips.length;
+      this.dealInWaitingPlayers();
+      const sittingOutPlayers = Array.from(this.players.values())
+        .filter((pd) => pd.player.chips > 0 && !this.isDealtIn(pd))
+        .map((pd) => pd.player.id);
+      const activePlayers =
+        this.players.size -
+        playersWithNoChips.length -
+        sittingOutPlayers.length;
       if (activePlayers < this.config.minPlayers) {
         const failureResult = {
           success: false,
@@ -248,6 +431,7 @@ export class Table extends WildcardEventEmitter {
             activePlayers,
             minPlayers: this.config.minPlayers,
             playersWithNoChips,
+            sittingOutPlayers,
             allPlayerChips: Array.from(this.players.entries()).map(
               ([id, data]) => ({
                 id,
@@ -256,7 +440,10 @@ export class Table extends WildcardEventEmitter {
                 state: data.state,
               }),
             ),
-            message: `Only ${activePlayers} players have chips. Need at least ${this.config.minPlayers} active players.`,
+            message:
+              sittingOutPlayers.length > 0
+                ? `Only ${activePlayers} players have chips and are not sitting out. Need at least ${this.config.minPlayers} active players.`
+                : `Only ${activePlayers} players have chips. Need at least ${this.config.minPlayers} active players.`,
             tableId: this.id,
             timestamp: new Date().toISOString(),
             tableState: this.state,
@@ -301,27 +488,10 @@ export class Table extends WildcardEventEmitter {
 
         // Convert seat-based positions to player array indices
         activePlayersList = sortedPlayers
-          .filter((pd) => pd.player.chips > 0)
+          .filter((pd) => positions.playerIds.includes(pd.player.id))
           .map((pd) => pd.player);
 
-        const buttonPlayerIndex = positions.buttonIndex;
-        const smallBlindPlayerIndex = positions.smallBlindIndex;
-        const bigBlindPlayerIndex = positions.bigBlindIndex;
-
-        this.gameEngine = new GameEngine({
-          variant: this.config.variant,
-          players: activePlayersList,
-          blinds: this.config.blinds,
-          timeout: this.config.timeout,
-          dealerButton: this.currentDealerButton,
-          deck: this.deck, // Deck instance
-          buttonPlayerIndex,
-          smallBlindPlayerIndex,
-          bigBlindPlayerIndex,
-          isDeadButton: positions.isDeadButton,
-          isDeadSmallBlind: positions.isDeadSmallBlind,
-          simulationMode: this.simulationMode,
-        });
+        this.gameEngine = this.createGameEngine(activePlayersList, positions);
 
         // Forward specific game events we care about
         const eventsToForward = [
@@ -333,9 +503,18 @@ export class Table extends WildcardEventEmitter {
           'action:performed',
           'player:action',
           'pot:updated',
+          'ante:posted',
+          'blind:posted',
+          'bring-in:posted',
+          'cards:up',
+          'board:run-multiple',
           'round:ended',
           'hand:complete',
           'chips:awarded',
+          'action:timeout',
+          'player:timebank',
+          'clock:tick',
+          'clock:warning',
         ];
 
         eventsToForward.forEach((eventName) => {
@@ -471,25 +650,72 @@ export class Table extends WildcardEventEmitter {
     }
   }
 
+  /**
+   * Whether a seated player is dealt into the next hand
+   * Players without chips, sitting out or waiting for the big blind keep
+   * their seat but are skipped.
+   * @param {Object} playerData - Entry from this.players
+   * @returns {boolean} True if the player gets cards
+   */
+  isDealtIn(playerData) {
+    return this.canPostBigBlind(playerData) && !playerData.waitingForBigBlind;
+  }
+
+  /**
+   * Deal in players waiting for the big blind if the hand cannot start
+   * without them
+   * Waiting only makes sense while the game goes on; otherwise the big
+   * blind would never reach them. They post their missed blinds instead.
+   */
+  dealInWaitingPlayers() {
+    const seated = Array.from(this.players.values());
+    if (
+      seated.filter((pd) => this.isDealtIn(pd)).length >= this.config.minPlayers
+    ) {
+      return;
+    }
+    for (const playerData of seated) {
+      if (playerData.waitingForBigBlind && this.canPostBigBlind(playerData)) {
+        playerData.waitingForBigBlind = false;
+        playerData.postMissedBlinds = true;
+      }
+    }
+  }
+
+  /**
+   * Whether the big blind can stop at a seated player
+   * Players back from sitting out who wait for the big blind are dealt in
+   * when it reaches them.
+   * @param {Object} playerData - Entry from this.players
+   * @returns {boolean} True if the player can post the big blind
+   */
+  canPostBigBlind(playerData) {
+    return playerData.player.chips > 0 && !playerData.player.sittingOut;
+  }
+
   /**
    * Calculate button and blind positions according to dead button rule
    * @returns {Object} Position information including dead button/blind status
+   *   and playerIds, the players dealt in (indices refer to this list)
    */
   calculateDeadButtonPositions() {
     const allPlayers = Array.from(this.players.values()).sort(
       (a, b) => a.seatNumber - b.seatNumber,
     );
 
-    const activePlayers = allPlayers.filter((pd) => pd.player.chips > 0);
+    const eligiblePlayers = allPlayers.filter((pd) => this.canPostBigBlind(pd));
 
     // If less than 2 active players, no positions to calculate
-    if (activePlayers.length < 2) {
+    if (eligiblePlayers.length < 2) {
       return {
         buttonIndex: 0,
         smallBlindIndex: null,
         bigBlindIndex: null,
         isDeadButton: false,
         isDeadSmallBlind: false,
+        playerIds: allPlayers
+          .filter((pd) => this.isDealtIn(pd))
+          .map((pd) => pd.player.id),
       };
     }
 
@@ -513,7 +739,7 @@ export class Table extends WildcardEventEmitter {
           const checkIndex = (startIndex + i) % allPlayers.length;
           const checkPlayer = allPlayers[checkIndex];
 
-          if (checkPlayer.player.chips > 0) {
+          if (this.canPostBigBlind(checkPlayer)) {
             nextBBPlayerId = checkPlayer.player.id;
             nextBBSeatNumber = checkPlayer.seatNumber;
             break;
@@ -525,19 +751,25 @@ export class Table extends WildcardEventEmitter {
     // Fallback for first hand or if last BB player not found
     if (!nextBBPlayerId) {
       // First hand - BB is 2 positions after initial button in active players
-      if (activePlayers.length === 2) {
+      if (eligiblePlayers.length === 2) {
         // Heads-up: BB is opposite of button
         const bbIndex = (this.currentDealerButton + 1) % 2;
-        nextBBPlayerId = activePlayers[bbIndex].player.id;
-        nextBBSeatNumber = activePlayers[bbIndex].seatNumber;
+        nextBBPlayerId = eligiblePlayers[bbIndex].player.id;
+        nextBBSeatNumber = eligiblePlayers[bbIndex].seatNumber;
       } else {
         // Multi-way: BB is 2 positions after button
-        const bbIndex = (this.currentDealerButton + 2) % activePlayers.length;
-        nextBBPlayerId = activePlayers[bbIndex].player.id;
-        nextBBSeatNumber = activePlayers[bbIndex].seatNumber;
+        const bbIndex = (this.currentDealerButton + 2) % eligiblePlayers.length;
+        nextBBPlayerId = eligiblePlayers[bbIndex].player.id;
+        nextBBSeatNumber = eligiblePlayers[bbIndex].seatNumber;
       }
     }
 
+    // A player waiting for the big blind is dealt in once it reaches them
+    const activePlayers = allPlayers.filter(
+      (pd) => this.isDealtIn(pd) || pd.player.id === nextBBPlayerId,
+    );
+    const playerIds = activePlayers.map((pd) => pd.player.id);
+
     // Now work backwards from BB to determine button and SB positions
     const bbPlayerData = allPlayers.find(
       (pd) => pd.player.id === nextBBPlayerId,
@@ -548,13 +780,13 @@ export class Table extends WildcardEventEmitter {
     const buttonSeatIndex =
       (bbSeatIndex - 2 + allPlayers.length) % allPlayers.length;
     const buttonPlayerData = allPlayers[buttonSeatIndex];
-    const isDeadButton = buttonPlayerData.player.chips <= 0;
+    const isDeadButton = !this.isDealtIn(buttonPlayerData);
 
     // Find SB position (1 seat before BB by seat order)
     const sbSeatIndex =
       (bbSeatIndex - 1 + allPlayers.length) % allPlayers.length;
     const sbPlayerData = allPlayers[sbSeatIndex];
-    const isDeadSmallBlind = sbPlayerData.player.chips <= 0;
+    const isDeadSmallBlind = !this.isDealtIn(sbPlayerData);
 
     // Special handling for heads-up
     if (activePlayers.length === 2) {
@@ -571,6 +803,7 @@ export class Table extends WildcardEventEmitter {
         isDeadButton: false,
         isDeadSmallBlind: false,
         nextBBSeatNumber,
+        playerIds,
       };
     }
 
@@ -595,7 +828,7 @@ export class Table extends WildcardEventEmitter {
         const checkIndex =
           (buttonSeatIndex - i + allPlayers.length) % allPlayers.length;
         const checkPlayer = allPlayers[checkIndex];
-        if (checkPlayer.player.chips > 0) {
+        if (this.isDealtIn(checkPlayer)) {
           buttonActiveIndex = activePlayers.findIndex(
             (p) => p.player.id === checkPlayer.player.id,
           );
@@ -626,9 +859,133 @@ export class Table extends WildcardEventEmitter {
       isDeadButton,
       isDeadSmallBlind,
       nextBBSeatNumber,
+      playerIds,
     };
   }
 
+  /**
+   * Bring the blinds and ante up to date with the blind schedule
+   * @param {Object} [options]
+   * @param {boolean} [options.update=true] - Move the schedule on first;
+   *   false just copies the current level
+   * @returns {boolean} True if the schedule is on a break
+   */
+  applyBlindSchedule({ update = true } = {}) {
+    if (update) {
+      this.blindSchedule.update();
+    }
+    const { small, big, ante } = this.blindSchedule.current;
+    this.config.blinds = { small, big };
+    this.config.ante = ante;
+    return this.blindSchedule.onBreak;
+  }
+
+  /**
+   * Let a player sit out from the next hand, keeping their seat
+   * A hand in progress is played out as normal. While away the player
+   * collects any blinds the button passes them by.
+   * @param {string} playerId - Player at this table
+   */
+  sitOut(playerId) {
+    const playerData = this.getSeatedPlayer(playerId);
+    playerData.player.sittingOut = true;
+    playerData.waitingForBigBlind = false;
+    playerData.postMissedBlinds = false;
+    this.emit('player:sat-out', { playerId, tableId: this.id });
+  }
+
+  /**
+   * Bring a sitting-out player back for the next hand
+   * A player who missed blinds either posts them next hand (the big blind
+   * live, the small blind dead) or waits until the big blind reaches them.
+   * @param {string} playerId - Player at this table
+   * @param {Object} [options]
+   * @param {boolean} [options.postMissedBlinds=false] - Post missed blinds
+   *   now instead of waiting for the big blind
+   */
+  sitIn(playerId, { postMissedBlinds = false } = {}) {
+    const playerData = this.getSeatedPlayer(playerId);
+    const { missedBlinds } = playerData;
+    const owesBlinds = missedBlinds.small || missedBlinds.big;
+
+    playerData.player.sittingOut = false;
+    playerData.player.consecutiveTimeouts = 0;
+    playerData.postMissedBlinds = owesBlinds && postMissedBlinds;
+    playerData.waitingForBigBlind = owesBlinds && !postMissedBlinds;
+
+    this.emit('player:sat-in', {
+      playerId,
+      tableId: this.id,
+      missedBlinds: { ...missedBlinds },
+      waitingForBigBlind: playerData.waitingForBigBlind,
+    });
+  }
+
+  /**
+   * Seated player's table entry
+   * @param {string} playerId - Player ID
+   * @returns {Object} Entry from this.players
+   */
+  getSeatedPlayer(playerId) {
+    const playerData = this.players.get(playerId);
+    if (!playerData) {
+      throw new Error(`Player ${playerId} is not seated at this table`);
+    }
+    return playerData;
+  }
+
+  /**
+   * Record blinds missed by sitting-out players and settle them for
+   * players dealt into this hand
+   * The big blind skips sitting-out players, so everyone it passed since
+   * the last hand missed it; a sitting-out player in the small blind seat
+   * missed that. Players dealt in either owe nothing (they are in the
+   * blinds or waited for the big blind) or chose to post now.
+   * @param {Object} positions - From calculateDeadButtonPositions
+   * @returns {Object} Blinds to post: { [playerId]: { small, big } }
+   */
+  updateMissedBlinds(positions) {
+    const allPlayers = Array.from(this.players.values()).sort(
+      (a, b) => a.seatNumber - b.seatNumber,
+    );
+    const isAway = (pd) => pd.player.sittingOut && pd.player.chips > 0;
+    const bbSeatIndex = allPlayers.findIndex(
+      (pd) => pd.seatNumber === positions.nextBBSeatNumber,
+    );
+    const lastBBSeatIndex = allPlayers.findIndex(
+      (pd) => pd.player.id === this.lastBigBlindPlayerId,
+    );
+
+    if (bbSeatIndex >= 0 && lastBBSeatIndex >= 0) {
+      for (
+        let i = (lastBBSeatIndex + 1) % allPlayers.length;
+        i !== bbSeatIndex;
+        i = (i + 1) % allPlayers.length
+      ) {
+        if (isAway(allPlayers[i])) {
+          allPlayers[i].missedBlinds.big = true;
+        }
+      }
+    }
+    if (bbSeatIndex >= 0 && positions.isDeadSmallBlind) {
+      const sbPlayerData =
+        allPlayers[(bbSeatIndex - 1 + allPlayers.length) % allPlayers.length];
+      if (isAway(sbPlayerData)) {
+        sbPlayerData.missedBlinds.small = true;
+      }
+    }
+
+    const toPost = {};
+    for (const playerId of positions.playerIds) {
+      const playerData = this.players.get(playerId);
+      if (playerData.postMissedBlinds) {
+        toPost[playerId] = { ...playerData.missedBlinds };
+      }
+      Object.assign(playerData, createBlindTracking());
+    }
+    return toPost;
+  }
+
   /**
    * Handle game end
    */
@@ -636,6 +993,9 @@ export class Table extends WildcardEventEmitter {
     // Don't change state to WAITING yet - do it after all cleanup and events
     // This prevents race conditions where clients try to start new games too early
 
+    // Build the hand history now - ending the game below releases the engine
+    const history = this.gameEngine?.buildHandHistory();
+
     // Update chip counts are already handled by GameEngine via player.chips setter
     // No need to update here since Player instances are shared
 
@@ -645,7 +1005,7 @@ export class Table extends WildcardEventEmitter {
     );
 
     // Get only active players (those who will remain after eliminations)
-    const activePlayers = allPlayers.filter((pd) => pd.player.chips > 0);
+    const activePlayers = allPlayers.filter((pd) => this.isDealtIn(pd));
 
     // Track who posted big blind this hand for next hand's dead button calculation
     const gameEngine = this.gameEngine;
@@ -683,62 +1043,40 @@ export class Table extends WildcardEventEmitter {
       // Store who should post BB next
       if (
         positions.bigBlindIndex >= 0 &&
-        positions.bigBlindIndex < activePlayers.length
+        positions.bigBlindIndex < positions.playerIds.length
       ) {
-        const nextBBPlayer = activePlayers[positions.bigBlindIndex];
+        const nextBBPlayer = this.players.get(
+          positions.playerIds[positions.bigBlindIndex],
+        );
         this.nextBigBlindSeatNumber = nextBBPlayer.seatNumber;
       }
     }
 
-    // Collect players to eliminate
+    // Collect players to eliminate; those who can still rebuy are kept
+    // seated until the next deal
     const playersToEliminate = [];
     for (const [playerId, playerData] of this.players.entries()) {
-      if (playerData.player.chips <= 0) {
-        const startingChips = this.handStartingChips.get(playerId) || 0;
-        playersToEliminate.push({
-          playerId,
-          playerData,
-          startingChips,
-        });
+      if (playerData.player.chips > 0 || playerData.rebuyOffer) {
+        continue;
+      }
+      const bust = {
+        playerId,
+        startingChips: this.handStartingChips.get(playerId) || 0,
+        gameNumber: this.gameCount,
+      };
+      if (this.canRebuy(playerData.player)) {
+        this.offerRebuy(playerData, bust);
+      } else {
+        playersToEliminate.push(bust);
       }
     }
 
     // Handle player eliminations BEFORE hand:ended (v3.0.2 fix for event ordering)
-    if (playersToEliminate.length > 0) {
-      // Sort players by starting chip count (smallest stack first = lower finishing position)
-      // This follows tournament rules: players with smaller stacks finish lower
-      playersToEliminate.sort((a, b) => a.startingChips - b.startingChips);
-
-      // Process eliminations atomically - remove player then emit elimination event
-      playersToEliminate.forEach(({ playerId, startingChips }, index) => {
-        // Remove player from table first
-        this.players.delete(playerId);
-
-        // Add waiting player if available (same logic as removePlayer)
-        if (this.waitingList.length > 0) {
-          const nextPlayer = this.waitingList.shift();
-          this.addPlayer(nextPlayer);
-        }
-
-        // ATOMIC: Emit elimination event AFTER removal (table state is consistent)
-        this.emit('player:eliminated', {
-          playerId,
-          tableId: this.id,
-          finalChips: 0,
-          gameNumber: this.gameCount,
-          startingChips, // Include starting chips for tournament tracking
-          finishingPosition: playersToEliminate.length - index, // Lower position = earlier elimination
-        });
-      });
+    this.eliminatePlayers(playersToEliminate);
 
-      // Check if game should end due to insufficient players (same logic as removePlayer)
-      // Note: This happens after eliminations, so table state is about to become WAITING anyway
-      if (
-        this.players.size < this.config.minPlayers &&
-        this.state === TableState.IN_PROGRESS
-      ) {
-        this.endGame('Not enough players after eliminations');
-      }
+    const rebuyHands = this.config.rebuys?.hands ?? null;
+    if (rebuyHands !== null && this.gameCount >= rebuyHands) {
+      this.endRebuyPeriod();
     }
 
     // CRITICAL FIX (v4.4.3): Change state to WAITING before emitting hand:ended
@@ -746,12 +1084,28 @@ export class Table extends WildcardEventEmitter {
     // preventing race conditions in tournament managers
     this.state = TableState.WAITING;
 
+    // Blinds go up between hands, before anyone reacts to hand:ended
+    if (this.blindSchedule) {
+      this.blindSchedule.recordHand();
+      this.applyBlindSchedule();
+    }
+
     // Now emit hand:ended AFTER eliminations have been processed AND state changed
     // Events are already in the correct order (eliminations first, then hand:ended)
     if (this.pendingHandEndedData) {
       const dataToEmit = this.pendingHandEndedData;
       this.pendingHandEndedData = null;
       this.emit('hand:ended', dataToEmit);
+
+      if (history) {
+        this.emit('hand:history', {
+          tableId: this.id,
+          gameNumber: dataToEmit.gameNumber,
+          history,
+          text: history.text,
+          ohh: OpenHandHistory.toOHH(history),
+        });
+      }
     }
 
     // Clean up game engine
@@ -763,6 +1117,243 @@ export class Table extends WildcardEventEmitter {
     // Game has ended - table consumer can start a new game if desired
   }
 
+  /**
+   * Remove busted players from the table and announce their eliminations
+   * @param {Object[]} busted - [{ playerId, startingChips, gameNumber }]
+   */
+  eliminatePlayers(busted) {
+    if (busted.length === 0) {
+      return;
+    }
+
+    // Sort players by starting chip count (smallest stack first = lower finishing position)
+    // This follows tournament rules: players with smaller stacks finish lower
+    busted.sort((a, b) => a.startingChips - b.startingChips);
+
+    // Process eliminations atomically - remove player then emit elimination event
+    busted.forEach(({ playerId, startingChips, gameNumber }, index) => {
+      // Remove player from table first
+      this.players.delete(playerId);
+
+      // Add waiting player if available (same logic as removePlayer)
+      if (this.waitingList.length > 0) {
+        const nextPlayer = this.waitingList.shift();
+        this.addPlayer(nextPlayer);
+      }
+
+      // ATOMIC: Emit elimination event AFTER removal (table state is consistent)
+      this.emit('player:eliminated', {
+        playerId,
+        tableId: this.id,
+        finalChips: 0,
+        gameNumber,
+        startingChips, // Include starting chips for tournament tracking
+        finishingPosition: busted.length - index, // Lower position = earlier elimination
+      });
+    });
+
+    // Check if game should end due to insufficient players (same logic as removePlayer)
+    // Note: This happens after eliminations, so table state is about to become WAITING anyway
+    if (
+      this.players.size < this.config.minPlayers &&
+      this.state === TableState.IN_PROGRESS
+    ) {
+      this.endGame('Not enough players after eliminations');
+    }
+  }
+
+  /**
+   * Whether a player who busts now may rebuy
+   * @param {Player} player - Player at this table
+   * @returns {boolean}
+   */
+  canRebuy(player) {
+    const { rebuys } = this.config;
+    return (
+      Boolean(rebuys) &&
+      !this.rebuyPeriodOver &&
+      (rebuys.maxRebuys === null || player.rebuys < rebuys.maxRebuys)
+    );
+  }
+
+  /**
+   * Hold a busted player's seat until the next deal so they can rebuy
+   * @param {Object} playerData - Entry from this.players
+   * @param {Object} bust - { startingChips, gameNumber } for the elimination
+   *   if the player does not rebuy
+   */
+  offerRebuy(playerData, { startingChips, gameNumber }) {
+    const { player } = playerData;
+    const { chips, maxRebuys } = this.config.rebuys;
+    playerData.rebuyOffer = { startingChips, gameNumber };
+    this.emit('player:rebuy-offered', {
+      playerId: player.id,
+      tableId: this.id,
+      chips,
+      rebuys: player.rebuys,
+      maxRebuys,
+    });
+  }
+
+  /**
+   * Rebuy for a busted player who is waiting on their offer
+   * @param {string} playerId - Player at this table
+   */
+  rebuy(playerId) {
+    const playerData = this.getSeatedPlayer(playerId);
+    if (!playerData.rebuyOffer) {
+      throw new Error(`Player ${playerId} has no rebuy to take`);
+    }
+    const { player } = playerData;
+    const { chips } = this.config.rebuys;
+
+    playerData.rebuyOffer = null;
+    player.rebuys++;
+    player.addChips(chips);
+    this.emit('player:rebuy', {
+      playerId,
+      tableId: this.id,
+      chips,
+      stack: player.chips,
+      rebuys: player.rebuys,
+    });
+  }
+
+  /**
+   * Take the add-on offered at the end of the rebuy period, once per player
+   * @param {string} playerId - Player at this table
+   */
+  addOn(playerId) {
+    if (!this.addOnOpen) {
+      throw new Error('Add-ons are not open');
+    }
+    if (this.state === TableState.IN_PROGRESS) {
+      throw new Error('Add-ons can only be taken between hands');
+    }
+    const { player } = this.getSeatedPlayer(playerId);
+    if (player.addOns > 0) {
+      throw new Error(`Player ${playerId} has already taken an add-on`);
+    }
+    if (player.chips === 0) {
+      throw new Error(`Player ${playerId} must rebuy before an add-on`);
+    }
+    const chips = this.config.rebuys.addOnChips;
+
+    player.addOns++;
+    player.addChips(chips);
+    this.emit('player:add-on', {
+      playerId,
+      tableId: this.id,
+      chips,
+      stack: player.chips,
+    });
+  }
+
+  /**
+   * Stop offering rebuys to players who bust from now on
+   * Players already holding an offer keep it until the next deal, and with
+   * add-ons configured everyone may take one before then.
+   */
+  endRebuyPeriod() {
+    if (!this.config.rebuys || this.rebuyPeriodOver) {
+      return;
+    }
+    const { addOnChips } = this.config.rebuys;
+    this.rebuyPeriodOver = true;
+    this.addOnOpen = addOnChips > 0;
+    this.emit('rebuys:period-ended', { tableId: this.id, addOnChips });
+  }
+
+  /**
+   * Whether rebuy offers or add-ons are waiting on the next deal
+   * @returns {boolean}
+   */
+  hasRebuyDecisions() {
+    return (
+      this.addOnOpen ||
+      Array.from(this.players.values()).some((pd) => pd.rebuyOffer)
+    );
+  }
+
+  /**
+   * Ask players holding rebuy offers, then add-on takers, for their
+   * decision: declined rebuys are eliminated and the add-on window closes
+   * Called by tryStartGame() before dealing; calls made while a settlement
+   * is running share it.
+   * @returns {Promise<void>}
+   */
+  settleRebuys() {
+    if (!this.rebuySettlement) {
+      this.rebuySettlement = this.decideRebuys().finally(() => {
+        this.rebuySettlement = null;
+      });
+    }
+    return this.rebuySettlement;
+  }
+
+  /**
+   * Work through rebuy and add-on decisions seat by seat
+   * A player hook that throws counts as declining.
+   */
+  async decideRebuys() {
+    const ask = async (question) => {
+      try {
+        return (await question()) === true;
+      } catch {
+        return false;
+      }
+    };
+    const seated = Array.from(this.players.values()).sort(
+      (a, b) => a.seatNumber - b.seatNumber,
+    );
+
+    const declined = [];
+    for (const playerData of seated) {
+      if (!playerData.rebuyOffer) {
+        continue;
+      }
+      const { player } = playerData;
+      const { chips, maxRebuys } = this.config.rebuys;
+      const accepted = await ask(() =>
+        player.acceptRebuy({
+          tableId: this.id,
+          chips,
+          rebuys: player.rebuys,
+          maxRebuys,
+        }),
+      );
+      // The player may have rebought or left while we waited
+      if (
+        !playerData.rebuyOffer ||
+        this.players.get(player.id) !== playerData
+      ) {
+        continue;
+      }
+      if (accepted) {
+        this.rebuy(player.id);
+      } else {
+        declined.push({ playerId: player.id, ...playerData.rebuyOffer });
+      }
+    }
+    this.eliminatePlayers(declined);
+
+    if (this.addOnOpen) {
+      const chips = this.config.rebuys.addOnChips;
+      for (const { player } of seated) {
+        if (!this.players.has(player.id) || player.addOns > 0) {
+          continue;
+        }
+        const accepted =
+          player.chips > 0 &&
+          (await ask(() => player.acceptAddOn({ tableId: this.id, chips })));
+        if (accepted && player.addOns === 0 && this.players.has(player.id)) {
+          this.addOn(player.id);
+        }
+      }
+      this.addOnOpen = false;
+    }
+  }
+
   /**
    * Get next available seat number
    */
@@ -819,12 +1410,169 @@ export class Table extends WildcardEventEmitter {
       players: this.players.size,
       maxPlayers: this.config.maxPlayers,
       blinds: this.config.blinds,
+      ante: this.config.ante,
+      anteType: this.config.anteType,
+      runItTimes: this.config.runItTimes,
       state: this.state,
       gameCount: this.gameCount,
       waitingList: this.waitingList.length,
     };
   }
 
+  /**
+   * Snapshot the table between hands so it can be rebuilt after a restart
+   * Covers config, seats, stacks, time banks, sit-outs and missed blinds,
+   * rebuys and add-ons, waiting list, game count and all dead-button tracking. Players are stored as { id, name, chips } and
+   * re-bound by Table.fromJSON().
+   * @returns {Object} Versioned, JSON-serializable snapshot
+   */
+  snapshot() {
+    if (this.state === TableState.IN_PROGRESS) {
+      throw new Error('Cannot snapshot a table while a hand is in progress');
+    }
+
+    // The deck is live state - pass a new one to fromJSON()
+    const config = { ...this.config };
+    delete config.deck;
+    if (this.blindSchedule) {
+      config.blindSchedule = this.blindSchedule.toJSON();
+    }
+    const describePlayer = (player) => ({
+      id: player.id,
+      name: player.name,
+      chips: player.chips,
+      timeBank: player.timeBank,
+      sittingOut: player.sittingOut,
+      rebuys: player.rebuys,
+      addOns: player.addOns,
+    });
+
+    return {
+      version: SNAPSHOT_VERSION,
+      id: this.id,
+      config,
+      state: this.state,
+      gameCount: this.gameCount,
+      players: Array.from(this.players.values())
+        .sort((a, b) => a.seatNumber - b.seatNumber)
+        .map((playerData) => ({
+          ...describePlayer(playerData.player),
+          seatNumber: playerData.seatNumber,
+          state: playerData.state,
+          missedBlinds: { ...playerData.missedBlinds },
+          waitingForBigBlind: playerData.waitingForBigBlind,
+          postMissedBlinds: playerData.postMissedBlinds,
+          rebuyOffer: playerData.rebuyOffer && { ...playerData.rebuyOffer },
+        })),
+      waitingList: this.waitingList.map(describePlayer),
+      buttonTracking: {
+        playerOrder: [...this.playerOrder],
+        currentDealerButton: this.currentDealerButton,
+        lastBigBlindPlayerId: this.lastBigBlindPlayerId,
+        nextBigBlindSeatNumber: this.nextBigBlindSeatNumber,
+        lastHandBlinds: { ...this.lastHandBlinds },
+        isDeadButton: this.isDeadButton,
+        isDeadSmallBlind: this.isDeadSmallBlind,
+      },
+      nextHandSeed: this.nextHandSeed ?? null,
+      clockHandsPlayed: this.clock.handsPlayed,
+      rebuyPeriodOver: this.rebuyPeriodOver,
+      addOnOpen: this.addOnOpen,
+    };
+  }
+
+  /**
+   * JSON form for JSON.stringify - never throws, so the table can be logged
+   * Between hands this is snapshot(). Mid-hand it is a marker with no
+   * snapshot, which fromJSON() refuses.
+   * @returns {Object} Snapshot, or { id, state, gameCount, handInProgress }
+   */
+  toJSON() {
+    if (this.state === TableState.IN_PROGRESS) {
+      return {
+        id: this.id,
+        state: this.state,
+        gameCount: this.gameCount,
+        handInProgress: true,
+      };
+    }
+    return this.snapshot();
+  }
+
+  /**
+   * Rebuild a table from snapshot() output
+   * Snapshots from older versions are migrated first
+   * @param {Object|string} snapshot - Snapshot or its JSON
+   * @param {Object} options
+   * @param {Function} options.resolvePlayer - ({ id, name, chips }) => Player;
+   *   the stack is restored onto the returned player
+   * @param {BaseDeck} [options.deck] - Deck to deal from
+   * @returns {Table} Restored table, ready for its next hand
+   */
+  static fromJSON(snapshot, { resolvePlayer, deck } = {}) {
+    const data = migrateSnapshot(
+      typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot,
+    );
+    if (data?.handInProgress) {
+      throw new Error('Cannot restore a table serialized mid-hand');
+    }
+    if (data?.version !== SNAPSHOT_VERSION) {
+      throw new Error(
+        `Unsupported table snapshot version ${data?.version} (expected ${SNAPSHOT_VERSION})`,
+      );
+    }
+    if (typeof resolvePlayer !== 'function') {
+      throw new Error('fromJSON requires a resolvePlayer callback');
+    }
+
+    const bind = (record) => {
+      const player = resolvePlayer({ ...record });
+      if (!player || player.id !== record.id) {
+        throw new Error(`resolvePlayer did not return player ${record.id}`);
+      }
+      player.chips = record.chips;
+      player.timeBank = record.timeBank;
+      player.sittingOut = record.sittingOut;
+      player.rebuys = record.rebuys;
+      player.addOns = record.addOns;
+      return player;
+    };
+
+    const table = new Table({
+      ...data.config,
+      id: data.id,
+      ...(deck && { deck }),
+    });
+    table.state = data.state;
+    table.gameCount = data.gameCount;
+    for (const record of data.players) {
+      table.players.set(record.id, {
+        player: bind(record),
+        state: record.state,
+        seatNumber: record.seatNumber,
+        missedBlinds: { ...record.missedBlinds },
+        waitingForBigBlind: record.waitingForBigBlind,
+        postMissedBlinds: record.postMissedBlinds,
+        rebuyOffer: record.rebuyOffer,
+      });
+    }
+    table.waitingList = data.waitingList.map(bind);
+
+    const tracking = data.buttonTracking;
+    table.playerOrder = [...tracking.playerOrder];
+    table.currentDealerButton = tracking.currentDealerButton;
+    table.lastBigBlindPlayerId = tracking.lastBigBlindPlayerId;
+    table.nextBigBlindSeatNumber = tracking.nextBigBlindSeatNumber;
+    table.lastHandBlinds = { ...tracking.lastHandBlinds };
+    table.isDeadButton = tracking.isDeadButton;
+    table.isDeadSmallBlind = tracking.isDeadSmallBlind;
+    table.nextHandSeed = data.nextHandSeed ?? undefined;
+    table.clock.handsPlayed = data.clockHandsPlayed;
+    table.rebuyPeriodOver = data.rebuyPeriodOver;
+    table.addOnOpen = data.addOnOpen;
+    return table;
+  }
+
   /**
    * Remove all players from the table
    */
@@ -840,12 +1588,85 @@ export class Table extends WildcardEventEmitter {
     this.waitingList = [];
   }
 
+  /**
+   * Create the game engine for a hand
+   * @param {Player[]} activePlayersList - Players dealt into the hand, in seat order
+   * @param {Object} positions - Button and blind positions from calculateDeadButtonPositions
+   * @returns {GameEngine} Configured game engine (StudGameEngine for seven-card stud)
+   */
+  createGameEngine(activePlayersList, positions) {
+    const EngineClass = isStudVariant(this.config.variant)
+      ? StudGameEngine
+      : GameEngine;
+    // Every engine is a new hand on the shared clock
+    this.clock.startHand(activePlayersList);
+    const missedBlinds = this.updateMissedBlinds(positions);
+    return new EngineClass({
+      variant: this.config.variant,
+      bettingLimit: this.config.bettingLimit,
+      fixedLimit: this.config.fixedLimit,
+      players: activePlayersList,
+      blinds: this.config.blinds,
+      ante: this.config.ante,
+      anteType: this.config.anteType,
+      bringIn: this.config.bringIn,
+      runItTimes: this.config.runItTimes,
+      shortDeck: this.config.shortDeck,
+      timeout: this.config.timeout,
+      timeoutPolicy: this.config.timeoutPolicy,
+      clock: this.clock,
+      dealerButton: this.currentDealerButton,
+      deck: this.deck, // Deck instance
+      buttonPlayerIndex: positions.buttonIndex,
+      smallBlindPlayerIndex: positions.smallBlindIndex,
+      bigBlindPlayerIndex: positions.bigBlindIndex,
+      isDeadButton: positions.isDeadButton,
+      isDeadSmallBlind: positions.isDeadSmallBlind,
+      missedBlinds,
+      simulationMode: this.simulationMode,
+      seed: this.takeHandSeed(),
+      // Hand history details
+      handHistory: this.config.handHistory,
+      handId: this.gameCount,
+      tableName: this.config.name || this.id,
+      maxPlayers: this.config.maxPlayers,
+      seats: Object.fromEntries(
+        Array.from(this.players, ([playerId, playerData]) => [
+          playerId,
+          playerData.seatNumber,
+        ]),
+      ),
+    });
+  }
+
+  /**
+   * Seed for the next hand of a seeded table
+   * @returns {number|undefined} Hand seed, or undefined to let the engine pick one
+   */
+  takeHandSeed() {
+    const seed = this.nextHandSeed;
+    if (seed !== undefined) {
+      this.nextHandSeed = nextSeed(seed);
+    }
+    return seed;
+  }
+
   /**
    * Run a complete hand synchronously without events
-   * Used for Monte Carlo simulations and fast hand resolution
+   * Used for Monte Carlo simulations and fast hand resolution. The board is
+   * dealt once even when the table sets runItTimes.
    * @returns {Object} Hand results including winners, pot, and final chips
    */
   runHandToCompletion() {
+    // Stud has no synchronous engine - refuse before anything moves
+    if (isStudVariant(this.config.variant)) {
+      return {
+        success: false,
+        error:
+          'Seven-card stud does not support synchronous play - use tryStartGame()',
+      };
+    }
+
     // Check if we have enough players
     if (this.players.size < this.config.minPlayers) {
       return {
@@ -895,9 +1716,13 @@ export class Table extends WildcardEventEmitter {
         };
       }
 
-      // Temporarily disable async events
+      // Temporarily disable async events - only the hand history, if
+      // recorded, sees them
       const originalEmit = this.gameEngine.emit;
-      this.gameEngine.emit = () => {}; // Disable events temporarily
+      const engine = this.gameEngine;
+      engine.emit = engine.recordsHistory
+        ? (event, data) => engine.recordHistory(event, data)
+        : () => {};
 
       // Run the hand to completion
       const engineResult = this.gameEngine.runToCompletion();
@@ -914,6 +1739,16 @@ export class Table extends WildcardEventEmitter {
       }
 
       // Build the final result
+      const history = this.gameEngine.buildHandHistory();
+      const openHandHistory = history
+        ? OpenHandHistory.toOHH(history)
+        : undefined;
+
+      // Blinds go up between hands, as in the async flow
+      if (this.blindSchedule) {
+        this.blindSchedule.recordHand();
+        this.applyBlindSchedule();
+      }
       const finalChips = {};
       for (const [playerId, playerData] of this.players) {
         finalChips[playerId] = playerData.player.chips;
@@ -929,6 +1764,12 @@ export class Table extends WildcardEventEmitter {
         showdownParticipants:
           engineResult.showdownParticipants || handResult?.showdownParticipants,
         handHistory: engineResult.handHistory,
+        seed: engineResult.seed,
+        ...(engineResult.provablyFair && {
+          provablyFair: engineResult.provablyFair,
+        }),
+        handHistoryText: engineResult.handHistoryText,
+        openHandHistory,
       };
     } catch (error) {
       return {
@@ -958,8 +1799,9 @@ export class Table extends WildcardEventEmitter {
    */
   tryStartGameSync() {
     // Check minimum players
-    const activePlayers = Array.from(this.players.values()).filter(
-      (p) => p.player.chips > 0,
+    this.dealInWaitingPlayers();
+    const activePlayers = Array.from(this.players.values()).filter((pd) =>
+      this.isDealtIn(pd),
     );
 
     if (activePlayers.length < this.config.minPlayers) {
@@ -985,6 +1827,17 @@ export class Table extends WildcardEventEmitter {
       };
     }
 
+    if (this.blindSchedule && this.applyBlindSchedule()) {
+      return {
+        success: false,
+        reason: 'ON_BREAK',
+        details: {
+          breakEndsAt: this.blindSchedule.breakEndsAt,
+          nextLevel: this.blindSchedule.next,
+        },
+      };
+    }
+
     // Start the game
     this.startGameSync();
 
@@ -1012,27 +1865,14 @@ export class Table extends WildcardEventEmitter {
 
     // Get active players list
     const activePlayersList = sortedPlayers
-      .filter((pd) => pd.player.chips > 0)
+      .filter((pd) => positions.playerIds.includes(pd.player.id))
       .map((pd) => pd.player);
 
     this.state = TableState.IN_PROGRESS;
     this.gameCount++;
 
     // Create game engine with proper configuration
-    this.gameEngine = new GameEngine({
-      variant: this.config.variant,
-      players: activePlayersList,
-      blinds: this.config.blinds,
-      timeout: this.config.timeout,
-      dealerButton: this.currentDealerButton,
-      deck: this.deck,
-      buttonPlayerIndex: positions.buttonIndex,
-      smallBlindPlayerIndex: positions.smallBlindIndex,
-      bigBlindPlayerIndex: positions.bigBlindIndex,
-      isDeadButton: positions.isDeadButton,
-      isDeadSmallBlind: positions.isDeadSmallBlind,
-      simulationMode: this.simulationMode,
-    });
+    this.gameEngine = this.createGameEngine(activePlayersList, positions);
 
     // No event listeners in sync mode - we'll handle everything internally
     // Don't call start() as that triggers async flow
@@ -1070,10 +1910,15 @@ export class Table extends WildcardEventEmitter {
    * @param {Array<Player>} options.players - Player instances to use in simulations
    * @param {BaseDeck} [options.deck] - Optional custom deck (will be reset for each simulation)
    * @param {number} [options.parallel=1] - Number of concurrent simulations (default: sequential)
-   * @returns {Promise<Object>} Results with simulations array and aggregated statistics
+   * @param {number|string} [options.seed] - Seed for reproducible runs (random if omitted)
+   * @returns {Promise<Object>} Results with simulations array, aggregated statistics
+   *   and the seed used. Each simulation reports its own hand seed.
    */
   static async runSimulations(options) {
     const { count, config, players, deck = null, parallel = 1 } = options;
+    const seed = normalizeSeed(
+      options.seed ?? config?.seed ?? createRandomSeed(),
+    );
 
     // Validate inputs
     if (!count || count <= 0) {
@@ -1082,11 +1927,15 @@ export class Table extends WildcardEventEmitter {
     if (!config) {
       throw new Error('config is required');
     }
+    if (isStudVariant(config.variant)) {
+      throw new Error('Seven-card stud does not support simulations');
+    }
     if (!players || !Array.isArray(players) || players.length === 0) {
       throw new Error('players array is required and must not be empty');
     }
 
     const results = {
+      seed,
       simulations: [],
       stats: {
         totalSimulations: count,
@@ -1104,8 +1953,13 @@ export class Table extends WildcardEventEmitter {
 
     // Create simulation tasks
     const tasks = [];
+    let handSeed = seed;
     for (let i = 0; i < count; i++) {
-      tasks.push(() => Table._runSingleSimulation(config, players, deck));
+      const simulationConfig = { ...config, seed: handSeed };
+      tasks.push(() =>
+        Table._runSingleSimulation(simulationConfig, players, deck),
+      );
+      handSeed = nextSeed(handSeed);
     }
 
     // Execute simulations (sequential or parallel)
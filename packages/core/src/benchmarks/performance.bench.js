@@ -175,6 +175,7 @@ async function benchmarkSingleAction() {
 async function benchmarkHandEvaluation() {
   // Import HandEvaluator
   const { HandEvaluator } = await import('../game/HandEvaluator.js');
+  const { HandEvaluators } = await import('../constants.js');
 
   // Test hands
   const testHands = [
@@ -190,12 +191,36 @@ async function benchmarkHandEvaluation() {
     ['Kd', 'Qh', 'Jc', '9s', '7d'], // High card
   ];
 
-  const results = measureTime(() => {
-    const hand = testHands[Math.floor(Math.random() * testHands.length)];
-    HandEvaluator.evaluate(hand);
-  });
+  // Seven-card hands as dealt in Hold'em - mostly cache misses for pokersolver
+  const ranks = '23456789TJQKA';
+  const suits = 'hdcs';
+  const randomSevenCards = () => {
+    const cards = new Set();
+    while (cards.size < 7) {
+      cards.add(
+        ranks[Math.floor(Math.random() * 13)] +
+          suits[Math.floor(Math.random() * 4)],
+      );
+    }
+    return [...cards];
+  };
+
+  for (const evaluator of [HandEvaluators.POKERSOLVER, HandEvaluators.NATIVE]) {
+    HandEvaluator.configure({ evaluator });
+
+    const results = measureTime(() => {
+      const hand = testHands[Math.floor(Math.random() * testHands.length)];
+      HandEvaluator.evaluate(hand);
+    });
+    formatResults(`Hand Evaluation (${evaluator})`, results);
+
+    const sevenCardResults = measureTime(() => {
+      HandEvaluator.evaluate(randomSevenCards());
+    });
+    formatResults(`Seven-Card Evaluation (${evaluator})`, sevenCardResults);
+  }
 
-  formatResults('Hand Evaluation (pokersolver)', results);
+  HandEvaluator.configure({ evaluator: HandEvaluators.NATIVE });
 }
 
 async function benchmarkFullHand() {
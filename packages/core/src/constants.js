@@ -19,9 +19,18 @@ export const DEFAULT_CONFIG = {
 export const Variants = {
   TEXAS_HOLDEM: 'texas-holdem',
   OMAHA: 'omaha',
+  OMAHA_HI_LO: 'omaha-hi-lo', // Omaha eight-or-better
+  SHORT_DECK_HOLDEM: 'short-deck-holdem', // 6+ Hold'em, 36-card deck
   SEVEN_CARD_STUD: 'seven-card-stud',
+  SEVEN_CARD_STUD_HI_LO: 'seven-card-stud-hi-lo', // Stud eight-or-better
 };
 
+// Variants that split each pot between the best high and eight-or-better low
+export const HI_LO_VARIANTS = [
+  Variants.OMAHA_HI_LO,
+  Variants.SEVEN_CARD_STUD_HI_LO,
+];
+
 // Card suits
 export const Suits = {
   HEARTS: 'hearts',
@@ -47,6 +56,12 @@ export const Ranks = {
   ACE: 'A',
 };
 
+// Hand evaluator implementations (see HandEvaluator.configure)
+export const HandEvaluators = {
+  NATIVE: 'native', // Built-in bitmask evaluator
+  POKERSOLVER: 'pokersolver',
+};
+
 // Betting limits
 export const Limits = {
   NO_LIMIT: 'no-limit',
@@ -54,6 +69,12 @@ export const Limits = {
   FIXED_LIMIT: 'fixed-limit',
 };
 
+// Ante structures
+export const AnteTypes = {
+  STANDARD: 'standard', // Every player posts the ante
+  BIG_BLIND: 'big-blind', // Big blind posts one ante for the whole table
+};
+
 // Tournament types
 export const TournamentTypes = {
   SINGLE_TABLE: 'single-table',
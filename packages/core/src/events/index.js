@@ -18,6 +18,7 @@ export const PlayerEvents = {
   ACTION: 'player:action',
   ACTION_REQUESTED: 'action:requested',
   ACTION_TAKEN: 'action:taken',
+  ACTION_PERFORMED: 'action:performed',
   ACTION_ERROR: 'action:error',
   CARDS_RECEIVED: 'cards:received',
   MESSAGE_RECEIVED: 'message:received',
@@ -35,12 +36,14 @@ export const GameEvents = {
 export const HandEvents = {
   STARTED: 'hand:started',
   COMPLETE: 'hand:complete',
+  HISTORY: 'hand:history',
 };
 
 // Card Events
 export const CardEvents = {
   DEALT: 'cards:dealt',
   COMMUNITY: 'cards:community',
+  UP: 'cards:up',
 };
 
 // Pot Events
@@ -48,6 +51,14 @@ export const PotEvents = {
   UPDATED: 'pot:updated',
 };
 
+// Blind and Ante Events
+export const BlindEvents = {
+  DEAD: 'blind:dead',
+  POSTED: 'blind:posted',
+  ANTE_POSTED: 'ante:posted',
+  BRING_IN_POSTED: 'bring-in:posted',
+};
+
 // Chip Events
 export const ChipEvents = {
   AWARDED: 'chips:awarded',
@@ -59,6 +70,37 @@ export const RoundEvents = {
   ENDED: 'round:ended',
 };
 
+// Blind Schedule Events
+export const BlindScheduleEvents = {
+  LEVEL_UP: 'blinds:level-up',
+  BREAK_STARTED: 'blinds:break-started',
+  BREAK_ENDED: 'blinds:break-ended',
+};
+
+// Rebuy Events
+export const RebuyEvents = {
+  OFFERED: 'player:rebuy-offered',
+  REBUY: 'player:rebuy',
+  ADD_ON: 'player:add-on',
+  PERIOD_ENDED: 'rebuys:period-ended',
+};
+
+// Tournament Events
+export const TournamentEvents = {
+  REGISTERED: 'tournament:registered',
+  UNREGISTERED: 'tournament:unregistered',
+  STARTED: 'tournament:started',
+  PLAYER_MOVED: 'tournament:player-moved',
+  TABLE_BROKEN: 'tournament:table-broken',
+  FINAL_TABLE: 'tournament:final-table',
+  PLAYER_ELIMINATED: 'tournament:player-eliminated',
+  REBUY: 'tournament:rebuy',
+  ADD_ON: 'tournament:add-on',
+  PLAYER_REENTERED: 'tournament:player-reentered',
+  COMPLETED: 'tournament:completed',
+  ERROR: 'tournament:error',
+};
+
 /**
  * All events for convenience
  */
@@ -69,6 +111,10 @@ export const Events = {
   ...HandEvents,
   ...CardEvents,
   ...PotEvents,
+  ...BlindEvents,
   ...ChipEvents,
   ...RoundEvents,
+  ...BlindScheduleEvents,
+  ...RebuyEvents,
+  ...TournamentEvents,
 };
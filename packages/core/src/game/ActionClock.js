@@ -0,0 +1,173 @@
+import { validateIntegerAmount } from '../utils/validation.js';
+
+/**
+ * Returned by waitForAction() when the player runs out of time
+ */
+export const TIMED_OUT = Symbol('timed out');
+
+/**
+ * Shot clock and time banks for player actions
+ *
+ * Each action gets `timeout` ms. After that the player's time bank runs
+ * until it is spent too. Banks are kept on the Player, so a clock owned by a
+ * Table carries them across hands and tops them up every `replenishEvery`
+ * hands. clock:tick and clock:warning are opt-in through tickInterval and
+ * warningTime. In simulation mode no timers are started and actions are
+ * awaited as they are.
+ */
+export class ActionClock {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.timeout=30000] - Time per action (ms)
+   * @param {number} [config.timeBank=0] - Starting time bank per player (ms)
+   * @param {number} [config.replenishEvery=0] - Top banks up every N hands (0 = never)
+   * @param {number} [config.replenishAmount] - Added per top-up, capped at
+   *   timeBank (default: refill to timeBank)
+   * @param {number} [config.tickInterval=0] - Emit clock:tick this often (0 = off)
+   * @param {number} [config.warningTime=0] - Emit clock:warning when this
+   *   much time is left (0 = off)
+   * @param {boolean} [config.simulationMode=false] - Skip all timers
+   */
+  constructor(config = {}) {
+    this.timeout = validateIntegerAmount(config.timeout ?? 30000, 'timeout');
+    this.timeBank = validateIntegerAmount(config.timeBank ?? 0, 'time bank');
+    this.replenishEvery = validateIntegerAmount(
+      config.replenishEvery ?? 0,
+      'replenishEvery',
+    );
+    this.replenishAmount = validateIntegerAmount(
+      config.replenishAmount ?? this.timeBank,
+      'replenishAmount',
+    );
+    this.tickInterval = validateIntegerAmount(
+      config.tickInterval ?? 0,
+      'tickInterval',
+    );
+    this.warningTime = validateIntegerAmount(
+      config.warningTime ?? 0,
+      'warningTime',
+    );
+    this.simulationMode = config.simulationMode === true;
+    this.handsPlayed = 0;
+    this.running = null; // { player, startedAt, bank } while waiting
+  }
+
+  /**
+   * Count a new hand, topping up time banks when one is due
+   * @param {Player[]} players - Players dealt into the hand
+   */
+  startHand(players) {
+    const replenish =
+      this.replenishEvery > 0 &&
+      this.handsPlayed > 0 &&
+      this.handsPlayed % this.replenishEvery === 0;
+    this.handsPlayed++;
+
+    for (const player of players) {
+      const bank = this.getTimeBank(player);
+      if (replenish) {
+        player.timeBank = Math.min(this.timeBank, bank + this.replenishAmount);
+      }
+    }
+  }
+
+  /**
+   * Time bank a player has left, giving new players the starting bank
+   * @param {Player} player - Player
+   * @returns {number} Remaining time bank (ms)
+   */
+  getTimeBank(player) {
+    player.timeBank ??= this.timeBank;
+    return player.timeBank;
+  }
+
+  /**
+   * Time a player has left to act - the full allowance until their clock runs
+   * @param {Player} player - Player to act
+   * @returns {Object} { timeRemaining, timeBankRemaining } in ms, both null
+   *   in simulation mode
+   */
+  getTimes(player) {
+    if (this.simulationMode) {
+      return { timeRemaining: null, timeBankRemaining: null };
+    }
+    if (this.running?.player !== player) {
+      return {
+        timeRemaining: this.timeout,
+        timeBankRemaining: this.getTimeBank(player),
+      };
+    }
+    const { startedAt, bank } = this.running;
+    const elapsed = Date.now() - startedAt;
+    return {
+      timeRemaining: Math.max(0, this.timeout - elapsed),
+      timeBankRemaining: Math.max(
+        0,
+        bank - Math.max(0, elapsed - this.timeout),
+      ),
+    };
+  }
+
+  /**
+   * Wait for a player's action while the clock runs
+   * Emits player:timebank when the bank starts, clock:tick every
+   * tickInterval and clock:warning once warningTime is left.
+   * @param {Player} player - Player to act
+   * @param {Promise<Object>} actionPromise - The pending getAction() result
+   * @param {Function} emit - (event, data) => void
+   * @returns {Promise<Object|symbol>} The action, or TIMED_OUT
+   */
+  async waitForAction(player, actionPromise, emit) {
+    if (this.simulationMode) {
+      return actionPromise;
+    }
+
+    const bank = this.getTimeBank(player);
+    this.running = { player, startedAt: Date.now(), bank };
+    const timesAt = () => ({ playerId: player.id, ...this.getTimes(player) });
+
+    let tickId = null;
+    let warningId = null;
+    if (this.tickInterval > 0) {
+      tickId = setInterval(
+        () => emit('clock:tick', timesAt()),
+        this.tickInterval,
+      );
+    }
+    if (this.warningTime > 0) {
+      warningId = setTimeout(
+        () => emit('clock:warning', timesAt()),
+        Math.max(0, this.timeout + bank - this.warningTime),
+      );
+    }
+
+    const race = async (ms) => {
+      let timeoutId;
+      const timer = new Promise((resolve) => {
+        timeoutId = setTimeout(() => resolve(TIMED_OUT), ms);
+      });
+      try {
+        return await Promise.race([actionPromise, timer]);
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    };
+
+    try {
+      let action = await race(this.timeout);
+      if (action === TIMED_OUT && bank > 0) {
+        emit('player:timebank', { playerId: player.id, timeBank: bank });
+        action = await race(bank);
+        player.timeBank = timesAt().timeBankRemaining;
+        if (action === TIMED_OUT) {
+          player.timeBank = 0;
+        }
+      }
+      return action;
+    } finally {
+      this.running = null;
+      clearInterval(tickId);
+      clearTimeout(warningId);
+    }
+  }
+}
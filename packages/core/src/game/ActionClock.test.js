@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+import { ActionClock, TIMED_OUT } from './ActionClock.js';
+import { Table } from '../Table.js';
+import { Player } from '../Player.js';
+import { Action } from '../types/index.js';
+
+const answerAfter = (ms, action = { action: Action.CHECK }) =>
+  new Promise((resolve) => {
+    setTimeout(() => resolve(action), ms);
+  });
+
+const recordEvents = () => {
+  const events = [];
+  const emit = (event, data) => events.push({ event, ...data });
+  return { events, emit };
+};
+
+/**
+ * Player that calls or checks after a delay
+ */
+class SlowPlayer extends Player {
+  constructor(config) {
+    super(config);
+    this.delay = config.delay || 0;
+  }
+
+  getAction(gameState) {
+    return answerAfter(
+      this.delay,
+      gameState.toCall > 0 ? { action: Action.CALL } : { action: Action.CHECK },
+    );
+  }
+}
+
+describe('ActionClock', () => {
+  it('should tick and warn while waiting', async () => {
+    // Wide margins so a busy machine still answers well before the timeout
+    const clock = new ActionClock({
+      timeout: 400,
+      tickInterval: 20,
+      warningTime: 350,
+    });
+    const player = new Player({ id: 'alice' });
+    const { events, emit } = recordEvents();
+
+    const action = await clock.waitForAction(player, answerAfter(100), emit);
+
+    expect(action).toEqual({ action: Action.CHECK });
+    const ticks = events.filter((e) => e.event === 'clock:tick');
+    expect(ticks.length).toBeGreaterThanOrEqual(2);
+    expect(ticks[0]).toMatchObject({ playerId: 'alice', timeBankRemaining: 0 });
+    expect(ticks[1].timeRemaining).toBeLessThan(ticks[0].timeRemaining);
+
+    const warnings = events.filter((e) => e.event === 'clock:warning');
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0].timeRemaining).toBeLessThanOrEqual(350);
+
+    // Timers stop with the action
+    const count = events.length;
+    await answerAfter(60);
+    expect(events).toHaveLength(count);
+  });
+
+  it('should only tick or warn when asked to and report the time left', async () => {
+    const clock = new ActionClock({ timeout: 400, timeBank: 1000 });
+    const player = new Player({ id: 'alice' });
+    const { events, emit } = recordEvents();
+
+    const waiting = clock.waitForAction(player, answerAfter(100), emit);
+    await answerAfter(60);
+    const { timeRemaining, timeBankRemaining } = clock.getTimes(player);
+    expect(timeRemaining).toBeLessThan(400);
+    expect(timeRemaining).toBeGreaterThan(0);
+    expect(timeBankRemaining).toBe(1000);
+
+    await waiting;
+    expect(events).toEqual([]);
+    expect(clock.getTimes(player).timeRemaining).toBe(400);
+  });
+
+  it('should spend the time bank after the timeout', async () => {
+    const clock = new ActionClock({ timeout: 20, timeBank: 500 });
+    const player = new Player({ id: 'alice' });
+    const { events, emit } = recordEvents();
+
+    expect(clock.getTimes(player)).toEqual({
+      timeRemaining: 20,
+      timeBankRemaining: 500,
+    });
+    await clock.waitForAction(player, answerAfter(80), emit);
+    expect(events).toContainEqual({
+      event: 'player:timebank',
+      playerId: 'alice',
+      timeBank: 500,
+    });
+    expect(player.timeBank).toBeLessThan(500);
+    expect(player.timeBank).toBeGreaterThan(0);
+
+    player.timeBank = 10;
+    expect(await clock.waitForAction(player, new Promise(() => {}), emit)).toBe(
+      TIMED_OUT,
+    );
+    expect(player.timeBank).toBe(0);
+  });
+
+  it('should replenish time banks every N hands', () => {
+    const clock = new ActionClock({
+      timeBank: 100,
+      replenishEvery: 2,
+      replenishAmount: 50,
+    });
+    const alice = new Player({ id: 'alice' });
+    const bob = new Player({ id: 'bob' });
+
+    clock.startHand([alice, bob]);
+    expect(bob.timeBank).toBe(100);
+    alice.timeBank = 10;
+    bob.timeBank = 80;
+    clock.startHand([alice, bob]);
+    expect(alice.timeBank).toBe(10);
+
+    clock.startHand([alice, bob]);
+    expect(alice.timeBank).toBe(60);
+    expect(bob.timeBank).toBe(100); // Capped at the starting bank
+  });
+
+  it('should skip all timers in simulation mode', async () => {
+    const clock = new ActionClock({ timeout: 1, simulationMode: true });
+    const player = new Player({ id: 'alice' });
+    const { events, emit } = recordEvents();
+
+    expect(clock.getTimes(player)).toEqual({
+      timeRemaining: null,
+      timeBankRemaining: null,
+    });
+    expect(await clock.waitForAction(player, answerAfter(30), emit)).toEqual({
+      action: Action.CHECK,
+    });
+    expect(events).toEqual([]);
+  });
+
+  it('should report clock readings and keep banks across Table hands', async () => {
+    const table = new Table({
+      blinds: { small: 10, big: 20 },
+      timeout: 20,
+      timeoutPolicy: { timeBank: 1000, tickInterval: 0 },
+    });
+    const alice = new SlowPlayer({ id: 'alice', delay: 60 });
+    const bob = new SlowPlayer({ id: 'bob' });
+    for (const player of [alice, bob]) {
+      player.buyIn(1000);
+      table.addPlayer(player);
+    }
+
+    const requests = [];
+    table.on('action:requested', (data) => requests.push(data));
+    const playHand = async () => {
+      const ended = new Promise((resolve) => {
+        table.on('hand:ended', resolve);
+      });
+      await table.tryStartGame();
+      await ended;
+      table.removeAllListeners('hand:ended');
+    };
+
+    await playHand();
+    const request = requests.find((r) => r.playerId === 'alice');
+    expect(request).toMatchObject({
+      timeRemaining: 20,
+      timeBankRemaining: 1000,
+      gameState: { timeRemaining: 20, timeBankRemaining: 1000 },
+    });
+    const bankAfterHand = alice.timeBank;
+    expect(bankAfterHand).toBeLessThan(1000);
+
+    requests.length = 0;
+    await playHand();
+    expect(requests.find((r) => r.playerId === 'alice').timeBankRemaining).toBe(
+      bankAfterHand,
+    );
+  });
+});
@@ -1,6 +1,12 @@
+import { createSeededRandom, normalizeSeed } from '../utils/random.js';
+
 /**
  * Abstract base class for Deck implementations
  * Defines the interface that all deck implementations must follow
+ *
+ * Shuffling draws from `this.random`, a function returning floats in [0, 1)
+ * like Math.random. Use setSeed() for a reproducible shuffle or setRandom()
+ * to plug in another source such as createCryptoRandom().
  */
 export class BaseDeck {
   constructor() {
@@ -9,6 +15,35 @@ export class BaseDeck {
         'BaseDeck is an abstract class and cannot be instantiated directly',
       );
     }
+    this.random = Math.random;
+    this.seed = null;
+    this.hasCustomRandom = false;
+  }
+
+  /**
+   * Shuffle with a seeded PRNG - the same seed always gives the same order
+   * @param {number|string} seed - Seed value
+   * @returns {number} The 32-bit seed in use
+   */
+  setSeed(seed) {
+    this.seed = normalizeSeed(seed);
+    this.random = createSeededRandom(this.seed);
+    this.hasCustomRandom = false;
+    return this.seed;
+  }
+
+  /**
+   * Shuffle with another random source
+   * Hands dealt from a custom source have no seed and cannot be re-dealt.
+   * @param {Function} random - Function returning floats in [0, 1)
+   */
+  setRandom(random) {
+    if (typeof random !== 'function') {
+      throw new Error('Random source must be a function returning [0, 1)');
+    }
+    this.random = random;
+    this.seed = null;
+    this.hasCustomRandom = true;
   }
 
   /**
@@ -24,9 +59,10 @@ export class BaseDeck {
    * @abstract
    * @param {string} _playerId - The player's ID
    * @param {number} _seatPosition - The player's seat position
-   * @returns {Array} Array of 2 cards
+   * @param {number} [_count=2] - Number of hole cards (4 for Omaha)
+   * @returns {Array} Array of hole cards
    */
-  dealHoleCards(_playerId, _seatPosition) {
+  dealHoleCards(_playerId, _seatPosition, _count = 2) {
     throw new Error('dealHoleCards() must be implemented by subclass');
   }
 
@@ -74,6 +110,16 @@ export class BaseDeck {
     throw new Error('getRemaining() must be implemented by subclass');
   }
 
+  /**
+   * Cards still to be dealt, in dealing order
+   * Needed to checkpoint a hand in progress.
+   * @abstract
+   * @returns {string[]} Remaining cards, e.g. ['As', 'Kd']
+   */
+  getRemainingCards() {
+    throw new Error('getRemainingCards() must be implemented by subclass');
+  }
+
   /**
    * Helper method to create a card object
    * @protected
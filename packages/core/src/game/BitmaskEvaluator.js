@@ -0,0 +1,261 @@
+import { HandRank } from '../types/index.js';
+
+/**
+ * Native 5-7 card hand evaluator using rank bitmasks and lookup tables
+ *
+ * Each rank is one bit (2 = bit 0 ... A = bit 12). Per-suit masks find
+ * flushes, a precomputed table finds the highest straight in any mask, and
+ * rank counts find pairs, trips and quads - no sorting of card strings and
+ * no pokersolver round trip. Results have the same shape as
+ * HandEvaluator.evaluate(): { rank, kickers, cards, description }, with
+ * exactly five cards and kickers in ranking order (the wheel's ace is 1).
+ */
+
+const RANK_VALUES = {
+  2: 2,
+  3: 3,
+  4: 4,
+  5: 5,
+  6: 6,
+  7: 7,
+  8: 8,
+  9: 9,
+  10: 10,
+  T: 10,
+  J: 11,
+  Q: 12,
+  K: 13,
+  A: 14,
+};
+
+const WHEEL_MASK = 0b1000000001111; // A-2-3-4-5
+
+// STRAIGHT_HIGH[mask] = bit index of the highest straight's top card + 1, 0 if none
+const STRAIGHT_HIGH = new Uint8Array(8192);
+// BIT_COUNT[mask] = number of ranks in the mask
+const BIT_COUNT = new Uint8Array(8192);
+
+for (let mask = 1; mask < 8192; mask++) {
+  BIT_COUNT[mask] = BIT_COUNT[mask >> 1] + (mask & 1);
+
+  for (let top = 12; top >= 4; top--) {
+    const run = 0b11111 << (top - 4);
+    if ((mask & run) === run) {
+      STRAIGHT_HIGH[mask] = top + 1;
+      break;
+    }
+  }
+  if (STRAIGHT_HIGH[mask] === 0 && (mask & WHEEL_MASK) === WHEEL_MASK) {
+    STRAIGHT_HIGH[mask] = 4; // Five-high
+  }
+}
+
+export class BitmaskEvaluator {
+  /**
+   * Evaluate the best five-card hand
+   * @param {Array<Object|string>} cards - 5 to 7 cards ({rank, suit} or 'As')
+   * @returns {Object} { rank, kickers, cards, description }
+   */
+  static evaluate(cards) {
+    const byRank = Array.from({ length: 13 }, () => []);
+    const suitMasks = { h: 0, d: 0, c: 0, s: 0 };
+    let rankMask = 0;
+
+    for (const card of cards) {
+      const rank = card.rank ?? card[0];
+      const suit = card.suit ?? card[1];
+      const bit = RANK_VALUES[rank] - 2;
+      byRank[bit].push({ rank, suit });
+      rankMask |= 1 << bit;
+      suitMasks[suit] |= 1 << bit;
+    }
+
+    // Straight flushes beat everything
+    const flushSuit = Object.keys(suitMasks).find(
+      (suit) => BIT_COUNT[suitMasks[suit]] >= 5,
+    );
+    if (flushSuit && STRAIGHT_HIGH[suitMasks[flushSuit]]) {
+      const straightHigh = STRAIGHT_HIGH[suitMasks[flushSuit]];
+      return this.build(
+        straightHigh === 13 ? HandRank.ROYAL_FLUSH : HandRank.STRAIGHT_FLUSH,
+        this.straightCards(byRank, straightHigh - 1, flushSuit),
+      );
+    }
+
+    // Group ranks by how many cards each has, highest rank first
+    const quads = [];
+    const trips = [];
+    const pairs = [];
+    for (let bit = 12; bit >= 0; bit--) {
+      const count = byRank[bit].length;
+      if (count === 4) {
+        quads.push(bit);
+      } else if (count === 3) {
+        trips.push(bit);
+      } else if (count === 2) {
+        pairs.push(bit);
+      }
+    }
+
+    if (quads.length > 0) {
+      return this.build(HandRank.FOUR_OF_A_KIND, [
+        ...byRank[quads[0]],
+        ...this.kickers(byRank, [quads[0]], 1),
+      ]);
+    }
+
+    if (trips.length > 0 && trips.length + pairs.length > 1) {
+      const pairBit = Math.max(trips[1] ?? -1, pairs[0] ?? -1);
+      return this.build(HandRank.FULL_HOUSE, [
+        ...byRank[trips[0]],
+        ...byRank[pairBit].slice(0, 2),
+      ]);
+    }
+
+    if (flushSuit) {
+      const picked = [];
+      for (let bit = 12; bit >= 0 && picked.length < 5; bit--) {
+        if (suitMasks[flushSuit] & (1 << bit)) {
+          picked.push(byRank[bit].find((c) => c.suit === flushSuit));
+        }
+      }
+      return this.build(HandRank.FLUSH, picked);
+    }
+
+    const straightHigh = STRAIGHT_HIGH[rankMask];
+    if (straightHigh) {
+      return this.build(
+        HandRank.STRAIGHT,
+        this.straightCards(byRank, straightHigh - 1, null),
+      );
+    }
+
+    if (trips.length > 0) {
+      return this.build(HandRank.THREE_OF_A_KIND, [
+        ...byRank[trips[0]],
+        ...this.kickers(byRank, [trips[0]], 2),
+      ]);
+    }
+
+    if (pairs.length >= 2) {
+      return this.build(HandRank.TWO_PAIR, [
+        ...byRank[pairs[0]],
+        ...byRank[pairs[1]],
+        ...this.kickers(byRank, [pairs[0], pairs[1]], 1),
+      ]);
+    }
+
+    if (pairs.length === 1) {
+      return this.build(HandRank.PAIR, [
+        ...byRank[pairs[0]],
+        ...this.kickers(byRank, [pairs[0]], 3),
+      ]);
+    }
+
+    return this.build(HandRank.HIGH_CARD, this.kickers(byRank, [], 5));
+  }
+
+  /**
+   * Pick one card per rank for a straight, top card first
+   * @param {Array<Object[]>} byRank - Cards grouped by rank bit
+   * @param {number} topBit - Bit of the straight's top card (3 for the wheel)
+   * @param {string|null} suit - Required suit for a straight flush
+   * @returns {Object[]} Five cards, the wheel's ace last
+   */
+  static straightCards(byRank, topBit, suit) {
+    const pick = (bit) =>
+      suit ? byRank[bit].find((c) => c.suit === suit) : byRank[bit][0];
+
+    const picked = [];
+    for (let bit = topBit; bit > topBit - 5 && bit >= 0; bit--) {
+      picked.push(pick(bit));
+    }
+    if (topBit === 3) {
+      picked.push({ ...pick(12), isLowAce: true });
+    }
+    return picked;
+  }
+
+  /**
+   * Highest single cards outside the given ranks
+   * @param {Array<Object[]>} byRank - Cards grouped by rank bit
+   * @param {number[]} usedBits - Ranks already in the hand
+   * @param {number} count - Number of kickers
+   * @returns {Object[]} Kicker cards, highest first
+   */
+  static kickers(byRank, usedBits, count) {
+    const picked = [];
+    for (let bit = 12; bit >= 0 && picked.length < count; bit--) {
+      if (usedBits.includes(bit)) {
+        continue;
+      }
+      for (const card of byRank[bit]) {
+        if (picked.length < count) {
+          picked.push(card);
+        }
+      }
+    }
+    return picked;
+  }
+
+  /**
+   * Build the evaluate() result from five cards in ranking order
+   * @param {number} rank - HandRank category
+   * @param {Object[]} picked - Five cards
+   * @returns {Object} { rank, kickers, cards, description }
+   */
+  static build(rank, picked) {
+    const entries = picked.map((card) => ({
+      card,
+      value: card.isLowAce ? 1 : RANK_VALUES[card.rank],
+    }));
+
+    return {
+      rank,
+      kickers: entries.map((entry) => entry.value),
+      cards: picked.map(({ rank: cardRank, suit }) => ({
+        rank: cardRank,
+        suit,
+        toString() {
+          return `${cardRank}${suit}`;
+        },
+      })),
+      description: this.describe(rank, entries),
+    };
+  }
+
+  /**
+   * Describe a hand with pokersolver's wording
+   * @param {number} rank - HandRank category
+   * @param {Array} entries - { card, value } in ranking order
+   * @returns {string} Hand description, e.g. "Two Pair, K's & Q's"
+   */
+  static describe(rank, entries) {
+    const name = (entry) =>
+      entry.card.rank === 'T' ? '10' : String(entry.card.rank);
+    const top = entries[0];
+
+    switch (rank) {
+      case HandRank.ROYAL_FLUSH:
+        return 'Royal Flush';
+      case HandRank.STRAIGHT_FLUSH:
+        return `Straight Flush, ${name(top)}${top.card.suit} High`;
+      case HandRank.FOUR_OF_A_KIND:
+        return `Four of a Kind, ${name(top)}'s`;
+      case HandRank.FULL_HOUSE:
+        return `Full House, ${name(top)}'s over ${name(entries[3])}'s`;
+      case HandRank.FLUSH:
+        return `Flush, ${name(top)}${top.card.suit} High`;
+      case HandRank.STRAIGHT:
+        return `Straight, ${name(top)} High`;
+      case HandRank.THREE_OF_A_KIND:
+        return `Three of a Kind, ${name(top)}'s`;
+      case HandRank.TWO_PAIR:
+        return `Two Pair, ${name(top)}'s & ${name(entries[2])}'s`;
+      case HandRank.PAIR:
+        return `Pair, ${name(top)}'s`;
+      default:
+        return `${name(top)} High`;
+    }
+  }
+}
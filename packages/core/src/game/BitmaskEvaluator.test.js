@@ -0,0 +1,121 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { BitmaskEvaluator } from './BitmaskEvaluator.js';
+import { HandEvaluator } from './HandEvaluator.js';
+import { Deck } from './Deck.js';
+import { HandRank } from '../types/index.js';
+import { HandEvaluators } from '../constants.js';
+
+// Small deterministic LCG so the comparison covers the same hands every run
+const createRandom = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+const dealHands = (count, size) => {
+  const random = createRandom(42);
+  const hands = [];
+  for (let i = 0; i < count; i++) {
+    const cards = [...new Deck().cards];
+    for (let j = cards.length - 1; j > 0; j--) {
+      const k = Math.floor(random() * (j + 1));
+      [cards[j], cards[k]] = [cards[k], cards[j]];
+    }
+    hands.push(cards.slice(0, size));
+  }
+  return hands;
+};
+
+const withEvaluator = (evaluator, fn) => {
+  HandEvaluator.configure({ evaluator });
+  try {
+    return fn();
+  } finally {
+    HandEvaluator.configure({ evaluator: HandEvaluators.NATIVE });
+  }
+};
+
+describe('BitmaskEvaluator', () => {
+  afterEach(() => {
+    HandEvaluator.configure({ evaluator: HandEvaluators.NATIVE });
+  });
+
+  it('should match pokersolver rank and description on random seven-card hands', () => {
+    const hands = dealHands(1000, 7);
+    const native = hands.map((cards) => BitmaskEvaluator.evaluate(cards));
+    const pokersolver = withEvaluator(HandEvaluators.POKERSOLVER, () =>
+      hands.map((cards) => HandEvaluator.evaluate(cards)),
+    );
+
+    for (let i = 0; i < hands.length; i++) {
+      expect(native[i].rank, hands[i].join(' ')).toBe(pokersolver[i].rank);
+      expect(native[i].description, hands[i].join(' ')).toBe(
+        pokersolver[i].description,
+      );
+      expect(native[i].cards).toHaveLength(5);
+    }
+  });
+
+  it('should pick the same winners as pokersolver', () => {
+    const boards = dealHands(300, 9);
+    const toPlayerHands = (cards) => [
+      { player: { id: 'a' }, cards: cards.slice(0, 7) },
+      { player: { id: 'b' }, cards: [...cards.slice(2, 7), ...cards.slice(7)] },
+    ];
+
+    for (const cards of boards) {
+      const native = HandEvaluator.findWinners(toPlayerHands(cards));
+      const pokersolver = withEvaluator(HandEvaluators.POKERSOLVER, () =>
+        HandEvaluator.findWinners(toPlayerHands(cards)),
+      );
+      expect(
+        native.map((w) => w.player.id),
+        cards.join(' '),
+      ).toEqual(pokersolver.map((w) => w.player.id));
+    }
+  });
+
+  it('should play the ace low in a five-high straight', () => {
+    const wheel = BitmaskEvaluator.evaluate([
+      '5s',
+      '4d',
+      '3c',
+      '2h',
+      'As',
+      'Kd',
+    ]);
+    const sixHigh = BitmaskEvaluator.evaluate(['6d', '5s', '4d', '3c', '2h']);
+
+    expect(wheel.rank).toBe(HandRank.STRAIGHT);
+    expect(wheel.description).toBe('Straight, 5 High');
+    expect(wheel.kickers).toEqual([5, 4, 3, 2, 1]);
+    expect(wheel.cards.map(String)).toEqual(['5s', '4d', '3c', '2h', 'As']);
+    expect(HandEvaluator.compareEvaluated(sixHigh, wheel)).toBeGreaterThan(0);
+  });
+
+  it('should take the best pair as the full house from two sets', () => {
+    const hand = BitmaskEvaluator.evaluate([
+      'Ks',
+      'Kd',
+      'Kc',
+      'Qh',
+      'Qd',
+      'Qs',
+      '8c',
+    ]);
+
+    expect(hand.rank).toBe(HandRank.FULL_HOUSE);
+    expect(hand.description).toBe("Full House, K's over Q's");
+    expect(hand.kickers).toEqual([13, 13, 13, 12, 12]);
+  });
+
+  it('should switch HandEvaluator implementations through configure', () => {
+    expect(HandEvaluator.getEvaluator()).toBe(HandEvaluators.NATIVE);
+
+    HandEvaluator.configure({ evaluator: HandEvaluators.POKERSOLVER });
+    expect(HandEvaluator.getEvaluator()).toBe(HandEvaluators.POKERSOLVER);
+
+    expect(() => HandEvaluator.configure({ evaluator: 'cactus' })).toThrow(
+      'Invalid hand evaluator: cactus',
+    );
+  });
+});
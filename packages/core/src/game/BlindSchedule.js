@@ -0,0 +1,258 @@
+import { WildcardEventEmitter } from '../base/WildcardEventEmitter.js';
+import { validateIntegerAmount } from '../utils/validation.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Blind levels that go up over time or over hands
+ *
+ * Levels are { small, big, ante } lasting `hands` hands or `minutes`
+ * minutes; breaks are { break: true, minutes }. The schedule only moves
+ * when update() is called, which the owner does between hands, so blinds
+ * never change mid-hand. The last level lasts until the game ends.
+ *
+ * In simulation mode nothing reads the wall clock: levels must count hands
+ * and breaks are over as soon as they start.
+ *
+ * Events:
+ * - blinds:level-up { level, next } - a new level is in force
+ * - blinds:break-started { minutes, endsAt, next }
+ * - blinds:break-ended { next }
+ */
+export class BlindSchedule extends WildcardEventEmitter {
+  /**
+   * @param {Object} config
+   * @param {Object[]} config.levels - Levels and breaks in order
+   * @param {number} [config.handsPerLevel] - Default level length in hands
+   * @param {number} [config.minutesPerLevel] - Default level length in minutes
+   * @param {boolean} [config.simulationMode=false] - Count hands only
+   * @param {Function} [config.now=Date.now] - Clock for timed levels (ms)
+   * @param {Object} [config.progress] - Position from toJSON()
+   */
+  constructor(config = {}) {
+    super();
+
+    const { levels, handsPerLevel, minutesPerLevel } = config;
+    if (!Array.isArray(levels) || levels.length === 0) {
+      throw new Error('A blind schedule needs at least one level');
+    }
+
+    this.simulationMode = config.simulationMode === true;
+    this.now = config.now || Date.now;
+    this.levels = levels.map((level, index) =>
+      this.normalizeLevel(level, index, levels.length, {
+        handsPerLevel,
+        minutesPerLevel,
+      }),
+    );
+    if (this.levels[0].break || this.levels.at(-1).break) {
+      throw new Error('A blind schedule must start and end with a level');
+    }
+
+    const progress = config.progress || {};
+    this.index = progress.index ?? 0;
+    this.handsInLevel = progress.handsInLevel ?? 0;
+    this.levelStartedAt = progress.levelStartedAt ?? null;
+  }
+
+  /**
+   * Validate a level and give it its duration
+   * @param {Object} level - Level or break as configured
+   * @param {number} index - Position in the schedule
+   * @param {number} count - Number of levels
+   * @param {Object} defaults - { handsPerLevel, minutesPerLevel }
+   * @returns {Object} Normalized level
+   */
+  normalizeLevel(level, index, count, defaults) {
+    const name = `Level ${index + 1}`;
+
+    if (level.break) {
+      const minutes = validateIntegerAmount(level.minutes, `${name} minutes`);
+      return { break: true, minutes };
+    }
+
+    const normalized = {
+      small: validateIntegerAmount(level.small, `${name} small blind`),
+      big: validateIntegerAmount(level.big, `${name} big blind`),
+      ante: validateIntegerAmount(level.ante ?? 0, `${name} ante`),
+    };
+    if (normalized.big < normalized.small) {
+      throw new Error(`${name} big blind must be at least the small blind`);
+    }
+    if (level.hands !== undefined && level.minutes !== undefined) {
+      throw new Error(`${name} sets both hands and minutes`);
+    }
+
+    let { hands, minutes } = level;
+    if (hands === undefined && minutes === undefined) {
+      hands = defaults.handsPerLevel;
+      minutes = hands === undefined ? defaults.minutesPerLevel : undefined;
+    }
+    if (hands !== undefined) {
+      normalized.hands = validateIntegerAmount(hands, `${name} hands`);
+    } else if (minutes !== undefined) {
+      if (this.simulationMode) {
+        throw new Error(
+          `${name} is timed; simulation mode schedules must count hands`,
+        );
+      }
+      normalized.minutes = validateIntegerAmount(minutes, `${name} minutes`);
+    } else if (index < count - 1) {
+      throw new Error(`${name} needs a duration in hands or minutes`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Level in force, or during a break the level before it
+   * @returns {Object} { level, small, big, ante }
+   */
+  get current() {
+    let index = this.index;
+    while (this.levels[index].break) {
+      index--;
+    }
+    return this.describe(index);
+  }
+
+  /**
+   * Preview of the next level, skipping breaks
+   * @returns {Object|null} { level, small, big, ante }, or null at the last level
+   */
+  get next() {
+    for (let i = this.index + 1; i < this.levels.length; i++) {
+      if (!this.levels[i].break) {
+        return this.describe(i);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether play is paused for a break
+   * @returns {boolean}
+   */
+  get onBreak() {
+    return this.levels[this.index].break === true;
+  }
+
+  /**
+   * When the current break is over
+   * @returns {number|null} Timestamp (ms), or null when not on a timed break
+   */
+  get breakEndsAt() {
+    if (!this.onBreak || this.simulationMode) {
+      return null;
+    }
+    return this.levelStartedAt + this.levels[this.index].minutes * MINUTE;
+  }
+
+  /**
+   * Level number (breaks not counted) and blinds of a level
+   * @param {number} index - Index in this.levels
+   * @returns {Object} { level, small, big, ante }
+   */
+  describe(index) {
+    const { small, big, ante } = this.levels[index];
+    const level = this.levels
+      .slice(0, index + 1)
+      .filter((entry) => !entry.break).length;
+    return { level, small, big, ante };
+  }
+
+  /**
+   * Start the clock on the first level if it has not started yet
+   */
+  start() {
+    if (this.levelStartedAt === null && !this.simulationMode) {
+      this.levelStartedAt = this.now();
+    }
+  }
+
+  /**
+   * Count a finished hand towards the current level
+   */
+  recordHand() {
+    this.start();
+    this.handsInLevel++;
+  }
+
+  /**
+   * Move on past every level and break that is over
+   * Call between hands.
+   * @returns {boolean} True if the level changed
+   */
+  update() {
+    this.start();
+    let changed = false;
+    while (this.index < this.levels.length - 1 && this.isLevelOver()) {
+      this.advance();
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * Whether the current level or break has run its course
+   * @returns {boolean}
+   */
+  isLevelOver() {
+    const { hands, minutes } = this.levels[this.index];
+    if (this.onBreak && this.simulationMode) {
+      return true;
+    }
+    if (hands !== undefined) {
+      return this.handsInLevel >= hands;
+    }
+    return (
+      minutes !== undefined &&
+      this.now() >= this.levelStartedAt + minutes * MINUTE
+    );
+  }
+
+  /**
+   * Step to the next level or break and announce it
+   */
+  advance() {
+    const { minutes } = this.levels[this.index];
+    const wasOnBreak = this.onBreak;
+
+    // Timed levels follow on from the scheduled end, so delays don't add up
+    if (!this.simulationMode) {
+      this.levelStartedAt =
+        minutes !== undefined
+          ? this.levelStartedAt + minutes * MINUTE
+          : this.now();
+    }
+    this.index++;
+    this.handsInLevel = 0;
+
+    if (wasOnBreak) {
+      this.emit('blinds:break-ended', { next: this.next });
+    }
+    if (this.onBreak) {
+      this.emit('blinds:break-started', {
+        minutes: this.levels[this.index].minutes,
+        endsAt: this.breakEndsAt,
+        next: this.next,
+      });
+    } else {
+      this.emit('blinds:level-up', { level: this.current, next: this.next });
+    }
+  }
+
+  /**
+   * Levels and progress, for new BlindSchedule(data)
+   * @returns {Object} { levels, progress }
+   */
+  toJSON() {
+    return {
+      levels: this.levels.map((level) => ({ ...level })),
+      progress: {
+        index: this.index,
+        handsInLevel: this.handsInLevel,
+        levelStartedAt: this.levelStartedAt,
+      },
+    };
+  }
+}
@@ -0,0 +1,300 @@
+import { describe, it, expect } from 'vitest';
+import { BlindSchedule } from './BlindSchedule.js';
+import { Table } from '../Table.js';
+import { ScriptedPlayer } from '../test-utils/index.js';
+
+const MINUTE = 60 * 1000;
+
+const recordEvents = (emitter) => {
+  const events = [];
+  emitter.on('*', (eventName, data) => events.push({ eventName, ...data }));
+  return events;
+};
+
+/**
+ * Clock that only moves when told to
+ */
+const createClock = () => {
+  const clock = { time: 1000000 };
+  clock.now = () => clock.time;
+  return clock;
+};
+
+const createTable = (config) => {
+  const table = new Table({ maxPlayers: 2, ...config });
+  for (const id of ['alice', 'bob']) {
+    const player = new ScriptedPlayer({ id });
+    player.buyIn(5000);
+    table.addPlayer(player);
+  }
+  return table;
+};
+
+const playHand = async (table) => {
+  const ended = new Promise((resolve) => {
+    table.on('hand:ended', resolve);
+  });
+  const result = await table.tryStartGame();
+  if (result.success) {
+    await ended;
+  }
+  table.removeAllListeners('hand:ended');
+  return result;
+};
+
+describe('BlindSchedule', () => {
+  it('should move up after a number of hands with a preview of the next level', () => {
+    const schedule = new BlindSchedule({
+      levels: [
+        { small: 10, big: 20 },
+        { small: 20, big: 40, ante: 5, hands: 1 },
+        { small: 50, big: 100 },
+      ],
+      handsPerLevel: 2,
+      simulationMode: true,
+    });
+    const events = recordEvents(schedule);
+
+    schedule.recordHand();
+    expect(schedule.update()).toBe(false);
+    schedule.recordHand();
+    expect(schedule.update()).toBe(true);
+    expect(events).toEqual([
+      {
+        eventName: 'blinds:level-up',
+        level: { level: 2, small: 20, big: 40, ante: 5 },
+        next: { level: 3, small: 50, big: 100, ante: 0 },
+      },
+    ]);
+
+    schedule.recordHand();
+    schedule.update();
+    expect(events[1].next).toBeNull();
+
+    // The last level lasts until the end
+    for (let i = 0; i < 10; i++) {
+      schedule.recordHand();
+    }
+    expect(schedule.update()).toBe(false);
+    expect(schedule.current).toEqual({
+      level: 3,
+      small: 50,
+      big: 100,
+      ante: 0,
+    });
+  });
+
+  it('should time levels and breaks on the clock', () => {
+    const clock = createClock();
+    const schedule = new BlindSchedule({
+      levels: [
+        { small: 10, big: 20 },
+        { break: true, minutes: 5 },
+        { small: 25, big: 50 },
+        { small: 50, big: 100 },
+      ],
+      minutesPerLevel: 15,
+      now: clock.now,
+    });
+    const events = recordEvents(schedule);
+    schedule.start();
+
+    clock.time += 15 * MINUTE + 500;
+    schedule.update();
+    expect(schedule.onBreak).toBe(true);
+    expect(schedule.current.level).toBe(1);
+    expect(events).toEqual([
+      {
+        eventName: 'blinds:break-started',
+        minutes: 5,
+        endsAt: 1000000 + 20 * MINUTE,
+        next: { level: 2, small: 25, big: 50, ante: 0 },
+      },
+    ]);
+
+    clock.time = 1000000 + 20 * MINUTE;
+    schedule.update();
+    expect(events.slice(1).map((e) => e.eventName)).toEqual([
+      'blinds:break-ended',
+      'blinds:level-up',
+    ]);
+
+    // Levels run from the scheduled end of the one before
+    clock.time = 1000000 + 35 * MINUTE;
+    schedule.update();
+    expect(schedule.current.level).toBe(3);
+  });
+
+  it('should count hands without a clock in simulation mode', () => {
+    const now = () => {
+      throw new Error('Simulation mode read the clock');
+    };
+    const schedule = new BlindSchedule({
+      levels: [
+        { small: 10, big: 20, hands: 1 },
+        { break: true, minutes: 10 },
+        { small: 20, big: 40 },
+      ],
+      simulationMode: true,
+      now,
+    });
+    const events = recordEvents(schedule);
+
+    schedule.recordHand();
+    schedule.update();
+    expect(events.map((e) => e.eventName)).toEqual([
+      'blinds:break-started',
+      'blinds:break-ended',
+      'blinds:level-up',
+    ]);
+    expect(events[0].endsAt).toBeNull();
+    expect(schedule.onBreak).toBe(false);
+
+    expect(
+      () =>
+        new BlindSchedule({
+          levels: [
+            { small: 10, big: 20, minutes: 10 },
+            { small: 20, big: 40 },
+          ],
+          simulationMode: true,
+        }),
+    ).toThrow('Level 1 is timed; simulation mode schedules must count hands');
+  });
+
+  it('should reject malformed schedules', () => {
+    expect(() => new BlindSchedule({ levels: [] })).toThrow(
+      'A blind schedule needs at least one level',
+    );
+    expect(
+      () =>
+        new BlindSchedule({
+          levels: [
+            { small: 10, big: 20 },
+            { small: 20, big: 40 },
+          ],
+        }),
+    ).toThrow('Level 1 needs a duration in hands or minutes');
+    expect(
+      () =>
+        new BlindSchedule({
+          levels: [{ small: 10, big: 20, hands: 5, minutes: 5 }],
+        }),
+    ).toThrow('Level 1 sets both hands and minutes');
+    expect(
+      () =>
+        new BlindSchedule({
+          levels: [
+            { small: 10, big: 20 },
+            { break: true, minutes: 5 },
+          ],
+          handsPerLevel: 2,
+        }),
+    ).toThrow('A blind schedule must start and end with a level');
+    expect(
+      () => new BlindSchedule({ levels: [{ small: 40, big: 20 }] }),
+    ).toThrow('Level 1 big blind must be at least the small blind');
+  });
+
+  it('should raise a table blinds between hands', async () => {
+    const table = createTable({
+      simulationMode: true,
+      blindSchedule: {
+        levels: [
+          { small: 10, big: 20 },
+          { small: 50, big: 100, ante: 10 },
+        ],
+        handsPerLevel: 2,
+      },
+    });
+    const levelUps = [];
+    const bigBlinds = [];
+    table.on('blinds:level-up', (data) => levelUps.push(data));
+    table.on('blind:posted', ({ type, amount }) => {
+      if (type === 'big') {
+        bigBlinds.push(amount);
+      }
+    });
+
+    for (let i = 0; i < 3; i++) {
+      await playHand(table);
+    }
+    expect(bigBlinds).toEqual([20, 20, 100]);
+    expect(levelUps).toEqual([
+      {
+        tableId: table.id,
+        level: { level: 2, small: 50, big: 100, ante: 10 },
+        next: null,
+      },
+    ]);
+    expect(table.config.ante).toBe(10);
+  });
+
+  it('should move the schedule on for hands run to completion', () => {
+    const clock = createClock();
+    const table = createTable({
+      simulationMode: true,
+      handHistory: true,
+      blindSchedule: new BlindSchedule({
+        levels: [
+          { small: 10, big: 20, hands: 2 },
+          { break: true, minutes: 5 },
+          { small: 25, big: 50 },
+        ],
+        now: clock.now,
+      }),
+    });
+    const bigBlinds = [];
+    for (let i = 0; i < 2; i++) {
+      const result = table.runHandToCompletion();
+      expect(result.success).toBe(true);
+      bigBlinds.push(result.openHandHistory.ohh.big_blind_amount);
+    }
+    expect(bigBlinds).toEqual([20, 20]);
+
+    expect(table.runHandToCompletion()).toEqual({
+      success: false,
+      error: 'ON_BREAK',
+    });
+
+    clock.time += 5 * MINUTE;
+    const result = table.runHandToCompletion();
+    expect(result.success).toBe(true);
+    expect(result.openHandHistory.ohh.big_blind_amount).toBe(50);
+  });
+
+  it('should not deal during a break and keep its place in snapshots', async () => {
+    const clock = createClock();
+    const schedule = new BlindSchedule({
+      levels: [
+        { small: 10, big: 20, hands: 1 },
+        { break: true, minutes: 5 },
+        { small: 25, big: 50, hands: 1 },
+        { small: 50, big: 100 },
+      ],
+      now: clock.now,
+    });
+    const table = createTable({ blindSchedule: schedule });
+
+    expect((await playHand(table)).success).toBe(true);
+    const result = await playHand(table);
+    expect(result).toMatchObject({
+      success: false,
+      reason: 'ON_BREAK',
+      details: {
+        breakEndsAt: 1000000 + 5 * MINUTE,
+        nextLevel: { level: 2, small: 25, big: 50, ante: 0 },
+      },
+    });
+
+    clock.time += 5 * MINUTE;
+    expect((await playHand(table)).success).toBe(true);
+    expect(table.config.blinds).toEqual({ small: 50, big: 100 });
+
+    const restored = Table.fromJSON(JSON.stringify(table.toJSON()), {
+      resolvePlayer: ({ id }) => new ScriptedPlayer({ id }),
+    });
+    expect(restored.blindSchedule.current.level).toBe(3);
+    expect(restored.config.blinds).toEqual({ small: 50, big: 100 });
+  });
+});
@@ -2,16 +2,29 @@ import { BaseDeck } from './BaseDeck.js';
 
 /**
  * Standard 52-card deck implementation
+ * With `shortDeck: true` the deck has 36 cards, 6 through A
  */
 export class Deck extends BaseDeck {
-  constructor() {
+  /**
+   * @param {Object} [config]
+   * @param {boolean} [config.shortDeck=false] - Remove the 2s through 5s
+   * @param {number|string} [config.seed] - Seed for reproducible shuffles
+   * @param {Function} [config.random] - Random source, e.g. createCryptoRandom()
+   */
+  constructor(config = {}) {
     super();
+    this.shortDeck = config.shortDeck === true;
     this.cards = [];
+    if (config.random) {
+      this.setRandom(config.random);
+    } else if (config.seed !== undefined) {
+      this.setSeed(config.seed);
+    }
     this.reset();
   }
 
   /**
-   * Reset deck to full 52 cards
+   * Reset deck to full 52 cards (36 for a short deck)
    */
   reset() {
     this.cards = [];
@@ -31,9 +44,10 @@ export class Deck extends BaseDeck {
       'K',
       'A',
     ]; // T instead of 10
+    const deckRanks = this.shortDeck ? ranks.slice(ranks.indexOf('6')) : ranks;
 
     for (const suit of suits) {
-      for (const rank of ranks) {
+      for (const rank of deckRanks) {
         this.cards.push(this.createCard(rank, suit));
       }
     }
@@ -44,7 +58,7 @@ export class Deck extends BaseDeck {
    */
   shuffle() {
     for (let i = this.cards.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(this.random() * (i + 1));
       [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
     }
   }
@@ -66,14 +80,27 @@ export class Deck extends BaseDeck {
     return this.cards.length;
   }
 
+  /**
+   * Cards still to be dealt, in dealing order
+   * @returns {string[]} Remaining cards
+   */
+  getRemainingCards() {
+    return this.cards.map((card) => card.toString());
+  }
+
   /**
    * Deal hole cards to a player
    * @param {string} _playerId - The player's ID
    * @param {number} _seatPosition - The player's seat position
-   * @returns {Array} Array of 2 cards
+   * @param {number} [count=2] - Number of hole cards (4 for Omaha)
+   * @returns {Array} Array of hole cards
    */
-  dealHoleCards(_playerId, _seatPosition) {
-    return [this.draw(), this.draw()];
+  dealHoleCards(_playerId, _seatPosition, count = 2) {
+    const cards = [];
+    for (let i = 0; i < count; i++) {
+      cards.push(this.draw());
+    }
+    return cards;
   }
 
   /**
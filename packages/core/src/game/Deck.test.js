@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import { Deck } from '../../src/game/Deck.js';
+import { createCryptoRandom } from '../../src/utils/random.js';
 
 describe('Deck', () => {
   let deck;
@@ -80,6 +81,57 @@ describe('Deck', () => {
     });
   });
 
+  describe('short deck', () => {
+    it('should create 36 cards from 6 through A', () => {
+      const shortDeck = new Deck({ shortDeck: true });
+      expect(shortDeck.getRemaining()).toBe(36);
+
+      const ranks = new Set(shortDeck.cards.map((card) => card.rank));
+      expect([...ranks]).toEqual(['6', '7', '8', '9', 'T', 'J', 'Q', 'K', 'A']);
+
+      shortDeck.draw();
+      shortDeck.reset();
+      expect(shortDeck.getRemaining()).toBe(36);
+    });
+  });
+
+  describe('random source', () => {
+    const shuffled = (deck) => {
+      deck.reset();
+      deck.shuffle();
+      return deck.cards.map((card) => card.toString());
+    };
+
+    it('should shuffle the same way for the same seed', () => {
+      const first = shuffled(new Deck({ seed: 42 }));
+      expect(shuffled(new Deck({ seed: 42 }))).toEqual(first);
+      expect(shuffled(new Deck({ seed: 43 }))).not.toEqual(first);
+
+      const reseeded = new Deck();
+      expect(reseeded.setSeed('42')).toBe(reseeded.seed);
+      reseeded.setSeed(42);
+      expect(shuffled(reseeded)).toEqual(first);
+    });
+
+    it('should accept a pluggable random source', () => {
+      const deck = new Deck({ random: () => 0 });
+      expect(deck.seed).toBeNull();
+      expect(deck.hasCustomRandom).toBe(true);
+      // Always swapping with index 0 rotates the deck by one
+      expect(shuffled(deck).slice(0, 2)).toEqual(['3h', '4h']);
+
+      expect(() => deck.setRandom('crypto')).toThrow(
+        'Random source must be a function',
+      );
+    });
+
+    it('should shuffle from a crypto source', () => {
+      const deck = new Deck({ random: createCryptoRandom() });
+      const cards = shuffled(deck);
+      expect(new Set(cards).size).toBe(52);
+    });
+  });
+
   describe('shuffle', () => {
     it('should maintain 52 cards after shuffle', () => {
       deck.shuffle();
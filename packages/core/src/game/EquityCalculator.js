@@ -0,0 +1,347 @@
+import { Variants } from '../constants.js';
+import { Deck } from './Deck.js';
+import { HandRange } from './HandRange.js';
+import {
+  createRandomSeed,
+  createSeededRandom,
+  normalizeSeed,
+} from '../utils/random.js';
+
+const EQUITY_VARIANTS = [
+  Variants.TEXAS_HOLDEM,
+  Variants.OMAHA,
+  Variants.SHORT_DECK_HOLDEM,
+];
+
+// Give up on a Monte Carlo trial if ranges keep colliding
+const MAX_RANGE_DRAWS = 100;
+
+// Decimal places kept in the reported percentages
+const PERCENT_DECIMALS = 2;
+
+/**
+ * Share of the trials as a percentage, rounded to PERCENT_DECIMALS places
+ * @param {number} count - Trials won (or equity shares)
+ * @param {number} trials - Total trials
+ * @returns {number} Percentage, e.g. 33.33
+ */
+function toPercent(count, trials) {
+  const scale = 10 ** PERCENT_DECIMALS;
+  return Math.round((count / trials) * 100 * scale) / scale;
+}
+
+/**
+ * Calculates win/tie/equity percentages for known hands or ranges
+ * Enumerates every runout when the count is small enough, otherwise runs a
+ * seeded Monte Carlo simulation. Use HandEvaluator.calculateEquity(),
+ * which hands itself in as the evaluator so this module does not import it.
+ */
+export class EquityCalculator {
+  /**
+   * Calculate each player's equity
+   * @param {Object} options
+   * @param {Array<Object>} options.players - { id?, cards: ['As', 'Kd'] } or { id?, range: 'AKs, TT+' }
+   * @param {string[]} [options.board=[]] - Known community cards
+   * @param {string[]} [options.dead=[]] - Cards known to be out of play
+   * @param {string} [options.variant='texas-holdem'] - texas-holdem, omaha (high only) or short-deck-holdem
+   * @param {Object} [options.shortDeck] - Short-deck rules, e.g. { tripsBeatStraight: false }
+   * @param {number} [options.iterations=10000] - Monte Carlo trials
+   * @param {number|string} [options.seed] - Monte Carlo seed (random if omitted)
+   * @param {number} [options.maxEnumerations=100000] - Largest exhaustive run before using Monte Carlo
+   * @param {Function} evaluator - HandEvaluator class to score hands with
+   * @returns {Object} { method, trials, seed, players: [{ id, win, tie, equity }] } with percentages
+   *   rounded to two decimal places, so equities may not add up to exactly 100
+   */
+  static calculate(
+    {
+      players,
+      board = [],
+      dead = [],
+      variant = Variants.TEXAS_HOLDEM,
+      shortDeck = {},
+      iterations = 10000,
+      seed,
+      maxEnumerations = 100000,
+    } = {},
+    evaluator,
+  ) {
+    if (!EQUITY_VARIANTS.includes(variant)) {
+      throw new Error(
+        `Equity is not supported for ${variant}. Must be one of: ${EQUITY_VARIANTS.join(', ')}`,
+      );
+    }
+    if (!Array.isArray(players) || players.length < 2) {
+      throw new Error('Equity needs at least 2 players');
+    }
+    if (board.length > 5) {
+      throw new Error(`Board has ${board.length} cards, maximum is 5`);
+    }
+
+    const deck = new Deck({
+      shortDeck: variant === Variants.SHORT_DECK_HOLDEM,
+    });
+    const deckCards = new Map(
+      deck.cards.map((card) => [card.toString(), card]),
+    );
+    const used = new Set();
+    const claim = (cardStr, where) => {
+      const card = deck.parseCard(cardStr);
+      if (!deckCards.has(card.toString())) {
+        throw new Error(`Invalid card ${cardStr} in ${where}`);
+      }
+      if (used.has(card.toString())) {
+        throw new Error(`Card ${cardStr} is used more than once (${where})`);
+      }
+      used.add(card.toString());
+      return deckCards.get(card.toString());
+    };
+
+    const boardCards = board.map((card) => claim(card, 'board'));
+    dead.forEach((card) => claim(card, 'dead cards'));
+
+    const holeCount = variant === Variants.OMAHA ? 4 : 2;
+    const seats = players.map((player, index) => {
+      const id = player.id ?? `player${index + 1}`;
+      if (player.cards) {
+        if (player.cards.length !== holeCount) {
+          throw new Error(
+            `Player ${id} has ${player.cards.length} hole cards, ${variant} needs ${holeCount}`,
+          );
+        }
+        return { id, cards: player.cards.map((card) => claim(card, id)) };
+      }
+      if (player.range) {
+        if (holeCount !== 2) {
+          throw new Error(`Hand ranges are not supported for ${variant}`);
+        }
+        return { id, range: player.range };
+      }
+      throw new Error(`Player ${id} needs either cards or a range`);
+    });
+
+    // Ranges can only use cards nobody is known to hold
+    for (const seat of seats.filter((s) => s.range)) {
+      seat.combos = HandRange.parse(seat.range)
+        .filter((combo) => combo.every((card) => deckCards.has(card)))
+        .filter((combo) => !combo.some((card) => used.has(card)))
+        .map((combo) => combo.map((card) => deckCards.get(card)));
+      if (seat.combos.length === 0) {
+        throw new Error(
+          `Range "${seat.range}" for ${seat.id} has no combinations left after removing known cards`,
+        );
+      }
+    }
+
+    const stub = deck.cards.filter((card) => !used.has(card.toString()));
+    const needed = 5 - boardCards.length;
+    const evaluate = this.createEvaluator(evaluator, variant, shortDeck);
+    const context = { seats, boardCards, stub, needed, evaluator, evaluate };
+
+    const rangeCount = seats.reduce(
+      (total, seat) => total * (seat.combos?.length ?? 1),
+      1,
+    );
+    const enumerations =
+      rangeCount * this.countCombinations(stub.length, needed);
+
+    const tally = seats.map(() => ({ win: 0, tie: 0, equity: 0 }));
+    let result;
+    if (enumerations <= maxEnumerations) {
+      const trials = this.enumerate(context, tally);
+      result = { method: 'exhaustive', trials };
+    } else {
+      const usedSeed = seed === undefined ? createRandomSeed() : seed;
+      const trials = this.simulate(
+        context,
+        tally,
+        iterations,
+        createSeededRandom(usedSeed),
+      );
+      result = {
+        method: 'monte-carlo',
+        trials,
+        seed: normalizeSeed(usedSeed),
+      };
+    }
+
+    if (result.trials === 0) {
+      throw new Error('No valid deals - the ranges overlap completely');
+    }
+
+    result.players = seats.map((seat, index) => ({
+      id: seat.id,
+      win: toPercent(tally[index].win, result.trials),
+      tie: toPercent(tally[index].tie, result.trials),
+      equity: toPercent(tally[index].equity, result.trials),
+    }));
+    return result;
+  }
+
+  /**
+   * Hand evaluator for the variant
+   * @param {Function} evaluator - HandEvaluator class
+   * @param {string} variant - Equity variant
+   * @param {Object} shortDeck - Short-deck rules
+   * @returns {Function} (holeCards, board) => evaluated hand
+   */
+  static createEvaluator(evaluator, variant, shortDeck) {
+    if (variant === Variants.OMAHA) {
+      return (holeCards, board) => evaluator.evaluateOmaha(holeCards, board);
+    }
+    if (variant === Variants.SHORT_DECK_HOLDEM) {
+      return (holeCards, board) =>
+        evaluator.evaluateShortDeck([...holeCards, ...board], shortDeck);
+    }
+    return (holeCards, board) => evaluator.evaluate([...holeCards, ...board]);
+  }
+
+  /**
+   * Score every combination of range hands and runouts
+   * @param {Object} context - Seats, board, stub and evaluator
+   * @param {Array<Object>} tally - Per-seat counters to update
+   * @returns {number} Number of deals scored
+   */
+  static enumerate(context, tally) {
+    const { seats, boardCards, stub, needed, evaluator } = context;
+    let trials = 0;
+
+    const assign = (index, holes, taken) => {
+      if (index === seats.length) {
+        const remaining = stub.filter((card) => !taken.has(card));
+        for (const runout of evaluator.combinations(remaining, needed)) {
+          this.score(context, holes, [...boardCards, ...runout], tally);
+          trials++;
+        }
+        return;
+      }
+
+      const seat = seats[index];
+      const options = seat.cards ? [seat.cards] : seat.combos;
+      for (const hole of options) {
+        if (seat.combos && hole.some((card) => taken.has(card))) {
+          continue;
+        }
+        const nextTaken = new Set(taken);
+        if (seat.combos) {
+          hole.forEach((card) => nextTaken.add(card));
+        }
+        assign(index + 1, [...holes, hole], nextTaken);
+      }
+    };
+
+    assign(0, [], new Set());
+    return trials;
+  }
+
+  /**
+   * Score random deals
+   * @param {Object} context - Seats, board, stub and evaluator
+   * @param {Array<Object>} tally - Per-seat counters to update
+   * @param {number} iterations - Number of trials
+   * @param {Function} random - Seeded random number generator
+   * @returns {number} Number of deals scored
+   */
+  static simulate(context, tally, iterations, random) {
+    const { seats, boardCards, stub, needed } = context;
+    let trials = 0;
+
+    for (let i = 0; i < iterations; i++) {
+      const taken = new Set();
+      const holes = [];
+      for (const seat of seats) {
+        const hole = seat.cards || this.drawCombo(seat.combos, taken, random);
+        if (!hole) {
+          break;
+        }
+        if (seat.combos) {
+          hole.forEach((card) => taken.add(card));
+        }
+        holes.push(hole);
+      }
+      if (holes.length < seats.length) {
+        continue; // Ranges collided too often - skip this deal
+      }
+
+      // Partial Fisher-Yates shuffle for the rest of the board
+      const remaining = stub.filter((card) => !taken.has(card));
+      for (let j = 0; j < needed; j++) {
+        const k = j + Math.floor(random() * (remaining.length - j));
+        [remaining[j], remaining[k]] = [remaining[k], remaining[j]];
+      }
+
+      this.score(
+        context,
+        holes,
+        [...boardCards, ...remaining.slice(0, needed)],
+        tally,
+      );
+      trials++;
+    }
+
+    return trials;
+  }
+
+  /**
+   * Pick a random range combination that does not use taken cards
+   * @param {Array<Object[]>} combos - Range combinations
+   * @param {Set} taken - Cards already dealt this trial
+   * @param {Function} random - Seeded random number generator
+   * @returns {Object[]|null} Hole cards, or null if none found
+   */
+  static drawCombo(combos, taken, random) {
+    for (let attempt = 0; attempt < MAX_RANGE_DRAWS; attempt++) {
+      const combo = combos[Math.floor(random() * combos.length)];
+      if (!combo.some((card) => taken.has(card))) {
+        return combo;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Award one deal: a sole winner gets a win, tied players share the equity
+   * @param {Object} context - Evaluators
+   * @param {Array<Object[]>} holes - Hole cards per seat
+   * @param {Object[]} board - Complete board
+   * @param {Array<Object>} tally - Per-seat counters to update
+   */
+  static score(context, holes, board, tally) {
+    const hands = holes.map((hole) => context.evaluate(hole, board));
+
+    let winners = [0];
+    for (let i = 1; i < hands.length; i++) {
+      const diff = context.evaluator.compareEvaluated(
+        hands[i],
+        hands[winners[0]],
+      );
+      if (diff > 0) {
+        winners = [i];
+      } else if (diff === 0) {
+        winners.push(i);
+      }
+    }
+
+    for (const index of winners) {
+      if (winners.length === 1) {
+        tally[index].win++;
+      } else {
+        tally[index].tie++;
+      }
+      tally[index].equity += 1 / winners.length;
+    }
+  }
+
+  /**
+   * Number of ways to choose k items from n
+   * @param {number} n - Items
+   * @param {number} k - Chosen
+   * @returns {number} n choose k
+   */
+  static countCombinations(n, k) {
+    let result = 1;
+    for (let i = 0; i < k; i++) {
+      result = (result * (n - i)) / (i + 1);
+    }
+    return result;
+  }
+}
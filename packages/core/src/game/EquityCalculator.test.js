@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { HandEvaluator } from './HandEvaluator.js';
+import { Variants } from '../constants.js';
+
+describe('HandEvaluator.calculateEquity', () => {
+  it('should enumerate every runout on the flop', () => {
+    const result = HandEvaluator.calculateEquity({
+      players: [
+        { id: 'hero', cards: ['As', 'Ks'] },
+        { id: 'villain', cards: ['Qd', 'Qc'] },
+      ],
+      board: ['Qs', '7s', '2d'],
+    });
+
+    // 45 cards left, two to come
+    expect(result.method).toBe('exhaustive');
+    expect(result.trials).toBe(990);
+    expect(result.players[0].id).toBe('hero');
+    expect(result.players[0].equity + result.players[1].equity).toBeCloseTo(
+      100,
+    );
+    expect(result.players[1].equity).toBeGreaterThan(70);
+
+    // Percentages are rounded to two decimal places
+    for (const { win, tie, equity } of result.players) {
+      for (const value of [win, tie, equity]) {
+        expect(value).toBe(Number(value.toFixed(2)));
+      }
+    }
+  });
+
+  it('should split the pot when both hands play the board', () => {
+    const result = HandEvaluator.calculateEquity({
+      players: [{ cards: ['As', 'Ks'] }, { cards: ['Ad', 'Kd'] }],
+      board: ['2c', '7c', '9h', 'Tc'],
+      dead: ['Jc', 'Qc', 'Kc', '8c', '6c', '5c', '4c', '3c', 'Ac'],
+    });
+
+    expect(result.trials).toBe(44 - 9);
+    expect(result.players).toEqual([
+      { id: 'player1', win: 0, tie: 100, equity: 50 },
+      { id: 'player2', win: 0, tie: 100, equity: 50 },
+    ]);
+  });
+
+  it('should run a reproducible Monte Carlo simulation preflop', () => {
+    const options = {
+      players: [{ cards: ['As', 'Ah'] }, { cards: ['Kd', 'Kc'] }],
+      iterations: 2000,
+      seed: 'hud-test',
+    };
+
+    const first = HandEvaluator.calculateEquity(options);
+    const second = HandEvaluator.calculateEquity(options);
+
+    expect(first.method).toBe('monte-carlo');
+    expect(first.trials).toBe(2000);
+    expect(second).toEqual(first);
+    // Aces are about an 82% favourite over kings
+    expect(first.players[0].equity).toBeGreaterThan(75);
+    expect(first.players[0].equity).toBeLessThan(88);
+  });
+
+  it('should evaluate a hand range against known cards', () => {
+    const result = HandEvaluator.calculateEquity({
+      players: [
+        { id: 'hero', cards: ['As', 'Ks'] },
+        { id: 'villain', range: 'TT+, AQs+' },
+      ],
+      board: ['Kd', '7c', '2h'],
+    });
+
+    // AsKs and the Kd are removed from the range
+    expect(result.method).toBe('exhaustive');
+    expect(result.players[0].equity).toBeGreaterThan(70);
+    expect(result.players[0].tie).toBeGreaterThan(0);
+  });
+
+  it('should support Omaha hands', () => {
+    const result = HandEvaluator.calculateEquity({
+      variant: Variants.OMAHA,
+      players: [
+        { cards: ['As', 'Ad', 'Kh', 'Qh'] },
+        { cards: ['9c', '8c', '7d', '6d'] },
+      ],
+      board: ['Ac', '5c', '4h', '2s'],
+    });
+
+    expect(result.trials).toBe(52 - 8 - 4);
+    expect(result.players[1].win).toBeGreaterThan(0);
+  });
+
+  it('should reject cards used twice and unknown variants', () => {
+    expect(() =>
+      HandEvaluator.calculateEquity({
+        players: [{ cards: ['As', 'Ks'] }, { cards: ['As', 'Qd'] }],
+      }),
+    ).toThrow('Card As is used more than once (player2)');
+
+    expect(() =>
+      HandEvaluator.calculateEquity({
+        variant: Variants.SEVEN_CARD_STUD,
+        players: [{ cards: ['As', 'Ks'] }, { cards: ['Qs', 'Qd'] }],
+      }),
+    ).toThrow('Equity is not supported for seven-card-stud');
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { GameEngine } from './GameEngine.js';
+import { RiggedDeck } from './RiggedDeck.js';
+import { Table } from '../Table.js';
+import { GamePhase, PlayerState } from '../types/index.js';
+import { AnteTypes } from '../constants.js';
+import { ScriptedPlayer } from '../test-utils/index.js';
+
+describe('GameEngine - Antes', () => {
+  let players;
+  let engine;
+
+  beforeEach(() => {
+    players = ['alice', 'bob', 'carol'].map((id) => {
+      const player = new ScriptedPlayer({ id });
+      player.buyIn(1000);
+      return player;
+    });
+  });
+
+  afterEach(() => {
+    if (engine && engine.phase !== GamePhase.ENDED) {
+      engine.abort();
+    }
+  });
+
+  const createEngine = (config = {}) =>
+    new GameEngine({
+      players,
+      blinds: { small: 10, big: 20 },
+      dealerButton: 0,
+      simulationMode: true,
+      ...config,
+    });
+
+  it('should collect a standard ante from every player as dead money', () => {
+    engine = createEngine({ ante: 5 });
+    const antes = [];
+    engine.on('ante:posted', (data) => antes.push(data));
+
+    engine.initializeHand();
+
+    expect(antes.map((a) => a.playerId)).toEqual(['alice', 'bob', 'carol']);
+    expect(antes.every((a) => a.amount === 5 && !a.isAllIn)).toBe(true);
+    expect(engine.potManager.getTotal()).toBe(15 + 30);
+    expect(players.map((p) => p.chips)).toEqual([995, 985, 975]);
+    // Antes are dead money and do not count toward the current bet
+    expect(players.map((p) => p.bet)).toEqual([0, 10, 20]);
+    expect(engine.buildGameState().ante).toBe(5);
+  });
+
+  it('should have the big blind post one ante for the table', () => {
+    engine = createEngine({ ante: 20, anteType: AnteTypes.BIG_BLIND });
+    const antes = [];
+    engine.on('ante:posted', (data) => antes.push(data));
+
+    engine.initializeHand();
+
+    expect(antes).toHaveLength(1);
+    expect(antes[0]).toMatchObject({
+      playerId: 'carol',
+      amount: 20,
+      anteType: AnteTypes.BIG_BLIND,
+    });
+    expect(engine.potManager.getTotal()).toBe(50);
+    expect(players[2].chips).toBe(960);
+    expect(players[2].bet).toBe(20);
+  });
+
+  it('should post the big blind before a short big blind ante', () => {
+    players[2].chips = 30;
+    engine = createEngine({ ante: 20, anteType: AnteTypes.BIG_BLIND });
+    const antes = [];
+    engine.on('ante:posted', (data) => antes.push(data));
+
+    engine.initializeHand();
+
+    expect(players[2].bet).toBe(20);
+    expect(antes[0]).toMatchObject({ amount: 10, isAllIn: true });
+    expect(players[2].state).toBe(PlayerState.ALL_IN);
+    expect(engine.potManager.getTotal()).toBe(40);
+  });
+
+  it('should reject an unknown ante type', () => {
+    expect(() => createEngine({ ante: 5, anteType: 'button' })).toThrow(
+      'Invalid ante type: button',
+    );
+  });
+
+  it('should layer pots when a player is all-in on the ante', () => {
+    players[0].chips = 3;
+    engine = createEngine({ ante: 5 });
+
+    engine.initializeHand();
+
+    const pots = engine.potManager.getPotsInfo();
+    expect(players[0].state).toBe(PlayerState.ALL_IN);
+    expect(pots[0]).toMatchObject({
+      amount: 9,
+      eligiblePlayers: ['alice', 'bob', 'carol'],
+      isActive: false,
+    });
+    expect(pots[1]).toMatchObject({
+      amount: 4 + 30,
+      eligiblePlayers: ['bob', 'carol'],
+      isActive: true,
+    });
+  });
+
+  it('should award an all-in ante player only the antes they matched', async () => {
+    players[0].chips = 3;
+    const deck = RiggedDeck.createAlternatingDeck({
+      holeCards: [
+        ['As', 'Ad'],
+        ['7c', '2d'],
+        ['8h', '3s'],
+      ],
+      burn: ['2h', '3h', '4h'],
+      flop: ['Ah', 'Kc', '9d'],
+      turn: '5s',
+      river: '4c',
+    });
+    engine = createEngine({ ante: 5, deck });
+
+    let complete = null;
+    engine.on('hand:complete', (data) => {
+      complete = data;
+    });
+
+    await engine.start();
+
+    expect(complete).not.toBeNull();
+    // Alice wins the 9 chip ante pot, carol wins the side pot
+    expect(players[0].chips).toBe(9);
+    expect(players[1].chips).toBe(975);
+    expect(players[2].chips).toBe(1019);
+  });
+
+  it('should pass ante config from Table to the engine', () => {
+    const table = new Table({
+      blinds: { small: 10, big: 20 },
+      ante: 20,
+      anteType: AnteTypes.BIG_BLIND,
+      simulationMode: true,
+    });
+    for (const player of players) {
+      table.addPlayer(player);
+    }
+
+    engine = table.createGameEngine(
+      players,
+      table.calculateDeadButtonPositions(),
+    );
+    expect(engine.ante).toBe(20);
+    expect(engine.anteType).toBe(AnteTypes.BIG_BLIND);
+    expect(table.getInfo().ante).toBe(20);
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it, expect } from 'vitest';
+import { GameEngine } from './GameEngine.js';
+import { StudGameEngine } from './StudGameEngine.js';
+import { RiggedDeck } from './RiggedDeck.js';
+import { Player } from '../Player.js';
+import { Action, GamePhase } from '../types/index.js';
+
+/**
+ * Player that bets on the streets it is given and checks or calls otherwise
+ * It keeps no state, so a fresh instance picks up mid-hand.
+ */
+class StreetBettor extends Player {
+  constructor(config) {
+    super(config);
+    this.betOn = config.betOn || {};
+  }
+
+  getAction(gameState) {
+    const amount = this.betOn[gameState.phase];
+    if (amount && gameState.toCall === 0) {
+      return { action: Action.BET, amount };
+    }
+    return gameState.toCall > 0
+      ? { action: Action.CALL }
+      : { action: Action.CHECK };
+  }
+}
+
+const STRATEGIES = {
+  alice: { [GamePhase.FLOP]: 40, [GamePhase.FIFTH_STREET]: 40 },
+  bob: { [GamePhase.TURN]: 60 },
+  carol: {},
+};
+
+const createPlayer = ({ id, name }) =>
+  new StreetBettor({ id, name, betOn: STRATEGIES[id] });
+
+const HOLDEM_DECK = [
+  ...['Ah', 'Kd'], // alice
+  ...['Qs', 'Qc'], // bob
+  ...['Jh', 'Td'], // carol
+  ...['2c', 'Ac', 'Kh', '7d', '2d', '9s', '2h', '4c'],
+];
+
+const STUD_DECK = [
+  ...['Ah', 'Kd', '9s'], // alice
+  ...['2c', '3c', '2d'], // bob - brings in
+  ...['Qc', 'Qd', '2s'], // carol
+  ...['5h', 'Ks', '7h', '5c'],
+  ...['5d', '4h', '7d', '6c'],
+  ...['6d', '8c', 'Jh', 'Td'],
+  ...['6h', '3d', '4c', 'Qh'],
+];
+
+/**
+ * Play a hand, checkpointing the first time a player is prompted in `phase`
+ */
+const playHand = async (Engine, cards, phase) => {
+  const players = ['alice', 'bob', 'carol'].map((id) => {
+    const player = createPlayer({ id, name: id.toUpperCase() });
+    player.buyIn(1000);
+    return player;
+  });
+  const engine = new Engine({
+    players,
+    blinds: { small: 10, big: 20 },
+    dealerButton: 0,
+    deck: new RiggedDeck({ cards, dealAlternating: false }),
+    simulationMode: true,
+    handHistory: true,
+  });
+
+  let checkpoint = null;
+  engine.on('action:requested', () => {
+    if (!checkpoint && engine.phase === phase) {
+      checkpoint = JSON.stringify(engine.checkpoint());
+    }
+  });
+  const result = await finish(engine, () => engine.start());
+  return { ...result, checkpoint };
+};
+
+/**
+ * Run the engine until the hand completes
+ */
+const finish = async (engine, run) => {
+  const complete = new Promise((resolve) => {
+    engine.on('hand:complete', resolve);
+  });
+  await run();
+  const { winners } = await complete;
+  return {
+    winners: winners.map((w) => [w.playerId, w.amount]),
+    board: engine.board.map(String),
+    chips: Object.fromEntries(engine.players.map((p) => [p.id, p.chips])),
+    history: engine.buildHandHistory(),
+  };
+};
+
+describe('GameEngine checkpoint and restore', () => {
+  it('should resume a hold-em hand from the flop', async () => {
+    const original = await playHand(GameEngine, HOLDEM_DECK, GamePhase.FLOP);
+    const checkpoint = JSON.parse(original.checkpoint);
+    expect(checkpoint).toMatchObject({
+      version: 1,
+      phase: GamePhase.FLOP,
+      board: ['Ac', 'Kh', '7d'],
+      deck: ['2d', '9s', '2h', '4c'],
+      playerHands: { alice: ['Ah', 'Kd'], carol: ['Jh', 'Td'] },
+    });
+    expect(checkpoint.pots[0].amount).toBeGreaterThan(0);
+
+    const engine = GameEngine.restore(original.checkpoint, {
+      resolvePlayer: createPlayer,
+    });
+    expect(engine.players.map((p) => p.chips)).toEqual(
+      checkpoint.players.map((p) => p.chips),
+    );
+
+    const resumed = await finish(engine, () => engine.resume());
+    expect(resumed.chips).toEqual(original.chips);
+    expect(resumed.board).toEqual(original.board);
+    expect(resumed.winners).toEqual(original.winners);
+    expect(resumed.history.text).toBe(original.history.text);
+  });
+
+  it('should resume a seven-card stud hand with its up cards', async () => {
+    const original = await playHand(
+      StudGameEngine,
+      STUD_DECK,
+      GamePhase.FIFTH_STREET,
+    );
+    const checkpoint = JSON.parse(original.checkpoint);
+    expect(checkpoint.stud).toEqual({
+      upCards: {
+        alice: ['9s', 'Ks', '4h'],
+        bob: ['2d', '7h', '7d'],
+        carol: ['2s', '5c', '6c'],
+      },
+      bringInPlayerId: 'bob',
+    });
+
+    expect(() =>
+      GameEngine.restore(checkpoint, { resolvePlayer: createPlayer }),
+    ).toThrow(
+      'Restore seven-card stud checkpoints with StudGameEngine.restore()',
+    );
+
+    const engine = StudGameEngine.restore(checkpoint, {
+      resolvePlayer: createPlayer,
+    });
+    const resumed = await finish(engine, () => engine.resume());
+    expect(resumed.chips).toEqual(original.chips);
+    expect(resumed.winners).toEqual(original.winners);
+    expect(resumed.history.text).toBe(original.history.text);
+  });
+
+  it('should only checkpoint while waiting for a player', () => {
+    const engine = new GameEngine({
+      players: ['alice', 'bob'].map((id) => createPlayer({ id })),
+      blinds: { small: 10, big: 20 },
+    });
+    expect(() => engine.checkpoint()).toThrow(
+      `Cannot checkpoint in phase ${GamePhase.WAITING}`,
+    );
+  });
+
+  it('should reject bad checkpoints and resolvers', async () => {
+    const { checkpoint } = await playHand(
+      GameEngine,
+      HOLDEM_DECK,
+      GamePhase.TURN,
+    );
+    const data = JSON.parse(checkpoint);
+
+    expect(() =>
+      GameEngine.restore(
+        { ...data, version: 2 },
+        { resolvePlayer: createPlayer },
+      ),
+    ).toThrow('Unsupported hand checkpoint version 2 (expected 1)');
+    expect(() => GameEngine.restore(data)).toThrow(
+      'restore requires a resolvePlayer callback',
+    );
+    expect(() =>
+      GameEngine.restore(data, { resolvePlayer: () => null }),
+    ).toThrow('resolvePlayer did not return player alice');
+  });
+});
@@ -200,6 +200,7 @@ describe('GameEngine - Fail Fast on Contract Violations', () => {
       blinds: { small: 10, big: 20 },
       dealerButton: 0,
       timeout: 100, // Short timeout for testing
+      timeoutPolicy: { fatal: true }, // Default policy checks or folds instead
     });
 
     // Start the game and expect it to timeout
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { GameEngine } from './GameEngine.js';
+import { Action, GamePhase } from '../types/index.js';
+import { Limits } from '../constants.js';
+import { ScriptedPlayer } from '../test-utils/index.js';
+
+describe('GameEngine - Fixed Limit', () => {
+  let players;
+  let engine;
+
+  beforeEach(() => {
+    players = ['alice', 'bob', 'carol'].map((id) => {
+      const player = new ScriptedPlayer({ id });
+      player.buyIn(1000);
+      return player;
+    });
+  });
+
+  afterEach(() => {
+    if (engine && engine.phase !== GamePhase.ENDED) {
+      engine.abort();
+    }
+  });
+
+  const createEngine = (fixedLimit) =>
+    new GameEngine({
+      players,
+      blinds: { small: 10, big: 20 },
+      bettingLimit: Limits.FIXED_LIMIT,
+      fixedLimit,
+      dealerButton: 0,
+      simulationMode: true,
+    });
+
+  it('should default to small bet = big blind and big bet = two big blinds', () => {
+    engine = createEngine();
+
+    expect(engine.fixedLimit.smallBet).toBe(20);
+    expect(engine.fixedLimit.bigBet).toBe(40);
+    expect(engine.fixedLimit.raiseCap).toBe(4);
+  });
+
+  it('should reject an unknown betting limit', () => {
+    expect(
+      () =>
+        new GameEngine({
+          players,
+          blinds: { small: 10, big: 20 },
+          bettingLimit: 'spread-limit',
+        }),
+    ).toThrow('Invalid betting limit: spread-limit');
+  });
+
+  it('should only allow a raise of exactly one small bet preflop', () => {
+    engine = createEngine();
+    engine.initializeHand();
+
+    const utg = engine.players[engine.currentPlayerIndex];
+    const details = engine.calculateBettingDetails(utg);
+    expect(details.minRaise).toBe(40);
+    expect(details.maxRaise).toBe(40);
+
+    expect(() =>
+      engine.validateAction(utg, { action: Action.RAISE, amount: 40 }),
+    ).not.toThrow();
+    expect(() =>
+      engine.validateAction(utg, { action: Action.RAISE, amount: 60 }),
+    ).toThrow('Fixed-limit raise must be exactly to 40');
+    expect(() => engine.validateAction(utg, { action: Action.ALL_IN })).toThrow(
+      'All-in exceeds the fixed limit',
+    );
+  });
+
+  it('should use the big bet on the turn and river', () => {
+    engine = createEngine({ smallBet: 20, bigBet: 40 });
+    engine.initializeHand();
+
+    for (const player of players) {
+      player.bet = 0;
+    }
+
+    engine.phase = GamePhase.FLOP;
+    expect(engine.validateBetAmount(20, players[1]).valid).toBe(true);
+    expect(engine.validateBetAmount(40, players[1]).valid).toBe(false);
+
+    engine.phase = GamePhase.TURN;
+    expect(engine.validateBetAmount(40, players[1]).valid).toBe(true);
+    const result = engine.validateBetAmount(20, players[1]);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Fixed-limit bet must be exactly 40');
+    expect(() =>
+      engine.validateAction(players[1], { action: Action.BET, amount: 20 }),
+    ).toThrow('Minimum bet=40, Maximum bet=40 (fixed-limit)');
+  });
+
+  it('should stop raising once the cap is reached', async () => {
+    players[0].script = [
+      { action: Action.CALL },
+      { action: Action.RAISE, amount: 60 },
+    ];
+    players[1].script = [
+      { action: Action.CALL },
+      { action: Action.BET, amount: 20 },
+    ];
+    players[2].script = [
+      { action: Action.CHECK },
+      { action: Action.RAISE, amount: 40 },
+    ];
+    engine = createEngine({ raiseCap: 3 });
+
+    let complete = null;
+    engine.on('hand:complete', (data) => {
+      complete = data;
+    });
+
+    await engine.start();
+
+    // Flop: bet + two raises reaches the cap, so bob can only call or fold
+    const bobFacingCap = players[1].seenStates[2];
+    expect(bobFacingCap.phase).toBe(GamePhase.FLOP);
+    expect(bobFacingCap.toCall).toBe(40);
+    expect(bobFacingCap.validActions).not.toContain(Action.RAISE);
+    expect(bobFacingCap.raiseCapReached).toBe(true);
+    expect(bobFacingCap.maxRaise).toBe(60);
+    expect(bobFacingCap.bettingLimit).toBe(Limits.FIXED_LIMIT);
+
+    expect(complete).not.toBeNull();
+    expect(complete.winners.length).toBeGreaterThan(0);
+  });
+
+  it('should put in only the difference when raising from a blind', async () => {
+    players[0].script = [{ action: Action.RAISE, amount: 40 }];
+    players[1].script = [{ action: Action.RAISE, amount: 60 }];
+    players[2].script = [{ action: Action.FOLD }];
+    engine = createEngine();
+
+    await engine.start();
+
+    // The small blind already had 10 in, so raising to 60 adds 50
+    const facingReraise = players[2].seenStates[0];
+    expect(facingReraise.currentBet).toBe(60);
+    expect(facingReraise.players.bob.bet).toBe(60);
+    expect(facingReraise.players.bob.chips).toBe(940);
+    expect(facingReraise.toCall).toBe(40);
+  });
+
+  it('should lift the cap heads-up when headsUpUncapped is set', () => {
+    players.pop();
+    engine = createEngine({ raiseCap: 4, headsUpUncapped: true });
+    engine.initializeHand();
+
+    engine.betsThisRound = 4;
+    expect(engine.isRaiseCapReached()).toBe(false);
+
+    engine.fixedLimit.headsUpUncapped = false;
+    expect(engine.isRaiseCapReached()).toBe(true);
+  });
+});
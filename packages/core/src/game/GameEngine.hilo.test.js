@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { GameEngine } from './GameEngine.js';
+import { StudGameEngine } from './StudGameEngine.js';
+import { RiggedDeck } from './RiggedDeck.js';
+import { GamePhase } from '../types/index.js';
+import { Variants, Limits } from '../constants.js';
+import { ScriptedPlayer } from '../test-utils/index.js';
+
+describe('GameEngine - Hi-Lo', () => {
+  let players;
+  let engine;
+
+  beforeEach(() => {
+    players = ['alice', 'bob', 'carol'].map((id) => {
+      const player = new ScriptedPlayer({ id });
+      player.buyIn(1000);
+      return player;
+    });
+  });
+
+  afterEach(() => {
+    if (engine && engine.phase !== GamePhase.ENDED) {
+      engine.abort();
+    }
+  });
+
+  it('should split an Omaha-8 pot between the high and low winners', async () => {
+    // Bob's trip kings win high; alice's A-3 makes the best low (7-5-3-2-A)
+    // ahead of carol's 4-6 (7-6-5-4-2)
+    const deck = RiggedDeck.createAlternatingDeck({
+      holeCards: [
+        ['Ah', '3c', 'Qh', 'Qd'],
+        ['Kh', 'Jc', '9s', '9c'],
+        ['4s', '6s', 'Tc', 'Td'],
+      ],
+      burn: ['2d', '3d', '4h'],
+      flop: ['2c', '5d', '7h'],
+      turn: 'Kd',
+      river: 'Ks',
+    });
+    engine = new GameEngine({
+      variant: Variants.OMAHA_HI_LO,
+      players,
+      blinds: { small: 10, big: 20 },
+      ante: 1,
+      dealerButton: 0,
+      deck,
+      simulationMode: true,
+    });
+
+    let complete = null;
+    engine.on('hand:complete', (data) => {
+      complete = data;
+    });
+
+    await engine.start();
+
+    expect(engine.bettingLimit).toBe(Limits.POT_LIMIT);
+    // 63 chip pot: the odd chip goes high
+    expect(complete.potResults).toEqual([
+      {
+        potId: 0,
+        potName: 'Main Pot',
+        amount: 63,
+        highWinners: [
+          {
+            playerId: 'bob',
+            amount: 32,
+            handDescription: "Three of a Kind, K's",
+          },
+        ],
+        lowWinners: [
+          { playerId: 'alice', amount: 31, handDescription: '7-5-3-2-A' },
+        ],
+      },
+    ]);
+    expect(players.map((p) => p.chips)).toEqual([1010, 1011, 979]);
+
+    const carol = complete.showdownParticipants.find(
+      (p) => p.playerId === 'carol',
+    );
+    expect(carol.lowHandDescription).toBe('7-6-5-4-2');
+  });
+
+  it('should report potResults with no low winners in high-only games', async () => {
+    engine = new GameEngine({
+      players,
+      blinds: { small: 10, big: 20 },
+      dealerButton: 0,
+      simulationMode: true,
+    });
+
+    let complete = null;
+    engine.on('hand:complete', (data) => {
+      complete = data;
+    });
+
+    await engine.start();
+
+    expect(engine.isHiLo).toBe(false);
+    expect(complete.potResults[0].amount).toBe(60);
+    expect(complete.potResults.every((r) => r.lowWinners.length === 0)).toBe(
+      true,
+    );
+  });
+
+  it('should play Stud-8 through the stud engine', () => {
+    engine = new StudGameEngine({
+      variant: Variants.SEVEN_CARD_STUD_HI_LO,
+      players,
+      blinds: { small: 5, big: 20 },
+      dealerButton: 0,
+      simulationMode: true,
+    });
+
+    expect(engine.variant).toBe(Variants.SEVEN_CARD_STUD_HI_LO);
+    expect(engine.isHiLo).toBe(true);
+    expect(engine.holeCardCount).toBe(2);
+  });
+});
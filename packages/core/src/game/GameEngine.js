@@ -1,12 +1,37 @@
 import { GamePhase, PlayerState, Action } from '../types/index.js';
+import { Variants, Limits, AnteTypes, HI_LO_VARIANTS } from '../constants.js';
 import { WildcardEventEmitter } from '../base/WildcardEventEmitter.js';
 import { Deck } from './Deck.js';
 import { PotManager } from './PotManager.js';
 import { HandEvaluator } from './HandEvaluator.js';
 import { Player } from '../Player.js';
 import { validateIntegerAmount, ensureInteger } from '../utils/validation.js';
+import { createRandomSeed } from '../utils/random.js';
 // import { gameStatePool } from '../utils/performance.js'; // Not using pool to avoid reset issues
 import { monitor } from '../utils/monitoring.js';
+import { HandHistoryRecorder } from '../history/HandHistoryRecorder.js';
+import { RiggedDeck } from './RiggedDeck.js';
+import { ActionClock, TIMED_OUT } from './ActionClock.js';
+import { Pot } from './Pot.js';
+
+// Bump when the checkpoint() layout changes
+const CHECKPOINT_VERSION = 1;
+
+// Phases where a hand is waiting on a player and can be checkpointed
+const BETTING_PHASES = [
+  GamePhase.PRE_FLOP,
+  GamePhase.FLOP,
+  GamePhase.TURN,
+  GamePhase.RIVER,
+  GamePhase.THIRD_STREET,
+  GamePhase.FOURTH_STREET,
+  GamePhase.FIFTH_STREET,
+  GamePhase.SIXTH_STREET,
+  GamePhase.SEVENTH_STREET,
+];
+
+// Decks the engine seeded itself, as opposed to decks built with a seed
+const engineSeededDecks = new WeakSet();
 
 /**
  * Core game engine that handles Texas Hold'em game logic
@@ -62,6 +87,354 @@ export class GameEngine extends WildcardEventEmitter {
     this.bettingRoundStarted = null; // v4.4.7: Track which phase started betting to prevent duplicates
     this.endingBettingRound = false; // v4.4.7: Prevent promptNextPlayer after endBettingRound starts
     this.simulationMode = config.simulationMode === true; // Fast mode for simulations
+
+    // Variant rules - Omaha deals four hole cards and defaults to pot-limit;
+    // a fixedLimit structure on its own still implies fixed-limit betting
+    this.variant = config.variant || Variants.TEXAS_HOLDEM;
+    this.isOmaha =
+      this.variant === Variants.OMAHA || this.variant === Variants.OMAHA_HI_LO;
+    this.isHiLo = HI_LO_VARIANTS.includes(this.variant);
+    this.isShortDeck = this.variant === Variants.SHORT_DECK_HOLDEM;
+    this.shortDeck = {
+      tripsBeatStraight: config.shortDeck?.tripsBeatStraight !== false,
+    };
+    this.holeCardCount = this.isOmaha ? 4 : 2;
+    let defaultLimit = this.isOmaha ? Limits.POT_LIMIT : Limits.NO_LIMIT;
+    if (config.fixedLimit) {
+      defaultLimit = Limits.FIXED_LIMIT;
+    }
+    this.bettingLimit = config.bettingLimit || defaultLimit;
+    if (!Object.values(Limits).includes(this.bettingLimit)) {
+      throw new Error(
+        `Invalid betting limit: ${this.bettingLimit}. Must be one of: ${Object.values(Limits).join(', ')}`,
+      );
+    }
+
+    // Fixed-limit structure: small bets preflop/flop, big bets turn/river
+    const fixedLimit = config.fixedLimit || {};
+    this.fixedLimit = {
+      smallBet: validateIntegerAmount(
+        fixedLimit.smallBet ?? this.config.bigBlind,
+        'fixed-limit small bet',
+      ),
+      bigBet: validateIntegerAmount(
+        fixedLimit.bigBet ?? this.config.bigBlind * 2,
+        'fixed-limit big bet',
+      ),
+      raiseCap: fixedLimit.raiseCap === undefined ? 4 : fixedLimit.raiseCap, // Bet + 3 raises; null/0 = uncapped
+      headsUpUncapped: fixedLimit.headsUpUncapped === true,
+    };
+    this.betsThisRound = 0; // Bets and full raises this round (fixed-limit raise cap)
+
+    // Run it multiple times: boards dealt when all-in players agree
+    this.runItTimes = validateIntegerAmount(
+      config.runItTimes ?? 1,
+      'runItTimes',
+    );
+    if (this.runItTimes < 1) {
+      throw new Error(`runItTimes must be at least 1, got ${this.runItTimes}`);
+    }
+
+    // Antes: every player posts one (standard) or the big blind posts for the table
+    this.ante = validateIntegerAmount(config.ante ?? 0, 'ante');
+    this.anteType = config.anteType || AnteTypes.STANDARD;
+    if (!Object.values(AnteTypes).includes(this.anteType)) {
+      throw new Error(
+        `Invalid ante type: ${this.anteType}. Must be one of: ${Object.values(AnteTypes).join(', ')}`,
+      );
+    }
+
+    // What happens when a player runs out of time (see awaitPlayerAction)
+    const timeoutPolicy = config.timeoutPolicy || {};
+    this.timeoutPolicy = {
+      fatal: timeoutPolicy.fatal === true, // Throw instead - for bot development
+      sitOutAfter: validateIntegerAmount(
+        timeoutPolicy.sitOutAfter ?? 0,
+        'sitOutAfter',
+      ),
+    };
+
+    // Shot clock and time banks - a Table passes its own to keep them across hands
+    this.clock =
+      config.clock ||
+      new ActionClock({
+        ...timeoutPolicy,
+        timeout: this.config.timeout,
+        simulationMode: this.simulationMode,
+      });
+
+    // Hand history - recorded from this engine's own events unless turned
+    // off; simulations skip it unless they ask for one
+    this.historyRecorder = null;
+    this.recordsHistory = config.handHistory ?? !this.simulationMode;
+    if (this.recordsHistory) {
+      this.on('*', (event, data) => this.recordHistory(event, data));
+    }
+  }
+
+  /**
+   * Pass an event to the hand history recorder
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  recordHistory(event, data) {
+    if (this.historyRecorder) {
+      this.historyRecorder.record(event, data);
+    }
+  }
+
+  /**
+   * Start recording a hand history with the starting stacks
+   * @returns {HandHistoryRecorder} Recorder for this hand
+   */
+  createHistoryRecorder() {
+    const seatOf = (player, index) =>
+      this.config.seats?.[player.id] ?? index + 1;
+    const buttonIndex = this.buttonPlayerIndex ?? this.dealerButtonIndex;
+    const buttonPlayer = this.players[buttonIndex];
+
+    return new HandHistoryRecorder({
+      handId: this.config.handId ?? 1,
+      tableName: this.config.tableName,
+      maxPlayers: this.config.maxPlayers,
+      variant: this.variant,
+      bettingLimit: this.bettingLimit,
+      stakes:
+        this.bettingLimit === Limits.FIXED_LIMIT
+          ? { small: this.fixedLimit.smallBet, big: this.fixedLimit.bigBet }
+          : { small: this.config.smallBlind, big: this.config.bigBlind },
+      blinds: { small: this.config.smallBlind, big: this.config.bigBlind },
+      ante: this.ante,
+      anteType: this.anteType,
+      seed: this.handSeed,
+      buttonSeat: buttonPlayer ? seatOf(buttonPlayer, buttonIndex) : null,
+      positions: this.calculatePositionInfo().positions,
+      players: this.players
+        .map((player, index) => ({
+          id: player.id,
+          name: player.name,
+          seat: seatOf(player, index),
+          chips: player.chips,
+        }))
+        .filter((player) => player.chips > 0),
+    });
+  }
+
+  /**
+   * Build the history of the current hand
+   * @returns {Object|null} Structured hand history with PokerStars-style text, or null before a hand starts or with history off
+   */
+  buildHandHistory() {
+    if (!this.historyRecorder) {
+      return null;
+    }
+    for (const [playerId, cards] of this.playerHands) {
+      this.historyRecorder.setHoleCards(playerId, cards);
+    }
+    return this.historyRecorder.getHistory();
+  }
+
+  /**
+   * Pot manager for a new hand, forwarding its events
+   * @returns {PotManager} Pot manager for this engine's players
+   */
+  createPotManager() {
+    const potManager = new PotManager(this.players);
+
+    // Listen for pot events to forward
+    potManager.on('pot:updated', (data) => {
+      this.emit('pot:updated', data);
+    });
+
+    potManager.on('sidepot:created', (data) => {
+      this.emit('sidepot:created', data);
+    });
+
+    return potManager;
+  }
+
+  /**
+   * Checkpoint a hand in progress so it can be resumed elsewhere
+   * Taken between actions - typically while a player is being prompted.
+   * Cards are stored as strings and players by ID.
+   * @returns {Object} Versioned, JSON-serializable checkpoint
+   */
+  checkpoint() {
+    if (!BETTING_PHASES.includes(this.phase) || this.endingBettingRound) {
+      throw new Error(
+        `Cannot checkpoint in phase ${this.phase} - only while waiting for a player action`,
+      );
+    }
+
+    // Players, the deck and a table's clock are live objects - they are
+    // re-bound on restore
+    const config = { ...this.config };
+    delete config.players;
+    delete config.deck;
+    delete config.clock;
+    const cardsOf = (cards) => cards.map((card) => card.toString());
+
+    return {
+      version: CHECKPOINT_VERSION,
+      config,
+      phase: this.phase,
+      board: cardsOf(this.board),
+      deck: this.deck.getRemainingCards(),
+      handSeed: this.handSeed ?? null,
+      players: this.players.map((player) => ({
+        id: player.id,
+        name: player.name,
+        chips: player.chips,
+        bet: player.bet,
+        state: player.state,
+        hasActed: player.hasActed,
+        lastAction: player.lastAction,
+      })),
+      playerHands: Object.fromEntries(
+        Array.from(this.playerHands, ([playerId, cards]) => [
+          playerId,
+          cardsOf(cards),
+        ]),
+      ),
+      pots: this.potManager.pots.map((pot) => pot.toJSON()),
+      nextPotId: this.potManager.nextPotId,
+      raiseHistory: [...this.raiseHistory],
+      lastBettorId: this.lastBettor?.id ?? null,
+      currentPlayerIndex: this.currentPlayerIndex,
+      betsThisRound: this.betsThisRound,
+      bettingRoundStarted: this.bettingRoundStarted,
+      positions: {
+        dealerButtonIndex: this.dealerButtonIndex,
+        buttonPlayerIndex: this.buttonPlayerIndex ?? null,
+        smallBlindPlayerIndex: this.smallBlindPlayerIndex ?? null,
+        bigBlindPlayerIndex: this.bigBlindPlayerIndex ?? null,
+        isDeadButton: this.isDeadButton,
+        isDeadSmallBlind: this.isDeadSmallBlind,
+      },
+      history: this.historyRecorder?.toJSON() ?? null,
+    };
+  }
+
+  /**
+   * Rebuild an engine from checkpoint() output
+   * Attach event listeners, then call resume() to prompt the player whose
+   * turn it is. The remaining cards are dealt from a RiggedDeck.
+   * @param {Object|string} checkpoint - Checkpoint or its JSON
+   * @param {Object} options
+   * @param {Function} options.resolvePlayer - ({ id, name, chips }) => Player;
+   *   stack and betting state are restored onto the returned player
+   * @param {ActionClock} [options.clock] - Clock to keep time banks on
+   * @returns {GameEngine} Engine paused before the next player action
+   */
+  static restore(checkpoint, { resolvePlayer, clock } = {}) {
+    const data =
+      typeof checkpoint === 'string' ? JSON.parse(checkpoint) : checkpoint;
+    if (data?.version !== CHECKPOINT_VERSION) {
+      throw new Error(
+        `Unsupported hand checkpoint version ${data?.version} (expected ${CHECKPOINT_VERSION})`,
+      );
+    }
+    if (typeof resolvePlayer !== 'function') {
+      throw new Error('restore requires a resolvePlayer callback');
+    }
+
+    const players = data.players.map((record) => {
+      const player = resolvePlayer({
+        id: record.id,
+        name: record.name,
+        chips: record.chips,
+      });
+      if (!player || player.id !== record.id) {
+        throw new Error(`resolvePlayer did not return player ${record.id}`);
+      }
+      player.chips = record.chips;
+      player.bet = record.bet;
+      player.state = record.state;
+      player.hasActed = record.hasActed;
+      player.lastAction = record.lastAction;
+      return player;
+    });
+
+    const engine = new this({
+      ...data.config,
+      players,
+      deck: new RiggedDeck({ cards: data.deck, dealAlternating: false }),
+      ...(clock && { clock }),
+    });
+    engine.applyCheckpoint(data);
+    return engine;
+  }
+
+  /**
+   * Load hand state from a checkpoint into this freshly built engine
+   * @protected
+   * @param {Object} data - Checkpoint data
+   */
+  applyCheckpoint(data) {
+    if (data.stud) {
+      throw new Error(
+        'Restore seven-card stud checkpoints with StudGameEngine.restore()',
+      );
+    }
+
+    const byId = new Map(this.players.map((player) => [player.id, player]));
+    const toCard = (card) => this.deck.parseCard(card);
+
+    this.phase = data.phase;
+    this.board = data.board.map(toCard);
+    this.handSeed = data.handSeed;
+    this.playerHands = new Map(
+      Object.entries(data.playerHands).map(([playerId, cards]) => [
+        playerId,
+        cards.map(toCard),
+      ]),
+    );
+
+    this.potManager = this.createPotManager();
+    this.potManager.pots = data.pots.map((saved) => {
+      const pot = new Pot(
+        saved.id,
+        saved.eligiblePlayers.map((id) => byId.get(id)),
+      );
+      pot.name = saved.name;
+      pot.amount = saved.amount;
+      pot.isActive = saved.isActive;
+      pot.maxContributionPerPlayer = saved.maxContributionPerPlayer;
+      for (const { playerId, amount } of saved.contributions) {
+        pot.contributions.set(byId.get(playerId), amount);
+      }
+      return pot;
+    });
+    this.potManager.nextPotId = data.nextPotId;
+
+    this.raiseHistory = [...data.raiseHistory];
+    this.lastBettor = byId.get(data.lastBettorId) ?? null;
+    this.currentPlayerIndex = data.currentPlayerIndex;
+    this.betsThisRound = data.betsThisRound;
+    this.bettingRoundStarted = data.bettingRoundStarted;
+    this.endingBettingRound = false;
+
+    const { positions } = data;
+    this.dealerButtonIndex = positions.dealerButtonIndex;
+    this.buttonPlayerIndex = positions.buttonPlayerIndex ?? undefined;
+    this.smallBlindPlayerIndex = positions.smallBlindPlayerIndex ?? undefined;
+    this.bigBlindPlayerIndex = positions.bigBlindPlayerIndex ?? undefined;
+    this.isDeadButton = positions.isDeadButton;
+    this.isDeadSmallBlind = positions.isDeadSmallBlind;
+
+    this.historyRecorder = data.history
+      ? HandHistoryRecorder.fromJSON(data.history)
+      : null;
+  }
+
+  /**
+   * Continue a restored hand by prompting the player whose turn it is
+   */
+  async resume() {
+    if (!BETTING_PHASES.includes(this.phase)) {
+      throw new Error(`Cannot resume a hand in phase ${this.phase}`);
+    }
+    await this.promptNextPlayer();
   }
 
   /**
@@ -75,27 +448,82 @@ export class GameEngine extends WildcardEventEmitter {
     // Calculate position information before blinds are posted
     const positionInfo = this.calculatePositionInfo();
 
+    this.handSeed = this.seedDeck();
     this.emit('hand:started', {
       players: this.players.map((p) => p.id),
       dealerButton: this.dealerButtonIndex,
       positions: positionInfo,
+      seed: this.handSeed,
+      ...(this.deck.getCommitment && {
+        commitment: this.deck.getCommitment(),
+      }),
     });
 
     this.initializeHand();
     await this.startBettingRound();
   }
 
+  /**
+   * Seed the deck for this hand so it can be re-dealt exactly
+   * Uses config.seed when given. Simulations without one get a fresh random
+   * seed that does not depend on earlier hands; live hands keep the unseeded
+   * shuffle, since a 32-bit seed allows far fewer deals. Rigged decks, decks
+   * built with their own seed and decks with a custom source (e.g. crypto)
+   * are left alone and have no hand seed.
+   * @returns {number|null} Hand seed
+   */
+  seedDeck() {
+    // Use provided deck instance or create new one
+    if (!this.deck) {
+      this.deck = new Deck({ shortDeck: this.isShortDeck });
+    }
+    if (
+      this.deck instanceof RiggedDeck ||
+      typeof this.deck.setSeed !== 'function'
+    ) {
+      return null;
+    }
+    if (this.config.seed !== undefined) {
+      engineSeededDecks.add(this.deck);
+      return this.deck.setSeed(this.config.seed);
+    }
+    const ownSeed =
+      this.deck.seed !== null && !engineSeededDecks.has(this.deck);
+    if (!this.simulationMode || this.deck.hasCustomRandom || ownSeed) {
+      return null;
+    }
+    engineSeededDecks.add(this.deck);
+    return this.deck.setSeed(createRandomSeed());
+  }
+
+  /**
+   * Reveal a provably fair deck's seeds once the hand is over
+   * @returns {Object} { provablyFair: proof } for a ProvablyFairDeck, else {}
+   */
+  revealDeck() {
+    if (typeof this.deck?.reveal !== 'function') {
+      return {};
+    }
+    if (!this.fairnessProof && !this.deck.shuffled) {
+      return {}; // Nothing dealt yet
+    }
+    this.fairnessProof ??= this.deck.reveal();
+    return { provablyFair: this.fairnessProof };
+  }
+
   /**
    * Initialize a new hand
    */
   initializeHand() {
     // Reset game state
     this.board = [];
-
-    // Use provided deck instance or create new one
-    if (!this.deck) {
-      this.deck = new Deck();
+    if (this.handSeed === undefined) {
+      this.handSeed = this.seedDeck();
     }
+    this.historyRecorder = this.recordsHistory
+      ? this.createHistoryRecorder()
+      : null;
+
     this.deck.reset();
     this.deck.shuffle();
 
@@ -106,16 +534,7 @@ export class GameEngine extends WildcardEventEmitter {
     this.endingBettingRound = false; // v4.4.7: Reset betting round ending flag for new hand
 
     // Initialize pot manager with Player instances directly
-    this.potManager = new PotManager(this.players);
-
-    // Listen for pot events to forward
-    this.potManager.on('pot:updated', (data) => {
-      this.emit('pot:updated', data);
-    });
-
-    this.potManager.on('sidepot:created', (data) => {
-      this.emit('sidepot:created', data);
-    });
+    this.potManager = this.createPotManager();
 
     // Reset player states directly on Player instances
     for (const player of this.players) {
@@ -129,13 +548,59 @@ export class GameEngine extends WildcardEventEmitter {
     // Deal hole cards
     this.dealHoleCards();
 
-    // Post blinds
+    // Post antes (before blinds) and blinds
+    this.postAntes();
     this.postBlinds();
 
     // Start preflop
     this.phase = GamePhase.PRE_FLOP;
   }
 
+  /**
+   * Post standard antes from every active player as dead money
+   * Big blind antes are posted with the big blind in postBlinds
+   */
+  postAntes() {
+    if (this.ante === 0 || this.anteType !== AnteTypes.STANDARD) {
+      return;
+    }
+
+    const antes = new Map();
+    for (const player of this.players) {
+      if (player.state !== PlayerState.ACTIVE) {
+        continue;
+      }
+      const amount = Math.min(this.ante, player.chips);
+      player.chips -= amount;
+      antes.set(player, amount);
+      if (player.chips === 0) {
+        player.state = PlayerState.ALL_IN;
+      }
+    }
+
+    this.potManager.addAntes(antes);
+
+    for (const [player, amount] of antes) {
+      this.emitAntePosted(player, amount);
+    }
+  }
+
+  /**
+   * Emit an ante:posted event
+   * @param {Player} player - Player who posted
+   * @param {number} amount - Amount posted (less than the ante if all-in)
+   */
+  emitAntePosted(player, amount) {
+    this.emit('ante:posted', {
+      playerId: player.id,
+      amount,
+      ante: this.ante,
+      anteType: this.anteType,
+      isAllIn: player.chips === 0,
+      pot: this.potManager.getTotal(),
+    });
+  }
+
   /**
    * Deal hole cards to all active players
    */
@@ -147,7 +612,13 @@ export class GameEngine extends WildcardEventEmitter {
     // Use deck API to deal hole cards
     for (let i = 0; i < activePlayers.length; i++) {
       const player = activePlayers[i];
-      const cards = this.deck.dealHoleCards(player.id, i);
+      const cards = this.deck.dealHoleCards(player.id, i, this.holeCardCount);
+      if (!cards || cards.length !== this.holeCardCount) {
+        throw new Error(
+          `Deck dealt ${cards?.length ?? 0} hole cards to ${player.id}, ` +
+            `but ${this.variant} requires ${this.holeCardCount}`,
+        );
+      }
       this.playerHands.set(player.id, cards);
     }
 
@@ -168,7 +639,7 @@ export class GameEngine extends WildcardEventEmitter {
 
       this.emit('cards:dealt', {
         playerId: player.id,
-        cardCount: 2,
+        cardCount: cards.length,
       });
     }
   }
@@ -177,8 +648,9 @@ export class GameEngine extends WildcardEventEmitter {
    * Post blinds
    */
   postBlinds() {
+    // Players all-in on the ante are still dealt in and keep their blind position
     const activePlayers = this.players.filter(
-      (p) => p.state === PlayerState.ACTIVE,
+      (p) => p.state === PlayerState.ACTIVE || p.state === PlayerState.ALL_IN,
     );
     if (activePlayers.length < 2) {
       return;
@@ -223,6 +695,7 @@ export class GameEngine extends WildcardEventEmitter {
     // Post small blind (unless it's dead or no player assigned)
     if (!this.isDeadSmallBlind && sbPlayer) {
       this.handleBet(sbPlayer, this.config.smallBlind, 'small blind');
+      this.emitBlindPosted(sbPlayer, 'small');
     } else if (this.isDeadSmallBlind) {
       // Dead small blind - add to pot without attributing to any player
       this.potManager.addDeadMoney(this.config.smallBlind);
@@ -235,10 +708,27 @@ export class GameEngine extends WildcardEventEmitter {
     // Post big blind (always posted, never dead)
     if (bbPlayer) {
       this.handleBet(bbPlayer, this.config.bigBlind, 'big blind');
+      this.emitBlindPosted(bbPlayer, 'big');
       // Big blind has option
       bbPlayer.hasOption = true;
+
+      // Big blind ante is posted after the blind - the blind takes priority when short
+      if (this.ante > 0 && this.anteType === AnteTypes.BIG_BLIND) {
+        const amount = Math.min(this.ante, bbPlayer.chips);
+        bbPlayer.chips -= amount;
+        this.potManager.addDeadMoney(amount);
+        if (bbPlayer.chips === 0) {
+          bbPlayer.state = PlayerState.ALL_IN;
+        }
+        this.emitAntePosted(bbPlayer, amount);
+      }
     }
 
+    this.postMissedBlinds(sbPlayer, bbPlayer);
+
+    // The big blind counts as the first bet for the fixed-limit raise cap
+    this.betsThisRound = 1;
+
     // Set current player
     if (activePlayers.length === 2) {
       // In heads-up, small blind (button) acts first pre-flop
@@ -249,6 +739,65 @@ export class GameEngine extends WildcardEventEmitter {
     }
   }
 
+  /**
+   * Post blinds owed by players returning from sitting out
+   * A missed big blind is posted live and a missed small blind dead, as in
+   * config.missedBlinds ({ [playerId]: { small, big } }). Players in the
+   * blinds this hand owe nothing extra.
+   * @param {Player} [sbPlayer] - Small blind this hand
+   * @param {Player} [bbPlayer] - Big blind this hand
+   */
+  postMissedBlinds(sbPlayer, bbPlayer) {
+    const missedBlinds = this.config.missedBlinds || {};
+    for (const player of this.players) {
+      const missed = missedBlinds[player.id];
+      if (
+        !missed ||
+        player === sbPlayer ||
+        player === bbPlayer ||
+        player.state !== PlayerState.ACTIVE
+      ) {
+        continue;
+      }
+
+      if (missed.big) {
+        this.handleBet(player, this.config.bigBlind, 'big blind');
+        this.emitBlindPosted(player, 'big');
+      }
+      if (missed.small && player.chips > 0) {
+        const amount = Math.min(this.config.smallBlind, player.chips);
+        player.chips -= amount;
+        this.potManager.addDeadMoney(amount);
+        if (player.chips === 0) {
+          player.state = PlayerState.ALL_IN;
+        }
+        this.emit('blind:posted', {
+          playerId: player.id,
+          type: 'small',
+          amount,
+          isAllIn: player.chips === 0,
+          isDead: true,
+          pot: this.potManager.getTotal(),
+        });
+      }
+    }
+  }
+
+  /**
+   * Emit a blind:posted event
+   * @param {Player} player - Player who posted
+   * @param {string} type - 'small' or 'big'
+   */
+  emitBlindPosted(player, type) {
+    this.emit('blind:posted', {
+      playerId: player.id,
+      type,
+      amount: player.bet,
+      isAllIn: player.chips === 0,
+      pot: this.potManager.getTotal(),
+    });
+  }
+
   /**
    * Start a new betting round
    */
@@ -263,15 +812,15 @@ export class GameEngine extends WildcardEventEmitter {
         // ALL_IN players should keep hasActed=true since they can't act anymore
         player.hasActed = false;
         player.lastAction = null; // Reset last action for new round
-        // Only reset bets if not in pre-flop (blinds already posted)
-        if (this.phase !== GamePhase.PRE_FLOP) {
+        // Only reset bets after the first round (blinds already posted)
+        if (!this.isFirstBettingRound()) {
           player.bet = 0;
         }
       } else if (player.state === PlayerState.ALL_IN) {
         // ALL_IN players: reset lastAction but keep hasActed=true
         player.lastAction = null; // Reset last action for new round
-        // Only reset bets if not in pre-flop (blinds already posted)
-        if (this.phase !== GamePhase.PRE_FLOP) {
+        // Only reset bets after the first round (blinds already posted)
+        if (!this.isFirstBettingRound()) {
           player.bet = 0;
         }
         // CRITICAL: Don't reset hasActed for ALL_IN players - they can't act!
@@ -280,6 +829,10 @@ export class GameEngine extends WildcardEventEmitter {
 
     this.lastBettor = null;
     this.raiseHistory = []; // Reset raise history for new betting round
+    // Forced bets already set the first round's count in postBlinds
+    if (!this.isFirstBettingRound()) {
+      this.betsThisRound = 0;
+    }
 
     // Check if there are any active players who can act
     const activePlayers = this.players.filter(
@@ -296,6 +849,15 @@ export class GameEngine extends WildcardEventEmitter {
     }
   }
 
+  /**
+   * Check if the current phase is the hand's first betting round
+   * Forced bets (blinds) posted before it are kept when the round starts
+   * @returns {boolean} True preflop
+   */
+  isFirstBettingRound() {
+    return this.phase === GamePhase.PRE_FLOP;
+  }
+
   /**
    * Calculate betting details for current player
    */
@@ -306,7 +868,10 @@ export class GameEngine extends WildcardEventEmitter {
 
     // Calculate minimum raise
     let minRaise = currentBet;
-    if (this.lastBettor && this.raiseHistory.length > 0) {
+    if (this.bettingLimit === Limits.FIXED_LIMIT) {
+      // Fixed-limit raises are exactly one bet (or nothing once the cap is reached)
+      minRaise = this.getLimitRaiseTo(player);
+    } else if (this.lastBettor && this.raiseHistory.length > 0) {
       // Minimum raise is the size of the last raise
       const lastRaiseAmount = this.raiseHistory[this.raiseHistory.length - 1];
       minRaise = currentBet + lastRaiseAmount;
@@ -315,11 +880,12 @@ export class GameEngine extends WildcardEventEmitter {
       minRaise = currentBet + Math.max(this.config.bigBlind, currentBet);
     }
 
-    // Ensure minimum raise doesn't exceed player's stack
-    minRaise = Math.min(minRaise, player.bet + player.chips);
+    // Maximum raise is player's remaining chips (capped in pot-limit and fixed-limit)
+    const maxRaise = this.getMaxRaiseTo(player);
+    const raiseCapReached = this.isRaiseCapReached();
 
-    // Maximum raise is player's remaining chips
-    const maxRaise = player.bet + player.chips;
+    // Ensure minimum raise doesn't exceed player's stack or the pot limit
+    minRaise = Math.min(minRaise, maxRaise);
 
     // Determine valid actions
     const validActions = [];
@@ -344,8 +910,10 @@ export class GameEngine extends WildcardEventEmitter {
       }
     }
 
-    // Bet/Raise if player has enough chips
-    if (currentBet === 0 && player.chips > 0) {
+    // Bet/Raise if player has enough chips (and the raise cap allows it)
+    if (raiseCapReached) {
+      // Fixed-limit cap reached - only fold, call or check remain
+    } else if (currentBet === 0 && player.chips > 0) {
       // Can bet when no current bet
       validActions.push(Action.BET);
       if (player.chips <= this.config.bigBlind) {
@@ -372,6 +940,8 @@ export class GameEngine extends WildcardEventEmitter {
       maxRaise,
       potSize,
       validActions,
+      bettingLimit: this.bettingLimit,
+      raiseCapReached,
     };
   }
 
@@ -431,6 +1001,7 @@ export class GameEngine extends WildcardEventEmitter {
     gameState.toCall = bettingDetails.toCall;
     gameState.minRaise = bettingDetails.minRaise;
     gameState.maxRaise = bettingDetails.maxRaise;
+    gameState.raiseCapReached = bettingDetails.raiseCapReached;
     gameState.potSize = bettingDetails.potSize;
     gameState.currentBet = bettingDetails.currentBet;
 
@@ -451,15 +1022,19 @@ export class GameEngine extends WildcardEventEmitter {
       minRaiseIncrement: bettingDetails.minRaise - bettingDetails.currentBet,
     };
 
+    // Clock readings for display - null in simulation mode
+    const times = this.clock.getTimes(currentPlayer);
+    Object.assign(gameState, times);
+
     this.emit('action:requested', {
       playerId: currentPlayer.id,
       gameState,
       bettingDetails,
+      ...times,
     });
 
     // Get action from player with timeout (skip timeout in simulation mode)
     let action;
-    let timeoutId;
 
     if (this.simulationMode) {
       // In simulation mode, skip timeout entirely
@@ -473,37 +1048,7 @@ export class GameEngine extends WildcardEventEmitter {
         );
       }
     } else {
-      // Normal mode with timeout
-      const timeoutPromise = new Promise((_, reject) => {
-        timeoutId = setTimeout(
-          () =>
-            reject(
-              new Error(
-                `Player ${currentPlayer.id} action timeout after ${this.config.timeout}ms`,
-              ),
-            ),
-          this.config.timeout,
-        );
-      });
-
-      try {
-        action = await Promise.race([
-          currentPlayer.getAction(gameState),
-          timeoutPromise,
-        ]);
-      } catch (error) {
-        // Clear timeout immediately
-        clearTimeout(timeoutId);
-
-        // Player broke contract - fatal error, no retry
-        throw new Error(
-          `Fatal: Player ${currentPlayer.id} threw error in getAction(): ${error.message}. ` +
-            'This is a contract violation. Players must return valid actions or timeout gracefully.',
-        );
-      }
-
-      // Clear the timeout since action completed
-      clearTimeout(timeoutId);
+      action = await this.awaitPlayerAction(currentPlayer, gameState);
     }
 
     // Check if the player returned a valid action
@@ -518,6 +1063,61 @@ export class GameEngine extends WildcardEventEmitter {
     await this.handlePlayerAction(currentPlayer, action);
   }
 
+  /**
+   * Wait for a player's action under the timeout policy
+   * The clock runs config.timeout and then the player's time bank; once
+   * both are spent the player checks if they can and folds otherwise. A player who
+   * times out timeoutPolicy.sitOutAfter times in a row is marked sitting out.
+   * With timeoutPolicy.fatal a timeout is a contract violation instead.
+   * @param {Player} player - Player to act
+   * @param {Object} gameState - State passed to getAction()
+   * @returns {Promise<Object>} The player's action, or the timeout action
+   */
+  async awaitPlayerAction(player, gameState) {
+    let action;
+    try {
+      action = await this.clock.waitForAction(
+        player,
+        Promise.resolve().then(() => player.getAction(gameState)),
+        (event, data) => this.emit(event, data),
+      );
+    } catch (error) {
+      // Player broke contract - fatal error, no retry
+      throw new Error(
+        `Fatal: Player ${player.id} threw error in getAction(): ${error.message}. ` +
+          'This is a contract violation. Players must return valid actions or timeout gracefully.',
+      );
+    }
+
+    if (action === TIMED_OUT && this.timeoutPolicy.fatal) {
+      throw new Error(
+        `Fatal: Player ${player.id} threw error in getAction(): Player ${player.id} action timeout after ${this.config.timeout}ms. ` +
+          'This is a contract violation. Players must return valid actions or timeout gracefully.',
+      );
+    }
+
+    if (action !== TIMED_OUT) {
+      player.consecutiveTimeouts = 0;
+      return action;
+    }
+
+    player.consecutiveTimeouts++;
+    const { sitOutAfter } = this.timeoutPolicy;
+    if (sitOutAfter > 0 && player.consecutiveTimeouts >= sitOutAfter) {
+      player.sittingOut = true;
+    }
+    const timeoutAction = gameState.validActions.includes(Action.CHECK)
+      ? Action.CHECK
+      : Action.FOLD;
+    this.emit('action:timeout', {
+      playerId: player.id,
+      action: timeoutAction,
+      consecutiveTimeouts: player.consecutiveTimeouts,
+      sittingOut: player.sittingOut,
+    });
+    return { action: timeoutAction, playerId: player.id };
+  }
+
   /**
    * Build detailed error context for debugging
    */
@@ -533,8 +1133,10 @@ export class GameEngine extends WildcardEventEmitter {
 
     return {
       gamePhase: this.phase,
+      bettingLimit: this.bettingLimit,
       currentBet,
       pot: this.potManager ? this.potManager.getTotal() : 0,
+      maxRaiseTo: this.getMaxRaiseTo(player),
       player: {
         id: player.id,
         chips: player.chips,
@@ -668,10 +1270,14 @@ export class GameEngine extends WildcardEventEmitter {
         const betResult = this.validateBetAmount(action.amount, player);
         if (!betResult.valid) {
           const context = this.buildErrorContext(player, action);
+          const minBet =
+            this.bettingLimit === Limits.FIXED_LIMIT
+              ? this.getFixedLimitBetSize()
+              : this.config.bigBlind;
           throw new Error(
             `Invalid bet amount: ${action.amount}.\n` +
               `Reason: ${betResult.reason}\n` +
-              `Constraints: Minimum bet=${this.config.bigBlind}, Player chips=${player.chips}\n` +
+              `Constraints: Minimum bet=${minBet}, Maximum bet=${this.getMaxRaiseTo(player)} (${this.bettingLimit}), Player chips=${player.chips}\n` +
               `Game State: ${JSON.stringify(context, null, 2)}`,
           );
         }
@@ -695,7 +1301,7 @@ export class GameEngine extends WildcardEventEmitter {
           throw new Error(
             `Invalid raise amount: ${action.amount}.\n` +
               `Reason: ${raiseResult.reason}\n` +
-              `Constraints: Current bet=${currentBet}, Minimum raise to=${minRaise}, Player chips=${player.chips}, Player current bet=${player.bet}\n` +
+              `Constraints: Current bet=${currentBet}, Minimum raise to=${minRaise}, Maximum raise to=${this.getMaxRaiseTo(player)} (${this.bettingLimit}), Player chips=${player.chips}, Player current bet=${player.bet}\n` +
               `Raise history this round: ${this.raiseHistory.length > 0 ? this.raiseHistory.join(', ') : 'none'}\n` +
               `Game State: ${JSON.stringify(context, null, 2)}`,
           );
@@ -704,7 +1310,17 @@ export class GameEngine extends WildcardEventEmitter {
       }
 
       case Action.ALL_IN:
-        // All-in is always valid
+        // All-in is always valid in no-limit; pot-limit and fixed-limit cap it
+        if (!this.canGoAllIn(player)) {
+          const context = this.buildErrorContext(player, action);
+          const maxRaise = this.getMaxRaiseTo(player);
+          throw new Error(
+            `All-in exceeds the ${this.bettingLimit.replace('-', ' ')}.\n` +
+              `Reason: Going all-in would make the bet ${player.bet + player.chips}, but the maximum raise is to ${maxRaise}\n` +
+              `Solution: Use Action.RAISE with an amount up to ${maxRaise}\n` +
+              `Game State: ${JSON.stringify(context, null, 2)}`,
+          );
+        }
         return;
 
       default:
@@ -723,6 +1339,24 @@ export class GameEngine extends WildcardEventEmitter {
     try {
       const validatedAmount = validateIntegerAmount(amount, 'bet amount');
 
+      // Fixed-limit bets are exactly one small or big bet
+      if (this.bettingLimit === Limits.FIXED_LIMIT) {
+        const betSize = this.getFixedLimitBetSize();
+        if (validatedAmount !== betSize) {
+          return {
+            valid: false,
+            reason: `Fixed-limit bet must be exactly ${betSize} on ${this.phase}, but tried to bet ${validatedAmount}. Player has ${player.chips} chips available`,
+          };
+        }
+        if (validatedAmount > player.chips) {
+          return {
+            valid: false,
+            reason: `Insufficient chips: tried to bet ${validatedAmount} but player only has ${player.chips} chips. Use Action.ALL_IN to bet all remaining chips`,
+          };
+        }
+        return { valid: true };
+      }
+
       // Rule 5.2.1.1: Opening bet must be at least the big blind
       const minBet = this.config.bigBlind;
 
@@ -740,6 +1374,16 @@ export class GameEngine extends WildcardEventEmitter {
         };
       }
 
+      if (this.bettingLimit === Limits.POT_LIMIT) {
+        const maxBet = this.getPotLimitRaiseTo(player);
+        if (validatedAmount > maxBet) {
+          return {
+            valid: false,
+            reason: `Pot-limit maximum bet is ${maxBet} (pot size), but tried to bet ${validatedAmount}`,
+          };
+        }
+      }
+
       return { valid: true };
     } catch (error) {
       return {
@@ -791,6 +1435,27 @@ export class GameEngine extends WildcardEventEmitter {
       };
     }
 
+    if (this.bettingLimit === Limits.FIXED_LIMIT) {
+      if (this.isRaiseCapReached()) {
+        return {
+          valid: false,
+          reason:
+            `Fixed-limit raise cap reached: ${this.betsThisRound} bets/raises this round (cap: ${this.fixedLimit.raiseCap}). ` +
+            'Player may only call or fold',
+        };
+      }
+      const raiseTo = this.getLimitRaiseTo(player);
+      if (proposedTotalBet !== raiseTo) {
+        return {
+          valid: false,
+          reason:
+            `Fixed-limit raise must be exactly to ${raiseTo} (current bet: ${currentBet} + bet size: ${this.getFixedLimitBetSize()}). ` +
+            `Attempted raise to ${proposedTotalBet}`,
+        };
+      }
+      return { valid: true };
+    }
+
     // Rule 5.2.1.2: A raise must be at least equal to the largest prior bet or raise of the current round
     const minRaiseIncrement = this.getMinimumRaiseIncrement();
     const minTotalBet = currentBet + minRaiseIncrement;
@@ -804,9 +1469,109 @@ export class GameEngine extends WildcardEventEmitter {
           `Previous raises this round: ${this.raiseHistory.length > 0 ? this.raiseHistory.join(', ') : 'none'}`,
       };
     }
+
+    if (this.bettingLimit === Limits.POT_LIMIT) {
+      const maxTotalBet = this.getPotLimitRaiseTo(player);
+      if (proposedTotalBet > maxTotalBet) {
+        return {
+          valid: false,
+          reason:
+            `Pot-limit maximum raise is to ${maxTotalBet} (current bet: ${currentBet} + call: ${currentBet - player.bet} + pot: ${this.potManager.getTotal()}). ` +
+            `Attempted raise to ${proposedTotalBet} is too large`,
+        };
+      }
+    }
     return { valid: true };
   }
 
+  /**
+   * Get the largest total bet (raise TO) a player may make
+   * No-limit allows the whole stack; pot-limit and fixed-limit cap it
+   * @param {Player} player - Player to act
+   * @returns {number} Maximum total bet for this round
+   */
+  getMaxRaiseTo(player) {
+    return Math.min(player.bet + player.chips, this.getLimitRaiseTo(player));
+  }
+
+  /**
+   * Get the total bet allowed by the betting limit, ignoring the player's stack
+   * @param {Player} player - Player to act
+   * @returns {number} Limit for the total bet (Infinity in no-limit)
+   */
+  getLimitRaiseTo(player) {
+    switch (this.bettingLimit) {
+      case Limits.POT_LIMIT:
+        return this.getPotLimitRaiseTo(player);
+      case Limits.FIXED_LIMIT: {
+        const currentBet = this.getCurrentBet();
+        if (this.isRaiseCapReached()) {
+          return currentBet;
+        }
+        const betSize = this.getFixedLimitBetSize();
+        // An incomplete bet (short all-in blind) is completed rather than raised
+        return currentBet < betSize ? betSize : currentBet + betSize;
+      }
+      default:
+        return Infinity;
+    }
+  }
+
+  /**
+   * Get the fixed-limit bet size for the current street
+   * @returns {number} Small bet preflop and on the flop, big bet on the turn and river
+   */
+  getFixedLimitBetSize() {
+    return this.phase === GamePhase.TURN || this.phase === GamePhase.RIVER
+      ? this.fixedLimit.bigBet
+      : this.fixedLimit.smallBet;
+  }
+
+  /**
+   * Check if the fixed-limit raise cap has been reached this round
+   * @returns {boolean} True if no further bets or raises are allowed
+   */
+  isRaiseCapReached() {
+    if (this.bettingLimit !== Limits.FIXED_LIMIT || !this.fixedLimit.raiseCap) {
+      return false;
+    }
+
+    // Optional rule: no cap once the action is heads-up
+    if (this.fixedLimit.headsUpUncapped) {
+      const playersInHand = this.players.filter(
+        (p) => p.state === PlayerState.ACTIVE || p.state === PlayerState.ALL_IN,
+      );
+      if (playersInHand.length === 2) {
+        return false;
+      }
+    }
+
+    return this.betsThisRound >= this.fixedLimit.raiseCap;
+  }
+
+  /**
+   * Calculate the pot-sized raise TO amount, ignoring the player's stack
+   * A pot raise is: call the current bet, then raise by the size of the pot after calling
+   * @param {Player} player - Player to act
+   * @returns {number} Pot-limit total bet
+   */
+  getPotLimitRaiseTo(player) {
+    const currentBet = this.getCurrentBet();
+    const toCall = Math.max(0, currentBet - player.bet);
+    // Bets are added to the pot as they are made, so the total already includes this round
+    const potAfterCall = this.potManager.getTotal() + toCall;
+    return currentBet + potAfterCall;
+  }
+
+  /**
+   * Check whether going all-in is within the betting limit
+   * @param {Player} player - Player to act
+   * @returns {boolean} True if an all-in is allowed
+   */
+  canGoAllIn(player) {
+    return player.bet + player.chips <= this.getLimitRaiseTo(player);
+  }
+
   /**
    * Calculate minimum raise increment according to poker rules
    */
@@ -867,9 +1632,12 @@ export class GameEngine extends WildcardEventEmitter {
     player.hasActed = true;
 
     let handEnded = false;
+    const chipsBefore = player.chips;
 
     switch (action.action) {
       case Action.FOLD:
+        // Report the fold first - it can end the hand
+        this.emitActionPerformed(player, action.action, 0);
         handEnded = this.handleFold(player);
         break;
       case Action.CHECK:
@@ -891,6 +1659,14 @@ export class GameEngine extends WildcardEventEmitter {
         break;
     }
 
+    if (action.action !== Action.FOLD) {
+      this.emitActionPerformed(
+        player,
+        action.action,
+        chipsBefore - player.chips,
+      );
+    }
+
     // If hand ended (e.g., all but one folded), don't continue betting
     if (handEnded) {
       endTimer();
@@ -928,6 +1704,24 @@ export class GameEngine extends WildcardEventEmitter {
     endTimer();
   }
 
+  /**
+   * Emit an action:performed event once an action has been applied
+   * @param {Player} player - Player who acted
+   * @param {string} action - Action taken
+   * @param {number} amount - Chips the action put in
+   */
+  emitActionPerformed(player, action, amount) {
+    this.emit('action:performed', {
+      playerId: player.id,
+      action,
+      amount,
+      totalBet: player.bet,
+      isAllIn: player.state === PlayerState.ALL_IN,
+      potSize: this.potManager.getTotal(),
+      phase: this.phase,
+    });
+  }
+
   /**
    * Handle fold action
    */
@@ -971,6 +1765,8 @@ export class GameEngine extends WildcardEventEmitter {
         showdownHands: [], // No showdown occurred (fold win)
         board: this.board,
         sidePots: this.getSidePotInfo(),
+        potResults: this.potManager.potResults,
+        ...this.revealDeck(),
       });
 
       this.endHand(activePlayers);
@@ -1070,12 +1866,16 @@ export class GameEngine extends WildcardEventEmitter {
     // Track this raise increment for minimum re-raise validation
     this.raiseHistory.push(raiseIncrement);
 
-    // Use the same betting logic as handleBet
-    this.handleBet(player, intAmount);
+    // The amount is the total to raise TO - only the difference goes in
+    this.handleBet(player, intAmount - player.bet);
 
     // Check if this raise reopens betting (Rule 5.2.2.2)
+    // Fixed-limit raises (including completing a bring-in) are validated to a full bet
     const minRaiseIncrement = this.getMinimumRaiseIncrement();
-    if (raiseIncrement >= minRaiseIncrement) {
+    if (
+      this.bettingLimit === Limits.FIXED_LIMIT ||
+      raiseIncrement >= minRaiseIncrement
+    ) {
       // This is a full raise - reopen betting for all active players who already acted
       this.reopenBetting(player);
     }
@@ -1116,6 +1916,9 @@ export class GameEngine extends WildcardEventEmitter {
    * Called when a raise is large enough to constitute a full raise
    */
   reopenBetting(raisingPlayer) {
+    // Every bet or full raise counts toward the fixed-limit raise cap
+    this.betsThisRound++;
+
     // Reset hasActed for all active players except the one who just raised
     for (const player of this.players) {
       if (
@@ -1198,7 +2001,26 @@ export class GameEngine extends WildcardEventEmitter {
       player.hasOption = false;
     }
 
-    // Progress to next phase
+    await this.progressToNextPhase();
+
+    // v4.4.7: Reset flag after phase transition (except for RIVER which resets in progressToNextPhase)
+    if (this.phase !== GamePhase.RIVER) {
+      this.endingBettingRound = false;
+    }
+  }
+
+  /**
+   * Deal the next street, or go to showdown after the last betting round
+   */
+  async progressToNextPhase() {
+    // Nobody left to bet - all-in players may agree to run the rest more than once
+    const times = await this.decideRunItTimes();
+    if (times > 1) {
+      this.showdown(this.dealMultipleBoards(times));
+      this.endingBettingRound = false;
+      return;
+    }
+
     switch (this.phase) {
       case GamePhase.PRE_FLOP:
         await this.dealFlop();
@@ -1215,13 +2037,118 @@ export class GameEngine extends WildcardEventEmitter {
         this.endingBettingRound = false;
         break;
     }
+  }
 
-    // v4.4.7: Reset flag after phase transition (except for RIVER which resets above)
-    if (this.phase !== GamePhase.RIVER) {
-      this.endingBettingRound = false;
+  /**
+   * Decide how many times to run the remaining board
+   * Requires the option, cards still to come, at most one player able to
+   * act, and agreement from every player still in the hand. runItTimes is
+   * cut to the boards the deck can still complete, burns included.
+   * @returns {Promise<number>} Number of boards to deal - 1 to run it once
+   */
+  async decideRunItTimes() {
+    if (this.runItTimes < 2 || this.board.length >= 5) {
+      return 1;
+    }
+
+    const playersInHand = this.players.filter(
+      (p) => p.state === PlayerState.ACTIVE || p.state === PlayerState.ALL_IN,
+    );
+    const canAct = playersInHand.filter((p) => p.state === PlayerState.ACTIVE);
+    if (playersInHand.length < 2 || canAct.length > 1) {
+      return 1;
+    }
+
+    // Every street still to come takes a burn card as well
+    const streetsToCome = this.board.length === 0 ? 3 : 5 - this.board.length;
+    const cardsPerBoard = 5 - this.board.length + streetsToCome;
+    const times = Math.min(
+      this.runItTimes,
+      Math.floor(this.deck.getRemaining() / cardsPerBoard),
+    );
+    if (times < 2) {
+      return 1;
+    }
+
+    const context = {
+      board: this.board.map((c) => c.toString()),
+      pot: this.potManager.getTotal(),
+    };
+    for (const player of playersInHand) {
+      if (!(await this.askToRunItMultiple(player, times, context))) {
+        return 1;
+      }
+    }
+
+    this.emit('board:run-multiple', {
+      times,
+      players: playersInHand.map((p) => p.id),
+      board: context.board,
+    });
+    return times;
+  }
+
+  /**
+   * Ask a player to agree to running the board more than once
+   * A throw, or no answer within the action timeout, declines
+   * @param {Player} player - Player still in the hand
+   * @param {number} times - Number of boards that would be dealt
+   * @param {Object} context - { board, pot }
+   * @returns {Promise<boolean>} True if the player agreed
+   */
+  async askToRunItMultiple(player, times, context) {
+    const answers = [
+      Promise.resolve().then(() => player.agreeToRunItMultiple(times, context)),
+    ];
+    let timeoutId;
+    if (!this.simulationMode) {
+      answers.push(
+        new Promise((resolve) => {
+          timeoutId = setTimeout(() => resolve(false), this.config.timeout);
+        }),
+      );
+    }
+    try {
+      return Boolean(await Promise.race(answers));
+    } catch {
+      return false;
+    } finally {
+      clearTimeout(timeoutId);
     }
   }
 
+  /**
+   * Complete the board several times from the same deck
+   * @param {number} times - Number of boards
+   * @returns {Array<Object[]>} Complete five-card boards
+   */
+  dealMultipleBoards(times) {
+    const boards = [];
+    for (let boardIndex = 0; boardIndex < times; boardIndex++) {
+      const board = [...this.board];
+      if (board.length === 0) {
+        this.deck.draw(); // Burn
+        board.push(...this.deck.dealFlop());
+      }
+      if (board.length === 3) {
+        this.deck.draw(); // Burn
+        board.push(this.deck.dealTurn());
+      }
+      if (board.length === 4) {
+        this.deck.draw(); // Burn
+        board.push(this.deck.dealRiver());
+      }
+      boards.push(board);
+
+      this.emit('cards:community', {
+        cards: board,
+        phase: GamePhase.RIVER,
+        boardIndex,
+      });
+    }
+    return boards;
+  }
+
   /**
    * Deal the flop
    */
@@ -1330,42 +2257,60 @@ export class GameEngine extends WildcardEventEmitter {
 
   /**
    * Perform showdown
+   * @param {Array<Object[]>} [boards] - Complete boards when the hand was run
+   *   more than once; the first becomes this.board
    */
-  showdown() {
+  showdown(boards = null) {
     this.phase = GamePhase.SHOWDOWN;
+    if (boards) {
+      this.board = boards[0];
+    }
 
     const activePlayers = this.players.filter(
       (p) => p.state === PlayerState.ACTIVE || p.state === PlayerState.ALL_IN,
     );
 
     // Evaluate hands
-    const playerHands = activePlayers.map((player) => {
-      const holeCards = this.playerHands.get(player.id);
-      const hand = HandEvaluator.evaluate([...holeCards, ...this.board]);
-
-      return {
-        player,
-        hand,
-        cards: holeCards,
-      };
-    });
+    const playerHands = activePlayers.map((player) =>
+      this.evaluateShowdownHand(player),
+    );
 
-    // Calculate payouts for all pots
-    const payouts = this.potManager.calculatePayouts(playerHands);
+    // Calculate payouts for all pots, split across boards if run more than once
+    let payouts;
+    let boardHands;
+    let boardResults;
+    if (boards) {
+      boardHands = boards.map((board) =>
+        activePlayers.map((player) => this.evaluateShowdownHand(player, board)),
+      );
+      payouts = this.potManager.calculateMultiBoardPayouts(boardHands, {
+        hiLo: this.isHiLo,
+      });
+      boardResults = this.buildBoardResults(boards, boardHands);
+    } else {
+      payouts = this.potManager.calculatePayouts(playerHands, {
+        hiLo: this.isHiLo,
+      });
+    }
     this.distributeWinnings(payouts);
 
     // Build winners array with amounts from payouts
     const winnersWithAmounts = [];
     for (const [player, amount] of payouts) {
       if (amount > 0) {
-        const playerHandInfo = playerHands.find(
-          (ph) => ph.player.id === player.id,
+        // Run more than once: the hand from the first board the player won
+        const wonBoard = boardResults?.find((result) =>
+          result.winners.some((w) => w.playerId === player.id),
         );
+        const playerHandInfo = (
+          wonBoard ? boardHands[wonBoard.boardIndex] : playerHands
+        ).find((ph) => ph.player.id === player.id);
         winnersWithAmounts.push({
           playerId: player.id,
           hand: playerHandInfo.hand,
           cards: playerHandInfo.cards,
           amount,
+          ...(wonBoard && { boardIndex: wonBoard.boardIndex }),
         });
       }
     }
@@ -1374,12 +2319,17 @@ export class GameEngine extends WildcardEventEmitter {
     const showdownParticipants = [];
     for (const playerHandInfo of playerHands) {
       const amount = payouts.get(playerHandInfo.player) || 0;
-      showdownParticipants.push({
+      const participant = {
         playerId: playerHandInfo.player.id,
         hand: playerHandInfo.hand,
         cards: playerHandInfo.cards,
         amount,
-      });
+      };
+      if (this.isHiLo) {
+        participant.lowHandDescription =
+          playerHandInfo.lowHand?.description || null;
+      }
+      showdownParticipants.push(participant);
     }
 
     // Enhance winners with detailed ranking data
@@ -1398,6 +2348,9 @@ export class GameEngine extends WildcardEventEmitter {
       showdownHands: this.createShowdownHands(enhancedShowdownParticipants),
       board: this.board,
       sidePots: this.getSidePotInfo(),
+      potResults: this.potManager.potResults,
+      ...(boardResults && { boards: boardResults }),
+      ...this.revealDeck(),
     });
 
     this.endHand(
@@ -1408,6 +2361,103 @@ export class GameEngine extends WildcardEventEmitter {
     );
   }
 
+  /**
+   * Evaluate a player's best hand for the current variant
+   * Omaha must use exactly two hole cards; Hold'em uses the best five of seven
+   * Short-deck uses its own rankings (flush over full house)
+   * @param {Object[]} holeCards - Player's hole cards
+   * @param {Object[]} [board] - Community cards (defaults to the current board)
+   * @returns {Object} Evaluated hand from HandEvaluator
+   */
+  evaluateHand(holeCards, board = this.board) {
+    if (this.isOmaha) {
+      return HandEvaluator.evaluateOmaha(holeCards, board);
+    }
+    if (this.isShortDeck) {
+      return HandEvaluator.evaluateShortDeck(
+        [...holeCards, ...board],
+        this.shortDeck,
+      );
+    }
+    return HandEvaluator.evaluate([...holeCards, ...board]);
+  }
+
+  /**
+   * Evaluate a player's best eight-or-better low (hi-lo variants)
+   * @param {Object[]} holeCards - Player's hole cards
+   * @param {Object[]} [board] - Community cards (defaults to the current board)
+   * @returns {Object|null} Low hand from HandEvaluator.evaluateLow, or null if none qualifies
+   */
+  evaluateLowHand(holeCards, board = this.board) {
+    if (this.isOmaha) {
+      return HandEvaluator.evaluateOmahaLow(holeCards, board);
+    }
+    return HandEvaluator.evaluateLow([...holeCards, ...board]);
+  }
+
+  /**
+   * Evaluate a player's hand(s) for showdown
+   * @param {Player} player - Player still in the hand
+   * @param {Object[]} [board] - Community cards (defaults to the current board)
+   * @returns {Object} { player, hand, cards } plus lowHand in hi-lo variants
+   */
+  evaluateShowdownHand(player, board = this.board) {
+    const holeCards = this.playerHands.get(player.id) || [];
+    const showdownHand = {
+      player,
+      hand: this.evaluateHand(holeCards, board),
+      cards: holeCards,
+    };
+    if (this.isHiLo) {
+      showdownHand.lowHand = this.evaluateLowHand(holeCards, board);
+    }
+    return showdownHand;
+  }
+
+  /**
+   * Summarize each board of a multi-board showdown
+   * @param {Array<Object[]>} boards - Complete boards
+   * @param {Array<Array>} boardHands - Player hands evaluated on each board
+   * @returns {Array<Object>} { boardIndex, cards, winners, potResults } per board
+   */
+  buildBoardResults(boards, boardHands) {
+    return boards.map((cards, boardIndex) => {
+      const potResults = this.potManager.potResults.filter(
+        (result) => result.boardIndex === boardIndex,
+      );
+
+      // Total each player's winnings on this board
+      const amounts = new Map();
+      for (const result of potResults) {
+        for (const { playerId, amount } of [
+          ...result.highWinners,
+          ...result.lowWinners,
+        ]) {
+          amounts.set(playerId, (amounts.get(playerId) || 0) + amount);
+        }
+      }
+
+      const winners = Array.from(amounts, ([playerId, amount]) => {
+        const playerHand = boardHands[boardIndex].find(
+          (ph) => ph.player.id === playerId,
+        );
+        return {
+          playerId,
+          amount,
+          hand: playerHand.hand,
+          handDescription: playerHand.hand.description,
+        };
+      });
+
+      return {
+        boardIndex,
+        cards: cards.map((c) => c.toString()),
+        winners,
+        potResults,
+      };
+    });
+  }
+
   /**
    * Get side pot information for display/testing
    */
@@ -1431,7 +2481,7 @@ export class GameEngine extends WildcardEventEmitter {
 
     return showdownParticipants.map((participant) => ({
       playerId: participant.playerId,
-      cards: participant.holeCards || [], // Player's 2 hole cards
+      cards: participant.holeCards || [], // Player's hole cards
       hand: participant.cards || [], // Best 5-card hand
       handDescription:
         participant.handDescription ||
@@ -1621,12 +2671,14 @@ export class GameEngine extends WildcardEventEmitter {
     }
 
     // RAISE is valid if there's a bet, player has chips, and hasn't already acted (or betting was reopened)
-    if (currentBet > 0 && player.chips > toCall) {
+    if (currentBet > 0 && player.chips > toCall && !this.isRaiseCapReached()) {
       // Check if player can raise (hasn't acted or betting was reopened)
       if (!player.hasActed) {
-        const minRaiseIncrement = this.getMinimumRaiseIncrement();
-        const minTotalBet = currentBet + minRaiseIncrement;
-        const maxRaise = player.chips + player.bet;
+        const minTotalBet =
+          this.bettingLimit === Limits.FIXED_LIMIT
+            ? this.getLimitRaiseTo(player)
+            : currentBet + this.getMinimumRaiseIncrement();
+        const maxRaise = this.getMaxRaiseTo(player);
 
         if (maxRaise >= minTotalBet) {
           validActions.push(Action.RAISE);
@@ -1634,8 +2686,8 @@ export class GameEngine extends WildcardEventEmitter {
       }
     }
 
-    // ALL_IN is always valid if player has chips
-    if (player.chips > 0) {
+    // ALL_IN is valid if player has chips (and the pot limit allows it)
+    if (player.chips > 0 && this.canGoAllIn(player)) {
       validActions.push(Action.ALL_IN);
     }
 
@@ -1815,6 +2867,10 @@ export class GameEngine extends WildcardEventEmitter {
     // This prevents issues with the object being reset while still in use
     const gameState = {
       phase: this.phase,
+      variant: this.variant,
+      bettingLimit: this.bettingLimit,
+      ante: this.ante,
+      anteType: this.anteType,
       communityCards: [...this.board],
       pot: this.potManager.getTotal(),
       currentBet: this.getCurrentBet(),
@@ -1842,16 +2898,19 @@ export class GameEngine extends WildcardEventEmitter {
 
   /**
    * Abort the game
+   * A provably fair deck is revealed so the next hand gets a new server seed.
    */
   abort() {
     this.phase = GamePhase.ENDED;
-    this.emit('game:aborted');
+    this.emit('game:aborted', this.revealDeck());
     this.removeAllListeners();
   }
 
   /**
    * Run the hand to completion synchronously
-   * Used for Monte Carlo simulations and fast hand resolution
+   * Used for Monte Carlo simulations and fast hand resolution. Players are
+   * not asked to run it multiple times - the board is always dealt once,
+   * whatever runItTimes says.
    * @returns {Object} Complete hand results
    */
   runToCompletion() {
@@ -1931,6 +2990,7 @@ export class GameEngine extends WildcardEventEmitter {
         ? this.potManager.getSidePots()
         : undefined;
       const showdownParticipants = this.lastShowdownParticipants || undefined;
+      const history = this.buildHandHistory();
 
       return {
         success: true,
@@ -1939,9 +2999,10 @@ export class GameEngine extends WildcardEventEmitter {
         board,
         sidePots,
         showdownParticipants,
-        handHistory: this.buildHandHistory
-          ? this.buildHandHistory()
-          : undefined,
+        handHistory: history?.actions,
+        handHistoryText: history?.text,
+        seed: this.handSeed,
+        ...this.revealDeck(),
       };
     } catch (error) {
       return {
@@ -2056,6 +3117,7 @@ export class GameEngine extends WildcardEventEmitter {
     // Mark player as having acted
     player.hasActed = true;
     player.lastAction = action.action;
+    const chipsBefore = player.chips;
 
     // Process based on action type
     switch (action.action) {
@@ -2118,7 +3180,8 @@ export class GameEngine extends WildcardEventEmitter {
       }
     }
 
-    // Emit action event
+    // Emit action events
+    this.emitActionPerformed(player, action.action, chipsBefore - player.chips);
     this.emit('player:action', {
       player: player.id,
       action: action.action,
@@ -2235,21 +3298,14 @@ export class GameEngine extends WildcardEventEmitter {
     );
 
     // Get hand strengths
-    const playerHands = [];
-    for (const player of activePlayers) {
-      // Get hole cards from playerHands map
-      const holeCards = this.playerHands.get(player.id) || [];
-      const cards = [...holeCards, ...this.board];
-      const hand = HandEvaluator.evaluate(cards);
-      playerHands.push({
-        player, // player IS the Player instance
-        hand,
-        cards: holeCards,
-      });
-    }
+    const playerHands = activePlayers.map((player) =>
+      this.evaluateShowdownHand(player),
+    );
 
     // Calculate payouts
-    const payouts = this.potManager.calculatePayouts(playerHands);
+    const payouts = this.potManager.calculatePayouts(playerHands, {
+      hiLo: this.isHiLo,
+    });
 
     // Distribute winnings
     const winners = [];
@@ -2316,6 +3372,7 @@ export class GameEngine extends WildcardEventEmitter {
       board: [...this.board],
       showdownParticipants: this.lastShowdownParticipants,
       showdownHands: this.createShowdownHands(enhancedShowdownParticipants),
+      ...this.revealDeck(),
     });
   }
 
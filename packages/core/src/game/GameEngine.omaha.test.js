@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { GameEngine } from './GameEngine.js';
+import { RiggedDeck } from './RiggedDeck.js';
+import { Action, GamePhase } from '../types/index.js';
+import { Variants, Limits } from '../constants.js';
+import { ScriptedPlayer } from '../test-utils/index.js';
+
+describe('GameEngine - Pot-Limit Omaha', () => {
+  let players;
+  let engine;
+
+  beforeEach(() => {
+    players = ['alice', 'bob', 'carol'].map((id) => {
+      const player = new ScriptedPlayer({ id });
+      player.buyIn(1000);
+      return player;
+    });
+  });
+
+  afterEach(() => {
+    if (engine && engine.phase !== GamePhase.ENDED) {
+      engine.abort();
+    }
+  });
+
+  const createEngine = (deck) =>
+    new GameEngine({
+      variant: Variants.OMAHA,
+      players,
+      blinds: { small: 10, big: 20 },
+      dealerButton: 0,
+      deck,
+      simulationMode: true,
+    });
+
+  it('should deal four hole cards and play pot-limit', () => {
+    engine = createEngine();
+    const dealt = [];
+    engine.on('cards:dealt', (data) => dealt.push(data));
+
+    engine.initializeHand();
+
+    expect(engine.bettingLimit).toBe(Limits.POT_LIMIT);
+    for (const player of players) {
+      expect(player.privateCards).toHaveLength(4);
+      expect(engine.playerHands.get(player.id)).toHaveLength(4);
+    }
+    expect(dealt.every((d) => d.cardCount === 4)).toBe(true);
+    expect(engine.deck.getRemaining()).toBe(52 - 12);
+  });
+
+  it('should cap the first raise at a pot-sized raise', () => {
+    engine = createEngine();
+    engine.initializeHand();
+
+    // Button (alice) is first to act three-handed: pot 30, call 20, raise to 70
+    const utg = engine.players[engine.currentPlayerIndex];
+    expect(utg.id).toBe('alice');
+    const details = engine.calculateBettingDetails(utg);
+    expect(details.minRaise).toBe(40);
+    expect(details.maxRaise).toBe(70);
+
+    expect(() =>
+      engine.validateAction(utg, { action: Action.RAISE, amount: 70 }),
+    ).not.toThrow();
+    expect(() =>
+      engine.validateAction(utg, { action: Action.RAISE, amount: 71 }),
+    ).toThrow('Pot-limit maximum raise is to 70');
+  });
+
+  it('should reject an all-in larger than the pot', () => {
+    engine = createEngine();
+    engine.initializeHand();
+
+    const utg = engine.players[engine.currentPlayerIndex];
+    expect(engine.calculateValidActions(utg)).not.toContain(Action.ALL_IN);
+    expect(() => engine.validateAction(utg, { action: Action.ALL_IN })).toThrow(
+      'All-in exceeds the pot limit',
+    );
+  });
+
+  it('should allow an all-in that fits within the pot', () => {
+    players[0].chips = 60;
+    engine = createEngine();
+    engine.initializeHand();
+
+    const utg = engine.players[engine.currentPlayerIndex];
+    expect(engine.calculateValidActions(utg)).toContain(Action.ALL_IN);
+    expect(() =>
+      engine.validateAction(utg, { action: Action.ALL_IN }),
+    ).not.toThrow();
+  });
+
+  it('should cap an opening bet at the pot size', () => {
+    engine = createEngine();
+    engine.initializeHand();
+
+    // Move everyone to the flop with a 60 chip pot
+    for (const player of players) {
+      engine.handleBet(player, 20 - player.bet, 'call');
+      player.bet = 0;
+    }
+    engine.phase = GamePhase.FLOP;
+    const player = players[1];
+
+    expect(engine.potManager.getTotal()).toBe(60);
+    expect(engine.validateBetAmount(60, player).valid).toBe(true);
+    const result = engine.validateBetAmount(61, player);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Pot-limit maximum bet is 60');
+  });
+
+  it('should award the pot using exactly two hole cards at showdown', async () => {
+    // Alice holds four hearts; the board has a single heart, so she has no flush.
+    // Bob's pocket nines make a full house with the paired board.
+    const deck = RiggedDeck.createAlternatingDeck({
+      holeCards: [
+        ['Ah', 'Kh', 'Qh', 'Jh'],
+        ['9c', '9d', '3s', '4s'],
+        ['4d', '5d', '6s', '7s'],
+      ],
+      burn: ['2d', '3d', '4h'],
+      flop: ['9h', '8c', '2c'],
+      turn: '2s',
+      river: '3c',
+    });
+    engine = createEngine(deck);
+
+    let complete = null;
+    engine.on('hand:complete', (data) => {
+      complete = data;
+    });
+
+    await engine.start();
+
+    expect(complete).not.toBeNull();
+    expect(complete.winners).toHaveLength(1);
+    expect(complete.winners[0].playerId).toBe('bob');
+    expect(complete.winners[0].handDescription).toBe(
+      "Full House, 9's over 2's",
+    );
+    expect(
+      complete.showdownHands.find((h) => h.playerId === 'alice').cards,
+    ).toHaveLength(4);
+  });
+});
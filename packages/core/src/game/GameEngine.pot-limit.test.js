@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { GameEngine } from './GameEngine.js';
+import { Table } from '../Table.js';
+import { Player } from '../Player.js';
+import { Action, GamePhase } from '../types/index.js';
+import { Limits } from '../constants.js';
+
+describe("GameEngine - Pot-Limit Hold'em", () => {
+  let players;
+  let engine;
+
+  beforeEach(() => {
+    players = ['alice', 'bob', 'carol'].map((id) => {
+      const player = new Player({ id });
+      player.buyIn(1000);
+      return player;
+    });
+  });
+
+  afterEach(() => {
+    if (engine && engine.phase !== GamePhase.ENDED) {
+      engine.abort();
+    }
+  });
+
+  const createEngine = (bettingLimit) =>
+    new GameEngine({
+      players,
+      blinds: { small: 10, big: 20 },
+      bettingLimit,
+      dealerButton: 0,
+      simulationMode: true,
+    });
+
+  it("should default to no-limit for Hold'em", () => {
+    engine = createEngine();
+    engine.initializeHand();
+
+    expect(engine.bettingLimit).toBe(Limits.NO_LIMIT);
+    expect(engine.playerHands.get('alice')).toHaveLength(2);
+    const utg = engine.players[engine.currentPlayerIndex];
+    expect(engine.calculateBettingDetails(utg).maxRaise).toBe(1000);
+  });
+
+  it('should set maxRaise to a pot-sized raise', () => {
+    engine = createEngine(Limits.POT_LIMIT);
+    engine.initializeHand();
+
+    // Pot 30 + call 20 = 50 raise on top of the 20 bet
+    const utg = engine.players[engine.currentPlayerIndex];
+    const details = engine.calculateBettingDetails(utg);
+    expect(details.bettingLimit).toBe(Limits.POT_LIMIT);
+    expect(details.maxRaise).toBe(70);
+    expect(engine.buildGameState().bettingLimit).toBe(Limits.POT_LIMIT);
+  });
+
+  it('should reject an over-pot raise with full diagnostics', () => {
+    engine = createEngine(Limits.POT_LIMIT);
+    engine.initializeHand();
+
+    const utg = engine.players[engine.currentPlayerIndex];
+    let error = null;
+    try {
+      engine.validateAction(utg, { action: Action.RAISE, amount: 200 });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).not.toBeNull();
+    expect(error.message).toContain('Invalid raise amount: 200');
+    expect(error.message).toContain('Pot-limit maximum raise is to 70');
+    expect(error.message).toContain('Maximum raise to=70 (pot-limit)');
+    expect(error.message).toContain('"bettingLimit": "pot-limit"');
+    expect(error.message).toContain('"maxRaiseTo": 70');
+  });
+
+  it('should stop a pot-sized raise from a blind at the maximum', () => {
+    engine = createEngine(Limits.POT_LIMIT);
+    engine.initializeHand();
+    engine.handleCall(players[0]);
+
+    // Small blind: call 10 makes the pot 60, so the raise is to 20 + 60
+    const sb = players[1];
+    expect(engine.calculateBettingDetails(sb).maxRaise).toBe(80);
+    expect(() =>
+      engine.validateAction(sb, { action: Action.RAISE, amount: 80 }),
+    ).not.toThrow();
+
+    engine.handleRaise(sb, 80);
+    expect(sb.bet).toBe(80);
+    expect(sb.chips).toBe(920);
+    expect(engine.potManager.getTotal()).toBe(120);
+  });
+
+  it('should reject an over-pot bet after the flop', () => {
+    engine = createEngine(Limits.POT_LIMIT);
+    engine.initializeHand();
+
+    for (const player of players) {
+      engine.handleBet(player, 20 - player.bet, 'call');
+      player.bet = 0;
+    }
+    engine.phase = GamePhase.FLOP;
+
+    expect(() =>
+      engine.validateAction(players[1], { action: Action.BET, amount: 60 }),
+    ).not.toThrow();
+    expect(() =>
+      engine.validateAction(players[1], { action: Action.BET, amount: 100 }),
+    ).toThrow('Pot-limit maximum bet is 60');
+  });
+
+  it('should pass the betting limit from Table config to the engine', () => {
+    const table = new Table({
+      bettingLimit: Limits.POT_LIMIT,
+      blinds: { small: 10, big: 20 },
+      simulationMode: true,
+    });
+    for (const player of players) {
+      table.addPlayer(player);
+    }
+
+    engine = table.createGameEngine(
+      players,
+      table.calculateDeadButtonPositions(),
+    );
+    expect(engine.bettingLimit).toBe(Limits.POT_LIMIT);
+    expect(engine.variant).toBe('texas-holdem');
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { GameEngine } from './GameEngine.js';
+import { RiggedDeck } from './RiggedDeck.js';
+import { Table } from '../Table.js';
+import { Action, GamePhase } from '../types/index.js';
+import { ScriptedPlayer } from '../test-utils/index.js';
+
+// Aces hold on the first board, kings make a set on the second
+const createTwoBoardDeck = () =>
+  new RiggedDeck({
+    cards: [
+      ...['As', 'Ad'], // alice
+      ...['Kc', 'Kd'], // bob
+      ...['2h', '3c', '7s', '9h', '2d', 'Jc', '2s', '4d'], // first board
+      ...['3h', 'Kh', '5c', '8s', '3d', 'Td', '3s', '6h'], // second board
+    ],
+    dealAlternating: false,
+  });
+
+describe('GameEngine - Run It Multiple Times', () => {
+  let players;
+  let engine;
+
+  beforeEach(() => {
+    players = [
+      new ScriptedPlayer({
+        id: 'alice',
+        script: [{ action: Action.ALL_IN }],
+      }),
+      new ScriptedPlayer({ id: 'bob' }),
+    ];
+    for (const player of players) {
+      player.buyIn(1000);
+    }
+  });
+
+  afterEach(() => {
+    if (engine && engine.phase !== GamePhase.ENDED) {
+      engine.abort();
+    }
+  });
+
+  const createEngine = (config = {}) =>
+    new GameEngine({
+      players,
+      blinds: { small: 10, big: 20 },
+      dealerButton: 0,
+      deck: createTwoBoardDeck(),
+      simulationMode: true,
+      ...config,
+    });
+
+  it('should split the pot across two boards when all-in players agree', async () => {
+    engine = createEngine({ runItTimes: 2 });
+    const boards = [];
+    engine.on('cards:community', (data) => boards.push(data));
+    let complete = null;
+    engine.on('hand:complete', (data) => {
+      complete = data;
+    });
+
+    await engine.start();
+
+    expect(players[1].runItRequests).toEqual([
+      { times: 2, context: { board: [], pot: 2000 } },
+    ]);
+    expect(boards.map((b) => b.boardIndex)).toEqual([0, 1]);
+
+    expect(complete.boards).toHaveLength(2);
+    expect(complete.boards[0]).toMatchObject({
+      boardIndex: 0,
+      cards: ['3c', '7s', '9h', 'Jc', '4d'],
+      winners: [{ playerId: 'alice', amount: 1000 }],
+    });
+    expect(complete.boards[1]).toMatchObject({
+      boardIndex: 1,
+      cards: ['Kh', '5c', '8s', 'Td', '6h'],
+      winners: [{ playerId: 'bob', amount: 1000 }],
+    });
+    expect(complete.boards[1].winners[0].handDescription).toBe(
+      "Three of a Kind, K's",
+    );
+
+    // Each winner shows the hand from the board they won
+    expect(
+      complete.winners.map(({ playerId, boardIndex, handDescription }) => ({
+        playerId,
+        boardIndex,
+        handDescription,
+      })),
+    ).toEqual([
+      { playerId: 'alice', boardIndex: 0, handDescription: "Pair, A's" },
+      {
+        playerId: 'bob',
+        boardIndex: 1,
+        handDescription: "Three of a Kind, K's",
+      },
+    ]);
+    expect(players.map((p) => p.chips)).toEqual([1000, 1000]);
+  });
+
+  it('should run a single board when any player declines', async () => {
+    players[1].runItAgreement = false;
+    engine = createEngine({ runItTimes: 2 });
+    let complete = null;
+    engine.on('hand:complete', (data) => {
+      complete = data;
+    });
+
+    await engine.start();
+
+    expect(complete.boards).toBeUndefined();
+    expect(complete.winners).toHaveLength(1);
+    expect(complete.winners[0].playerId).toBe('alice');
+    expect(players.map((p) => p.chips)).toEqual([2000, 0]);
+  });
+
+  it('should treat a throw or no answer as declining', async () => {
+    players[1].agreeToRunItMultiple = () => {
+      throw new Error('Not now');
+    };
+    engine = createEngine({ runItTimes: 2 });
+    await engine.start();
+    expect(engine.phase).toBe(GamePhase.ENDED);
+    expect(players.map((p) => p.chips)).toEqual([2000, 0]);
+
+    for (const player of players) {
+      player.chips = 1000;
+      player.script = [{ action: Action.ALL_IN }];
+    }
+    players[1].agreeToRunItMultiple = () => new Promise(() => {});
+    engine = createEngine({
+      runItTimes: 2,
+      simulationMode: false,
+      timeout: 50,
+    });
+    const runs = [];
+    engine.on('board:run-multiple', (data) => runs.push(data));
+    await engine.start();
+    expect(engine.phase).toBe(GamePhase.ENDED);
+    expect(runs).toEqual([]);
+  });
+
+  it('should only run as many boards as the deck can complete', async () => {
+    // Two boards use all 16 cards left after the hole cards
+    engine = createEngine({ runItTimes: 3 });
+    let complete = null;
+    engine.on('hand:complete', (data) => {
+      complete = data;
+    });
+
+    await engine.start();
+
+    expect(players[1].runItRequests.map((r) => r.times)).toEqual([2]);
+    expect(complete.boards).toHaveLength(2);
+  });
+
+  it('should give odd chips to the first board', () => {
+    engine = createEngine({ runItTimes: 3 });
+    engine.initializeHand();
+    engine.potManager.pots[0].amount = 101;
+    const hand = (player, board) => engine.evaluateShowdownHand(player, board);
+    const board = ['2h', '3c', '7s', '9h', 'Jc'].map((s) => ({
+      rank: s[0],
+      suit: s[1],
+      toString: () => s,
+    }));
+
+    const payouts = engine.potManager.calculateMultiBoardPayouts(
+      [0, 1, 2].map(() => players.map((p) => hand(p, board))),
+    );
+
+    expect(payouts.get(players[0])).toBe(101);
+    expect(engine.potManager.potResults.map((r) => r.amount)).toEqual([
+      34, 34, 33,
+    ]);
+  });
+
+  it('should reject runItTimes below one', () => {
+    expect(() => createEngine({ runItTimes: 0 })).toThrow(
+      'runItTimes must be at least 1',
+    );
+  });
+
+  it('should pass runItTimes from Table to the engine', () => {
+    const table = new Table({
+      blinds: { small: 10, big: 20 },
+      runItTimes: 2,
+      simulationMode: true,
+    });
+    for (const player of players) {
+      table.addPlayer(player);
+    }
+
+    engine = table.createGameEngine(
+      players,
+      table.calculateDeadButtonPositions(),
+    );
+    expect(engine.runItTimes).toBe(2);
+    expect(table.getInfo().runItTimes).toBe(2);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { GameEngine } from './GameEngine.js';
+import { RiggedDeck } from './RiggedDeck.js';
+import { Table } from '../Table.js';
+import { GamePhase, HandRank } from '../types/index.js';
+import { Variants } from '../constants.js';
+import { ScriptedPlayer } from '../test-utils/index.js';
+
+describe("GameEngine - Short-deck Hold'em", () => {
+  let players;
+  let engine;
+
+  beforeEach(() => {
+    players = ['alice', 'bob'].map((id) => {
+      const player = new ScriptedPlayer({ id });
+      player.buyIn(1000);
+      return player;
+    });
+  });
+
+  afterEach(() => {
+    if (engine && engine.phase !== GamePhase.ENDED) {
+      engine.abort();
+    }
+  });
+
+  it('should deal from a 36-card deck by default', () => {
+    engine = new GameEngine({
+      players,
+      variant: Variants.SHORT_DECK_HOLDEM,
+      blinds: { small: 10, big: 20 },
+      simulationMode: true,
+    });
+    engine.initializeHand();
+
+    expect(engine.deck.getRemaining()).toBe(36 - 4);
+  });
+
+  it('should award the pot to a flush over a full house', async () => {
+    const deck = RiggedDeck.createAlternatingDeck({
+      holeCards: [
+        ['Ah', '6h'],
+        ['Kc', 'Kd'],
+      ],
+      burn: ['6c', '6d', '6s'],
+      flop: ['Kh', '7h', '7c'],
+      turn: 'Th',
+      river: '9s',
+    });
+    engine = new GameEngine({
+      players,
+      variant: Variants.SHORT_DECK_HOLDEM,
+      blinds: { small: 10, big: 20 },
+      dealerButton: 0,
+      deck,
+      simulationMode: true,
+    });
+
+    let complete = null;
+    engine.on('hand:complete', (data) => {
+      complete = data;
+    });
+
+    await engine.start();
+
+    expect(complete.winners).toHaveLength(1);
+    expect(complete.winners[0].playerId).toBe('alice');
+    expect(complete.winners[0].handRank).toBe(HandRank.FLUSH);
+    expect(complete.winners[0].handDescription).toBe('Flush, Ah High');
+    expect(players.map((p) => p.chips)).toEqual([1020, 980]);
+  });
+
+  it('should build a short deck for short-deck tables', () => {
+    const table = new Table({
+      variant: Variants.SHORT_DECK_HOLDEM,
+      shortDeck: { tripsBeatStraight: false },
+      blinds: { small: 10, big: 20 },
+      simulationMode: true,
+    });
+    for (const player of players) {
+      table.addPlayer(player);
+    }
+
+    expect(table.deck.getRemaining()).toBe(36);
+    engine = table.createGameEngine(
+      players,
+      table.calculateDeadButtonPositions(),
+    );
+    expect(engine.isShortDeck).toBe(true);
+    expect(engine.shortDeck.tripsBeatStraight).toBe(false);
+  });
+});
@@ -2,6 +2,9 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { GameEngine } from './GameEngine.js';
 import { Action, PlayerState } from '../types/index.js';
 import { Player } from '../Player.js';
+import { Deck } from './Deck.js';
+import { RiggedDeck } from './RiggedDeck.js';
+import { createSeededRandom } from '../utils/random.js';
 
 // Mock player class for testing
 class MockPlayer extends Player {
@@ -187,6 +190,93 @@ describe('GameEngine', () => {
       // Restore original implementation
       promptSpy.mockRestore();
     });
+
+    it('should report the hand seed and deal the same cards from it', () => {
+      const dealWithSeed = (seed, config = {}) => {
+        const engine = new GameEngine({
+          players: mockPlayers,
+          blinds: { small: 10, big: 20 },
+          dealerButton: 0,
+          seed,
+          ...config,
+        });
+        const started = vi.fn();
+        engine.on('hand:started', started);
+        vi.spyOn(engine, 'promptNextPlayer').mockResolvedValue();
+        engine.start();
+        engine.abort();
+        return {
+          seed: started.mock.calls[0][0].seed,
+          cards: [...engine.playerHands.values()].flat().map(String),
+        };
+      };
+
+      const first = dealWithSeed('issue-42');
+      expect(first.seed).toEqual(expect.any(Number));
+      expect(dealWithSeed(first.seed)).toEqual(first);
+      expect(dealWithSeed(first.seed + 1).cards).not.toEqual(first.cards);
+
+      // Without a seed only simulations pick one - live hands stay unseeded
+      expect(dealWithSeed(undefined).seed).toBeNull();
+      expect(dealWithSeed(undefined, { simulationMode: true }).seed).toEqual(
+        expect.any(Number),
+      );
+    });
+
+    it('should not derive an unseeded hand seed from the previous hand', () => {
+      const deck = new Deck();
+      const createEngine = () =>
+        new GameEngine({
+          players: mockPlayers,
+          blinds: { small: 10, big: 20 },
+          dealerButton: 0,
+          deck,
+          simulationMode: true,
+        });
+
+      // The deck is left holding the last hand's seeded generator
+      const previous = createEngine().seedDeck();
+      const predictable = Math.floor(
+        createSeededRandom(previous)() * 0x100000000,
+      );
+
+      const seed = createEngine().seedDeck();
+      expect(seed).toEqual(expect.any(Number));
+      expect(seed).not.toBe(predictable);
+      expect(seed).not.toBe(previous);
+      expect(deck.seed).toBe(seed);
+    });
+
+    it('should keep the seed of a deck built with one', () => {
+      const deck = new Deck({ seed: 42 });
+      const engine = new GameEngine({
+        players: mockPlayers,
+        blinds: { small: 10, big: 20 },
+        dealerButton: 0,
+        deck,
+        simulationMode: true,
+      });
+
+      expect(engine.seedDeck()).toBeNull();
+      expect(deck.seed).toBe(42);
+    });
+
+    it('should not seed a rigged deck', () => {
+      const deck = new RiggedDeck({ cards: ['As', 'Kd', 'Qh', 'Jc'] });
+      const setSeed = vi.spyOn(deck, 'setSeed');
+      const engine = new GameEngine({
+        players: mockPlayers,
+        blinds: { small: 10, big: 20 },
+        dealerButton: 0,
+        deck,
+        simulationMode: true,
+        seed: 7,
+      });
+
+      expect(engine.seedDeck()).toBeNull();
+      expect(setSeed).not.toHaveBeenCalled();
+      expect(deck.seed).toBeNull();
+    });
   });
 
   describe('player actions', () => {
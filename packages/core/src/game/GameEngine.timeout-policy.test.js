@@ -0,0 +1,159 @@
+import { describe, it, expect } from 'vitest';
+import { GameEngine } from './GameEngine.js';
+import { Table } from '../Table.js';
+import { Player } from '../Player.js';
+import { Action } from '../types/index.js';
+
+/**
+ * Player that answers after a delay, or never when delay is null
+ */
+class SlowPlayer extends Player {
+  constructor(config) {
+    super(config);
+    this.delay = config.delay;
+  }
+
+  getAction(gameState) {
+    if (this.delay === null) {
+      return new Promise(() => {});
+    }
+    const action =
+      gameState.toCall > 0 ? { action: Action.CALL } : { action: Action.CHECK };
+    if (!this.delay) {
+      return action;
+    }
+    return new Promise((resolve) => {
+      setTimeout(() => resolve(action), this.delay);
+    });
+  }
+}
+
+const createPlayers = (delays) =>
+  Object.entries(delays).map(([id, delay]) => {
+    const player = new SlowPlayer({ id, delay });
+    player.buyIn(1000);
+    return player;
+  });
+
+/**
+ * Play one hand, collecting timeout events and performed actions
+ */
+const playHand = async (players, timeoutPolicy) => {
+  const engine = new GameEngine({
+    players,
+    blinds: { small: 10, big: 20 },
+    dealerButton: 0,
+    timeout: 20,
+    timeoutPolicy,
+  });
+  const events = { timeouts: [], timeBanks: [], actions: [] };
+  engine.on('action:timeout', (data) => events.timeouts.push(data));
+  engine.on('player:timebank', (data) => events.timeBanks.push(data));
+  engine.on('player:action', ({ playerId, action }) =>
+    events.actions.push([playerId, action]),
+  );
+  const complete = new Promise((resolve) => {
+    engine.on('hand:complete', resolve);
+  });
+  await engine.start();
+  await complete;
+  return events;
+};
+
+describe('GameEngine timeout policy', () => {
+  it('should fold a player who times out facing a bet', async () => {
+    // Button alice acts first three-handed
+    const players = createPlayers({ alice: null, bob: 0, carol: 0 });
+    const { timeouts, actions } = await playHand(players);
+
+    expect(timeouts[0]).toEqual({
+      playerId: 'alice',
+      action: Action.FOLD,
+      consecutiveTimeouts: 1,
+      sittingOut: false,
+    });
+    expect(actions[0]).toEqual(['alice', Action.FOLD]);
+  });
+
+  it('should check for a player who times out with nothing to call', async () => {
+    const players = createPlayers({ alice: 0, bob: 0, carol: null });
+    const { timeouts } = await playHand(players);
+
+    // Carol has the big blind option, then times out on every street
+    expect(timeouts.map((t) => t.action)).toEqual([
+      Action.CHECK,
+      Action.CHECK,
+      Action.CHECK,
+      Action.CHECK,
+    ]);
+    expect(players[2].consecutiveTimeouts).toBe(4);
+    expect(players[2].chips).toBeGreaterThan(0);
+  });
+
+  it('should draw on the time bank before timing out', async () => {
+    const players = createPlayers({ alice: 60, bob: 0, carol: 0 });
+    const { timeouts, timeBanks } = await playHand(players, {
+      timeBank: 1000,
+    });
+
+    expect(timeouts).toEqual([]);
+    expect(timeBanks[0]).toEqual({ playerId: 'alice', timeBank: 1000 });
+    expect(players[0].timeBank).toBeLessThan(1000);
+    expect(players[0].timeBank).toBeGreaterThan(0);
+  });
+
+  it('should time out once the time bank is spent', async () => {
+    const players = createPlayers({ alice: null, bob: 0, carol: 0 });
+    const { timeouts, timeBanks } = await playHand(players, { timeBank: 30 });
+
+    expect(timeBanks).toEqual([{ playerId: 'alice', timeBank: 30 }]);
+    expect(timeouts[0].action).toBe(Action.FOLD);
+    expect(players[0].timeBank).toBe(0);
+  });
+
+  it('should reject invalid policies', () => {
+    expect(
+      () =>
+        new GameEngine({
+          players: createPlayers({ alice: 0, bob: 0 }),
+          blinds: { small: 10, big: 20 },
+          timeoutPolicy: { timeBank: -5 },
+        }),
+    ).toThrow('time bank must be non-negative, got -5');
+  });
+
+  it('should sit a player out at the table after repeated timeouts', async () => {
+    const table = new Table({
+      blinds: { small: 10, big: 20 },
+      timeout: 20,
+      timeoutPolicy: { sitOutAfter: 2 },
+    });
+    const players = createPlayers({ alice: 0, bob: 0, carol: null });
+    players.forEach((player) => table.addPlayer(player));
+
+    const timeouts = [];
+    table.on('action:timeout', (data) => timeouts.push(data));
+    const playTableHand = async () => {
+      const ended = new Promise((resolve) => {
+        table.on('hand:ended', resolve);
+      });
+      await table.tryStartGame();
+      await ended;
+      table.removeAllListeners('hand:ended');
+    };
+
+    await playTableHand();
+    expect(timeouts.length).toBeGreaterThanOrEqual(2);
+    expect(timeouts[1].sittingOut).toBe(true);
+    expect(players[2].sittingOut).toBe(true);
+
+    // Carol keeps her seat but is not dealt in
+    let dealtIn = null;
+    table.on('hand:started', ({ players: ids }) => {
+      dealtIn = ids;
+    });
+    await playTableHand();
+    expect(dealtIn).toEqual(['alice', 'bob']);
+    expect(table.players.has('carol')).toBe(true);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { HandEvaluator } from './HandEvaluator.js';
+
+// Helper to create card objects from strings like 'As'
+const cards = (...strs) =>
+  strs.map((str) => ({
+    rank: str[0],
+    suit: str[1],
+    toString() {
+      return `${this.rank}${this.suit}`;
+    },
+  }));
+
+describe('HandEvaluator - Eight-or-better low', () => {
+  it('should make the best low from the five lowest ranks', () => {
+    const low = HandEvaluator.evaluateLow(
+      cards('Ah', '2c', '3d', '4s', '5h', '8c', 'Kd'),
+    );
+
+    // The wheel is the best possible low - straights do not count against it
+    expect(low.ranks).toEqual([5, 4, 3, 2, 1]);
+    expect(low.description).toBe('5-4-3-2-A');
+  });
+
+  it('should ignore pairs and cards above eight', () => {
+    const low = HandEvaluator.evaluateLow(
+      cards('2h', '2c', '4d', '6s', '7h', '8c', '9d'),
+    );
+    expect(low.description).toBe('8-7-6-4-2');
+
+    expect(
+      HandEvaluator.evaluateLow(
+        cards('2h', '2c', '4d', '6s', '9h', 'Tc', 'Jd'),
+      ),
+    ).toBeNull();
+  });
+
+  it('should compare lows from the highest card down', () => {
+    const sevenFive = HandEvaluator.evaluateLow(
+      cards('7h', '5c', '3d', '2s', 'Ah'),
+    );
+    const sevenSix = HandEvaluator.evaluateLow(
+      cards('7h', '6c', '5d', '4s', '2h'),
+    );
+    const eight = HandEvaluator.evaluateLow(
+      cards('8h', '3c', '2d', 'As', '4h'),
+    );
+
+    expect(HandEvaluator.compareLow(sevenFive, sevenSix)).toBeGreaterThan(0);
+    expect(HandEvaluator.compareLow(eight, sevenSix)).toBeLessThan(0);
+    expect(HandEvaluator.compareLow(sevenFive, sevenFive)).toBe(0);
+  });
+
+  it('should build an Omaha low from exactly two hole cards', () => {
+    // Four low hole cards but only two low board cards - no low
+    expect(
+      HandEvaluator.evaluateOmahaLow(
+        cards('Ah', '2c', '3d', '4s'),
+        cards('5h', '6c', 'Kd', 'Ks', 'Qh'),
+      ),
+    ).toBeNull();
+
+    const low = HandEvaluator.evaluateOmahaLow(
+      cards('Ah', '3c', 'Qd', 'Qs'),
+      cards('2c', '5d', '7h', 'Kd', 'Ks'),
+    );
+    expect(low.description).toBe('7-5-3-2-A');
+  });
+
+  it('should find every player tied for the best low', () => {
+    const hands = [
+      {
+        id: 'a',
+        lowHand: HandEvaluator.evaluateLow(cards('7h', '5c', '3d', '2s', 'Ah')),
+      },
+      {
+        id: 'b',
+        lowHand: HandEvaluator.evaluateLow(cards('7d', '5s', '3c', '2h', 'Ad')),
+      },
+      {
+        id: 'c',
+        lowHand: HandEvaluator.evaluateLow(cards('8d', '5s', '3c', '2h', 'Ad')),
+      },
+      { id: 'd', lowHand: null },
+    ];
+
+    expect(HandEvaluator.findLowWinners(hands).map((h) => h.id)).toEqual([
+      'a',
+      'b',
+    ]);
+    expect(HandEvaluator.findLowWinners([hands[3]])).toEqual([]);
+  });
+});
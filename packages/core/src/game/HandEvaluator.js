@@ -1,15 +1,70 @@
 import pkg from 'pokersolver';
 const { Hand } = pkg;
 import { HandRank } from '../types/index.js';
+import { HandEvaluators } from '../constants.js';
 import { LRUCache, createCardKey } from '../utils/performance.js';
+import { BitmaskEvaluator } from './BitmaskEvaluator.js';
+import { EquityCalculator } from './EquityCalculator.js';
 
 // Global cache for hand evaluations
 const evaluationCache = new LRUCache(10000);
 
+// Evaluator used by evaluate(), findWinners() and compareHands()
+let activeEvaluator = HandEvaluators.NATIVE;
+
+// Short-deck hand order: flush beats full house, and by default trips beat
+// a straight. Values replace HandRank when comparing short-deck hands.
+const SHORT_DECK_STRENGTH = {
+  [HandRank.HIGH_CARD]: 1,
+  [HandRank.PAIR]: 2,
+  [HandRank.TWO_PAIR]: 3,
+  [HandRank.STRAIGHT]: 4,
+  [HandRank.THREE_OF_A_KIND]: 5,
+  [HandRank.FULL_HOUSE]: 6,
+  [HandRank.FLUSH]: 7,
+  [HandRank.FOUR_OF_A_KIND]: 8,
+  [HandRank.STRAIGHT_FLUSH]: 9,
+  [HandRank.ROYAL_FLUSH]: 10,
+};
+
+// Rule variant where a straight still beats three of a kind
+const SHORT_DECK_STRAIGHT_OVER_TRIPS = {
+  ...SHORT_DECK_STRENGTH,
+  [HandRank.THREE_OF_A_KIND]: 4,
+  [HandRank.STRAIGHT]: 5,
+};
+
+// Ace plays low only in A-6-7-8-9, the lowest short-deck straight
+const SHORT_DECK_WHEEL = [14, 9, 8, 7, 6];
+
 /**
  * Evaluates and compares poker hands using pokersolver library
  */
 export class HandEvaluator {
+  /**
+   * Choose the hand evaluator implementation
+   * The native bitmask evaluator is the default; pokersolver is kept for
+   * comparison and benchmarking. Clears the evaluation cache.
+   * @param {Object} options
+   * @param {string} options.evaluator - One of HandEvaluators
+   */
+  static configure({ evaluator } = {}) {
+    if (!Object.values(HandEvaluators).includes(evaluator)) {
+      throw new Error(
+        `Invalid hand evaluator: ${evaluator}. Must be one of: ${Object.values(HandEvaluators).join(', ')}`,
+      );
+    }
+    activeEvaluator = evaluator;
+    evaluationCache.clear();
+  }
+
+  /**
+   * @returns {string} The configured evaluator (one of HandEvaluators)
+   */
+  static getEvaluator() {
+    return activeEvaluator;
+  }
+
   /**
    * Convert our card to pokersolver format
    * Since we now use pokersolver format natively, just return toString()
@@ -50,6 +105,11 @@ export class HandEvaluator {
       throw new Error('Need at least 5 cards to evaluate');
     }
 
+    // The native evaluator is cheaper than building a cache key
+    if (activeEvaluator === HandEvaluators.NATIVE) {
+      return BitmaskEvaluator.evaluate(cards);
+    }
+
     // Check cache first
     const cacheKey = createCardKey(cards);
     const cached = evaluationCache.get(cacheKey);
@@ -118,6 +178,12 @@ export class HandEvaluator {
     // Check if hands are already evaluated (have .hand property) or need evaluation (.cards property)
     const needsEvaluation = playerHands[0].hand === undefined;
 
+    if (needsEvaluation && activeEvaluator === HandEvaluators.NATIVE) {
+      return this.findWinners(
+        playerHands.map((ph) => ({ ...ph, hand: this.evaluate(ph.cards) })),
+      );
+    }
+
     if (needsEvaluation) {
       // Original logic for unevaluated hands
       // Convert all hands to pokersolver format
@@ -170,58 +236,20 @@ export class HandEvaluator {
       return winners;
     } else {
       // New logic for already evaluated hands
-      // Sort hands by rank (descending) and find the best rank
-      const sortedHands = [...playerHands].sort((a, b) => {
-        // First compare by hand rank
-        if (b.hand.rank !== a.hand.rank) {
-          return b.hand.rank - a.hand.rank;
-        }
-
-        // If same rank, compare kickers
-        for (
-          let i = 0;
-          i < Math.min(a.hand.kickers.length, b.hand.kickers.length);
-          i++
-        ) {
-          if (b.hand.kickers[i] !== a.hand.kickers[i]) {
-            return b.hand.kickers[i] - a.hand.kickers[i];
-          }
-        }
-
-        return 0; // Tie
-      });
+      // Sort hands by strength (descending) and collect everyone tied with the best
+      const sortedHands = [...playerHands].sort((a, b) =>
+        this.compareEvaluated(b.hand, a.hand),
+      );
 
       const bestHand = sortedHands[0];
       const winners = [];
 
       // Find all players with the same hand strength
       for (const playerHand of sortedHands) {
-        // Check if this hand is equal to the best hand
-        if (playerHand.hand.rank === bestHand.hand.rank) {
-          // Check if all kickers match
-          let isEqual = true;
-          for (
-            let i = 0;
-            i <
-            Math.min(
-              playerHand.hand.kickers.length,
-              bestHand.hand.kickers.length,
-            );
-            i++
-          ) {
-            if (playerHand.hand.kickers[i] !== bestHand.hand.kickers[i]) {
-              isEqual = false;
-              break;
-            }
-          }
-
-          if (isEqual) {
-            winners.push(playerHand);
-          } else {
-            break; // No more winners possible since we're sorted
-          }
+        if (this.compareEvaluated(playerHand.hand, bestHand.hand) === 0) {
+          winners.push(playerHand);
         } else {
-          break; // No more winners possible
+          break; // No more winners possible since we're sorted
         }
       }
 
@@ -229,11 +257,299 @@ export class HandEvaluator {
     }
   }
 
+  /**
+   * Compare two already evaluated hands (results of evaluate())
+   * @param {Object} hand1 - Evaluated hand with rank (or strength) and kickers
+   * @param {Object} hand2 - Evaluated hand with rank (or strength) and kickers
+   * @returns {number} Positive if hand1 is stronger, negative if hand2 is, 0 for a tie
+   */
+  static compareEvaluated(hand1, hand2) {
+    // Short-deck hands carry their own category order in `strength`
+    const strength1 = hand1.strength ?? hand1.rank;
+    const strength2 = hand2.strength ?? hand2.rank;
+    if (strength1 !== strength2) {
+      return strength1 - strength2;
+    }
+
+    for (
+      let i = 0;
+      i < Math.min(hand1.kickers.length, hand2.kickers.length);
+      i++
+    ) {
+      if (hand1.kickers[i] !== hand2.kickers[i]) {
+        return hand1.kickers[i] - hand2.kickers[i];
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Evaluate an Omaha hand
+   * The best hand must use exactly two hole cards and three board cards
+   * @param {Object[]} holeCards - Player's hole cards (4 for PLO)
+   * @param {Object[]} board - Community cards (3-5)
+   * @returns {Object} Best evaluated hand, same shape as evaluate()
+   */
+  static evaluateOmaha(holeCards, board) {
+    if (holeCards.length < 2 || board.length < 3) {
+      throw new Error(
+        'Omaha needs at least 2 hole cards and 3 board cards to evaluate',
+      );
+    }
+
+    let best = null;
+    for (const holePair of this.combinations(holeCards, 2)) {
+      for (const boardTriple of this.combinations(board, 3)) {
+        const hand = this.evaluate([...holePair, ...boardTriple]);
+        if (!best || this.compareEvaluated(hand, best) > 0) {
+          best = hand;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Evaluate a short-deck (6+) hand
+   * Pokersolver only knows standard rankings, so short-deck hands are ranked
+   * here: A-6-7-8-9 is a straight and a flush beats a full house.
+   * The result has the same shape as evaluate() plus a `strength` that
+   * compareEvaluated() uses instead of `rank`; `rank` stays the HandRank
+   * category so descriptions and handRank remain consistent.
+   * @param {Object[]} cards - Cards to choose five from
+   * @param {Object} [options]
+   * @param {boolean} [options.tripsBeatStraight=true] - Rank three of a kind above a straight
+   * @returns {Object} Best evaluated hand
+   */
+  static evaluateShortDeck(cards, { tripsBeatStraight = true } = {}) {
+    if (cards.length < 5) {
+      throw new Error('Need at least 5 cards to evaluate');
+    }
+
+    const cacheKey = `short-deck:${tripsBeatStraight}:${createCardKey(cards)}`;
+    const cached = evaluationCache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const strengths = tripsBeatStraight
+      ? SHORT_DECK_STRENGTH
+      : SHORT_DECK_STRAIGHT_OVER_TRIPS;
+
+    let best = null;
+    for (const combo of this.combinations(cards, 5)) {
+      const hand = this.rankShortDeckFive(combo);
+      hand.strength = strengths[hand.rank];
+      if (!best || this.compareEvaluated(hand, best) > 0) {
+        best = hand;
+      }
+    }
+
+    evaluationCache.set(cacheKey, best);
+    return best;
+  }
+
+  /**
+   * Classify exactly five cards with short-deck straights
+   * @param {Object[]} cards - Five cards
+   * @returns {Object} { rank, kickers, cards, description }
+   */
+  static rankShortDeckFive(cards) {
+    const valued = cards.map((card) => ({
+      card,
+      value: this.getRankValue(card.rank),
+    }));
+
+    // Group by rank: larger groups first, then higher ranks
+    const groups = new Map();
+    for (const entry of valued) {
+      if (!groups.has(entry.value)) {
+        groups.set(entry.value, []);
+      }
+      groups.get(entry.value).push(entry);
+    }
+    const ordered = Array.from(groups.values()).sort(
+      (a, b) => b.length - a.length || b[0].value - a[0].value,
+    );
+    const counts = ordered.map((group) => group.length);
+
+    const isFlush = cards.every((card) => card.suit === cards[0].suit);
+    const distinct = ordered.map((group) => group[0].value);
+    const isWheel =
+      counts.length === 5 &&
+      SHORT_DECK_WHEEL.every((value) => distinct.includes(value));
+    const isStraight =
+      isWheel || (counts.length === 5 && distinct[0] - distinct[4] === 4);
+
+    let rank;
+    if (isStraight && isFlush) {
+      rank =
+        distinct[0] === 14 && !isWheel
+          ? HandRank.ROYAL_FLUSH
+          : HandRank.STRAIGHT_FLUSH;
+    } else if (counts[0] === 4) {
+      rank = HandRank.FOUR_OF_A_KIND;
+    } else if (counts[0] === 3 && counts[1] === 2) {
+      rank = HandRank.FULL_HOUSE;
+    } else if (isFlush) {
+      rank = HandRank.FLUSH;
+    } else if (isStraight) {
+      rank = HandRank.STRAIGHT;
+    } else if (counts[0] === 3) {
+      rank = HandRank.THREE_OF_A_KIND;
+    } else if (counts[0] === 2 && counts[1] === 2) {
+      rank = HandRank.TWO_PAIR;
+    } else if (counts[0] === 2) {
+      rank = HandRank.PAIR;
+    } else {
+      rank = HandRank.HIGH_CARD;
+    }
+
+    // The wheel's ace plays low, below the six
+    let entries = ordered.flat();
+    if (isWheel) {
+      entries = [...entries.slice(1), { ...entries[0], value: 5 }];
+    }
+
+    return {
+      rank,
+      kickers: entries.map((entry) => entry.value),
+      cards: entries.map((entry) => entry.card),
+      description: BitmaskEvaluator.describe(rank, entries),
+    };
+  }
+
+  /**
+   * Evaluate the best eight-or-better low hand
+   * Aces are low and straights and flushes do not count against a low
+   * @param {Object[]} cards - Cards to choose five from
+   * @returns {Object|null} { ranks, cards, description } with ranks from
+   *   highest to lowest (ace = 1), or null if no low qualifies
+   */
+  static evaluateLow(cards) {
+    // One card per rank, eight or lower
+    const byRank = new Map();
+    for (const card of cards) {
+      const value = card.rank === 'A' ? 1 : this.getRankValue(card.rank);
+      if (value <= 8 && !byRank.has(value)) {
+        byRank.set(value, card);
+      }
+    }
+
+    if (byRank.size < 5) {
+      return null;
+    }
+
+    // The five lowest distinct ranks always make the best low
+    const ranks = Array.from(byRank.keys())
+      .sort((a, b) => a - b)
+      .slice(0, 5)
+      .reverse();
+
+    return {
+      ranks,
+      cards: ranks.map((rank) => byRank.get(rank)),
+      description: ranks.map((rank) => (rank === 1 ? 'A' : rank)).join('-'),
+    };
+  }
+
+  /**
+   * Evaluate the best Omaha eight-or-better low
+   * Like the high hand, the low must use exactly two hole cards and three board cards
+   * @param {Object[]} holeCards - Player's hole cards
+   * @param {Object[]} board - Community cards (3-5)
+   * @returns {Object|null} Best low, same shape as evaluateLow()
+   */
+  static evaluateOmahaLow(holeCards, board) {
+    let best = null;
+    for (const holePair of this.combinations(holeCards, 2)) {
+      for (const boardTriple of this.combinations(board, 3)) {
+        const low = this.evaluateLow([...holePair, ...boardTriple]);
+        if (low && (!best || this.compareLow(low, best) > 0)) {
+          best = low;
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Compare two low hands (results of evaluateLow())
+   * @param {Object} low1 - First low hand
+   * @param {Object} low2 - Second low hand
+   * @returns {number} Positive if low1 is better (lower), negative if low2 is, 0 for a tie
+   */
+  static compareLow(low1, low2) {
+    for (let i = 0; i < low1.ranks.length; i++) {
+      const diff = low2.ranks[i] - low1.ranks[i];
+      if (diff !== 0) {
+        return diff;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Find the best low hand(s) among player hands
+   * @param {Array} playerHands - Player hand objects with a lowHand property
+   * @returns {Array} Player hands tied for the best low (empty if no low qualifies)
+   */
+  static findLowWinners(playerHands) {
+    const qualifying = playerHands.filter((ph) => ph.lowHand);
+    if (qualifying.length === 0) {
+      return [];
+    }
+
+    const sorted = [...qualifying].sort((a, b) =>
+      this.compareLow(b.lowHand, a.lowHand),
+    );
+    return sorted.filter(
+      (ph) => this.compareLow(ph.lowHand, sorted[0].lowHand) === 0,
+    );
+  }
+
+  /**
+   * Get all k-sized combinations of an array, preserving order
+   * @param {Array} items - Source items
+   * @param {number} k - Combination size
+   * @returns {Array<Array>} All combinations
+   */
+  static combinations(items, k) {
+    const result = [];
+    const combo = [];
+
+    const build = (start) => {
+      if (combo.length === k) {
+        result.push([...combo]);
+        return;
+      }
+      for (let i = start; i <= items.length - (k - combo.length); i++) {
+        combo.push(items[i]);
+        build(i + 1);
+        combo.pop();
+      }
+    };
+
+    build(0);
+    return result;
+  }
+
   /**
    * Compare two hands
    * Returns: 1 if hand1 wins, -1 if hand2 wins, 0 if tie
    */
   static compareHands(hand1, hand2) {
+    if (activeEvaluator === HandEvaluators.NATIVE) {
+      return Math.sign(
+        this.compareEvaluated(
+          this.evaluate(hand1.cards),
+          this.evaluate(hand2.cards),
+        ),
+      );
+    }
+
     // Convert to pokersolver format and compare
     const cards1 = hand1.cards.map((card) =>
       this.cardToPokersolverFormat(card),
@@ -256,6 +572,23 @@ export class HandEvaluator {
     }
   }
 
+  /**
+   * Calculate win/tie/equity percentages for each player
+   * Exhaustive when every runout can be enumerated cheaply, seeded Monte
+   * Carlo otherwise. See EquityCalculator.calculate for all options.
+   * @example
+   * HandEvaluator.calculateEquity({
+   *   players: [{ id: 'hero', cards: ['As', 'Ks'] }, { id: 'villain', range: 'TT+, AQs+' }],
+   *   board: ['Kd', '7c', '2h'],
+   * });
+   * @param {Object} options - Players (cards or range), board, dead cards, iterations, seed
+   * @returns {Object} { method, trials, seed, players: [{ id, win, tie, equity }] }
+   *   with percentages rounded to two decimal places
+   */
+  static calculateEquity(options) {
+    return EquityCalculator.calculate(options, HandEvaluator);
+  }
+
   /**
    * Get numeric value for rank (for compatibility)
    */
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { HandEvaluator } from './HandEvaluator.js';
+import { HandRank } from '../types/index.js';
+
+// Helper to create card objects from strings like 'As'
+const cards = (...strs) =>
+  strs.map((str) => ({
+    rank: str[0],
+    suit: str[1],
+    toString() {
+      return `${this.rank}${this.suit}`;
+    },
+  }));
+
+describe('HandEvaluator - Omaha', () => {
+  it('should not make a flush from four suited hole cards and one suited board card', () => {
+    const hole = cards('Ah', 'Kh', 'Qh', 'Jh');
+    const board = cards('2h', '7c', '8d', '9s', 'Ts');
+
+    // Hold'em rules would find the heart flush
+    expect(HandEvaluator.evaluate([...hole, ...board]).rank).toBe(
+      HandRank.FLUSH,
+    );
+
+    // Omaha must use exactly two hole cards: Q-J with 8-9-T
+    const hand = HandEvaluator.evaluateOmaha(hole, board);
+    expect(hand.rank).toBe(HandRank.STRAIGHT);
+    expect(hand.description).toBe('Straight, Q High');
+  });
+
+  it('should not play quads on the board', () => {
+    const hole = cards('2c', '3c', '4c', '5d');
+    const board = cards('As', 'Ad', 'Ac', 'Ah', 'Kd');
+
+    const hand = HandEvaluator.evaluateOmaha(hole, board);
+    expect(hand.rank).toBe(HandRank.THREE_OF_A_KIND);
+    expect(hand.cards).toHaveLength(5);
+  });
+
+  it('should use exactly two hole cards when a single hole card would play better', () => {
+    // One ace in hand cannot make a full house with the trips on board
+    const hole = cards('Ac', '2d', '7s', '8h');
+    const board = cards('Kh', 'Kd', 'Ks', 'Qc', '3h');
+
+    const hand = HandEvaluator.evaluateOmaha(hole, board);
+    expect(hand.rank).toBe(HandRank.THREE_OF_A_KIND);
+    expect(hand.description).toBe("Three of a Kind, K's");
+  });
+
+  it('should find the best combination across all hole pairs', () => {
+    const hole = cards('As', 'Ks', '9d', '9c');
+    const board = cards('9h', '4s', '2s', 'Jd', '4c');
+
+    // Set of nines plus the board pair beats the nut flush draw that missed
+    const hand = HandEvaluator.evaluateOmaha(hole, board);
+    expect(hand.rank).toBe(HandRank.FULL_HOUSE);
+  });
+
+  it('should compare evaluated hands by rank then kickers', () => {
+    const aceHigh = HandEvaluator.evaluate(cards('Ad', 'Kc', '9h', '7s', '5d'));
+    const kingHigh = HandEvaluator.evaluate(
+      cards('Kd', 'Qc', '9h', '7s', '5d'),
+    );
+
+    expect(HandEvaluator.compareEvaluated(aceHigh, kingHigh)).toBeGreaterThan(
+      0,
+    );
+    expect(HandEvaluator.compareEvaluated(kingHigh, aceHigh)).toBeLessThan(0);
+    expect(HandEvaluator.compareEvaluated(aceHigh, aceHigh)).toBe(0);
+  });
+
+  it('should generate all combinations', () => {
+    expect(HandEvaluator.combinations([1, 2, 3, 4], 2)).toHaveLength(6);
+    expect(HandEvaluator.combinations([1, 2, 3, 4, 5], 3)).toHaveLength(10);
+  });
+
+  it('should reject incomplete boards', () => {
+    expect(() =>
+      HandEvaluator.evaluateOmaha(cards('As', 'Ks', 'Qs', 'Js'), cards('2h')),
+    ).toThrow('Omaha needs at least 2 hole cards and 3 board cards');
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { HandEvaluator } from './HandEvaluator.js';
+import { HandRank } from '../types/index.js';
+
+// Helper to create card objects from strings like 'As'
+const cards = (...strs) =>
+  strs.map((str) => ({
+    rank: str[0],
+    suit: str[1],
+    toString() {
+      return `${this.rank}${this.suit}`;
+    },
+  }));
+
+describe('HandEvaluator - Short-deck rankings', () => {
+  it('should count A-6-7-8-9 as the lowest straight', () => {
+    const wheel = HandEvaluator.evaluateShortDeck(
+      cards('Ah', '6c', '7d', '8s', '9h', 'Kc', 'Jd'),
+    );
+    expect(wheel.rank).toBe(HandRank.STRAIGHT);
+    expect(wheel.description).toBe('Straight, 9 High');
+    expect(wheel.cards.map(String)).toEqual(['9h', '8s', '7d', '6c', 'Ah']);
+
+    const tenHigh = HandEvaluator.evaluateShortDeck(
+      cards('6h', '7c', '8d', '9s', 'Th', 'Kc', 'Jd'),
+    );
+    expect(HandEvaluator.compareEvaluated(tenHigh, wheel)).toBeGreaterThan(0);
+  });
+
+  it('should rank a flush above a full house', () => {
+    const flush = HandEvaluator.evaluateShortDeck(
+      cards('Ah', 'Th', '8h', '7h', '6h', 'Kc', 'Kd'),
+    );
+    const fullHouse = HandEvaluator.evaluateShortDeck(
+      cards('Kh', 'Kc', 'Kd', '7s', '7c', '6d', '9s'),
+    );
+
+    expect(flush.rank).toBe(HandRank.FLUSH);
+    expect(flush.description).toBe('Flush, Ah High');
+    expect(fullHouse.description).toBe("Full House, K's over 7's");
+    expect(HandEvaluator.compareEvaluated(flush, fullHouse)).toBeGreaterThan(0);
+  });
+
+  it('should rank trips above a straight unless configured otherwise', () => {
+    const trips = cards('8h', '8c', '8d', 'Ks', 'Jc');
+    const straight = cards('6h', '7c', '8d', '9s', 'Tc');
+
+    const tripsHand = HandEvaluator.evaluateShortDeck(trips);
+    const straightHand = HandEvaluator.evaluateShortDeck(straight);
+    expect(
+      HandEvaluator.compareEvaluated(tripsHand, straightHand),
+    ).toBeGreaterThan(0);
+
+    const options = { tripsBeatStraight: false };
+    expect(
+      HandEvaluator.compareEvaluated(
+        HandEvaluator.evaluateShortDeck(trips, options),
+        HandEvaluator.evaluateShortDeck(straight, options),
+      ),
+    ).toBeLessThan(0);
+  });
+
+  it('should describe hands the same way as the standard evaluator', () => {
+    const hands = [
+      ['Ah', 'Kh', 'Qh', 'Jh', 'Th'],
+      ['Th', '9h', '8h', '7h', '6h'],
+      ['7s', '7d', '7c', '7h', '6d'],
+      ['Ts', 'Td', '7c', '7h', '6d'],
+      ['Ts', 'Td', 'Ac', '7h', '6d'],
+      ['As', 'Kd', '9c', '7h', '6d'],
+    ];
+
+    for (const hand of hands) {
+      const standard = HandEvaluator.evaluate(cards(...hand));
+      const shortDeck = HandEvaluator.evaluateShortDeck(cards(...hand));
+      expect(shortDeck.rank).toBe(standard.rank);
+      expect(shortDeck.description).toBe(standard.description);
+    }
+  });
+});
@@ -0,0 +1,144 @@
+// Ranks from lowest to highest
+const RANKS = '23456789TJQKA';
+const SUITS = ['h', 'd', 'c', 's'];
+
+/**
+ * Parses Hold'em starting hand ranges such as "AKs, TT+, A5s-A2s, KQo, AhKh"
+ *
+ * Supported notation:
+ * - Pairs: "TT", "TT+" (TT and better), "22-55"
+ * - Suited / offsuit / any: "AKs", "AKo", "AK"
+ * - Kicker ranges: "ATs+" (ATs to AKs), "A2s-A5s"
+ * - Exact hands: "AhKh"
+ */
+export class HandRange {
+  /**
+   * Expand a range into two-card combinations
+   * @param {string} range - Comma or space separated range
+   * @returns {Array<string[]>} Unique combinations, e.g. [['Ah', 'Kh'], ...]
+   */
+  static parse(range) {
+    if (typeof range !== 'string' || range.trim() === '') {
+      throw new Error(`Invalid hand range: ${JSON.stringify(range)}`);
+    }
+
+    const combos = new Map();
+    for (const token of range.split(/[\s,]+/).filter(Boolean)) {
+      for (const combo of this.parseToken(token)) {
+        const key = [...combo].sort().join('');
+        if (!combos.has(key)) {
+          combos.set(key, combo);
+        }
+      }
+    }
+    return Array.from(combos.values());
+  }
+
+  /**
+   * Expand one range token
+   * @param {string} token - e.g. "TT+", "AKs", "A2s-A5s"
+   * @returns {Array<string[]>} Combinations for the token
+   */
+  static parseToken(token) {
+    // Exact hand: AhKh
+    const exact = token.match(/^([2-9TJQKA])([hdcs])([2-9TJQKA])([hdcs])$/);
+    if (exact) {
+      const first = `${exact[1]}${exact[2]}`;
+      const second = `${exact[3]}${exact[4]}`;
+      if (first === second) {
+        throw new Error(`Invalid hand range: "${token}" repeats a card`);
+      }
+      return [[first, second]];
+    }
+
+    // Dash range: 22-55 or A2s-A5s
+    const dash = token.match(
+      /^([2-9TJQKA])([2-9TJQKA])([so]?)-([2-9TJQKA])([2-9TJQKA])([so]?)$/,
+    );
+    if (dash) {
+      const [, high1, low1, kind1, high2, low2, kind2] = dash;
+      if (high1 === low1 && high2 === low2 && !kind1 && !kind2) {
+        return this.pairRange(
+          Math.min(RANKS.indexOf(high1), RANKS.indexOf(high2)),
+          Math.max(RANKS.indexOf(high1), RANKS.indexOf(high2)),
+        );
+      }
+      if (high1 === high2 && kind1 === kind2 && high1 !== low1) {
+        const from = Math.min(RANKS.indexOf(low1), RANKS.indexOf(low2));
+        const to = Math.max(RANKS.indexOf(low1), RANKS.indexOf(low2));
+        if (to < RANKS.indexOf(high1)) {
+          return this.kickerRange(high1, from, to, kind1);
+        }
+      }
+      throw new Error(`Invalid hand range: "${token}"`);
+    }
+
+    // Pair, suited, offsuit or any two ranks, optionally with "+"
+    const hand = token.match(/^([2-9TJQKA])([2-9TJQKA])([so]?)(\+?)$/);
+    if (!hand) {
+      throw new Error(`Invalid hand range: "${token}"`);
+    }
+    const [, first, second, kind, plus] = hand;
+
+    if (first === second) {
+      if (kind) {
+        throw new Error(`Invalid hand range: "${token}" - pairs have no suit`);
+      }
+      const index = RANKS.indexOf(first);
+      return this.pairRange(index, plus ? RANKS.length - 1 : index);
+    }
+
+    // Order as high card then kicker
+    const [high, low] =
+      RANKS.indexOf(first) > RANKS.indexOf(second)
+        ? [first, second]
+        : [second, first];
+    const lowIndex = RANKS.indexOf(low);
+    const to = plus ? RANKS.indexOf(high) - 1 : lowIndex;
+    return this.kickerRange(high, lowIndex, to, kind);
+  }
+
+  /**
+   * All pairs between two rank indexes
+   * @param {number} from - Lowest rank index
+   * @param {number} to - Highest rank index
+   * @returns {Array<string[]>} Pair combinations (6 per rank)
+   */
+  static pairRange(from, to) {
+    const combos = [];
+    for (let index = from; index <= to; index++) {
+      const rank = RANKS[index];
+      for (let i = 0; i < SUITS.length; i++) {
+        for (let j = i + 1; j < SUITS.length; j++) {
+          combos.push([`${rank}${SUITS[i]}`, `${rank}${SUITS[j]}`]);
+        }
+      }
+    }
+    return combos;
+  }
+
+  /**
+   * One high card with a range of kickers
+   * @param {string} high - High card rank
+   * @param {number} from - Lowest kicker rank index
+   * @param {number} to - Highest kicker rank index
+   * @param {string} kind - 's' for suited, 'o' for offsuit, '' for both
+   * @returns {Array<string[]>} Combinations (4 suited, 12 offsuit per kicker)
+   */
+  static kickerRange(high, from, to, kind) {
+    const combos = [];
+    for (let index = from; index <= to; index++) {
+      const low = RANKS[index];
+      for (const highSuit of SUITS) {
+        for (const lowSuit of SUITS) {
+          const suited = highSuit === lowSuit;
+          if ((kind === 's' && !suited) || (kind === 'o' && suited)) {
+            continue;
+          }
+          combos.push([`${high}${highSuit}`, `${low}${lowSuit}`]);
+        }
+      }
+    }
+    return combos;
+  }
+}
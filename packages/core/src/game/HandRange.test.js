@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { HandRange } from './HandRange.js';
+
+describe('HandRange', () => {
+  it('should expand pairs with and without a plus', () => {
+    expect(HandRange.parse('TT')).toHaveLength(6);
+    // TT, JJ, QQ, KK, AA
+    expect(HandRange.parse('TT+')).toHaveLength(30);
+    expect(HandRange.parse('22-44')).toHaveLength(18);
+  });
+
+  it('should expand suited, offsuit and any two cards', () => {
+    const suited = HandRange.parse('AKs');
+    expect(suited).toHaveLength(4);
+    expect(suited.every(([a, b]) => a[1] === b[1])).toBe(true);
+
+    expect(HandRange.parse('AKo')).toHaveLength(12);
+    expect(HandRange.parse('KA')).toHaveLength(16);
+  });
+
+  it('should expand kicker ranges up to the high card', () => {
+    // ATs, AJs, AQs, AKs
+    expect(HandRange.parse('ATs+')).toHaveLength(16);
+    expect(HandRange.parse('A2s-A5s')).toHaveLength(16);
+  });
+
+  it('should combine tokens without duplicates', () => {
+    const combos = HandRange.parse('AKs, AK, AhKh');
+    expect(combos).toHaveLength(16);
+    expect(combos).toContainEqual(['Ah', 'Kh']);
+  });
+
+  it('should reject malformed ranges', () => {
+    expect(() => HandRange.parse('AXs')).toThrow('Invalid hand range: "AXs"');
+    expect(() => HandRange.parse('TTs')).toThrow('pairs have no suit');
+    expect(() => HandRange.parse('')).toThrow('Invalid hand range');
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { PotManager } from './PotManager.js';
+import { Player } from '../Player.js';
+import { PlayerState } from '../types/index.js';
+
+const high = (rank) => ({ rank, description: `Rank ${rank}`, kickers: [] });
+const low = (...ranks) => ({ ranks, description: ranks.join('-') });
+
+describe('PotManager - Hi-Lo', () => {
+  let players;
+  let potManager;
+
+  beforeEach(() => {
+    players = ['p1', 'p2', 'p3'].map((id) => {
+      const player = new Player({ id });
+      player.buyIn(1000);
+      player.state = PlayerState.ACTIVE;
+      return player;
+    });
+    potManager = new PotManager(players);
+  });
+
+  const contribute = (amounts) => {
+    amounts.forEach((amount, i) => potManager.addToPot(players[i], amount));
+  };
+
+  it('should split the pot between high and low with the odd chip going high', () => {
+    contribute([34, 34, 33]);
+
+    const payouts = potManager.calculatePayouts(
+      [
+        { player: players[0], hand: high(5), lowHand: null },
+        { player: players[1], hand: high(2), lowHand: low(7, 5, 3, 2, 1) },
+        { player: players[2], hand: high(1), lowHand: low(8, 6, 4, 2, 1) },
+      ],
+      { hiLo: true },
+    );
+
+    expect(payouts.get(players[0])).toBe(51);
+    expect(payouts.get(players[1])).toBe(50);
+    expect(payouts.has(players[2])).toBe(false);
+    expect(potManager.potResults).toEqual([
+      {
+        potId: 0,
+        potName: 'Main Pot',
+        amount: 101,
+        highWinners: [
+          { playerId: 'p1', amount: 51, handDescription: 'Rank 5' },
+        ],
+        lowWinners: [
+          { playerId: 'p2', amount: 50, handDescription: '7-5-3-2-1' },
+        ],
+      },
+    ]);
+  });
+
+  it('should quarter the pot when two players tie for low', () => {
+    contribute([40, 40, 40]);
+
+    const payouts = potManager.calculatePayouts(
+      [
+        { player: players[0], hand: high(5), lowHand: null },
+        { player: players[1], hand: high(2), lowHand: low(7, 5, 3, 2, 1) },
+        { player: players[2], hand: high(1), lowHand: low(7, 5, 3, 2, 1) },
+      ],
+      { hiLo: true },
+    );
+
+    expect(payouts.get(players[0])).toBe(60);
+    expect(payouts.get(players[1])).toBe(30);
+    expect(payouts.get(players[2])).toBe(30);
+  });
+
+  it('should give the whole pot to high when no low qualifies', () => {
+    contribute([40, 40, 40]);
+
+    const payouts = potManager.calculatePayouts(
+      [
+        { player: players[0], hand: high(5), lowHand: null },
+        { player: players[1], hand: high(2), lowHand: null },
+      ],
+      { hiLo: true },
+    );
+
+    expect(payouts.get(players[0])).toBe(120);
+    expect(potManager.potResults[0].lowWinners).toEqual([]);
+  });
+
+  it('should split each side pot separately', () => {
+    // p3 is all-in for 20, creating a side pot between p1 and p2
+    potManager.handleAllIn(players[2], 20);
+    contribute([60, 60, 20]);
+
+    const payouts = potManager.calculatePayouts(
+      [
+        { player: players[0], hand: high(5), lowHand: null },
+        { player: players[1], hand: high(2), lowHand: low(8, 7, 6, 5, 3) },
+        { player: players[2], hand: high(1), lowHand: low(6, 4, 3, 2, 1) },
+      ],
+      { hiLo: true },
+    );
+
+    // Main pot 60: p1 high 30, p3 low 30. Side pot 80: p1 high 40, p2 low 40
+    expect(payouts.get(players[0])).toBe(70);
+    expect(payouts.get(players[1])).toBe(40);
+    expect(payouts.get(players[2])).toBe(30);
+    expect(potManager.potResults).toHaveLength(2);
+    expect(potManager.potResults[1].lowWinners[0].playerId).toBe('p2');
+  });
+});
@@ -13,6 +13,7 @@ export class PotManager extends EventEmitter {
     this.players = players;
     this.pots = [];
     this.nextPotId = 0;
+    this.potResults = []; // Per-pot high/low winners from the last calculatePayouts
 
     // Create initial main pot with all players eligible
     this.createPot(players);
@@ -55,25 +56,70 @@ export class PotManager extends EventEmitter {
   }
 
   /**
-   * Add dead money to the main pot (e.g., dead small blind)
+   * Add dead money to a pot (e.g., dead small blind, antes)
    * @param {number} amount - Amount to add
+   * @param {Pot} [pot] - Pot to add to (defaults to the main pot)
    */
-  addDeadMoney(amount) {
+  addDeadMoney(amount, pot = this.pots[0]) {
     const intAmount = ensureInteger(amount, 'dead money');
-    const mainPot = this.pots[0];
-    if (mainPot) {
-      mainPot.amount += intAmount;
+    if (pot) {
+      pot.amount += intAmount;
 
       // Emit pot update event
       this.emit('pot:updated', {
-        potId: mainPot.id,
-        potName: mainPot.name,
-        total: mainPot.amount,
+        potId: pot.id,
+        potName: pot.name,
+        total: pot.amount,
         deadMoney: intAmount,
       });
     }
   }
 
+  /**
+   * Add antes as dead money
+   * A player who is all-in on the ante can only win the antes matched up to
+   * their own, so each short ante closes a layer and starts a new pot
+   * @param {Map<Player, number>} antes - Ante posted by each player
+   */
+  addAntes(antes) {
+    const posted = Array.from(antes.entries()).filter(
+      ([, amount]) => amount > 0,
+    );
+    const allInLevels = [
+      ...new Set(
+        posted
+          .filter(([player]) => player.chips === 0)
+          .map(([, amount]) => amount),
+      ),
+    ].sort((a, b) => a - b);
+
+    let pot = this.getActivePot();
+    let floor = 0;
+    for (const level of [...allInLevels, Infinity]) {
+      const layer = posted.reduce(
+        (sum, [, amount]) => sum + Math.max(0, Math.min(amount, level) - floor),
+        0,
+      );
+      if (layer > 0) {
+        this.addDeadMoney(layer, pot);
+      }
+      if (level === Infinity) {
+        break;
+      }
+
+      // Close this layer - only players who posted more (or still have chips) continue
+      const remaining = pot.eligiblePlayers.filter(
+        (p) => p.chips > 0 || (antes.get(p) || 0) > level,
+      );
+      pot.cap(0);
+      if (remaining.length === 0) {
+        break;
+      }
+      pot = this.createPot(remaining);
+      floor = level;
+    }
+  }
+
   /**
    * Add chips to pots from a player
    * @param {Player} player - The player betting
@@ -192,52 +238,161 @@ export class PotManager extends EventEmitter {
 
   /**
    * Calculate payouts for winners
+   * In hi-lo games each pot is split between the best high and the best
+   * eight-or-better low; the odd chip goes high, and high scoops when no low qualifies.
+   * Per-pot winners are recorded in this.potResults.
    * @param {Array} allPlayerHands - Array of player hand objects with player, hand, and cards info
+   *   (plus lowHand in hi-lo games)
+   * @param {Object} [options]
+   * @param {boolean} [options.hiLo=false] - Split each pot between high and low
    * @returns {Map<Player, number>} Map of player to payout amount
    */
-  calculatePayouts(allPlayerHands) {
+  calculatePayouts(allPlayerHands, { hiLo = false } = {}) {
     const payouts = new Map();
+    this.potResults = [];
 
     // Process each pot separately
     for (const pot of this.pots) {
-      // Find players eligible for this pot who are still in the hand
-      let eligibleHands = allPlayerHands.filter((ph) =>
-        pot.eligiblePlayers.some((ep) => ep.id === ph.player.id),
+      const result = this.settlePot(
+        pot,
+        pot.amount,
+        allPlayerHands,
+        hiLo,
+        payouts,
       );
-
-      if (eligibleHands.length === 0) {
-        // If no originally eligible players remain (all folded),
-        // distribute this pot among all remaining active players
-        eligibleHands = allPlayerHands;
+      if (result) {
+        this.potResults.push(result);
       }
+    }
 
-      // Find the best hand(s) among eligible players for this pot
-      // Use HandEvaluator to compare hands properly
-      const bestHands = HandEvaluator.findWinners(eligibleHands);
-
-      // Distribute this pot among the winners
-      if (bestHands.length > 0) {
-        const share = Math.floor(pot.amount / bestHands.length);
-        let remainder = pot.amount % bestHands.length;
+    return payouts;
+  }
 
-        for (const winner of bestHands) {
-          let winAmount = share;
+  /**
+   * Calculate payouts when the board was run more than once
+   * Each pot is divided evenly across the boards (odd chips to the first
+   * boards) and each share is settled on its own board.
+   * Per-pot winners are recorded in this.potResults with a boardIndex.
+   * @param {Array<Array>} boardHands - Player hands evaluated on each board
+   * @param {Object} [options]
+   * @param {boolean} [options.hiLo=false] - Split each share between high and low
+   * @returns {Map<Player, number>} Map of player to payout amount
+   */
+  calculateMultiBoardPayouts(boardHands, { hiLo = false } = {}) {
+    const payouts = new Map();
+    this.potResults = [];
 
-          // Distribute remainder to first winners
-          if (remainder > 0) {
-            winAmount++;
-            remainder--;
-          }
+    for (const pot of this.pots) {
+      const share = Math.floor(pot.amount / boardHands.length);
+      let remainder = pot.amount % boardHands.length;
+
+      boardHands.forEach((allPlayerHands, boardIndex) => {
+        let amount = share;
+        if (remainder > 0) {
+          amount++;
+          remainder--;
+        }
 
-          const currentPayout = payouts.get(winner.player) || 0;
-          payouts.set(winner.player, currentPayout + winAmount);
+        const result = this.settlePot(
+          pot,
+          amount,
+          allPlayerHands,
+          hiLo,
+          payouts,
+        );
+        if (result) {
+          this.potResults.push({ ...result, boardIndex });
         }
-      }
+      });
     }
 
     return payouts;
   }
 
+  /**
+   * Award an amount from one pot to its winners
+   * @param {Pot} pot - Pot being settled (for eligibility)
+   * @param {number} amount - Chips to award
+   * @param {Array} allPlayerHands - Player hands still in the hand
+   * @param {boolean} hiLo - Split between high and low
+   * @param {Map<Player, number>} payouts - Payout totals to update
+   * @returns {Object|null} Pot result with high and low winners, or null for an empty amount
+   */
+  settlePot(pot, amount, allPlayerHands, hiLo, payouts) {
+    // Find players eligible for this pot who are still in the hand
+    let eligibleHands = allPlayerHands.filter((ph) =>
+      pot.eligiblePlayers.some((ep) => ep.id === ph.player.id),
+    );
+
+    if (eligibleHands.length === 0) {
+      // If no originally eligible players remain (all folded),
+      // distribute this pot among all remaining active players
+      eligibleHands = allPlayerHands;
+    }
+
+    // Find the best hand(s) among eligible players for this pot
+    // Use HandEvaluator to compare hands properly
+    const bestHands = HandEvaluator.findWinners(eligibleHands);
+    const bestLows = hiLo ? HandEvaluator.findLowWinners(eligibleHands) : [];
+
+    // Split the pot - high takes the odd chip
+    const lowShare = bestLows.length > 0 ? Math.floor(amount / 2) : 0;
+    const highShare = amount - lowShare;
+
+    const highWinners = this.distributeShare(highShare, bestHands, payouts);
+    const lowWinners = this.distributeShare(lowShare, bestLows, payouts);
+
+    if (amount === 0) {
+      return null;
+    }
+
+    return {
+      potId: pot.id,
+      potName: pot.name,
+      amount,
+      highWinners: highWinners.map(({ winner, amount: won }) => ({
+        playerId: winner.player.id,
+        amount: won,
+        handDescription: winner.hand?.description,
+      })),
+      lowWinners: lowWinners.map(({ winner, amount: won }) => ({
+        playerId: winner.player.id,
+        amount: won,
+        handDescription: winner.lowHand.description,
+      })),
+    };
+  }
+
+  /**
+   * Split an amount evenly between winners, adding to their payouts
+   * @param {number} amount - Chips to split
+   * @param {Array} winners - Winning player hands
+   * @param {Map<Player, number>} payouts - Payout totals to update
+   * @returns {Array<{winner: Object, amount: number}>} What each winner received
+   */
+  distributeShare(amount, winners, payouts) {
+    if (winners.length === 0) {
+      return [];
+    }
+
+    const share = Math.floor(amount / winners.length);
+    let remainder = amount % winners.length;
+
+    return winners.map((winner) => {
+      let winAmount = share;
+
+      // Distribute remainder to first winners
+      if (remainder > 0) {
+        winAmount++;
+        remainder--;
+      }
+
+      const currentPayout = payouts.get(winner.player) || 0;
+      payouts.set(winner.player, currentPayout + winAmount);
+      return { winner, amount: winAmount };
+    });
+  }
+
   /**
    * Get pot information for display/testing
    * @returns {Array}
@@ -283,6 +438,7 @@ export class PotManager extends EventEmitter {
   reset() {
     this.pots = [];
     this.nextPotId = 0;
+    this.potResults = [];
     this.createPot(this.players);
   }
 }
@@ -0,0 +1,190 @@
+import { createHash, createHmac, randomBytes } from 'node:crypto';
+import { Deck } from './Deck.js';
+
+/**
+ * Hash a server seed the way commitments are published
+ * @param {string} serverSeed - Server seed (hex)
+ * @returns {string} SHA-256 of the seed (hex)
+ */
+function hashSeed(serverSeed) {
+  return createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/**
+ * Random stream from the combined seeds
+ * Each HMAC-SHA256(serverSeed, "clientSeeds:nonce:round") digest gives eight
+ * 32-bit draws.
+ * @param {string} serverSeed - Server seed
+ * @param {Array<Object>} clientSeeds - { playerId, seed } in the order added
+ * @param {number} nonce - Hand number for this server seed
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+function createFairRandom(serverSeed, clientSeeds, nonce) {
+  const clientSeed = clientSeeds.map((entry) => entry.seed).join(',');
+  let round = 0;
+  let digest = null;
+  let offset = 32;
+  return () => {
+    if (offset === 32) {
+      digest = createHmac('sha256', serverSeed)
+        .update(`${clientSeed}:${nonce}:${round++}`)
+        .digest();
+      offset = 0;
+    }
+    const value = digest.readUInt32BE(offset);
+    offset += 4;
+    return value / 0x100000000;
+  };
+}
+
+/**
+ * Deck whose shuffle players can verify (commit-reveal)
+ *
+ * Before a hand the deck publishes getCommitment() - the SHA-256 of a secret
+ * server seed. Players may then addClientSeed(). The shuffle is derived from
+ * the server seed, the client seeds and the nonce, so neither side can steer
+ * it alone. reveal() discloses the server seed after the hand and commits to
+ * the next one; verifyProvablyFairShuffle() checks a revealed proof.
+ */
+export class ProvablyFairDeck extends Deck {
+  /**
+   * @param {Object} [config]
+   * @param {boolean} [config.shortDeck=false] - Remove the 2s through 5s
+   * @param {string} [config.serverSeed] - First server seed (random if omitted)
+   */
+  constructor(config = {}) {
+    super({ shortDeck: config.shortDeck });
+    this.hasCustomRandom = true;
+    this.nonce = 0;
+    this.startRound(config.serverSeed ?? randomBytes(32).toString('hex'));
+  }
+
+  /**
+   * Commit to a new server seed for the next hand
+   * @private
+   * @param {string} serverSeed - Server seed
+   */
+  startRound(serverSeed) {
+    if (typeof serverSeed !== 'string' || serverSeed.length === 0) {
+      throw new Error('Server seed must be a non-empty string');
+    }
+    this.serverSeed = serverSeed;
+    this.commitment = hashSeed(serverSeed);
+    this.nonce++;
+    this.clientSeeds = [];
+    this.shuffled = false;
+  }
+
+  /**
+   * Commitment to publish before the hand
+   * @returns {Object} { commitment, nonce }
+   */
+  getCommitment() {
+    return { commitment: this.commitment, nonce: this.nonce };
+  }
+
+  /**
+   * Add a player's seed to the next shuffle
+   * @param {string} seed - Any string the player chooses
+   * @param {string} [playerId] - Who provided it
+   */
+  addClientSeed(seed, playerId = null) {
+    if (this.shuffled) {
+      throw new Error(
+        'Client seeds are locked until the current hand is revealed',
+      );
+    }
+    if (typeof seed !== 'string' || seed.length === 0) {
+      throw new Error('Client seed must be a non-empty string');
+    }
+    this.clientSeeds.push({ playerId, seed });
+  }
+
+  /**
+   * Seeds do not apply - the order comes from the committed seeds
+   * @returns {null} No seed
+   */
+  setSeed() {
+    return null;
+  }
+
+  /**
+   * Shuffle from the committed server seed and the client seeds
+   * A hand that was never revealed (e.g. aborted) has its seed revealed here
+   * and a new one committed, so its cards are never dealt again.
+   */
+  shuffle() {
+    if (this.shuffled) {
+      this.reveal();
+    }
+    this.random = createFairRandom(
+      this.serverSeed,
+      this.clientSeeds,
+      this.nonce,
+    );
+    super.shuffle();
+    this.shuffled = true;
+    this.shuffledCards = this.cards.map((card) => card.toString());
+  }
+
+  /**
+   * Reveal the server seed for the hand just played and commit to the next
+   * @returns {Object} Proof { serverSeed, commitment, clientSeeds, nonce,
+   *   shortDeck, cards } plus nextCommitment for the following hand
+   */
+  reveal() {
+    if (!this.shuffled) {
+      throw new Error('Nothing to reveal - the deck has not been shuffled');
+    }
+    const proof = {
+      serverSeed: this.serverSeed,
+      commitment: this.commitment,
+      clientSeeds: this.clientSeeds.map((entry) => ({ ...entry })),
+      nonce: this.nonce,
+      shortDeck: this.shortDeck,
+      cards: [...this.shuffledCards],
+    };
+    this.startRound(randomBytes(32).toString('hex'));
+    return { ...proof, nextCommitment: this.getCommitment() };
+  }
+}
+
+/**
+ * Check a revealed shuffle
+ * Needs nothing but the proof: the server seed must hash to the commitment
+ * and the seeds must produce the same card order.
+ * @param {Object} proof - From ProvablyFairDeck.reveal() or hand:ended
+ * @returns {Object} { valid, reason? }
+ */
+export function verifyProvablyFairShuffle(proof) {
+  const {
+    serverSeed,
+    commitment,
+    clientSeeds = [],
+    nonce,
+    cards,
+  } = proof || {};
+  if (typeof serverSeed !== 'string' || !Array.isArray(cards)) {
+    return { valid: false, reason: 'Proof needs serverSeed and cards' };
+  }
+  if (hashSeed(serverSeed) !== commitment) {
+    return {
+      valid: false,
+      reason: 'Server seed does not match the commitment',
+    };
+  }
+
+  const deck = new Deck({
+    shortDeck: proof.shortDeck,
+    random: createFairRandom(serverSeed, clientSeeds, nonce),
+  });
+  deck.shuffle();
+  const expected = deck.cards.map((card) => card.toString());
+  if (expected.join(' ') !== cards.join(' ')) {
+    return {
+      valid: false,
+      reason: 'Card order does not match the seeds',
+    };
+  }
+  return { valid: true };
+}
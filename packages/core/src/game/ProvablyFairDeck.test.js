@@ -0,0 +1,175 @@
+import { createHash } from 'node:crypto';
+import { describe, it, expect } from 'vitest';
+import {
+  ProvablyFairDeck,
+  verifyProvablyFairShuffle,
+} from './ProvablyFairDeck.js';
+import { Table } from '../Table.js';
+import { ScriptedPlayer } from '../test-utils/index.js';
+
+const order = (deck) => deck.cards.map((card) => card.toString());
+
+describe('ProvablyFairDeck', () => {
+  it('should commit to the hash of the server seed', () => {
+    const deck = new ProvablyFairDeck({ serverSeed: 'server-secret' });
+
+    expect(deck.getCommitment()).toEqual({
+      commitment: createHash('sha256').update('server-secret').digest('hex'),
+      nonce: 1,
+    });
+  });
+
+  it('should derive the order from the server and client seeds', () => {
+    const shuffled = (clientSeeds) => {
+      const deck = new ProvablyFairDeck({ serverSeed: 'server-secret' });
+      clientSeeds.forEach((seed) => deck.addClientSeed(seed));
+      deck.shuffle();
+      return order(deck);
+    };
+
+    const first = shuffled(['alice-seed', 'bob-seed']);
+    expect(shuffled(['alice-seed', 'bob-seed'])).toEqual(first);
+    expect(shuffled(['alice-seed', 'bob-seed!'])).not.toEqual(first);
+    expect(new Set(first).size).toBe(52);
+  });
+
+  it('should reveal a proof that verifies and commit to the next hand', () => {
+    const deck = new ProvablyFairDeck();
+    const { commitment } = deck.getCommitment();
+    deck.addClientSeed('lucky', 'alice');
+    deck.shuffle();
+    const dealt = order(deck);
+
+    expect(() => deck.addClientSeed('late')).toThrow('Client seeds are locked');
+
+    const proof = deck.reveal();
+    expect(proof).toMatchObject({
+      commitment,
+      clientSeeds: [{ playerId: 'alice', seed: 'lucky' }],
+      nonce: 1,
+      cards: dealt,
+      nextCommitment: { nonce: 2 },
+    });
+    expect(proof.nextCommitment.commitment).not.toBe(commitment);
+    expect(verifyProvablyFairShuffle(proof)).toEqual({ valid: true });
+
+    // The next hand accepts client seeds again
+    deck.addClientSeed('again');
+  });
+
+  it('should reject tampered proofs', () => {
+    const deck = new ProvablyFairDeck({ shortDeck: true });
+    deck.shuffle();
+    const proof = deck.reveal();
+    expect(verifyProvablyFairShuffle(proof).valid).toBe(true);
+
+    expect(
+      verifyProvablyFairShuffle({ ...proof, serverSeed: 'guess' }),
+    ).toEqual({
+      valid: false,
+      reason: 'Server seed does not match the commitment',
+    });
+    expect(
+      verifyProvablyFairShuffle({
+        ...proof,
+        cards: [...proof.cards].reverse(),
+      }),
+    ).toEqual({ valid: false, reason: 'Card order does not match the seeds' });
+    expect(
+      verifyProvablyFairShuffle({
+        ...proof,
+        clientSeeds: [{ playerId: null, seed: 'x' }],
+      }).valid,
+    ).toBe(false);
+    expect(() => deck.reveal()).toThrow('Nothing to reveal');
+  });
+
+  it('should publish the commitment and reveal the seed through a Table', async () => {
+    const deck = new ProvablyFairDeck();
+    const table = new Table({
+      blinds: { small: 10, big: 20 },
+      deck,
+      simulationMode: true,
+    });
+    for (const id of ['alice', 'bob']) {
+      const player = new ScriptedPlayer({ id });
+      player.buyIn(1000);
+      table.addPlayer(player);
+    }
+    const { commitment } = deck.getCommitment();
+    deck.addClientSeed('alice-seed', 'alice');
+
+    let started = null;
+    table.on('hand:started', (data) => {
+      started = data;
+    });
+    const ended = new Promise((resolve) => {
+      table.on('hand:ended', resolve);
+    });
+    await table.tryStartGame();
+    const { provablyFair } = await ended;
+
+    expect(started.commitment.commitment).toBe(commitment);
+    expect(started.seed).toBeNull();
+    expect(provablyFair.commitment).toBe(commitment);
+    expect(verifyProvablyFairShuffle(provablyFair).valid).toBe(true);
+
+    const result = table.runHandToCompletion();
+    expect(result.provablyFair.nonce).toBe(2);
+    expect(verifyProvablyFairShuffle(result.provablyFair).valid).toBe(true);
+  });
+
+  it('should not deal an aborted hand again', async () => {
+    const deck = new ProvablyFairDeck({ serverSeed: 'server-secret' });
+    const table = new Table({
+      blinds: { small: 10, big: 20 },
+      deck,
+      simulationMode: true,
+    });
+    const players = ['alice', 'bob'].map((id) => {
+      const player = new ScriptedPlayer({ id });
+      player.buyIn(1000);
+      table.addPlayer(player);
+      return player;
+    });
+
+    // Stall the first hand and end it before anyone acts
+    const stalled = new Promise((resolve) => {
+      for (const player of players) {
+        player.getAction = () => {
+          resolve();
+          return new Promise(() => {});
+        };
+      }
+    });
+    let aborted = null;
+    table.on('game:started', () => {
+      table.gameEngine.on('game:aborted', (data) => {
+        aborted = data;
+      });
+    });
+    table.tryStartGame();
+    await stalled;
+    const dealt = players.map((player) => player.privateCards);
+    table.endGame('abandoned');
+
+    expect(aborted.provablyFair).toMatchObject({ nonce: 1 });
+    expect(verifyProvablyFairShuffle(aborted.provablyFair).valid).toBe(true);
+    expect(deck.getCommitment().nonce).toBe(2);
+
+    // Same shuffle again without reveal() moves on to a new seed as well
+    deck.shuffle();
+    const unrevealed = order(deck);
+    deck.shuffle();
+    expect(order(deck)).not.toEqual(unrevealed);
+
+    for (const player of players) {
+      delete player.getAction;
+    }
+    const result = table.runHandToCompletion();
+    expect(result.success).toBe(true);
+    expect(result.provablyFair.nonce).toBe(4);
+    expect(result.provablyFair.cards).not.toEqual(aborted.provablyFair.cards);
+    expect(players.map((player) => player.privateCards)).not.toEqual(dealt);
+  });
+});
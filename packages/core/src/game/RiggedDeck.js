@@ -40,6 +40,14 @@ export class RiggedDeck extends BaseDeck {
     // No-op - rigged deck maintains its order
   }
 
+  /**
+   * Seeds do not apply - the card order is fixed
+   * @returns {null} No seed
+   */
+  setSeed() {
+    return null;
+  }
+
   /**
    * Draw a card from the deck
    */
@@ -54,9 +62,10 @@ export class RiggedDeck extends BaseDeck {
    * Deal hole cards to a player
    * @param {string} playerId - The player's ID
    * @param {number} _seatPosition - The player's seat position (0-based)
-   * @returns {Array} Array of 2 cards
+   * @param {number} [count=2] - Number of hole cards (4 for Omaha)
+   * @returns {Array} Array of hole cards
    */
-  dealHoleCards(playerId, _seatPosition) {
+  dealHoleCards(playerId, _seatPosition, count = 2) {
     // For alternating pattern (traditional poker dealing):
     // Cards are arranged as: P1C1, P2C1, P3C1, ..., P1C2, P2C2, P3C2, ...
     // So for a 4-player game:
@@ -68,23 +77,15 @@ export class RiggedDeck extends BaseDeck {
     // Index 5: Player 1 card 2
     // Index 6: Player 2 card 2
     // Index 7: Player 3 card 2
-
-    if (this.dealAlternating) {
-      // This is a bit tricky - we need to know how many players there are
-      // We'll have to draw the cards from the right positions
-      // For now, just draw two consecutive cards
-      // The test will need to set up the deck correctly
-      const card1 = this.draw();
-      const card2 = this.draw();
-      const cards = [card1, card2];
-      this.dealtHoleCards.set(playerId, cards);
-      return cards;
-    } else {
-      // Non-alternating: just draw two consecutive cards
-      const cards = [this.draw(), this.draw()];
-      this.dealtHoleCards.set(playerId, cards);
-      return cards;
+    //
+    // We don't know how many players there are, so both patterns draw
+    // consecutive cards - the test needs to set up the deck correctly
+    const cards = [];
+    for (let i = 0; i < count; i++) {
+      cards.push(this.draw());
     }
+    this.dealtHoleCards.set(playerId, cards);
+    return cards;
   }
 
   /**
@@ -118,11 +119,20 @@ export class RiggedDeck extends BaseDeck {
     return this.cards.length - this.currentIndex;
   }
 
+  /**
+   * Cards still to be dealt, in dealing order
+   * @returns {string[]} Remaining cards
+   */
+  getRemainingCards() {
+    return this.cards.slice(this.currentIndex).map((card) => card.toString());
+  }
+
   /**
    * Helper to create a rigged deck for sequential dealing (how GameEngine actually deals)
    * GameEngine calls dealHoleCards for each player in sequence, and each call draws 2 cards
    * @param {Object} config - Configuration
    * @param {Array<Array<string>>} config.holeCards - Array of hole cards per player [['As', 'Ah'], ['Ks', 'Kh'], ...]
+   *                                                 (four cards per player for Omaha)
    * @param {Array<string>} config.burn - Burn cards (optional)
    * @param {Array<string>} config.flop - Flop cards (3 cards)
    * @param {Array<string>} config.turn - Turn card (1 card)
@@ -134,17 +144,12 @@ export class RiggedDeck extends BaseDeck {
     const numPlayers = config.holeCards.length;
 
     // GameEngine deals by calling dealHoleCards for each player
-    // Each call to dealHoleCards draws 2 consecutive cards
+    // Each call to dealHoleCards draws consecutive cards (2, or 4 for Omaha)
     // So we need: P1C1, P1C2, P2C1, P2C2, P3C1, P3C2, etc.
     for (let i = 0; i < numPlayers; i++) {
       if (config.holeCards[i]) {
-        // Add both cards for this player consecutively
-        if (config.holeCards[i][0]) {
-          cards.push(config.holeCards[i][0]);
-        }
-        if (config.holeCards[i][1]) {
-          cards.push(config.holeCards[i][1]);
-        }
+        // Add all cards for this player consecutively
+        cards.push(...config.holeCards[i].filter(Boolean));
       }
     }
 
@@ -0,0 +1,440 @@
+import { GamePhase, PlayerState } from '../types/index.js';
+import { Variants, Limits } from '../constants.js';
+import { GameEngine } from './GameEngine.js';
+import { HandEvaluator } from './HandEvaluator.js';
+import { validateIntegerAmount } from '../utils/validation.js';
+
+// Ties for the bring-in and first to act are broken by suit: clubs lowest,
+// spades highest
+const SUIT_ORDER = { c: 0, d: 1, h: 2, s: 3 };
+
+// Streets after third street, in dealing order
+const NEXT_STREET = {
+  [GamePhase.THIRD_STREET]: GamePhase.FOURTH_STREET,
+  [GamePhase.FOURTH_STREET]: GamePhase.FIFTH_STREET,
+  [GamePhase.FIFTH_STREET]: GamePhase.SIXTH_STREET,
+  [GamePhase.SIXTH_STREET]: GamePhase.SEVENTH_STREET,
+};
+
+// 7 cards each for 8 players leaves no card for a burn on every street
+const MAX_STUD_PLAYERS = 8;
+
+/**
+ * Game engine for Seven-Card Stud
+ * Two down cards and one up card on third street, up cards on fourth to
+ * sixth street and a final down card on seventh street. There are no
+ * blinds: the lowest door card brings in and acts first, choosing to stay
+ * at the bring-in (check) or complete it to the small bet (raise). On
+ * later streets the best visible hand acts first. Betting is fixed-limit.
+ * The hi-lo variant (Stud-8) splits each pot with the best eight-or-better
+ * low.
+ *
+ * Config mirrors GameEngine: `blinds.small` is the default bring-in and
+ * `blinds.big` the default small bet (big bet is twice that).
+ */
+export class StudGameEngine extends GameEngine {
+  constructor(config) {
+    super({
+      ...config,
+      variant:
+        config.variant === Variants.SEVEN_CARD_STUD_HI_LO
+          ? Variants.SEVEN_CARD_STUD_HI_LO
+          : Variants.SEVEN_CARD_STUD,
+      bettingLimit: Limits.FIXED_LIMIT,
+    });
+
+    if (this.players.length > MAX_STUD_PLAYERS) {
+      throw new Error(
+        `Seven-card stud supports at most ${MAX_STUD_PLAYERS} players, got ${this.players.length}`,
+      );
+    }
+
+    this.bringIn = validateIntegerAmount(
+      config.bringIn ?? this.config.smallBlind,
+      'bring-in',
+    );
+    this.bringInPlayer = null;
+    this.upCards = new Map(); // Player ID -> face-up cards, visible to everyone
+  }
+
+  /**
+   * Initialize a new hand on third street
+   */
+  initializeHand() {
+    this.upCards.clear();
+    this.bringInPlayer = null;
+    super.initializeHand();
+    this.phase = GamePhase.THIRD_STREET;
+  }
+
+  /**
+   * Checkpoint including the up cards and bring-in
+   * @returns {Object} Checkpoint for StudGameEngine.restore()
+   */
+  checkpoint() {
+    return {
+      ...super.checkpoint(),
+      stud: {
+        upCards: Object.fromEntries(
+          Array.from(this.upCards, ([playerId, cards]) => [
+            playerId,
+            cards.map((card) => card.toString()),
+          ]),
+        ),
+        bringInPlayerId: this.bringInPlayer?.id ?? null,
+      },
+    };
+  }
+
+  /**
+   * Load hand state, pointing up cards at the player's own card objects
+   * @protected
+   * @param {Object} data - Checkpoint data
+   */
+  applyCheckpoint(data) {
+    if (!data.stud) {
+      throw new Error('Not a seven-card stud checkpoint');
+    }
+    const { stud, ...rest } = data;
+    super.applyCheckpoint(rest);
+
+    this.upCards = new Map(
+      Object.entries(stud.upCards).map(([playerId, cards]) => {
+        const hand = this.playerHands.get(playerId) || [];
+        return [
+          playerId,
+          cards.map((card) => hand.find((c) => c.toString() === card)),
+        ];
+      }),
+    );
+    this.bringInPlayer =
+      this.players.find((p) => p.id === stud.bringInPlayerId) ?? null;
+  }
+
+  /**
+   * @returns {boolean} True on third street, where the bring-in is kept
+   */
+  isFirstBettingRound() {
+    return this.phase === GamePhase.THIRD_STREET;
+  }
+
+  /**
+   * Deal third street: two down cards and one up card (the door card)
+   */
+  dealHoleCards() {
+    const activePlayers = this.players.filter(
+      (p) => p.state === PlayerState.ACTIVE,
+    );
+
+    for (let i = 0; i < activePlayers.length; i++) {
+      const player = activePlayers[i];
+      const cards = this.deck.dealHoleCards(player.id, i, 3);
+      if (!cards || cards.length !== 3) {
+        throw new Error(
+          `Deck dealt ${cards?.length ?? 0} cards to ${player.id} on third street, but seven-card stud requires 3`,
+        );
+      }
+      this.playerHands.set(player.id, cards);
+      this.upCards.set(player.id, [cards[2]]);
+    }
+
+    for (const player of activePlayers) {
+      this.notifyDownCards(player);
+      this.emitUpCards(player);
+    }
+  }
+
+  /**
+   * Post the bring-in instead of blinds
+   * The lowest door card brings in and acts first - unless the bring-in put
+   * them all-in, in which case the player on their left does
+   */
+  postBlinds() {
+    const playersInHand = this.getPlayersInHand();
+    if (playersInHand.length < 2) {
+      return;
+    }
+
+    const bringInPlayer = this.findBringInPlayer();
+    this.bringInPlayer = bringInPlayer;
+    if (bringInPlayer.state === PlayerState.ACTIVE) {
+      this.handleBet(bringInPlayer, this.bringIn, 'bring-in');
+    }
+
+    // A bring-in is not a full bet, so completing it counts as the first bet
+    this.betsThisRound = 0;
+
+    this.emit('bring-in:posted', {
+      playerId: bringInPlayer.id,
+      amount: bringInPlayer.bet,
+      doorCard: this.upCards.get(bringInPlayer.id)[0].toString(),
+    });
+
+    const bringInIndex = this.players.indexOf(bringInPlayer);
+    this.currentPlayerIndex =
+      bringInPlayer.state === PlayerState.ACTIVE
+        ? bringInIndex
+        : this.getNextActivePlayerIndex(bringInIndex, false);
+  }
+
+  /**
+   * Find the player with the lowest door card (ace is high)
+   * @returns {Player} Player who must bring in
+   */
+  findBringInPlayer() {
+    let lowest = null;
+    for (const player of this.getPlayersInHand()) {
+      const doorCard = this.upCards.get(player.id)[0];
+      const rank = HandEvaluator.getRankValue(doorCard.rank);
+      const suit = SUIT_ORDER[doorCard.suit];
+      if (
+        !lowest ||
+        rank < lowest.rank ||
+        (rank === lowest.rank && suit < lowest.suit)
+      ) {
+        lowest = { player, rank, suit };
+      }
+    }
+    return lowest.player;
+  }
+
+  /**
+   * Small bets on third and fourth street, big bets from fifth street on
+   * @returns {number} Fixed-limit bet size for the current street
+   */
+  getFixedLimitBetSize() {
+    return this.phase === GamePhase.THIRD_STREET ||
+      this.phase === GamePhase.FOURTH_STREET
+      ? this.fixedLimit.smallBet
+      : this.fixedLimit.bigBet;
+  }
+
+  /**
+   * Deal the next street, or go to showdown after seventh street
+   */
+  async progressToNextPhase() {
+    if (this.phase === GamePhase.SEVENTH_STREET) {
+      this.showdown();
+      this.endingBettingRound = false;
+      return;
+    }
+    await this.dealStreet(NEXT_STREET[this.phase]);
+  }
+
+  /**
+   * Deal one card to every player still in the hand and start betting
+   * Fourth to sixth street are dealt face up, seventh street face down
+   * @param {string} street - GamePhase of the street to deal
+   */
+  async dealStreet(street) {
+    this.phase = street;
+    const playersInHand = this.getPlayersInHand();
+    const faceUp = street !== GamePhase.SEVENTH_STREET;
+
+    if (this.deck.getRemaining() > playersInHand.length) {
+      // Burn one card
+      this.deck.draw();
+    }
+
+    if (this.deck.getRemaining() < playersInHand.length) {
+      // Not enough cards for everyone - deal one shared card to the board
+      this.board.push(this.deck.draw());
+      this.emit('cards:community', {
+        cards: this.board,
+        phase: this.phase,
+      });
+    } else {
+      for (const player of playersInHand) {
+        const card = this.deck.draw();
+        this.playerHands.get(player.id).push(card);
+        if (faceUp) {
+          this.upCards.get(player.id).push(card);
+          this.emitUpCards(player);
+        } else {
+          this.notifyDownCards(player);
+        }
+      }
+    }
+
+    // No betting needed when at most one player can act
+    const activePlayers = this.players.filter(
+      (p) => p.state === PlayerState.ACTIVE,
+    );
+    if (activePlayers.length <= 1) {
+      await this.progressToNextPhase();
+      return;
+    }
+
+    this.currentPlayerIndex = this.findFirstToAct();
+    await this.startBettingRound();
+  }
+
+  /**
+   * Find the active player showing the best visible hand
+   * Ties go to the highest suit among the top-ranked up cards
+   * @returns {number} Index into this.players
+   */
+  findFirstToAct() {
+    let best = null;
+    for (let offset = 1; offset <= this.players.length; offset++) {
+      const index = (this.dealerButtonIndex + offset) % this.players.length;
+      const player = this.players[index];
+      if (player.state !== PlayerState.ACTIVE) {
+        continue;
+      }
+      const upCards = this.upCards.get(player.id);
+      const strength = StudGameEngine.rankVisibleHand(upCards);
+      const suit = Math.max(
+        ...upCards
+          .filter(
+            (card) => HandEvaluator.getRankValue(card.rank) === strength[1],
+          )
+          .map((card) => SUIT_ORDER[card.suit]),
+      );
+      if (
+        !best ||
+        (StudGameEngine.compareRanks(strength, best.strength) ||
+          suit - best.suit) > 0
+      ) {
+        best = { index, strength, suit };
+      }
+    }
+    return best.index;
+  }
+
+  /**
+   * Rank up to four face-up cards
+   * Only pairs, trips and quads count - straights and flushes need five cards
+   * @param {Object[]} cards - Up cards
+   * @returns {number[]} [category, ...ranks], compared element by element
+   */
+  static rankVisibleHand(cards) {
+    const counts = new Map();
+    for (const card of cards) {
+      const rank = HandEvaluator.getRankValue(card.rank);
+      counts.set(rank, (counts.get(rank) || 0) + 1);
+    }
+
+    const groups = Array.from(counts.entries()).sort(
+      (a, b) => b[1] - a[1] || b[0] - a[0],
+    );
+    const pairs = groups.filter(([, count]) => count === 2).length;
+    const topCount = groups[0][1];
+
+    let category = 0; // High card
+    if (topCount === 4) {
+      category = 4;
+    } else if (topCount === 3) {
+      category = 3;
+    } else if (pairs === 2) {
+      category = 2;
+    } else if (pairs === 1) {
+      category = 1;
+    }
+
+    return [category, ...groups.map(([rank]) => rank)];
+  }
+
+  /**
+   * Compare two rankVisibleHand() results
+   * @returns {number} Positive if a is better, negative if b is better, 0 if tied
+   */
+  static compareRanks(a, b) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      const diff = (a[i] ?? 0) - (b[i] ?? 0);
+      if (diff !== 0) {
+        return diff;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Players still contesting the pot
+   * @returns {Player[]}
+   */
+  getPlayersInHand() {
+    return this.players.filter(
+      (p) => p.state === PlayerState.ACTIVE || p.state === PlayerState.ALL_IN,
+    );
+  }
+
+  /**
+   * Get a player's face-down cards
+   * @param {string} playerId - Player ID
+   * @returns {Object[]} Down cards
+   */
+  getDownCards(playerId) {
+    const upCards = this.upCards.get(playerId) || [];
+    return (this.playerHands.get(playerId) || []).filter(
+      (card) => !upCards.includes(card),
+    );
+  }
+
+  /**
+   * Send a player their down cards privately
+   * @param {Player} player - Player to notify
+   */
+  notifyDownCards(player) {
+    const downCards = this.getDownCards(player.id);
+
+    // Notify player of their cards - fail fast on any error
+    try {
+      player.receivePrivateCards(downCards);
+    } catch (error) {
+      // Player broke contract - fatal error, no retry
+      throw new Error(
+        `Fatal: Player ${player.id} threw error in receivePrivateCards(): ${error.message}. ` +
+          'This is a contract violation. Players must not throw errors from notification methods.',
+      );
+    }
+
+    this.emit('cards:dealt', {
+      playerId: player.id,
+      cardCount: downCards.length,
+      phase: this.phase,
+    });
+  }
+
+  /**
+   * Announce a player's up cards to everyone
+   * @param {Player} player - Player whose up cards changed
+   */
+  emitUpCards(player) {
+    this.emit('cards:up', {
+      playerId: player.id,
+      cards: this.upCards.get(player.id).map((c) => c.toString()),
+      phase: this.phase,
+    });
+  }
+
+  /**
+   * Build current game state with every player's up cards
+   * Down cards are only sent privately through receivePrivateCards
+   */
+  buildGameState() {
+    const gameState = super.buildGameState();
+    gameState.upCards = {};
+    for (const [playerId, cards] of this.upCards) {
+      const upCards = cards.map((c) => c.toString());
+      gameState.upCards[playerId] = upCards;
+      if (gameState.players[playerId]) {
+        gameState.players[playerId].upCards = upCards;
+      }
+    }
+    gameState.bringIn = this.bringIn;
+    return gameState;
+  }
+
+  /**
+   * Synchronous play only knows the Hold'em streets - Table refuses stud
+   * before dealing, this guards engines used directly
+   * @returns {Object} Failure result
+   */
+  runToCompletion() {
+    return {
+      success: false,
+      error: 'Seven-card stud does not support synchronous play - use start()',
+    };
+  }
+}
@@ -0,0 +1,240 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { StudGameEngine } from './StudGameEngine.js';
+import { RiggedDeck } from './RiggedDeck.js';
+import { Table } from '../Table.js';
+import { Action, GamePhase } from '../types/index.js';
+import { Variants, Limits } from '../constants.js';
+import { ScriptedPlayer } from '../test-utils/index.js';
+
+// Third street per player (two down, door card last), then a burn and one
+// card per player on each later street
+const createStudDeck = () =>
+  new RiggedDeck({
+    cards: [
+      ...['Ah', 'Kd', '9s'], // alice
+      ...['2c', '3c', '2d'], // bob - lowest door card brings in
+      ...['Qc', 'Qd', '2s'], // carol
+      '5h',
+      ...['Ks', '7h', '5c'], // fourth street - alice shows K high
+      '5d',
+      ...['4h', '7d', '6c'], // fifth street - bob shows a pair
+      '6d',
+      ...['8c', 'Jh', 'Td'], // sixth street
+      '6h',
+      ...['3d', '4c', 'Qh'], // seventh street (down)
+    ],
+    dealAlternating: false,
+  });
+
+describe('StudGameEngine', () => {
+  let players;
+  let engine;
+
+  beforeEach(() => {
+    players = ['alice', 'bob', 'carol'].map((id) => {
+      const player = new ScriptedPlayer({ id });
+      player.buyIn(1000);
+      return player;
+    });
+  });
+
+  afterEach(() => {
+    if (engine && engine.phase !== GamePhase.ENDED) {
+      engine.abort();
+    }
+  });
+
+  const createEngine = (config = {}) =>
+    new StudGameEngine({
+      players,
+      blinds: { small: 5, big: 20 },
+      ante: 2,
+      dealerButton: 0,
+      deck: createStudDeck(),
+      simulationMode: true,
+      ...config,
+    });
+
+  it('should deal third street and post the bring-in from the lowest door card', () => {
+    engine = createEngine();
+    const bringIns = [];
+    engine.on('bring-in:posted', (data) => bringIns.push(data));
+
+    engine.initializeHand();
+
+    expect(engine.phase).toBe(GamePhase.THIRD_STREET);
+    expect(engine.bettingLimit).toBe(Limits.FIXED_LIMIT);
+    expect(players[0].privateCards).toEqual(['Ah', 'Kd']);
+    // 2d and 2s tie on rank - diamonds are lower than spades
+    expect(bringIns).toEqual([{ playerId: 'bob', amount: 5, doorCard: '2d' }]);
+    expect(engine.potManager.getTotal()).toBe(6 + 5);
+    // The bring-in acts first, free to stay at 5 or complete to 20
+    expect(engine.players[engine.currentPlayerIndex].id).toBe('bob');
+    expect(engine.calculateValidActions(players[1])).toEqual([
+      Action.CHECK,
+      Action.RAISE,
+    ]);
+  });
+
+  it('should show up cards in game state but keep down cards private', () => {
+    engine = createEngine();
+    engine.initializeHand();
+
+    const state = engine.buildGameState();
+    expect(state.upCards).toEqual({
+      alice: ['9s'],
+      bob: ['2d'],
+      carol: ['2s'],
+    });
+    expect(state.players.alice.upCards).toEqual(['9s']);
+    expect(JSON.stringify(state)).not.toContain('Ah');
+  });
+
+  it('should let the bring-in be completed to the small bet', () => {
+    engine = createEngine();
+    engine.initializeHand();
+
+    const carol = players[2];
+    const details = engine.calculateBettingDetails(carol);
+    expect(details.toCall).toBe(5);
+    expect(details.minRaise).toBe(20);
+    expect(details.maxRaise).toBe(20);
+  });
+
+  it('should let the bring-in player complete instead', async () => {
+    players[1].script = [{ action: Action.RAISE, amount: 20 }];
+    engine = createEngine();
+    const actions = [];
+    engine.on('action:performed', ({ playerId, action, amount, phase }) => {
+      if (phase === GamePhase.THIRD_STREET) {
+        actions.push([playerId, action, amount]);
+      }
+    });
+
+    await engine.start();
+
+    expect(actions).toEqual([
+      ['bob', Action.RAISE, 15],
+      ['carol', Action.CALL, 20],
+      ['alice', Action.CALL, 20],
+    ]);
+  });
+
+  it('should break ties for first to act by suit', () => {
+    const card = (s) => ({ rank: s[0], suit: s[1] });
+    engine = createEngine();
+    engine.initializeHand();
+
+    // Carol is closer to the dealer's left, but alice has the king of spades
+    engine.upCards.set('alice', ['Ks', '7c'].map(card));
+    engine.upCards.set('bob', ['2d', '3c'].map(card));
+    engine.upCards.set('carol', ['Kh', '7d'].map(card));
+    expect(engine.players[engine.findFirstToAct()].id).toBe('alice');
+
+    engine.upCards.set('carol', ['7h', '7d'].map(card));
+    expect(engine.players[engine.findFirstToAct()].id).toBe('carol');
+  });
+
+  it('should rank visible hands for the first player to act', () => {
+    const card = (s) => ({ rank: s[0], suit: s[1] });
+    const pair = StudGameEngine.rankVisibleHand(['7h', '7d', '4c'].map(card));
+    const aceHigh = StudGameEngine.rankVisibleHand(
+      ['Ah', 'Kd', 'Qc'].map(card),
+    );
+    const twoPair = StudGameEngine.rankVisibleHand(
+      ['3h', '3d', '2c', '2s'].map(card),
+    );
+
+    expect(StudGameEngine.compareRanks(pair, aceHigh)).toBeGreaterThan(0);
+    expect(StudGameEngine.compareRanks(twoPair, pair)).toBeGreaterThan(0);
+  });
+
+  it('should play all seven streets with the best visible hand acting first', async () => {
+    engine = createEngine();
+    const firstToAct = {};
+    engine.on('action:requested', ({ playerId, gameState }) => {
+      if (!firstToAct[gameState.phase]) {
+        firstToAct[gameState.phase] = playerId;
+      }
+    });
+
+    let complete = null;
+    engine.on('hand:complete', (data) => {
+      complete = data;
+    });
+
+    await engine.start();
+
+    expect(firstToAct).toEqual({
+      [GamePhase.THIRD_STREET]: 'bob',
+      [GamePhase.FOURTH_STREET]: 'alice',
+      [GamePhase.FIFTH_STREET]: 'bob',
+      [GamePhase.SIXTH_STREET]: 'bob',
+      [GamePhase.SEVENTH_STREET]: 'bob',
+    });
+    // Bob stayed at the bring-in and everyone called, so he acted only once
+    expect(
+      players[1].seenStates.filter((s) => s.phase === GamePhase.THIRD_STREET),
+    ).toHaveLength(1);
+
+    expect(players[0].privateCards).toEqual(['Ah', 'Kd', '3d']);
+    expect(complete.winners).toHaveLength(1);
+    expect(complete.winners[0].playerId).toBe('carol');
+    expect(complete.winners[0].handDescription).toBe("Three of a Kind, Q's");
+    expect(complete.winners[0].amount).toBe(21);
+  });
+
+  it('should bet the big bet from fifth street', () => {
+    engine = createEngine();
+    engine.initializeHand();
+
+    expect(engine.getFixedLimitBetSize()).toBe(20);
+    engine.phase = GamePhase.FOURTH_STREET;
+    expect(engine.getFixedLimitBetSize()).toBe(20);
+    engine.phase = GamePhase.FIFTH_STREET;
+    expect(engine.getFixedLimitBetSize()).toBe(40);
+  });
+
+  it('should be created by Table for the seven-card stud variant', () => {
+    const table = new Table({
+      variant: Variants.SEVEN_CARD_STUD,
+      blinds: { small: 5, big: 20 },
+      simulationMode: true,
+    });
+    for (const player of players) {
+      table.addPlayer(player);
+    }
+
+    engine = table.createGameEngine(
+      players,
+      table.calculateDeadButtonPositions(),
+    );
+    expect(engine).toBeInstanceOf(StudGameEngine);
+    expect(engine.bringIn).toBe(5);
+  });
+
+  it('should refuse synchronous hands before dealing', async () => {
+    const table = new Table({
+      variant: Variants.SEVEN_CARD_STUD,
+      blinds: { small: 5, big: 20 },
+      simulationMode: true,
+    });
+    for (const player of players) {
+      table.addPlayer(player);
+    }
+
+    expect(table.runHandToCompletion()).toEqual({
+      success: false,
+      error:
+        'Seven-card stud does not support synchronous play - use tryStartGame()',
+    });
+    expect(table.gameCount).toBe(0);
+    await expect(
+      Table.runSimulations({
+        count: 1,
+        config: { variant: Variants.SEVEN_CARD_STUD },
+        players,
+      }),
+    ).rejects.toThrow('Seven-card stud does not support simulations');
+  });
+});
@@ -0,0 +1,671 @@
+import { Action, GamePhase } from '../types/index.js';
+import { Variants, Limits } from '../constants.js';
+
+// PokerStars game names by variant
+const GAME_NAMES = {
+  [Variants.TEXAS_HOLDEM]: "Hold'em",
+  [Variants.SHORT_DECK_HOLDEM]: "6+ Hold'em",
+  [Variants.OMAHA]: 'Omaha',
+  [Variants.OMAHA_HI_LO]: 'Omaha Hi/Lo',
+  [Variants.SEVEN_CARD_STUD]: '7 Card Stud',
+  [Variants.SEVEN_CARD_STUD_HI_LO]: '7 Card Stud Hi/Lo',
+};
+
+const LIMIT_NAMES = {
+  [Limits.NO_LIMIT]: 'No Limit',
+  [Limits.POT_LIMIT]: 'Pot Limit',
+  [Limits.FIXED_LIMIT]: 'Limit',
+};
+
+// Street names used in headers and "folded on the ..." summary lines
+const STREET_NAMES = {
+  [GamePhase.FLOP]: 'Flop',
+  [GamePhase.TURN]: 'Turn',
+  [GamePhase.RIVER]: 'River',
+  [GamePhase.THIRD_STREET]: '3rd Street',
+  [GamePhase.FOURTH_STREET]: '4th Street',
+  [GamePhase.FIFTH_STREET]: '5th Street',
+  [GamePhase.SIXTH_STREET]: '6th Street',
+  [GamePhase.SEVENTH_STREET]: '7th Street',
+};
+
+// Street header titles
+const STREET_HEADERS = {
+  [GamePhase.FLOP]: 'FLOP',
+  [GamePhase.TURN]: 'TURN',
+  [GamePhase.RIVER]: 'RIVER',
+  [GamePhase.FOURTH_STREET]: '4th STREET',
+  [GamePhase.FIFTH_STREET]: '5th STREET',
+  [GamePhase.SIXTH_STREET]: '6th STREET',
+  [GamePhase.SEVENTH_STREET]: '7th STREET',
+};
+
+// Forced bets posted before the cards are dealt
+const PRE_DEAL_BETS = ['ante', 'small blind', 'big blind'];
+
+/**
+ * Records one hand from game engine events and renders it as a
+ * PokerStars-style text hand history
+ *
+ * The engine creates a recorder with the starting stacks when a hand is
+ * initialized and passes it every event it emits. getHistory() returns the
+ * structured hand with the rendered text.
+ */
+export class HandHistoryRecorder {
+  /**
+   * @param {Object} config
+   * @param {string|number} config.handId - Hand number shown in the header
+   * @param {string} [config.tableName='Table'] - Table name
+   * @param {number} [config.maxPlayers=9] - Seats at the table
+   * @param {string} [config.variant='texas-holdem'] - Game variant
+   * @param {string} [config.bettingLimit='no-limit'] - Betting limit
+   * @param {Object} config.stakes - { small, big } shown in the header
+   * @param {Object} [config.blinds=config.stakes] - { small, big } blinds
+   * @param {number} [config.ante=0] - Ante
+   * @param {string} [config.anteType] - Ante structure
+   * @param {number|null} [config.seed=null] - Seed the deck was shuffled with
+   * @param {Array<Object>} config.players - { id, name, seat, chips } in seat order
+   * @param {number} config.buttonSeat - Seat number of the button
+   * @param {Object} [config.positions={}] - Player ID -> position name
+   * @param {Date} [config.startedAt] - Hand start time
+   */
+  constructor(config) {
+    this.handId = config.handId;
+    this.tableName = config.tableName || 'Table';
+    this.maxPlayers = config.maxPlayers || 9;
+    this.variant = config.variant || Variants.TEXAS_HOLDEM;
+    this.bettingLimit = config.bettingLimit || Limits.NO_LIMIT;
+    this.stakes = config.stakes;
+    this.blinds = config.blinds || config.stakes;
+    this.ante = config.ante || 0;
+    this.anteType = config.anteType;
+    this.seed = config.seed ?? null;
+    this.buttonSeat = config.buttonSeat;
+    this.positions = config.positions || {};
+    this.startedAt = config.startedAt || new Date();
+    this.players = config.players.map((player) => ({
+      id: player.id,
+      name: player.name || player.id,
+      seat: player.seat,
+      chips: player.chips,
+      holeCards: [],
+    }));
+
+    this.isStud =
+      this.variant === Variants.SEVEN_CARD_STUD ||
+      this.variant === Variants.SEVEN_CARD_STUD_HI_LO;
+    this.street = this.isStud ? GamePhase.THIRD_STREET : GamePhase.PRE_FLOP;
+    this.currentBet = 0;
+    this.streetBets = {}; // Player ID -> live chips bet on this street
+
+    this.actions = [];
+    this.timeline = []; // Actions and new streets in the order they happened
+    this.board = [];
+    this.boards = null; // Set when the board is run more than once
+    this.awarded = new Map(); // Player ID -> chips won
+    this.result = null; // hand:complete data
+  }
+
+  /**
+   * Recorder state as plain data, for checkpointing a hand in progress
+   * @returns {Object} Data for HandHistoryRecorder.fromJSON()
+   */
+  toJSON() {
+    return JSON.parse(
+      JSON.stringify({
+        ...this,
+        startedAt: this.startedAt.toISOString(),
+        awarded: Array.from(this.awarded),
+      }),
+    );
+  }
+
+  /**
+   * Rebuild a recorder from toJSON() output
+   * @param {Object} data - Recorder data
+   * @returns {HandHistoryRecorder} Recorder that continues the same hand
+   */
+  static fromJSON(data) {
+    const recorder = Object.assign(
+      Object.create(HandHistoryRecorder.prototype),
+      JSON.parse(JSON.stringify(data)),
+    );
+    recorder.startedAt = new Date(data.startedAt);
+    recorder.awarded = new Map(data.awarded);
+    return recorder;
+  }
+
+  /**
+   * Consume one engine event - events the history does not use are ignored
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  record(event, data) {
+    switch (event) {
+      case 'ante:posted':
+        this.addForcedBet('ante', data);
+        break;
+      case 'blind:posted':
+        this.addForcedBet(`${data.type} blind`, data);
+        break;
+      case 'bring-in:posted':
+        this.addForcedBet('bring-in', data);
+        break;
+      case 'action:performed':
+        this.addAction(data);
+        break;
+      case 'cards:community':
+        this.addStreet(data);
+        break;
+      case 'chips:awarded':
+        this.awarded.set(
+          data.playerId,
+          (this.awarded.get(data.playerId) || 0) + data.amount,
+        );
+        break;
+      case 'hand:complete':
+        this.result = data;
+        break;
+    }
+  }
+
+  /**
+   * Remember a player's hole cards
+   * @param {string} playerId - Player ID
+   * @param {Object[]} cards - Hole cards
+   */
+  setHoleCards(playerId, cards) {
+    const player = this.getPlayer(playerId);
+    if (player) {
+      player.holeCards = cards.map((card) => card.toString());
+    }
+  }
+
+  /**
+   * Record an ante, blind or bring-in
+   * @param {string} type - 'ante', 'small blind', 'big blind' or 'bring-in'
+   * @param {Object} data - Event data with playerId and amount
+   */
+  addForcedBet(type, { playerId, amount, isAllIn, isDead }) {
+    // Antes are dead money; blinds and the bring-in open the betting
+    if (type !== 'ante') {
+      this.currentBet = Math.max(this.currentBet, amount);
+    }
+    if (type !== 'ante' && !isDead) {
+      this.addStreetBet(playerId, amount);
+    }
+    this.push({
+      street: this.street,
+      playerId,
+      type,
+      amount,
+      isAllIn: isAllIn === true,
+    });
+  }
+
+  /**
+   * Record a processed player action
+   * All-ins are written as the bet, raise or call they amount to
+   * @param {Object} data - action:performed data
+   */
+  addAction({ playerId, action, amount = 0, totalBet = 0, isAllIn, phase }) {
+    if (phase && phase !== this.street) {
+      // Stud streets have no community cards to announce them
+      this.street = phase;
+      this.currentBet = 0;
+      this.streetBets = {};
+      this.timeline.push({ street: { phase, cards: [], newCards: [] } });
+    }
+    this.addStreetBet(playerId, amount);
+
+    let type = action.toLowerCase();
+    if (action === Action.ALL_IN) {
+      if (totalBet <= this.currentBet) {
+        type = 'call';
+      } else {
+        type = this.currentBet === 0 ? 'bet' : 'raise';
+      }
+    }
+
+    const entry = {
+      street: this.street,
+      playerId,
+      type,
+      amount,
+      isAllIn: isAllIn === true,
+    };
+    if (type === 'raise') {
+      entry.raiseBy = totalBet - this.currentBet;
+      entry.totalBet = totalBet;
+    }
+    if (type === 'bet' || type === 'raise') {
+      this.currentBet = totalBet;
+    }
+    this.push(entry);
+  }
+
+  /**
+   * Record community cards
+   * @param {Object} data - cards:community data
+   */
+  addStreet({ cards, phase, boardIndex }) {
+    const board = cards.map((card) => card.toString());
+
+    if (boardIndex !== undefined) {
+      // Running it more than once - each event is a whole board
+      this.boards = this.boards || [];
+      this.boards[boardIndex] = board;
+      this.timeline.push({
+        street: { phase, cards: board, newCards: [], boardIndex },
+      });
+      return;
+    }
+
+    this.timeline.push({
+      street: {
+        phase,
+        cards: board.slice(0, this.board.length),
+        newCards: board.slice(this.board.length),
+      },
+    });
+    this.board = board;
+    this.street = phase;
+    this.currentBet = 0;
+    this.streetBets = {};
+  }
+
+  /**
+   * @param {string} playerId - Player ID
+   * @param {number} amount - Live chips the player put in
+   */
+  addStreetBet(playerId, amount) {
+    this.streetBets[playerId] = (this.streetBets[playerId] || 0) + amount;
+  }
+
+  /**
+   * The part of the last bet or raise nobody called
+   * The engine pays it back to its player with the pot; histories show it
+   * returned instead, so it is not counted as winnings.
+   * @returns {Object|null} { playerId, amount }
+   */
+  getUncalledBet() {
+    const [top, second] = Object.entries(this.streetBets).sort(
+      (a, b) => b[1] - a[1],
+    );
+    const amount = top ? top[1] - (second?.[1] ?? 0) : 0;
+    return amount > 0 ? { playerId: top[0], amount } : null;
+  }
+
+  /**
+   * Add an action to the history and the timeline
+   * @param {Object} entry - Action entry
+   */
+  push(entry) {
+    this.actions.push(entry);
+    this.timeline.push({ action: entry });
+  }
+
+  /**
+   * @param {string} playerId - Player ID
+   * @returns {Object|undefined} Recorded player
+   */
+  getPlayer(playerId) {
+    return this.players.find((p) => p.id === playerId);
+  }
+
+  /**
+   * Build the structured hand history
+   * @returns {Object} Hand history with a PokerStars-style `text` field
+   */
+  getHistory() {
+    const showdown = (this.result?.showdownParticipants || []).map((p) => ({
+      playerId: p.playerId,
+      cards: (p.holeCards || p.cards || []).map((card) => card.toString()),
+      handDescription: p.handDescription || p.handStrength || null,
+    }));
+    const uncalledBet = this.getUncalledBet();
+    const winners = this.getWinnings(uncalledBet);
+
+    const history = {
+      handId: this.handId,
+      tableName: this.tableName,
+      maxPlayers: this.maxPlayers,
+      startedAt: this.startedAt.toISOString(),
+      variant: this.variant,
+      bettingLimit: this.bettingLimit,
+      stakes: { ...this.stakes },
+      blinds: { ...this.blinds },
+      ante: this.ante,
+      anteType: this.anteType,
+      seed: this.seed,
+      buttonSeat: this.buttonSeat,
+      positions: { ...this.positions },
+      players: this.players.map((p) => ({
+        ...p,
+        holeCards: [...p.holeCards],
+      })),
+      actions: this.actions.map((a) => ({ ...a })),
+      streets: this.timeline
+        .filter(({ street }) => street?.newCards.length > 0)
+        .map(({ street }) => ({
+          street: street.phase,
+          cards: [...street.newCards],
+        })),
+      board: [...this.board],
+      showdown,
+      winners,
+      pots: this.getPots(winners, uncalledBet),
+      totalPot: winners.reduce((total, w) => total + w.amount, 0),
+      uncalledBet,
+    };
+    if (this.boards) {
+      history.boards = this.boards.map((board) => [...board]);
+    }
+
+    history.text = this.toText(history);
+    return history;
+  }
+
+  /**
+   * Chips won by each player
+   * Uses chips:awarded when it was emitted, otherwise the hand:complete
+   * winners (the synchronous path does not award chips through events)
+   * @param {Object|null} uncalledBet - Returned bet, not counted as won
+   * @returns {Array<Object>} { playerId, amount, handDescription }
+   */
+  getWinnings(uncalledBet) {
+    const resultWinners = this.result?.winners || [];
+    const descriptions = new Map(
+      resultWinners.map((w) => [
+        w.playerId,
+        w.handDescription || w.handStrength || null,
+      ]),
+    );
+
+    const amounts = new Map(this.awarded);
+    if (amounts.size === 0) {
+      for (const winner of resultWinners) {
+        amounts.set(
+          winner.playerId,
+          (amounts.get(winner.playerId) || 0) + winner.amount,
+        );
+      }
+    }
+    if (uncalledBet) {
+      const { playerId, amount } = uncalledBet;
+      amounts.set(playerId, (amounts.get(playerId) || 0) - amount);
+    }
+
+    return Array.from(amounts, ([playerId, amount]) => ({
+      playerId,
+      amount,
+      handDescription: descriptions.get(playerId) ?? null,
+    })).filter((w) => w.amount > 0);
+  }
+
+  /**
+   * Main and side pots with what each player won from them
+   * Pot results from the engine are merged across boards; without them
+   * (the synchronous path) the whole pot is one main pot. An uncalled bet
+   * comes out of the last pots its player won.
+   * @param {Array<Object>} winners - Chips won by each player
+   * @param {Object|null} uncalledBet - Returned bet, not part of any pot
+   * @returns {Array<Object>} { potId, potName, amount, eligiblePlayers, winners }
+   */
+  getPots(winners, uncalledBet) {
+    const potResults = this.result?.potResults || [];
+    if (potResults.length === 0) {
+      return [
+        {
+          potId: 0,
+          potName: 'Main Pot',
+          amount: winners.reduce((total, w) => total + w.amount, 0),
+          eligiblePlayers: this.players.map((p) => p.id),
+          winners: winners.map(({ playerId, amount }) => ({
+            playerId,
+            amount,
+          })),
+        },
+      ];
+    }
+
+    const pots = new Map();
+    for (const result of potResults) {
+      if (!pots.has(result.potId)) {
+        const info = (this.result.sidePots || []).find(
+          (pot) => pot.potId === result.potId,
+        );
+        pots.set(result.potId, {
+          potId: result.potId,
+          potName: result.potName,
+          amount: 0,
+          eligiblePlayers: info ? [...info.eligiblePlayers] : [],
+          winners: [],
+        });
+      }
+      const pot = pots.get(result.potId);
+      pot.amount += result.amount;
+      for (const winner of [...result.highWinners, ...result.lowWinners]) {
+        const existing = pot.winners.find(
+          (w) => w.playerId === winner.playerId,
+        );
+        if (existing) {
+          existing.amount += winner.amount;
+        } else {
+          pot.winners.push({
+            playerId: winner.playerId,
+            amount: winner.amount,
+          });
+        }
+      }
+    }
+
+    let returned = uncalledBet?.amount ?? 0;
+    for (const pot of Array.from(pots.values()).reverse()) {
+      const won = pot.winners.find((w) => w.playerId === uncalledBet?.playerId);
+      if (returned === 0 || !won) {
+        continue;
+      }
+      const amount = Math.min(returned, won.amount);
+      won.amount -= amount;
+      pot.amount -= amount;
+      returned -= amount;
+      pot.winners = pot.winners.filter((w) => w.amount > 0);
+    }
+    return Array.from(pots.values()).filter((pot) => pot.amount > 0);
+  }
+
+  /**
+   * Render a structured history as PokerStars-style text
+   * @param {Object} history - Result of getHistory() without text
+   * @returns {string} Hand history text
+   */
+  toText(history) {
+    const name = (playerId) => this.getPlayer(playerId)?.name ?? playerId;
+    const game = `${GAME_NAMES[history.variant] || history.variant} ${LIMIT_NAMES[history.bettingLimit] || history.bettingLimit}`;
+    const stakes = `${history.stakes.small}/${history.stakes.big}`;
+    const lines = [
+      `PokerStars Hand #${history.handId}:  ${game} (${stakes}) - ${formatDate(this.startedAt)} UTC`,
+      `Table '${history.tableName}' ${this.maxPlayers}-max Seat #${history.buttonSeat} is the button`,
+    ];
+    for (const player of history.players) {
+      lines.push(
+        `Seat ${player.seat}: ${player.name} (${player.chips} in chips)`,
+      );
+    }
+
+    // Antes and blinds come before the deal, everything else after it
+    let dealt = false;
+    const deal = () => {
+      lines.push(this.isStud ? '*** 3rd STREET ***' : '*** HOLE CARDS ***');
+      for (const player of history.players) {
+        if (player.holeCards.length > 0) {
+          lines.push(`Dealt to ${player.name} [${player.holeCards.join(' ')}]`);
+        }
+      }
+      dealt = true;
+    };
+
+    // An uncalled bet goes back right after the last action
+    const lastAction = this.timeline.findLastIndex(({ action }) => action);
+    this.timeline.forEach(({ action, street }, index) => {
+      if (!dealt && !(action && PRE_DEAL_BETS.includes(action.type))) {
+        deal();
+      }
+      lines.push(
+        action
+          ? `${name(action.playerId)}: ${describeAction(action)}`
+          : describeStreet(street),
+      );
+      if (index === lastAction && history.uncalledBet) {
+        const { playerId, amount } = history.uncalledBet;
+        lines.push(`Uncalled bet (${amount}) returned to ${name(playerId)}`);
+      }
+    });
+    if (!dealt) {
+      deal();
+    }
+
+    // Showdown and winnings
+    if (history.showdown.length > 0) {
+      lines.push('*** SHOW DOWN ***');
+      for (const shown of history.showdown) {
+        lines.push(
+          `${name(shown.playerId)}: shows [${shown.cards.join(' ')}] (${shown.handDescription})`,
+        );
+      }
+    }
+    for (const winner of history.winners) {
+      lines.push(
+        `${name(winner.playerId)} collected ${winner.amount} from pot`,
+      );
+      if (history.showdown.length === 0) {
+        lines.push(`${name(winner.playerId)}: doesn't show hand`);
+      }
+    }
+
+    // Summary
+    lines.push('*** SUMMARY ***');
+    lines.push(`Total pot ${history.totalPot} | Rake 0`);
+    if (history.boards) {
+      history.boards.forEach((board, index) => {
+        lines.push(`Board ${index + 1} [${board.join(' ')}]`);
+      });
+    } else if (history.board.length > 0) {
+      lines.push(`Board [${history.board.join(' ')}]`);
+    }
+    for (const player of history.players) {
+      lines.push(
+        `Seat ${player.seat}: ${player.name}${this.positionLabel(player, history)} ${this.seatResult(player, history)}`,
+      );
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Button or blind label for a summary line
+   * @param {Object} player - Recorded player
+   * @param {Object} history - Structured history
+   * @returns {string} e.g. " (button)", or "" for other seats
+   */
+  positionLabel(player, history) {
+    if (player.seat === history.buttonSeat) {
+      return ' (button)';
+    }
+    const blind = history.actions.find(
+      (a) =>
+        a.playerId === player.id &&
+        (a.type === 'small blind' || a.type === 'big blind'),
+    );
+    return blind ? ` (${blind.type})` : '';
+  }
+
+  /**
+   * How the hand ended for one player, for the summary
+   * @param {Object} player - Recorded player
+   * @param {Object} history - Structured history
+   * @returns {string} e.g. "folded before Flop" or "showed [Ah Kh] and won (200) with ..."
+   */
+  seatResult(player, history) {
+    const won = history.winners.find((w) => w.playerId === player.id);
+    const fold = history.actions.find(
+      (a) => a.playerId === player.id && a.type === 'fold',
+    );
+    if (fold) {
+      return fold.street === GamePhase.PRE_FLOP
+        ? 'folded before Flop'
+        : `folded on the ${STREET_NAMES[fold.street] || fold.street}`;
+    }
+
+    const shown = history.showdown.find((s) => s.playerId === player.id);
+    if (shown) {
+      const cards = `showed [${shown.cards.join(' ')}]`;
+      return won
+        ? `${cards} and won (${won.amount}) with ${shown.handDescription}`
+        : `${cards} and lost with ${shown.handDescription}`;
+    }
+    if (won) {
+      return `collected (${won.amount})`;
+    }
+    return 'mucked';
+  }
+}
+
+/**
+ * Text for one action line, without the player name
+ * @param {Object} action - Recorded action
+ * @returns {string} e.g. "raises 40 to 60 and is all-in"
+ */
+function describeAction(action) {
+  const allIn = action.isAllIn ? ' and is all-in' : '';
+  switch (action.type) {
+    case 'ante':
+      return `posts the ante ${action.amount}${allIn}`;
+    case 'small blind':
+    case 'big blind':
+      return `posts ${action.type} ${action.amount}${allIn}`;
+    case 'bring-in':
+      return `brings in for ${action.amount}${allIn}`;
+    case 'fold':
+      return 'folds';
+    case 'check':
+      return 'checks';
+    case 'raise':
+      return `raises ${action.raiseBy} to ${action.totalBet}${allIn}`;
+    default:
+      // calls and bets
+      return `${action.type}s ${action.amount}${allIn}`;
+  }
+}
+
+/**
+ * Header line for a new street
+ * @param {Object} street - { phase, cards, newCards, boardIndex? }
+ * @returns {string} e.g. "*** TURN *** [Ah Kd 7c] [2s]"
+ */
+function describeStreet(street) {
+  const title = STREET_HEADERS[street.phase] || street.phase;
+  if (street.boardIndex !== undefined) {
+    return `*** BOARD ${street.boardIndex + 1} *** [${street.cards.join(' ')}]`;
+  }
+  if (street.cards.length > 0) {
+    return `*** ${title} *** [${street.cards.join(' ')}] [${street.newCards.join(' ')}]`;
+  }
+  if (street.newCards.length > 0) {
+    return `*** ${title} *** [${street.newCards.join(' ')}]`;
+  }
+  return `*** ${title} ***`;
+}
+
+/**
+ * @param {Date} date - Date to format
+ * @returns {string} YYYY/MM/DD HH:MM:SS in UTC
+ */
+function formatDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return (
+    `${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`
+  );
+}
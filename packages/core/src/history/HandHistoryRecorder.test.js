@@ -0,0 +1,263 @@
+import { describe, it, expect } from 'vitest';
+import { HandHistoryRecorder } from './HandHistoryRecorder.js';
+import { GameEngine } from '../game/GameEngine.js';
+import { RiggedDeck } from '../game/RiggedDeck.js';
+import { Table } from '../Table.js';
+import { Action, GamePhase } from '../types/index.js';
+import { ScriptedPlayer } from '../test-utils/index.js';
+
+// Alice makes two pair, Bob has one pair
+const createDeck = () =>
+  new RiggedDeck({
+    cards: [
+      ...['Ah', 'Kd'], // alice
+      ...['Qs', 'Qc'], // bob
+      ...['2c', 'Ac', 'Kh', '7d', '2d', '9s', '2h', '4c'],
+    ],
+    dealAlternating: false,
+  });
+
+const createPlayers = (scripts = {}) => {
+  const players = [
+    new ScriptedPlayer({ id: 'alice', name: 'Alice', script: scripts.alice }),
+    new ScriptedPlayer({ id: 'bob', name: 'Bob', script: scripts.bob }),
+  ];
+  for (const player of players) {
+    player.buyIn(1000);
+  }
+  return players;
+};
+
+describe('HandHistoryRecorder', () => {
+  it('should write a hand won without showdown in PokerStars format', async () => {
+    // Alice is the button and small blind - Bob bets the river and she folds
+    const players = createPlayers({
+      alice: [
+        { action: Action.CALL },
+        { action: Action.CALL },
+        { action: Action.CHECK },
+        { action: Action.FOLD },
+      ],
+      bob: [
+        { action: Action.CHECK },
+        { action: Action.BET, amount: 40 },
+        { action: Action.CHECK },
+        { action: Action.BET, amount: 100 },
+      ],
+    });
+    const engine = new GameEngine({
+      players,
+      blinds: { small: 10, big: 20 },
+      dealerButton: 0,
+      deck: createDeck(),
+      simulationMode: true,
+      handHistory: true,
+      handId: 42,
+      tableName: 'Sunset',
+      maxPlayers: 6,
+      seats: { alice: 2, bob: 5 },
+    });
+
+    await engine.start();
+    const history = engine.buildHandHistory();
+
+    expect(history.text.split('\n')).toEqual([
+      expect.stringMatching(
+        /^PokerStars Hand #42: {2}Hold'em No Limit \(10\/20\) - \d{4}\/\d{2}\/\d{2} \d{2}:\d{2}:\d{2} UTC$/,
+      ),
+      "Table 'Sunset' 6-max Seat #2 is the button",
+      'Seat 2: Alice (1000 in chips)',
+      'Seat 5: Bob (1000 in chips)',
+      'Alice: posts small blind 10',
+      'Bob: posts big blind 20',
+      '*** HOLE CARDS ***',
+      'Dealt to Alice [Ah Kd]',
+      'Dealt to Bob [Qs Qc]',
+      'Alice: calls 10',
+      'Bob: checks',
+      '*** FLOP *** [Ac Kh 7d]',
+      'Bob: bets 40',
+      'Alice: calls 40',
+      '*** TURN *** [Ac Kh 7d] [9s]',
+      'Bob: checks',
+      'Alice: checks',
+      '*** RIVER *** [Ac Kh 7d 9s] [4c]',
+      'Bob: bets 100',
+      'Alice: folds',
+      'Uncalled bet (100) returned to Bob',
+      'Bob collected 120 from pot',
+      "Bob: doesn't show hand",
+      '*** SUMMARY ***',
+      'Total pot 120 | Rake 0',
+      'Board [Ac Kh 7d 9s 4c]',
+      'Seat 2: Alice (button) folded on the River',
+      'Seat 5: Bob (big blind) collected (120)',
+    ]);
+    expect(history.winners).toEqual([
+      { playerId: 'bob', amount: 120, handDescription: 'Won by fold' },
+    ]);
+    expect(history.uncalledBet).toEqual({ playerId: 'bob', amount: 100 });
+    expect(history.pots).toMatchObject([{ amount: 120 }]);
+  });
+
+  it('should record the showdown and all-in raises', async () => {
+    const players = createPlayers({
+      bob: [{ action: Action.ALL_IN }],
+    });
+    const engine = new GameEngine({
+      players,
+      blinds: { small: 10, big: 20 },
+      dealerButton: 0,
+      deck: createDeck(),
+      simulationMode: true,
+      handHistory: true,
+    });
+
+    await engine.start();
+    const history = engine.buildHandHistory();
+
+    expect(history.actions.find((a) => a.playerId === 'bob')).toMatchObject({
+      street: GamePhase.PRE_FLOP,
+      type: 'big blind',
+    });
+    expect(history.text).toContain('Bob: raises 980 to 1000 and is all-in');
+    expect(history.text).toContain('Alice: calls 980 and is all-in');
+    expect(history.text).toContain('*** SHOW DOWN ***');
+    expect(history.text).toContain(
+      "Alice: shows [Ah Kd] (Two Pair, A's & K's)",
+    );
+    expect(history.text).toContain('Alice collected 2000 from pot');
+    expect(history.text).toContain(
+      "Seat 1: Alice (button) showed [Ah Kd] and won (2000) with Two Pair, A's & K's",
+    );
+    expect(history.text).toContain(
+      "Seat 2: Bob (big blind) showed [Qs Qc] and lost with Pair, Q's",
+    );
+  });
+
+  it('should emit hand:history from a Table after hand:ended', async () => {
+    const table = new Table({
+      id: 'table-1',
+      blinds: { small: 10, big: 20 },
+      deck: createDeck(),
+      dealerButton: 0,
+      simulationMode: true,
+      handHistory: true,
+    });
+    for (const player of createPlayers()) {
+      table.addPlayer(player);
+    }
+
+    const events = [];
+    table.on('hand:ended', () => events.push('hand:ended'));
+    const historyEvent = new Promise((resolve) => {
+      table.on('hand:history', (data) => {
+        events.push('hand:history');
+        resolve(data);
+      });
+    });
+
+    await table.tryStartGame();
+    const data = await historyEvent;
+
+    expect(events).toEqual(['hand:ended', 'hand:history']);
+    expect(data.tableId).toBe('table-1');
+    expect(data.gameNumber).toBe(1);
+    expect(data.text).toBe(data.history.text);
+    expect(data.text).toMatch(/^PokerStars Hand #1: /);
+    expect(data.text).toContain("Table 'table-1' 9-max");
+  });
+
+  it('should return a history from runHandToCompletion', () => {
+    const table = new Table({
+      blinds: { small: 10, big: 20 },
+      deck: createDeck(),
+      simulationMode: true,
+      handHistory: true,
+    });
+    for (const player of createPlayers()) {
+      table.addPlayer(player);
+    }
+
+    const result = table.runHandToCompletion();
+
+    expect(result.success).toBe(true);
+    expect(result.handHistory[0]).toMatchObject({
+      playerId: 'alice',
+      type: 'small blind',
+      amount: 10,
+    });
+    expect(result.handHistoryText).toContain(
+      '*** RIVER *** [Ac Kh 7d 9s] [4c]',
+    );
+    expect(result.handHistoryText).toContain(
+      "Alice: shows [Ah Kd] (Two Pair, A's & K's)",
+    );
+    expect(result.handHistoryText).toContain(
+      `Alice collected ${result.pot} from pot`,
+    );
+  });
+
+  it('should skip the history in simulation mode unless asked for one', () => {
+    const table = new Table({
+      blinds: { small: 10, big: 20 },
+      deck: createDeck(),
+      simulationMode: true,
+    });
+    for (const player of createPlayers()) {
+      table.addPlayer(player);
+    }
+
+    const result = table.runHandToCompletion();
+
+    expect(result.success).toBe(true);
+    expect(result.handHistory).toBeUndefined();
+    expect(result.handHistoryText).toBeUndefined();
+    expect(result.openHandHistory).toBeUndefined();
+  });
+
+  it('should render recorded events without an engine', () => {
+    const recorder = new HandHistoryRecorder({
+      handId: 7,
+      stakes: { small: 1, big: 2 },
+      buttonSeat: 1,
+      players: [
+        { id: 'p1', name: 'Ann', seat: 1, chips: 100 },
+        { id: 'p2', name: 'Ben', seat: 3, chips: 100 },
+      ],
+      startedAt: new Date(Date.UTC(2024, 0, 2, 3, 4, 5)),
+    });
+
+    recorder.record('blind:posted', {
+      playerId: 'p1',
+      type: 'small',
+      amount: 1,
+    });
+    recorder.record('blind:posted', { playerId: 'p2', type: 'big', amount: 2 });
+    recorder.record('action:performed', {
+      playerId: 'p1',
+      action: Action.RAISE,
+      amount: 5,
+      totalBet: 6,
+      phase: GamePhase.PRE_FLOP,
+    });
+    recorder.record('action:performed', {
+      playerId: 'p2',
+      action: Action.FOLD,
+      amount: 0,
+      totalBet: 2,
+      phase: GamePhase.PRE_FLOP,
+    });
+    recorder.record('chips:awarded', { playerId: 'p1', amount: 8 });
+    recorder.record('pot:updated', { total: 8 });
+
+    const lines = recorder.getHistory().text.split('\n');
+    expect(lines[0]).toBe(
+      "PokerStars Hand #7:  Hold'em No Limit (1/2) - 2024/01/02 03:04:05 UTC",
+    );
+    expect(lines).toContain('Ann: raises 4 to 6');
+    expect(lines).toContain('Uncalled bet (4) returned to Ann');
+    expect(lines).toContain('Seat 3: Ben (big blind) folded before Flop');
+    expect(lines).toContain('Seat 1: Ann (button) collected (4)');
+  });
+});
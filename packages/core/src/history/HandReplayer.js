@@ -0,0 +1,226 @@
+import { Table } from '../Table.js';
+import { Player } from '../Player.js';
+import { RiggedDeck } from '../game/RiggedDeck.js';
+import { Action } from '../types/index.js';
+import { OpenHandHistory } from './OpenHandHistory.js';
+
+const FORCED_BETS = ['ante', 'small blind', 'big blind', 'bring-in'];
+const ACTION_FIELDS = ['street', 'playerId', 'type', 'amount', 'isAllIn'];
+
+/**
+ * Player that repeats its recorded actions
+ * Once the recording runs out it checks when it can and folds otherwise, so
+ * a diverging replay still finishes and can be compared.
+ */
+class ReplayPlayer extends Player {
+  constructor(config) {
+    super(config);
+    this.script = [...config.script];
+  }
+
+  getAction(gameState) {
+    const next = this.script.shift();
+    if (next) {
+      return next;
+    }
+    return gameState.toCall > 0
+      ? { action: Action.FOLD }
+      : { action: Action.CHECK };
+  }
+}
+
+/**
+ * Replays a recorded hand on a fresh Table and reports where it diverges
+ * Hands with a deck seed are re-dealt from the seed, others from the card
+ * order rebuilt from the recorded cards. Accepts a hand history from
+ * GameEngine.buildHandHistory(), Open Hand History (object or JSON), a hand
+ * from OpenHandHistory.parse(), or a hand-built recording of the same shape.
+ */
+export class HandReplayer {
+  /**
+   * Replay a recorded hand
+   * @param {Object|string} recording - Recorded hand
+   * @param {Object} [options]
+   * @param {Object} [options.tableConfig] - Extra Table config (e.g. shortDeck rules)
+   * @returns {Promise<Object>} { matches, diffs: [{ path, expected, actual }],
+   *   finalChips, history } where history is the replayed hand history
+   */
+  static async replay(recording, { tableConfig = {} } = {}) {
+    const hand = this.normalize(recording);
+    const hasSeed = hand.seed !== null && hand.seed !== undefined;
+    if (!hasSeed && !hand.deck) {
+      throw new Error(
+        `Replaying ${hand.config.variant} hands needs the deck seed - the card order cannot be rebuilt`,
+      );
+    }
+
+    // A seed re-deals the hand exactly, burn cards included
+    const table = new Table({
+      ...tableConfig,
+      ...hand.config,
+      id: `replay-${hand.handId ?? 'hand'}`,
+      ...(hasSeed
+        ? { seed: hand.seed }
+        : {
+            deck: new RiggedDeck({ cards: hand.deck, dealAlternating: false }),
+          }),
+      simulationMode: true,
+      handHistory: true,
+    });
+    const players = hand.players.map((recorded) => {
+      const player = new ReplayPlayer({
+        id: recorded.id,
+        name: recorded.name,
+        script: hand.scripts[recorded.id] || [],
+      });
+      player.buyIn(recorded.chips);
+      table.addPlayer(player, { seatNumber: recorded.seat });
+      return player;
+    });
+
+    let replayed = null;
+    table.on('hand:history', ({ history }) => {
+      replayed = history;
+    });
+    const result = await table.tryStartGame();
+
+    const finalChips = Object.fromEntries(players.map((p) => [p.id, p.chips]));
+    if (!replayed) {
+      return {
+        matches: false,
+        diffs: [
+          {
+            path: 'hand',
+            expected: 'completed',
+            actual: result.details?.error || result.reason,
+          },
+        ],
+        finalChips,
+        history: null,
+      };
+    }
+
+    const diffs = this.compare(
+      hand,
+      OpenHandHistory.parse(OpenHandHistory.toOHH(replayed)),
+      finalChips,
+    );
+    return {
+      matches: diffs.length === 0,
+      diffs,
+      finalChips,
+      history: replayed,
+    };
+  }
+
+  /**
+   * Bring any supported recording into the OpenHandHistory.parse() shape
+   * @param {Object|string} recording - Recorded hand
+   * @returns {Object} Parsed hand
+   */
+  static normalize(recording) {
+    if (typeof recording === 'string' || recording?.ohh) {
+      return OpenHandHistory.parse(recording);
+    }
+    if (recording?.stakes && Array.isArray(recording.streets)) {
+      return OpenHandHistory.parse(OpenHandHistory.toOHH(recording));
+    }
+    if (!recording?.config || !Array.isArray(recording.players)) {
+      throw new Error(
+        'Invalid recording: expected a hand history, OHH or { config, players, seed or deck, actions }',
+      );
+    }
+
+    // Hand-built recordings only need the action list
+    const actions = recording.actions || [];
+    const scripts =
+      recording.scripts ||
+      Object.fromEntries(
+        recording.players.map((player) => [
+          player.id,
+          actions
+            .filter(
+              (action) =>
+                action.playerId === player.id &&
+                !FORCED_BETS.includes(action.type),
+            )
+            .map((action) => OpenHandHistory.scriptAction(action)),
+        ]),
+      );
+    return { ...recording, actions, scripts };
+  }
+
+  /**
+   * Differences between the recorded hand and its replay
+   * Only the parts the recording includes are compared.
+   * @param {Object} expected - Recorded hand
+   * @param {Object} actual - Replayed hand
+   * @param {Object} finalChips - Player ID -> chips after the replay
+   * @returns {Array<Object>} [{ path, expected, actual }]
+   */
+  static compare(expected, actual, finalChips) {
+    const diffs = [];
+    const check = (path, want, got) => {
+      if (JSON.stringify(want) !== JSON.stringify(got)) {
+        diffs.push({ path, expected: want, actual: got });
+      }
+    };
+
+    // Hand-built recordings may leave out forced bets and action fields
+    const actualActions = expected.actions.some((a) =>
+      FORCED_BETS.includes(a.type),
+    )
+      ? actual.actions
+      : actual.actions.filter((a) => !FORCED_BETS.includes(a.type));
+    const count = Math.max(expected.actions.length, actualActions.length);
+    for (let i = 0; i < count; i++) {
+      const fields = ACTION_FIELDS.filter(
+        (field) => !expected.actions[i] || field in expected.actions[i],
+      );
+      check(
+        `actions[${i}]`,
+        this.describeAction(expected.actions[i], fields),
+        this.describeAction(actualActions[i], fields),
+      );
+    }
+    if (expected.board) {
+      check('board', expected.board, actual.board);
+    }
+    if (expected.boards) {
+      check('boards', expected.boards, actual.boards);
+    }
+    if (expected.pots) {
+      for (let i = 0; i < expected.pots.length; i++) {
+        check(
+          `pots[${i}].winners`,
+          expected.pots[i].winners,
+          actual.pots[i]?.winners,
+        );
+      }
+    }
+    if (expected.finalChips) {
+      for (const [playerId, chips] of Object.entries(expected.finalChips)) {
+        check(`finalChips.${playerId}`, chips, finalChips[playerId]);
+      }
+    }
+    return diffs;
+  }
+
+  /**
+   * Fields of an action that a replay must reproduce
+   * @param {Object} [action] - Parsed action
+   * @param {string[]} [fields] - Fields to keep
+   * @returns {Object|null} Subset of { street, playerId, type, amount, isAllIn }
+   */
+  static describeAction(action, fields = ACTION_FIELDS) {
+    if (!action) {
+      return null;
+    }
+    return Object.fromEntries(
+      fields.map((field) => [
+        field,
+        field === 'isAllIn' ? action.isAllIn === true : action[field],
+      ]),
+    );
+  }
+}
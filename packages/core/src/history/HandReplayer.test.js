@@ -0,0 +1,194 @@
+import { describe, it, expect } from 'vitest';
+import { HandReplayer } from './HandReplayer.js';
+import { OpenHandHistory } from './OpenHandHistory.js';
+import { RiggedDeck } from '../game/RiggedDeck.js';
+import { Table } from '../Table.js';
+import { Player } from '../Player.js';
+import { Action } from '../types/index.js';
+import { ScriptedPlayer } from '../test-utils/index.js';
+
+// Carol is short and all-in preflop, so there is a side pot
+const DECK = [
+  ...['Ah', 'Kd'], // alice
+  ...['Qs', 'Qc'], // bob
+  ...['Jh', 'Jd'], // carol
+  ...['2c', 'Ac', 'Kh', '7d', '2d', '9s', '2h', '4c'],
+];
+
+const recordHand = async () => {
+  const table = new Table({
+    id: 'recorded',
+    blinds: { small: 10, big: 20 },
+    maxPlayers: 6,
+    deck: new RiggedDeck({ cards: DECK, dealAlternating: false }),
+    simulationMode: true,
+    handHistory: true,
+  });
+  const scripts = {
+    alice: [{ action: Action.RAISE, amount: 60 }],
+    bob: [
+      { action: Action.CALL },
+      { action: Action.CALL },
+      { action: Action.BET, amount: 100 },
+    ],
+    carol: [{ action: Action.ALL_IN }],
+  };
+  const stacks = { alice: 1000, bob: 1000, carol: 300 };
+  const seats = { alice: 2, bob: 4, carol: 5 };
+  const players = Object.keys(stacks).map((id) => {
+    const player = new ScriptedPlayer({ id, script: scripts[id] });
+    player.buyIn(stacks[id]);
+    table.addPlayer(player, { seatNumber: seats[id] });
+    return player;
+  });
+
+  const historyEvent = new Promise((resolve) => {
+    table.on('hand:history', resolve);
+  });
+  await table.tryStartGame();
+  const { history } = await historyEvent;
+  return {
+    history,
+    finalChips: Object.fromEntries(players.map((p) => [p.id, p.chips])),
+  };
+};
+
+describe('HandReplayer', () => {
+  it('should replay a recorded hand history exactly', async () => {
+    const recorded = await recordHand();
+
+    const replay = await HandReplayer.replay(recorded.history);
+
+    expect(replay.diffs).toEqual([]);
+    expect(replay.matches).toBe(true);
+    expect(replay.finalChips).toEqual(recorded.finalChips);
+    expect(replay.history.players.map((p) => [p.id, p.seat])).toEqual([
+      ['alice', 2],
+      ['bob', 4],
+      ['carol', 5],
+    ]);
+  });
+
+  it('should replay Open Hand History JSON', async () => {
+    const recorded = await recordHand();
+    const json = JSON.stringify(OpenHandHistory.toOHH(recorded.history));
+
+    const replay = await HandReplayer.replay(json);
+
+    expect(replay.matches).toBe(true);
+    expect(replay.finalChips).toEqual(recorded.finalChips);
+  });
+
+  it('should re-deal seeded hands from the seed', async () => {
+    for (const variant of ['texas-holdem', 'seven-card-stud']) {
+      const table = new Table({
+        variant,
+        blinds: { small: 10, big: 20 },
+        seed: 'bug-report',
+        simulationMode: true,
+        handHistory: true,
+      });
+      for (const id of ['alice', 'bob', 'carol']) {
+        const player = new ScriptedPlayer({ id });
+        player.buyIn(500);
+        table.addPlayer(player);
+      }
+      const historyEvent = new Promise((resolve) => {
+        table.on('hand:history', resolve);
+      });
+      await table.tryStartGame();
+      const { history, ohh } = await historyEvent;
+      expect(history.seed).toEqual(expect.any(Number));
+
+      const replay = await HandReplayer.replay(ohh);
+      expect(replay.diffs).toEqual([]);
+      expect(replay.history.seed).toBe(history.seed);
+    }
+  });
+
+  it('should replay a hand-built bug report', async () => {
+    // Issue #11: the short all-in player wins the main pot
+    const replay = await HandReplayer.replay({
+      config: { blinds: { small: 10, big: 20 }, dealerButton: 0 },
+      players: [
+        { id: 'p1', seat: 1, chips: 100 },
+        { id: 'p2', seat: 2, chips: 300 },
+        { id: 'p3', seat: 3, chips: 1000 },
+      ],
+      deck: [
+        ...['As', 'Ah'], // p1
+        ...['Kd', 'Kh'], // p2
+        ...['Qc', 'Qh'], // p3
+        ...['2c', '3d', '5s', '7h', '2d', '9h', '2h', 'Jc'],
+      ],
+      actions: [
+        { playerId: 'p1', type: 'raise', amount: 100, isAllIn: true },
+        { playerId: 'p2', type: 'raise', amount: 290, isAllIn: true },
+        { playerId: 'p3', type: 'call', amount: 280 },
+      ],
+      finalChips: { p1: 300, p2: 400, p3: 700 },
+    });
+
+    expect(replay.diffs).toEqual([]);
+    expect(replay.finalChips).toEqual({ p1: 300, p2: 400, p3: 700 });
+  });
+
+  it('should report where a replay diverges', async () => {
+    const recorded = await recordHand();
+    const hand = OpenHandHistory.parse(OpenHandHistory.toOHH(recorded.history));
+
+    // Bob's flop bet was 100 - claim it was 150 and that Bob won
+    const betIndex = hand.actions.findIndex(
+      (a) => a.playerId === 'bob' && a.type === 'bet',
+    );
+    hand.actions[betIndex] = { ...hand.actions[betIndex], amount: 150 };
+    hand.scripts.bob = hand.scripts.bob.map((action) =>
+      action.action === Action.BET ? { ...action, amount: 150 } : action,
+    );
+    hand.finalChips = { ...hand.finalChips, bob: 1100 };
+
+    const replay = await HandReplayer.replay(hand);
+
+    expect(replay.matches).toBe(false);
+    expect(replay.diffs).toContainEqual({
+      path: 'finalChips.bob',
+      expected: 1100,
+      actual: recorded.finalChips.bob - 50,
+    });
+    // The replayed bet and call differ from the recorded ones
+    expect(replay.diffs).toContainEqual({
+      path: `actions[${betIndex + 1}]`,
+      expected: expect.objectContaining({ type: 'call', amount: 100 }),
+      actual: expect.objectContaining({ type: 'call', amount: 150 }),
+    });
+  });
+
+  it('should reject recordings it cannot replay', async () => {
+    await expect(HandReplayer.replay({ hand: {} })).rejects.toThrow(
+      'Invalid recording',
+    );
+  });
+});
+
+describe('Table.addPlayer seat selection', () => {
+  it('should seat players where asked and reject bad seats', () => {
+    const table = new Table({ maxPlayers: 6 });
+    const player = (id) => {
+      const p = new Player({ id });
+      p.buyIn(1000);
+      return p;
+    };
+
+    table.addPlayer(player('a'), { seatNumber: 4 });
+    table.addPlayer(player('b'));
+    expect(table.players.get('a').seatNumber).toBe(4);
+    expect(table.players.get('b').seatNumber).toBe(1);
+
+    expect(() => table.addPlayer(player('c'), { seatNumber: 4 })).toThrow(
+      'Seat 4 is already taken',
+    );
+    expect(() => table.addPlayer(player('d'), { seatNumber: 7 })).toThrow(
+      'Invalid seat 7. Seats are 1 to 6',
+    );
+  });
+});
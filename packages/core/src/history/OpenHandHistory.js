@@ -0,0 +1,447 @@
+import { Action } from '../types/index.js';
+import { Variants, Limits, AnteTypes } from '../constants.js';
+import { Deck } from '../game/Deck.js';
+
+export const OHH_SPEC_VERSION = '1.4.6';
+
+// OHH game_type by variant
+const GAME_TYPES = {
+  [Variants.TEXAS_HOLDEM]: 'Holdem',
+  [Variants.SHORT_DECK_HOLDEM]: 'Holdem',
+  [Variants.OMAHA]: 'Omaha',
+  [Variants.OMAHA_HI_LO]: 'OmahaHiLo',
+  [Variants.SEVEN_CARD_STUD]: 'Stud',
+  [Variants.SEVEN_CARD_STUD_HI_LO]: 'StudHiLo',
+};
+
+const BET_TYPES = {
+  [Limits.NO_LIMIT]: 'NL',
+  [Limits.POT_LIMIT]: 'PL',
+  [Limits.FIXED_LIMIT]: 'FL',
+};
+
+// OHH street names by recorded street
+const STREETS = {
+  PRE_FLOP: 'Preflop',
+  FLOP: 'Flop',
+  TURN: 'Turn',
+  RIVER: 'River',
+  THIRD_STREET: 'Third Street',
+  FOURTH_STREET: 'Fourth Street',
+  FIFTH_STREET: 'Fifth Street',
+  SIXTH_STREET: 'Sixth Street',
+  SEVENTH_STREET: 'Seventh Street',
+};
+
+// OHH action names by recorded action type
+const ACTIONS = {
+  ante: 'Post Ante',
+  'small blind': 'Post SB',
+  'big blind': 'Post BB',
+  'bring-in': 'Post Bring-In',
+  fold: 'Fold',
+  check: 'Check',
+  call: 'Call',
+  bet: 'Bet',
+  raise: 'Raise',
+};
+
+const invert = (map) =>
+  Object.fromEntries(Object.entries(map).map(([key, value]) => [value, key]));
+
+/**
+ * Open Hand History (OHH) JSON export and import
+ *
+ * toOHH() turns a structured hand history (GameEngine.buildHandHistory())
+ * into an OHH object; parse() reads one back into the players, card order
+ * and per-player action scripts needed to deal the same hand again with a
+ * RiggedDeck. Data OHH has no field for - our variant and player IDs,
+ * positions, ante type, deck seed, extra boards and the uncalled bet
+ * returned after the last action - is kept under `poker_manager`.
+ *
+ * Raise amounts follow OHH: the total the player raised to.
+ */
+export class OpenHandHistory {
+  /**
+   * Convert a structured hand history to OHH
+   * @param {Object} history - Hand history from GameEngine.buildHandHistory()
+   * @param {Object} [options]
+   * @param {string} [options.siteName='poker-manager'] - site_name field
+   * @param {string} [options.currency='CHIPS'] - currency field
+   * @returns {Object} { ohh: {...} }
+   */
+  static toOHH(
+    history,
+    { siteName = 'poker-manager', currency = 'CHIPS' } = {},
+  ) {
+    const ids = new Map(
+      history.players.map((player, index) => [player.id, index]),
+    );
+    const playerId = (id) => ids.get(id);
+
+    const button = history.players.find((p) => p.seat === history.buttonSeat);
+
+    // Hole cards open the first round
+    const rounds = [];
+    const round = (street, cards = []) => {
+      const entry = { id: rounds.length, street, cards, actions: [] };
+      rounds.push(entry);
+      return entry;
+    };
+    let actionNumber = 0;
+    const add = (target, action) => {
+      target.actions.push({ action_number: ++actionNumber, ...action });
+    };
+
+    let current = round(STREETS[history.actions[0]?.street] || 'Preflop');
+    for (const player of history.players) {
+      if (player.holeCards.length > 0) {
+        add(current, {
+          player_id: playerId(player.id),
+          action: 'Dealt Cards',
+          cards: [...player.holeCards],
+        });
+      }
+    }
+
+    // Community cards go on the round of the street they were dealt for
+    const dealt = new Map(history.streets.map((s) => [s.street, s.cards]));
+    const started = new Set([history.actions[0]?.street]);
+    for (const action of history.actions) {
+      const street = STREETS[action.street] || action.street;
+      if (street !== current.street) {
+        current = round(street, [...(dealt.get(action.street) || [])]);
+        started.add(action.street);
+      }
+      add(current, {
+        player_id: playerId(action.playerId),
+        action: ACTIONS[action.type],
+        amount: action.type === 'raise' ? action.totalBet : action.amount,
+        is_allin: action.isAllIn,
+      });
+    }
+
+    // Streets dealt after the last action (all-in runouts)
+    for (const { street, cards } of history.streets) {
+      if (!started.has(street)) {
+        round(STREETS[street] || street, [...cards]);
+      }
+    }
+
+    if (history.showdown.length > 0) {
+      const showdown = round('Showdown');
+      for (const shown of history.showdown) {
+        add(showdown, {
+          player_id: playerId(shown.playerId),
+          action: 'Shows Cards',
+          cards: [...shown.cards],
+        });
+      }
+    }
+
+    const ohh = {
+      spec_version: OHH_SPEC_VERSION,
+      site_name: siteName,
+      network_name: siteName,
+      internal_version: '1',
+      game_number: String(history.handId),
+      start_date_utc: history.startedAt,
+      table_name: history.tableName,
+      game_type: GAME_TYPES[history.variant] || history.variant,
+      bet_limit: { bet_type: BET_TYPES[history.bettingLimit], bet_cap: 0 },
+      table_size: history.maxPlayers,
+      currency,
+      dealer_seat: button ? button.seat : null,
+      small_blind_amount: history.blinds.small,
+      big_blind_amount: history.blinds.big,
+      ante_amount: history.ante,
+      flags: [],
+      players: history.players.map((player) => ({
+        id: playerId(player.id),
+        seat: player.seat,
+        name: player.id,
+        display: player.name,
+        starting_stack: player.chips,
+      })),
+      rounds,
+      pots: history.pots.map((pot, index) => ({
+        number: index,
+        amount: pot.amount,
+        rake: 0,
+        jackpot: 0,
+        player_wins: pot.winners.map((winner) => ({
+          player_id: playerId(winner.playerId),
+          win_amount: winner.amount,
+          contributed_rake: 0,
+        })),
+      })),
+      poker_manager: {
+        variant: history.variant,
+        betting_limit: history.bettingLimit,
+        ante_type: history.anteType,
+        positions: { ...history.positions },
+        eligible_players: history.pots.map((pot) => [...pot.eligiblePlayers]),
+      },
+    };
+    if (history.bettingLimit === Limits.FIXED_LIMIT) {
+      ohh.poker_manager.fixed_limit = {
+        small_bet: history.stakes.small,
+        big_bet: history.stakes.big,
+      };
+    }
+    if (history.uncalledBet) {
+      ohh.poker_manager.uncalled_bet = {
+        player_id: playerId(history.uncalledBet.playerId),
+        amount: history.uncalledBet.amount,
+      };
+    }
+    if (history.seed !== null && history.seed !== undefined) {
+      ohh.poker_manager.seed = history.seed;
+    }
+    if (history.boards) {
+      ohh.poker_manager.boards = history.boards.map((cards) => [...cards]);
+    }
+
+    return { ohh };
+  }
+
+  /**
+   * Read an OHH hand back into what is needed to deal it again
+   * @param {Object|string} data - { ohh } object or its JSON
+   * @returns {Object} Hand with config, players (seat order), board, actions,
+   *   scripts (player ID -> GameEngine actions), deck (card order for a
+   *   RiggedDeck with dealAlternating: false), seed (null if unknown), pots
+   *   and finalChips
+   */
+  static parse(data) {
+    const { ohh } = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!ohh || !Array.isArray(ohh.players) || !Array.isArray(ohh.rounds)) {
+      throw new Error('Invalid OHH: expected { ohh: { players, rounds } }');
+    }
+
+    const extra = ohh.poker_manager || {};
+    const variant = extra.variant || this.variantFor(ohh.game_type);
+    const betTypes = invert(BET_TYPES);
+    const streets = invert(STREETS);
+    const actionTypes = invert(ACTIONS);
+
+    const players = [...ohh.players]
+      .sort((a, b) => a.seat - b.seat)
+      .map((player) => ({
+        id: player.name,
+        name: player.display || player.name,
+        seat: player.seat,
+        chips: player.starting_stack,
+        holeCards: [],
+      }));
+    const byOhhId = new Map(
+      ohh.players.map((player) => [
+        player.id,
+        players.find((p) => p.seat === player.seat),
+      ]),
+    );
+    const idOf = (ohhId) => {
+      const player = byOhhId.get(ohhId);
+      if (!player) {
+        throw new Error(`Invalid OHH: unknown player_id ${ohhId}`);
+      }
+      return player.id;
+    };
+
+    const board = [];
+    const actions = [];
+    const scripts = Object.fromEntries(players.map((p) => [p.id, []]));
+    for (const round of ohh.rounds) {
+      const street = streets[round.street] || round.street;
+      board.push(...(round.cards || []));
+      const streetBets = new Map();
+
+      for (const entry of round.actions || []) {
+        const id = idOf(entry.player_id);
+        if (entry.action === 'Dealt Cards') {
+          byOhhId.get(entry.player_id).holeCards = [...entry.cards];
+          continue;
+        }
+        const type = actionTypes[entry.action];
+        if (!type) {
+          continue; // Shows Cards and other non-betting actions
+        }
+
+        // Chips this action put in - raises are recorded as the raise-to total
+        const amount =
+          type === 'raise'
+            ? entry.amount - (streetBets.get(id) || 0)
+            : entry.amount || 0;
+        if (type !== 'ante') {
+          streetBets.set(id, (streetBets.get(id) || 0) + amount);
+        }
+
+        const action = {
+          street,
+          playerId: id,
+          type,
+          amount,
+          ...(type === 'raise' && { totalBet: entry.amount }),
+          isAllIn: entry.is_allin === true,
+        };
+        actions.push(action);
+        if (!['ante', 'small blind', 'big blind', 'bring-in'].includes(type)) {
+          scripts[id].push(this.scriptAction(action));
+        }
+      }
+    }
+
+    const pots = (ohh.pots || []).map((pot, index) => ({
+      amount: pot.amount,
+      eligiblePlayers: extra.eligible_players?.[index] || [],
+      winners: (pot.player_wins || []).map((win) => ({
+        playerId: idOf(win.player_id),
+        amount: win.win_amount,
+      })),
+    }));
+
+    // Stacks after the hand: what each player started with, put in and won
+    const finalChips = Object.fromEntries(players.map((p) => [p.id, p.chips]));
+    for (const action of actions) {
+      finalChips[action.playerId] -= action.amount;
+    }
+    for (const winner of pots.flatMap((pot) => pot.winners)) {
+      finalChips[winner.playerId] += winner.amount;
+    }
+    if (extra.uncalled_bet) {
+      finalChips[idOf(extra.uncalled_bet.player_id)] +=
+        extra.uncalled_bet.amount;
+    }
+
+    const buttonIndex = players.findIndex((p) => p.seat === ohh.dealer_seat);
+    const bringIn = actions.find((action) => action.type === 'bring-in');
+    return {
+      handId: ohh.game_number,
+      tableName: ohh.table_name,
+      config: {
+        variant,
+        bettingLimit: extra.betting_limit || betTypes[ohh.bet_limit?.bet_type],
+        blinds: { small: ohh.small_blind_amount, big: ohh.big_blind_amount },
+        ante: ohh.ante_amount || 0,
+        anteType: extra.ante_type || AnteTypes.STANDARD,
+        maxPlayers: ohh.table_size,
+        dealerButton: buttonIndex === -1 ? 0 : buttonIndex,
+        ...(extra.fixed_limit && {
+          fixedLimit: {
+            smallBet: extra.fixed_limit.small_bet,
+            bigBet: extra.fixed_limit.big_bet,
+          },
+        }),
+        ...(extra.boards && { runItTimes: extra.boards.length }),
+        ...(bringIn && !bringIn.isAllIn && { bringIn: bringIn.amount }),
+      },
+      players,
+      positions: { ...extra.positions },
+      board,
+      ...(extra.boards && { boards: extra.boards.map((b) => [...b]) }),
+      actions,
+      scripts,
+      deck: this.buildDeckOrder(variant, players, board, extra.boards),
+      seed: extra.seed ?? null,
+      pots,
+      finalChips,
+    };
+  }
+
+  /**
+   * GameEngine action that repeats a recorded one
+   * GameEngine raises are requested as the total to raise TO, so a raise
+   * uses its totalBet (the chips it put in when that is missing).
+   * @param {Object} action - Parsed action
+   * @returns {Object} { action, amount? } for Player.getAction()
+   */
+  static scriptAction({ type, amount, totalBet, isAllIn }) {
+    if (isAllIn && type !== 'fold' && type !== 'check') {
+      return { action: Action.ALL_IN };
+    }
+    if (type === 'bet') {
+      return { action: Action.BET, amount };
+    }
+    if (type === 'raise') {
+      return { action: Action.RAISE, amount: totalBet ?? amount };
+    }
+    return { action: type.toUpperCase() };
+  }
+
+  /**
+   * Card order that deals the same hand from a RiggedDeck
+   * Hole cards are dealt player by player in seat order, then a burn card
+   * before each street. Burns and unknown cards are filled from the unused
+   * part of the deck.
+   * @param {string} variant - Game variant
+   * @param {Array<Object>} players - Players in seat order with holeCards
+   * @param {string[]} board - Board cards
+   * @param {Array<string[]>} [boards] - Every board when run more than once
+   * @returns {string[]|null} Card order, or null for stud
+   */
+  static buildDeckOrder(variant, players, board, boards) {
+    if (
+      variant === Variants.SEVEN_CARD_STUD ||
+      variant === Variants.SEVEN_CARD_STUD_HI_LO
+    ) {
+      return null; // Stud deals up and down cards street by street
+    }
+
+    const holeCount =
+      variant === Variants.OMAHA || variant === Variants.OMAHA_HI_LO ? 4 : 2;
+    const known = new Set([
+      ...players.flatMap((p) => p.holeCards),
+      ...board,
+      ...(boards || []).flat(),
+    ]);
+    const spare = new Deck({
+      shortDeck: variant === Variants.SHORT_DECK_HOLDEM,
+    }).cards
+      .map((card) => card.toString())
+      .filter((card) => !known.has(card));
+    const fill = () => {
+      if (spare.length === 0) {
+        throw new Error('Invalid OHH: more cards than the deck holds');
+      }
+      return spare.shift();
+    };
+
+    const order = [];
+    for (const player of players.filter((p) => p.chips > 0)) {
+      for (let i = 0; i < holeCount; i++) {
+        order.push(player.holeCards[i] || fill());
+      }
+    }
+
+    // Common streets, then the rest of each board when run more than once
+    const dealStreets = (cards, from) => {
+      for (const [start, end] of [
+        [0, 3],
+        [3, 4],
+        [4, 5],
+      ]) {
+        if (end > from && start < cards.length) {
+          order.push(fill(), ...cards.slice(start, end));
+        }
+      }
+    };
+    dealStreets(board, 0);
+    for (const runout of boards || []) {
+      dealStreets(runout, board.length);
+    }
+    return order;
+  }
+
+  /**
+   * Variant for an OHH game_type without our extension data
+   * @param {string} gameType - OHH game_type
+   * @returns {string} Variant
+   */
+  static variantFor(gameType) {
+    const variant = invert(GAME_TYPES)[gameType];
+    if (!variant) {
+      throw new Error(`Unsupported OHH game_type: ${gameType}`);
+    }
+    return gameType === 'Holdem' ? Variants.TEXAS_HOLDEM : variant;
+  }
+}
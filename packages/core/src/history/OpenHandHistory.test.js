@@ -0,0 +1,274 @@
+import { describe, it, expect } from 'vitest';
+import { OpenHandHistory } from './OpenHandHistory.js';
+import { GameEngine } from '../game/GameEngine.js';
+import { RiggedDeck } from '../game/RiggedDeck.js';
+import { Table } from '../Table.js';
+import { Action } from '../types/index.js';
+import { Limits } from '../constants.js';
+import { ScriptedPlayer } from '../test-utils/index.js';
+
+// Carol is short and all-in preflop, so there is a side pot
+const DECK = [
+  ...['Ah', 'Kd'], // alice
+  ...['Qs', 'Qc'], // bob
+  ...['Jh', 'Jd'], // carol
+  ...['2c', 'Ac', 'Kh', '7d', '2d', '9s', '2h', '4c'],
+];
+
+const playHand = async ({
+  stacks,
+  scripts,
+  deck = DECK,
+  dealerButton = 0,
+  config = {},
+}) => {
+  const players = Object.entries(stacks).map(([id, chips]) => {
+    const player = new ScriptedPlayer({
+      id,
+      name: id.toUpperCase(),
+      script: scripts[id],
+    });
+    player.buyIn(chips);
+    return player;
+  });
+  const engine = new GameEngine({
+    players,
+    blinds: { small: 10, big: 20 },
+    dealerButton,
+    deck: new RiggedDeck({ cards: deck, dealAlternating: false }),
+    simulationMode: true,
+    handHistory: true,
+    handId: 9,
+    tableName: 'Replay',
+    maxPlayers: 6,
+    seats: { alice: 1, bob: 3, carol: 4 },
+    ...config,
+  });
+  await engine.start();
+  return { engine, players, history: engine.buildHandHistory() };
+};
+
+const threeWayHand = () =>
+  playHand({
+    stacks: { alice: 1000, bob: 1000, carol: 300 },
+    scripts: {
+      alice: [{ action: Action.RAISE, amount: 60 }],
+      bob: [
+        { action: Action.CALL },
+        { action: Action.CALL },
+        { action: Action.BET, amount: 100 },
+      ],
+      carol: [{ action: Action.ALL_IN }],
+    },
+  });
+
+describe('OpenHandHistory', () => {
+  it('should export a hand as OHH', async () => {
+    const { history } = await threeWayHand();
+    const { ohh } = OpenHandHistory.toOHH(history);
+
+    expect(ohh).toMatchObject({
+      spec_version: '1.4.6',
+      game_number: '9',
+      table_name: 'Replay',
+      game_type: 'Holdem',
+      bet_limit: { bet_type: 'NL' },
+      table_size: 6,
+      dealer_seat: 1,
+      small_blind_amount: 10,
+      big_blind_amount: 20,
+      players: [
+        {
+          id: 0,
+          seat: 1,
+          name: 'alice',
+          display: 'ALICE',
+          starting_stack: 1000,
+        },
+        { id: 1, seat: 3, name: 'bob', display: 'BOB', starting_stack: 1000 },
+        {
+          id: 2,
+          seat: 4,
+          name: 'carol',
+          display: 'CAROL',
+          starting_stack: 300,
+        },
+      ],
+    });
+    // Three-handed, the button is also first to act preflop
+    expect(ohh.poker_manager.positions).toEqual({
+      alice: 'under-the-gun',
+      bob: 'small-blind',
+      carol: 'big-blind',
+    });
+
+    const preflop = ohh.rounds[0];
+    expect(preflop.street).toBe('Preflop');
+    expect(preflop.actions.slice(0, 3).map((a) => a.cards)).toEqual([
+      ['Ah', 'Kd'],
+      ['Qs', 'Qc'],
+      ['Jh', 'Jd'],
+    ]);
+    expect(preflop.actions.slice(3).map((a) => [a.action, a.amount])).toEqual([
+      ['Post SB', 10],
+      ['Post BB', 20],
+      ['Raise', 60],
+      ['Call', 50],
+      ['Raise', 300],
+      ['Call', 240],
+      ['Call', 240],
+    ]);
+    expect(ohh.rounds.map((r) => [r.street, r.cards])).toEqual([
+      ['Preflop', []],
+      ['Flop', ['Ac', 'Kh', '7d']],
+      ['Turn', ['9s']],
+      ['River', ['4c']],
+      ['Showdown', []],
+    ]);
+
+    // Carol's all-in caps the main pot; the side pot is Alice and Bob's
+    expect(ohh.pots).toEqual([
+      expect.objectContaining({
+        number: 0,
+        amount: 900,
+        player_wins: [
+          expect.objectContaining({ player_id: 0, win_amount: 900 }),
+        ],
+      }),
+      expect.objectContaining({
+        number: 1,
+        amount: 200,
+        player_wins: [
+          expect.objectContaining({ player_id: 0, win_amount: 200 }),
+        ],
+      }),
+    ]);
+  });
+
+  it('should parse OHH JSON into a hand that replays identically', async () => {
+    const original = await threeWayHand();
+    const json = JSON.stringify(OpenHandHistory.toOHH(original.history));
+
+    const hand = OpenHandHistory.parse(json);
+    expect(hand.players.map((p) => [p.id, p.seat, p.chips])).toEqual([
+      ['alice', 1, 1000],
+      ['bob', 3, 1000],
+      ['carol', 4, 300],
+    ]);
+    expect(hand.board).toEqual(['Ac', 'Kh', '7d', '9s', '4c']);
+    expect(hand.config).toMatchObject({
+      variant: 'texas-holdem',
+      bettingLimit: 'no-limit',
+      blinds: { small: 10, big: 20 },
+      dealerButton: 0,
+    });
+    expect(hand.scripts.carol).toEqual([{ action: Action.ALL_IN }]);
+
+    // Burn cards are unknown, so the deck differs only in those positions
+    expect(hand.deck.filter((_, i) => ![6, 10, 12].includes(i))).toEqual(
+      DECK.filter((_, i) => ![6, 10, 12].includes(i)),
+    );
+
+    const replay = await playHand({
+      stacks: Object.fromEntries(hand.players.map((p) => [p.id, p.chips])),
+      scripts: hand.scripts,
+      deck: hand.deck,
+      dealerButton: hand.config.dealerButton,
+    });
+    expect(replay.players.map((p) => p.chips)).toEqual(
+      original.players.map((p) => p.chips),
+    );
+
+    const strip = ({ ohh }) => ({ ...ohh, start_date_utc: null });
+    expect(strip(OpenHandHistory.toOHH(replay.history))).toEqual(
+      strip(OpenHandHistory.toOHH(original.history)),
+    );
+  });
+
+  it('should return an uncalled bet instead of counting it as won', async () => {
+    const { players, history } = await playHand({
+      stacks: { alice: 1000, bob: 1000, carol: 1000 },
+      scripts: {
+        alice: [{ action: Action.RAISE, amount: 60 }],
+        bob: [{ action: Action.FOLD }],
+        carol: [{ action: Action.FOLD }],
+      },
+    });
+    const data = OpenHandHistory.toOHH(history);
+
+    // The big blind called 20 of alice's 60
+    expect(data.ohh.pots).toMatchObject([
+      { amount: 50, player_wins: [{ player_id: 0, win_amount: 50 }] },
+    ]);
+    expect(data.ohh.poker_manager.uncalled_bet).toEqual({
+      player_id: 0,
+      amount: 40,
+    });
+    expect(OpenHandHistory.parse(data).finalChips).toEqual(
+      Object.fromEntries(players.map((p) => [p.id, p.chips])),
+    );
+  });
+
+  it('should keep fixed-limit blinds apart from the bet sizes', async () => {
+    const { history } = await playHand({
+      stacks: { alice: 1000, bob: 1000, carol: 1000 },
+      scripts: {},
+      config: {
+        bettingLimit: Limits.FIXED_LIMIT,
+        fixedLimit: { smallBet: 20, bigBet: 40 },
+      },
+    });
+    const data = OpenHandHistory.toOHH(history);
+    expect(data.ohh).toMatchObject({
+      bet_limit: { bet_type: 'FL' },
+      small_blind_amount: 10,
+      big_blind_amount: 20,
+    });
+    expect(data.ohh.poker_manager.fixed_limit).toEqual({
+      small_bet: 20,
+      big_bet: 40,
+    });
+
+    expect(OpenHandHistory.parse(data).config).toMatchObject({
+      bettingLimit: Limits.FIXED_LIMIT,
+      blinds: { small: 10, big: 20 },
+      fixedLimit: { smallBet: 20, bigBet: 40 },
+    });
+  });
+
+  it('should reject data that is not OHH', () => {
+    expect(() => OpenHandHistory.parse({ hand: {} })).toThrow('Invalid OHH');
+    expect(() =>
+      OpenHandHistory.parse({
+        ohh: { game_type: 'Draw', players: [], rounds: [] },
+      }),
+    ).toThrow('Unsupported OHH game_type: Draw');
+  });
+
+  it('should include OHH in Table hand histories', async () => {
+    const table = new Table({
+      id: 'ohh-table',
+      blinds: { small: 10, big: 20 },
+      deck: new RiggedDeck({ cards: DECK, dealAlternating: false }),
+      simulationMode: true,
+      handHistory: true,
+    });
+    for (const id of ['alice', 'bob']) {
+      const player = new ScriptedPlayer({ id });
+      player.buyIn(1000);
+      table.addPlayer(player);
+    }
+
+    const historyEvent = new Promise((resolve) => {
+      table.on('hand:history', resolve);
+    });
+    await table.tryStartGame();
+    const { ohh } = await historyEvent;
+    expect(ohh.ohh.table_name).toBe('ohh-table');
+    expect(ohh.ohh.players.map((p) => p.name)).toEqual(['alice', 'bob']);
+
+    const result = table.runHandToCompletion();
+    expect(result.openHandHistory.ohh.game_number).toBe('2');
+    expect(result.openHandHistory.ohh.rounds.at(-1).street).toBe('Showdown');
+  });
+});
@@ -3,10 +3,33 @@ export { PokerGameManager } from './PokerGameManager.js';
 export { Table } from './Table.js';
 export { Player } from './Player.js';
 export { GameEngine } from './game/GameEngine.js';
+export { StudGameEngine } from './game/StudGameEngine.js';
 export { Deck } from './game/Deck.js';
 export { BaseDeck } from './game/BaseDeck.js';
 export { RiggedDeck } from './game/RiggedDeck.js';
+export { ActionClock } from './game/ActionClock.js';
+export { BlindSchedule } from './game/BlindSchedule.js';
+export {
+  ProvablyFairDeck,
+  verifyProvablyFairShuffle,
+} from './game/ProvablyFairDeck.js';
 export { HandEvaluator } from './game/HandEvaluator.js';
+export { HandRange } from './game/HandRange.js';
+export { Tournament } from './tournament/Tournament.js';
+export {
+  PAYOUT_STRUCTURES,
+  calculateICM,
+  calculatePrizePool,
+  calculatePrizes,
+  getICMEquities,
+  getPayoutStructure,
+  proposeChipChop,
+  proposeICMDeal,
+} from './tournament/payouts.js';
+export { TableBalancer } from './tournament/TableBalancer.js';
+export { HandHistoryRecorder } from './history/HandHistoryRecorder.js';
+export { OpenHandHistory } from './history/OpenHandHistory.js';
+export { HandReplayer } from './history/HandReplayer.js';
 export { WildcardEventEmitter } from './base/WildcardEventEmitter.js';
 export * from './types/index.js';
 export * from './events/index.js';
@@ -19,3 +42,4 @@ export {
   getPlayerStatus,
   isPlayerActive,
 } from './utils/playerStatus.js';
+export { createCryptoRandom, createSeededRandom } from './utils/random.js';
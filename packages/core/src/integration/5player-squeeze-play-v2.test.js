@@ -227,8 +227,8 @@ describe('5-Player Squeeze Play (v2)', () => {
     expect(winners[0].playerId).toBe(sbPlayer.id);
 
     // Verify pot calculation:
-    // SB squeeze 180 + BB blind 20 + UTG raise 60 + Button call 60 + SB blind 10 = 330
-    expect(winners[0].amount).toBe(330);
+    // SB squeeze to 180 (blind included) + BB blind 20 + UTG raise 60 + Button call 60 = 320
+    expect(winners[0].amount).toBe(320);
 
     // Verify we had the expected number of folds (MP, BB, UTG, Button all fold)
     const totalFolds = actions.filter((a) => a.action === Action.FOLD);
@@ -425,4 +425,35 @@ describe('Bulk Simulation API', () => {
       expect(sequentialTime).toBeGreaterThan(0);
     });
   });
+
+  describe('Seeded simulations', () => {
+    it('should reproduce the same results from the same seed', async () => {
+      const run = (seed) =>
+        Table.runSimulations({
+          count: 5,
+          seed,
+          config: {
+            blinds: { small: 10, big: 20 },
+            simulationMode: true,
+            minPlayers: 2,
+            dealerButton: 0,
+          },
+          players: [new SimulationPlayer('p1'), new SimulationPlayer('p2')],
+        });
+
+      const first = await run(1234);
+      const second = await run(1234);
+      expect(first.seed).toBe(1234);
+      const deals = (results) =>
+        results.simulations.map((sim) => [sim.seed, sim.board.map(String)]);
+      expect(deals(second)).toEqual(deals(first));
+      expect(second.stats).toEqual(first.stats);
+      expect(new Set(first.simulations.map((sim) => sim.seed)).size).toBe(5);
+
+      // Unseeded runs report the seed they picked
+      const unseeded = await run(undefined);
+      const rerun = await run(unseeded.seed);
+      expect(rerun.stats).toEqual(unseeded.stats);
+    });
+  });
 });
@@ -0,0 +1,328 @@
+/**
+ * Rebuys, add-ons and re-entry
+ * Busted players keep their seat until the next deal while they can still
+ * rebuy; add-ons are offered once the rebuy period is over
+ */
+import { describe, it, expect } from 'vitest';
+import { Table } from '../Table.js';
+import { Player } from '../Player.js';
+import { Tournament } from '../tournament/Tournament.js';
+import { Action } from '../types/index.js';
+
+class AllInPlayer extends Player {
+  constructor(config) {
+    super(config);
+    this.wantsRebuy = config.wantsRebuy === true;
+    this.wantsAddOn = config.wantsAddOn === true;
+  }
+
+  getAction() {
+    return { action: Action.ALL_IN };
+  }
+
+  acceptRebuy() {
+    return this.wantsRebuy;
+  }
+
+  acceptAddOn() {
+    return Promise.resolve(this.wantsAddOn);
+  }
+}
+
+const recordEvents = (emitter, names) => {
+  const events = Object.fromEntries(names.map((name) => [name, []]));
+  for (const name of names) {
+    emitter.on(name, (data) => events[name].push(data));
+  }
+  return events;
+};
+
+const createTable = (rebuys, playerConfig = {}) => {
+  const table = new Table({
+    blinds: { small: 10, big: 20 },
+    maxPlayers: 2,
+    simulationMode: true,
+    seed: 11,
+    rebuys,
+  });
+  for (const id of ['alice', 'bob']) {
+    const player = new AllInPlayer({ id, ...playerConfig });
+    player.buyIn(1000);
+    table.addPlayer(player);
+  }
+  return table;
+};
+
+const playHand = async (table) => {
+  const ended = new Promise((resolve) => {
+    table.on('hand:ended', resolve);
+  });
+  const result = await table.tryStartGame();
+  if (result.success) {
+    await ended;
+  }
+  table.removeAllListeners('hand:ended');
+  return result;
+};
+
+describe('Rebuys and add-ons', () => {
+  it('should hold a busted seat until the next deal and then offer add-ons', async () => {
+    const table = createTable(
+      { chips: 1000, hands: 1, addOnChips: 500 },
+      { wantsAddOn: true },
+    );
+    const events = recordEvents(table, [
+      'player:rebuy-offered',
+      'player:rebuy',
+      'player:add-on',
+      'player:eliminated',
+      'rebuys:period-ended',
+    ]);
+
+    await playHand(table);
+    const [offer] = events['player:rebuy-offered'];
+    expect(offer).toMatchObject({ chips: 1000, rebuys: 0, maxRebuys: null });
+    expect(events['player:eliminated']).toEqual([]);
+    expect(table.getPlayerCount()).toBe(2);
+    expect(table.players.get(offer.playerId).player.chips).toBe(0);
+    // The rebuy period was one hand, so add-ons open before the next deal
+    expect(events['rebuys:period-ended']).toEqual([
+      { tableId: table.id, addOnChips: 500 },
+    ]);
+
+    const winnerId = offer.playerId === 'alice' ? 'bob' : 'alice';
+    expect(() => table.rebuy(winnerId)).toThrow(
+      `Player ${winnerId} has no rebuy to take`,
+    );
+    expect(() => table.addOn(offer.playerId)).toThrow(
+      `Player ${offer.playerId} must rebuy before an add-on`,
+    );
+    table.rebuy(offer.playerId);
+    expect(events['player:rebuy']).toEqual([
+      {
+        playerId: offer.playerId,
+        tableId: table.id,
+        chips: 1000,
+        stack: 1000,
+        rebuys: 1,
+      },
+    ]);
+
+    // Both players are asked for the add-on before the next hand is dealt
+    expect((await playHand(table)).success).toBe(true);
+    expect(
+      events['player:add-on'].map(({ playerId, stack }) => [playerId, stack]),
+    ).toEqual([
+      ['alice', offer.playerId === 'alice' ? 1500 : 2500],
+      ['bob', offer.playerId === 'bob' ? 1500 : 2500],
+    ]);
+    expect(() => table.addOn('alice')).toThrow('Add-ons are not open');
+
+    // Busting after the period is final
+    for (let i = 0; i < 20 && events['player:eliminated'].length === 0; i++) {
+      await playHand(table);
+    }
+    expect(events['player:eliminated']).toHaveLength(1);
+    expect(events['player:rebuy-offered']).toHaveLength(1);
+  });
+
+  it('should eliminate a player who passes on the rebuy and keep offers in snapshots', async () => {
+    const table = createTable({ chips: 1000, maxRebuys: 2 });
+    await playHand(table);
+
+    const restored = Table.fromJSON(JSON.stringify(table.toJSON()), {
+      resolvePlayer: ({ id }) => new AllInPlayer({ id }),
+    });
+    const [bustedId] = Array.from(restored.players.values())
+      .filter((pd) => pd.rebuyOffer)
+      .map((pd) => pd.player.id);
+    expect(bustedId).toBeDefined();
+
+    const eliminated = [];
+    restored.on('player:eliminated', (data) => eliminated.push(data));
+    const result = await restored.tryStartGame();
+    expect(eliminated).toEqual([
+      expect.objectContaining({ playerId: bustedId, gameNumber: 1 }),
+    ]);
+    expect(result).toMatchObject({
+      success: false,
+      reason: 'INSUFFICIENT_PLAYERS',
+    });
+  });
+
+  it('should validate the rebuy config', () => {
+    expect(() => createTable({ chips: 0 })).toThrow(
+      'rebuy chips must be positive',
+    );
+    expect(() => createTable({ chips: 1000, maxRebuys: -1 })).toThrow(
+      'maxRebuys must be non-negative, got -1',
+    );
+  });
+});
+
+describe('Tournament rebuys and re-entry', () => {
+  it('should add rebuys and add-ons to the prize pool until the period ends', async () => {
+    const tournament = new Tournament({
+      buyIn: 100,
+      startingStack: 1000,
+      tableSize: 3,
+      payouts: [70, 30],
+      rebuys: { maxRebuys: 2, levels: 1, addOnChips: 2000, addOnCost: 50 },
+      blindSchedule: {
+        levels: [
+          { small: 10, big: 20 },
+          { small: 20, big: 40 },
+        ],
+        handsPerLevel: 2,
+      },
+      tableConfig: { simulationMode: true, seed: 5 },
+    });
+    for (const id of ['alice', 'bob', 'carol']) {
+      tournament.register(
+        new AllInPlayer({ id, wantsRebuy: true, wantsAddOn: true }),
+      );
+    }
+    const events = recordEvents(tournament, [
+      'tournament:rebuy',
+      'tournament:add-on',
+      'tournament:player-eliminated',
+    ]);
+    const completed = new Promise((resolve) => {
+      tournament.on('tournament:completed', resolve);
+    });
+    tournament.start();
+    const { prizePool, standings } = await completed;
+
+    const rebuys = events['tournament:rebuy'];
+    const addOns = events['tournament:add-on'];
+    expect(rebuys.length).toBeGreaterThan(0);
+    expect(addOns.length).toBeGreaterThan(0);
+    rebuys.forEach((e) => expect(e).toMatchObject({ chips: 1000, cost: 100 }));
+    addOns.forEach((e) => expect(e).toMatchObject({ chips: 2000, cost: 50 }));
+    expect(prizePool).toBe(300 + rebuys.length * 100 + addOns.length * 50);
+
+    expect(
+      events['tournament:player-eliminated'].map((e) => e.position),
+    ).toEqual([3, 2]);
+    expect(standings[0].chips).toBe(
+      3000 + rebuys.length * 1000 + addOns.length * 2000,
+    );
+  });
+
+  it('should seat a re-entry with a new stack and count it as an entry', async () => {
+    const tournament = new Tournament({
+      buyIn: 100,
+      startingStack: 1000,
+      tableSize: 4,
+      payouts: [100],
+      reentry: { maxEntries: 2 },
+      tableConfig: { simulationMode: true, seed: 9 },
+    });
+    for (const id of ['alice', 'bob', 'carol']) {
+      tournament.register(new AllInPlayer({ id }));
+    }
+    expect(() => tournament.reenter('alice')).toThrow('Re-entry is closed');
+
+    const reentered = [];
+    tournament.on('tournament:player-reentered', (data) =>
+      reentered.push(data),
+    );
+    tournament.on('tournament:player-eliminated', ({ playerId }) => {
+      if (reentered.length === 0) {
+        tournament.reenter(playerId);
+      } else if (playerId === reentered[0].playerId) {
+        expect(() => tournament.reenter(playerId)).toThrow(
+          `Player ${playerId} has used all 2 entries`,
+        );
+      }
+    });
+    const completed = new Promise((resolve) => {
+      tournament.on('tournament:completed', resolve);
+    });
+    tournament.start();
+    expect(() => tournament.reenter('alice')).toThrow(
+      'Player alice is still in the tournament',
+    );
+    const { prizePool, standings } = await completed;
+
+    expect(reentered).toEqual([
+      expect.objectContaining({ entries: 4, prizePool: 400 }),
+    ]);
+    expect(prizePool).toBe(400);
+    expect(standings.map((s) => s.position)).toEqual([1, 2, 3]);
+    expect(standings[0]).toMatchObject({ chips: 4000, prize: 400 });
+  });
+
+  it('should move later busts down a place when an earlier bust re-enters', async () => {
+    const ids = ['alice', 'bob', 'carol', 'dave', 'erin'];
+    const tournament = new Tournament({
+      buyIn: 100,
+      startingStack: 1000,
+      tableSize: 6,
+      payouts: [100],
+      reentry: { maxEntries: 2 },
+      tableConfig: { simulationMode: true, seed: 3 },
+    });
+    for (const id of ids) {
+      tournament.register(new AllInPlayer({ id }));
+    }
+
+    const busts = [];
+    let reenteredId = null;
+    tournament.on('tournament:player-eliminated', ({ playerId, position }) => {
+      busts.push({ playerId, position });
+      if (busts.length === 2 && reenteredId === null) {
+        reenteredId = busts[0].playerId;
+        tournament.reenter(reenteredId);
+      }
+    });
+    const completed = new Promise((resolve) => {
+      tournament.on('tournament:completed', resolve);
+    });
+    tournament.start();
+    const { standings } = await completed;
+
+    // The second bust took 4th, then fell to 5th when 5th was freed up
+    const secondBust = busts[1].playerId;
+    expect(busts.slice(0, 2).map((b) => b.position)).toEqual([5, 4]);
+    expect(busts[2].position).toBe(4);
+    expect(standings.find((s) => s.playerId === secondBust).position).toBe(5);
+    expect(standings.map((s) => s.position)).toEqual([1, 2, 3, 4, 5]);
+    expect(standings.map((s) => s.playerId).sort()).toEqual(ids);
+  });
+
+  it('should recompute prizes already awarded when a re-entry grows the pool', async () => {
+    const tournament = new Tournament({
+      buyIn: 100,
+      startingStack: 1000,
+      tableSize: 6,
+      payouts: [40, 30, 20, 10],
+      reentry: { maxEntries: 2 },
+      tableConfig: { simulationMode: true, seed: 3 },
+    });
+    for (const id of ['alice', 'bob', 'carol', 'dave']) {
+      tournament.register(new AllInPlayer({ id }));
+    }
+
+    const busts = [];
+    tournament.on('tournament:player-eliminated', (data) => {
+      busts.push(data);
+      if (busts.length === 2) {
+        tournament.reenter(data.playerId);
+      }
+    });
+    const completed = new Promise((resolve) => {
+      tournament.on('tournament:completed', resolve);
+    });
+    tournament.start();
+    const { prizePool, standings } = await completed;
+
+    // The first bust was paid 10% of 400 before the re-entry made it 500
+    expect(busts[0]).toMatchObject({ position: 4, prize: 40 });
+    expect(prizePool).toBe(500);
+    expect(
+      standings.find((s) => s.playerId === busts[0].playerId),
+    ).toMatchObject({ position: 4, prize: 50 });
+    expect(standings.map((s) => s.prize)).toEqual([200, 150, 100, 50]);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Sitting out, sitting back in and missed blinds
+ * The big blind skips sitting-out players, who then owe the blinds it
+ * passed them by
+ */
+import { describe, it, expect } from 'vitest';
+import { Table } from '../Table.js';
+import { ScriptedPlayer } from '../test-utils/index.js';
+
+const createTable = () => {
+  const table = new Table({
+    blinds: { small: 10, big: 20 },
+    maxPlayers: 4,
+    simulationMode: true,
+  });
+  for (const [id, seat] of [
+    ['alice', 1],
+    ['bob', 2],
+    ['carol', 3],
+    ['dave', 4],
+  ]) {
+    const player = new ScriptedPlayer({ id });
+    player.buyIn(1000);
+    table.addPlayer(player, { seatNumber: seat });
+  }
+  return table;
+};
+
+/**
+ * Play a hand and report who was dealt in and who posted which blind
+ */
+const playHand = async (table) => {
+  const blinds = [];
+  let dealtIn = null;
+  table.on('blind:posted', ({ playerId, type, isDead }) => {
+    blinds.push([isDead ? `dead ${type}` : type, playerId]);
+  });
+  table.on('hand:started', ({ players }) => {
+    dealtIn = players;
+  });
+  const ended = new Promise((resolve) => {
+    table.on('hand:ended', resolve);
+  });
+  await table.tryStartGame();
+  await ended;
+  for (const event of ['blind:posted', 'hand:started', 'hand:ended']) {
+    table.removeAllListeners(event);
+  }
+  return { dealtIn, blinds };
+};
+
+const totalChips = (table) =>
+  Array.from(table.players.values()).reduce(
+    (sum, { player }) => sum + player.chips,
+    0,
+  );
+
+describe('Sit out and missed blinds', () => {
+  it('should skip a sitting-out player and record the blinds they miss', async () => {
+    const table = createTable();
+    expect((await playHand(table)).blinds).toEqual([
+      ['small', 'bob'],
+      ['big', 'carol'],
+    ]);
+
+    const satOut = [];
+    table.on('player:sat-out', (data) => satOut.push(data.playerId));
+    table.sitOut('alice');
+    expect(satOut).toEqual(['alice']);
+
+    expect(await playHand(table)).toEqual({
+      dealtIn: ['bob', 'carol', 'dave'],
+      blinds: [
+        ['small', 'carol'],
+        ['big', 'dave'],
+      ],
+    });
+    // The big blind skips alice, leaving her seat as a dead small blind
+    expect((await playHand(table)).blinds).toEqual([['big', 'bob']]);
+    expect(table.players.get('alice').missedBlinds).toEqual({
+      small: true,
+      big: true,
+    });
+    expect(table.toJSON().players[0].missedBlinds).toEqual({
+      small: true,
+      big: true,
+    });
+  });
+
+  it('should deal a returning player in when the big blind reaches them', async () => {
+    const table = createTable();
+    await playHand(table);
+    table.sitOut('alice');
+    await playHand(table);
+    await playHand(table);
+    await playHand(table);
+
+    const satIn = [];
+    table.on('player:sat-in', (data) => satIn.push(data));
+    table.sitIn('alice');
+    expect(satIn[0]).toMatchObject({
+      playerId: 'alice',
+      missedBlinds: { small: true, big: true },
+      waitingForBigBlind: true,
+    });
+
+    // Carol and dave post; the big blind is alice's the hand after
+    expect((await playHand(table)).dealtIn).toEqual(['bob', 'carol', 'dave']);
+    expect(await playHand(table)).toEqual({
+      dealtIn: ['alice', 'bob', 'carol', 'dave'],
+      blinds: [
+        ['small', 'dave'],
+        ['big', 'alice'],
+      ],
+    });
+    expect(table.players.get('alice').missedBlinds).toEqual({
+      small: false,
+      big: false,
+    });
+  });
+
+  it('should let a returning player post missed blinds right away', async () => {
+    const table = createTable();
+    await playHand(table);
+    table.sitOut('alice');
+    await playHand(table);
+    await playHand(table);
+
+    table.sitIn('alice', { postMissedBlinds: true });
+    const chipsBefore = totalChips(table);
+    const { dealtIn, blinds } = await playHand(table);
+
+    expect(dealtIn).toEqual(['alice', 'bob', 'carol', 'dave']);
+    expect(blinds).toEqual([
+      ['small', 'bob'],
+      ['big', 'carol'],
+      ['big', 'alice'],
+      ['dead small', 'alice'],
+    ]);
+    // Alice pays her dead small blind herself
+    expect(totalChips(table)).toBe(chipsBefore);
+    expect(table.players.get('alice').postMissedBlinds).toBe(false);
+  });
+
+  it('should deal in a player waiting for the big blind when the game needs them', async () => {
+    const table = createTable();
+    table.removePlayer('dave');
+    await playHand(table);
+    table.sitOut('alice');
+    await playHand(table);
+    await playHand(table);
+    table.removePlayer('carol');
+
+    // Bob alone cannot start a hand, so alice stops waiting and posts
+    table.sitIn('alice');
+    const { dealtIn, blinds } = await playHand(table);
+    expect(dealtIn).toEqual(['alice', 'bob']);
+    expect(blinds).toContainEqual(['big', 'alice']);
+    expect(table.players.get('alice')).toMatchObject({
+      waitingForBigBlind: false,
+      missedBlinds: { small: false, big: false },
+    });
+  });
+
+  it('should come straight back when no blinds were missed', async () => {
+    const table = createTable();
+    await playHand(table);
+    table.sitOut('dave');
+    table.sitIn('dave');
+
+    expect((await playHand(table)).dealtIn).toContain('dave');
+  });
+
+  it('should not start with too few players sitting in', async () => {
+    const table = new Table({ blinds: { small: 10, big: 20 } });
+    for (const id of ['alice', 'bob']) {
+      const player = new ScriptedPlayer({ id });
+      player.buyIn(1000);
+      table.addPlayer(player);
+    }
+    table.sitOut('bob');
+
+    const result = await table.tryStartGame();
+    expect(result.reason).toBe('INSUFFICIENT_ACTIVE_PLAYERS');
+    expect(result.details.sittingOutPlayers).toEqual(['bob']);
+    expect(() => table.sitIn('erin')).toThrow(
+      'Player erin is not seated at this table',
+    );
+  });
+});
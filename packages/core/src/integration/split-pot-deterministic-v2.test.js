@@ -148,7 +148,7 @@ describe('Split Pot Deterministic Tests (v2)', () => {
       if (gameState.phase === 'PRE_FLOP') {
         // Button raises TO 60 total (already has 10 in as SB)
         if (player.isButton && gameState.currentBet === 20) {
-          return { action: Action.RAISE, amount: 50 }; // Raise BY 50 to make total 60
+          return { action: Action.RAISE, amount: 60 }; // Puts in 50 more
         }
         // BB calls
         if (toCall > 0) {
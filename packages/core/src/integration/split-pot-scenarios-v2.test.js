@@ -158,8 +158,8 @@ describe('Split Pot Scenarios (v2)', () => {
       if (gameState.phase === 'PRE_FLOP') {
         if (player.position === 'BUTTON' && gameState.currentBet === 20) {
           // Button wants to raise TO 60 total, already has 10 in
-          // So needs to put in 50 more
-          return { action: Action.RAISE, amount: 50 }; // Raise BY 50 to make total 60
+          // So puts in 50 more
+          return { action: Action.RAISE, amount: 60 };
         }
         if (toCall > 0) {
           return { action: Action.CALL, amount: toCall };
@@ -0,0 +1,171 @@
+/**
+ * Table snapshot and restore (snapshot / fromJSON)
+ * A restored table must carry on exactly where the original left off
+ */
+import { describe, it, expect } from 'vitest';
+import { Table } from '../Table.js';
+import { ScriptedPlayer } from '../test-utils/index.js';
+
+const createTable = () => {
+  const table = new Table({
+    id: 'snapshot',
+    name: 'Restart Test',
+    blinds: { small: 10, big: 20 },
+    maxPlayers: 4,
+    seed: 99,
+    simulationMode: true,
+  });
+  for (const [id, seat] of [
+    ['alice', 1],
+    ['bob', 2],
+    ['carol', 3],
+    ['dave', 4],
+  ]) {
+    const player = new ScriptedPlayer({ id, name: id.toUpperCase() });
+    player.buyIn(1000);
+    table.addPlayer(player, { seatNumber: seat });
+  }
+  return table;
+};
+
+const playHand = async (table) => {
+  const blinds = [];
+  table.on('blind:posted', ({ playerId, type }) => {
+    blinds.push([type, playerId]);
+  });
+  const ended = new Promise((resolve) => {
+    table.on('hand:ended', resolve);
+  });
+  await table.tryStartGame();
+  const { winners } = await ended;
+  table.removeAllListeners('blind:posted');
+  return {
+    blinds,
+    winners: winners.map((w) => [w.playerId, w.amount]),
+    chips: Object.fromEntries(
+      Array.from(table.players, ([id, data]) => [id, data.player.chips]),
+    ),
+  };
+};
+
+const restore = (snapshot) =>
+  Table.fromJSON(JSON.stringify(snapshot), {
+    resolvePlayer: ({ id, name }) => new ScriptedPlayer({ id, name }),
+  });
+
+describe('Table snapshot and restore', () => {
+  it('should round-trip seats, stacks and button tracking', async () => {
+    const table = createTable();
+    table.addPlayer(new ScriptedPlayer({ id: 'erin' })); // Table is full
+    await playHand(table);
+
+    const snapshot = table.snapshot();
+    expect(snapshot).toMatchObject({
+      version: 2,
+      id: 'snapshot',
+      state: 'WAITING',
+      gameCount: 1,
+      waitingList: [{ id: 'erin' }],
+      buttonTracking: {
+        lastBigBlindPlayerId: table.lastBigBlindPlayerId,
+        nextBigBlindSeatNumber: table.nextBigBlindSeatNumber,
+        isDeadButton: false,
+      },
+    });
+    expect(snapshot.config.deck).toBeUndefined();
+
+    expect(JSON.parse(JSON.stringify(table))).toEqual(snapshot);
+
+    const restored = restore(snapshot);
+    expect(restored.snapshot()).toEqual(snapshot);
+    expect(restored.players.get('bob').player).toBeInstanceOf(ScriptedPlayer);
+    expect(restored.waitingList[0].id).toBe('erin');
+  });
+
+  it('should continue with the same next big blind and deal', async () => {
+    const original = createTable();
+    await playHand(original);
+    const restored = restore(original.snapshot());
+
+    // Bust the player due to post the small blind next, so the restored
+    // table also has to get the dead small blind right
+    for (const table of [original, restored]) {
+      table.players.get('carol').player.chips = 0;
+    }
+
+    const expected = await playHand(original);
+    expect(expected.blinds).toEqual([['big', 'dave']]);
+    expect(await playHand(restored)).toEqual(expected);
+    expect(await playHand(restored)).toEqual(await playHand(original));
+    expect(restored.gameCount).toBe(original.gameCount);
+  });
+
+  it('should restore version 1 snapshots with the defaults added since', async () => {
+    const table = createTable();
+    await playHand(table);
+    const snapshot = table.snapshot();
+
+    // Version 1 had no clock, sitting out, missed blinds or rebuys
+    const strip = ({ id, name, chips }) => ({ id, name, chips });
+    const v1 = {
+      ...snapshot,
+      version: 1,
+      players: snapshot.players.map((record) => ({
+        ...strip(record),
+        seatNumber: record.seatNumber,
+        state: record.state,
+      })),
+      waitingList: snapshot.waitingList.map(strip),
+    };
+    for (const key of ['clockHandsPlayed', 'rebuyPeriodOver', 'addOnOpen']) {
+      delete v1[key];
+    }
+
+    const restored = restore(v1);
+    expect(restored.snapshot()).toEqual({
+      ...snapshot,
+      players: snapshot.players.map((record) => ({
+        ...record,
+        timeBank: null,
+      })),
+      clockHandsPlayed: 0,
+    });
+    expect(await playHand(restored)).toEqual(await playHand(table));
+  });
+
+  it('should reject bad snapshots and resolvers', () => {
+    const snapshot = createTable().snapshot();
+    const resolvePlayer = ({ id }) => new ScriptedPlayer({ id });
+
+    expect(() =>
+      Table.fromJSON({ ...snapshot, version: 3 }, { resolvePlayer }),
+    ).toThrow('Unsupported table snapshot version 3 (expected 2)');
+    expect(() => Table.fromJSON(snapshot)).toThrow(
+      'fromJSON requires a resolvePlayer callback',
+    );
+    expect(() =>
+      Table.fromJSON(snapshot, { resolvePlayer: () => null }),
+    ).toThrow('resolvePlayer did not return player alice');
+  });
+
+  it('should not snapshot a hand in progress but still serialize', () => {
+    const table = createTable();
+    table.state = 'IN_PROGRESS';
+    expect(() => table.snapshot()).toThrow(
+      'Cannot snapshot a table while a hand is in progress',
+    );
+
+    const json = JSON.stringify({ table });
+    expect(JSON.parse(json).table).toEqual({
+      id: 'snapshot',
+      state: 'IN_PROGRESS',
+      gameCount: 0,
+      handInProgress: true,
+    });
+    expect(() =>
+      Table.fromJSON(JSON.parse(json).table, {
+        resolvePlayer: ({ id }) => new ScriptedPlayer({ id }),
+      }),
+    ).toThrow('Cannot restore a table serialized mid-hand');
+  });
+});
@@ -38,6 +38,7 @@ export {
   PhaseAwarePlayer,
   ConditionalPlayer,
   TournamentPlayer,
+  ScriptedPlayer,
   STRATEGIES,
   PLAYER_TYPES,
   assignPositions,
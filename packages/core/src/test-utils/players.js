@@ -384,3 +384,40 @@ export class TournamentPlayer extends StrategicPlayer {
     return super.getAction(gameState);
   }
 }
+
+/**
+ * Player that replays a fixed list of actions, then checks or calls
+ * Returns plain actions so it works for both async and synchronous play.
+ * Records what it was shown for assertions: every game state it acted on,
+ * its private cards and any run-it-multiple requests.
+ */
+export class ScriptedPlayer extends Player {
+  constructor(config) {
+    super(config);
+    this.script = [...(config.script || [])];
+    this.runItAgreement = config.runItAgreement ?? true;
+    this.seenStates = [];
+    this.privateCards = [];
+    this.runItRequests = [];
+  }
+
+  receivePrivateCards(cards) {
+    this.privateCards = cards.map((card) => card.toString());
+  }
+
+  getAction(gameState) {
+    this.seenStates.push(gameState);
+    const next = this.script.shift();
+    if (next) {
+      return next;
+    }
+    return gameState.toCall > 0
+      ? { action: Action.CALL }
+      : { action: Action.CHECK };
+  }
+
+  agreeToRunItMultiple(times, context) {
+    this.runItRequests.push({ times, context });
+    return this.runItAgreement;
+  }
+}
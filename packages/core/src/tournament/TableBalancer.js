@@ -0,0 +1,200 @@
+import { validateIntegerAmount } from '../utils/validation.js';
+
+const playerCount = (table) => table.getPlayerCount();
+
+/**
+ * Moves players between tournament tables so they stay evenly filled
+ *
+ * Call rebalance() between hands, after hand:ended. Players are only ever
+ * taken from tables with no hand in progress; they may be seated at a table
+ * mid-hand and are dealt in from its next hand. Once the field fits on fewer
+ * tables, the emptiest idle table is broken up, which eventually leaves the
+ * final table.
+ *
+ * Moves keep the blinds fair: the player who would post the big blind next
+ * is the one moved, and they take the empty seat the big blind reaches
+ * first at their new table.
+ */
+export class TableBalancer {
+  /**
+   * @param {Object} config
+   * @param {number} config.tableSize - Seats per table
+   * @param {number} [config.maxImbalance=1] - Largest allowed difference in
+   *   players between tables
+   */
+  constructor(config = {}) {
+    this.tableSize = validateIntegerAmount(config.tableSize, 'tableSize');
+    this.maxImbalance = validateIntegerAmount(
+      config.maxImbalance ?? 1,
+      'maxImbalance',
+    );
+    if (this.tableSize < 2) {
+      throw new Error('tableSize must be at least 2');
+    }
+    // A move must narrow the gap, or players would swap back and forth
+    if (this.maxImbalance < 1) {
+      throw new Error('maxImbalance must be at least 1');
+    }
+  }
+
+  /**
+   * Break surplus tables and even out the rest
+   * Tables that are broken are left empty for the caller to close.
+   * @param {Table[]} tables - Tables in the tournament, in table number order
+   * @returns {Object} { moves: [{ playerId, fromTableId, toTableId,
+   *   seatNumber }], broken: [tableId] }
+   */
+  rebalance(tables) {
+    const open = [...tables];
+    const moves = [];
+    const broken = [];
+    const total = open.reduce((sum, table) => sum + playerCount(table), 0);
+    const needed = Math.max(1, Math.ceil(total / this.tableSize));
+
+    while (open.length > needed) {
+      const target = this.findEmptiestIdle(open);
+      if (!target) {
+        break;
+      }
+      open.splice(open.indexOf(target), 1);
+      for (const playerData of this.getMoveOrder(target)) {
+        moves.push(
+          this.movePlayer(playerData, target, this.findSmallest(open)),
+        );
+      }
+      broken.push(target.id);
+    }
+
+    for (;;) {
+      const smallest = this.findSmallest(open);
+      const biggest = this.findBiggestIdle(open);
+      if (
+        !biggest ||
+        playerCount(biggest) - playerCount(smallest) <= this.maxImbalance
+      ) {
+        break;
+      }
+      const [playerData] = this.getMoveOrder(biggest);
+      moves.push(this.movePlayer(playerData, biggest, smallest));
+    }
+
+    return { moves, broken };
+  }
+
+  /**
+   * Idle table with the fewest players, preferring the highest numbered
+   * @param {Table[]} tables - Candidate tables
+   * @returns {Table|undefined}
+   */
+  findEmptiestIdle(tables) {
+    let emptiest;
+    for (const table of tables) {
+      if (
+        !table.isGameInProgress() &&
+        (!emptiest || playerCount(table) <= playerCount(emptiest))
+      ) {
+        emptiest = table;
+      }
+    }
+    return emptiest;
+  }
+
+  /**
+   * Idle table with the most players, preferring the lowest numbered
+   * @param {Table[]} tables - Candidate tables
+   * @returns {Table|undefined}
+   */
+  findBiggestIdle(tables) {
+    let biggest;
+    for (const table of tables) {
+      if (
+        !table.isGameInProgress() &&
+        (!biggest || playerCount(table) > playerCount(biggest))
+      ) {
+        biggest = table;
+      }
+    }
+    return biggest;
+  }
+
+  /**
+   * Table with the fewest players, preferring the lowest numbered
+   * @param {Table[]} tables - Candidate tables
+   * @returns {Table}
+   */
+  findSmallest(tables) {
+    return tables.reduce((smallest, table) =>
+      playerCount(table) < playerCount(smallest) ? table : smallest,
+    );
+  }
+
+  /**
+   * Seated players starting from the one due to post the big blind next
+   * @param {Table} table - Table to take players from
+   * @returns {Object[]} Entries from table.players
+   */
+  getMoveOrder(table) {
+    const seated = Array.from(table.players.values()).sort(
+      (a, b) => a.seatNumber - b.seatNumber,
+    );
+    const nextBigBlindSeat = table.nextBigBlindSeatNumber ?? 1;
+    const start = seated.findIndex((pd) => pd.seatNumber >= nextBigBlindSeat);
+    return start > 0
+      ? [...seated.slice(start), ...seated.slice(0, start)]
+      : seated;
+  }
+
+  /**
+   * Empty seat the big blind reaches first
+   * Players seated between the last big blind and the next one post the
+   * big blind straight away, so a moved player cannot skip it.
+   * @param {Table} table - Table to seat a player at
+   * @returns {number} Seat number
+   */
+  findFairSeat(table) {
+    const engine = table.gameEngine;
+    const bigBlindPlayerId =
+      engine &&
+      engine.bigBlindPlayerIndex !== undefined &&
+      engine.bigBlindPlayerIndex !== null
+        ? engine.players[engine.bigBlindPlayerIndex]?.id
+        : table.lastBigBlindPlayerId;
+    const bigBlindSeat = table.players.get(bigBlindPlayerId)?.seatNumber;
+    if (bigBlindSeat === undefined) {
+      return table.getNextAvailableSeat();
+    }
+
+    const taken = new Set(
+      Array.from(table.players.values(), (pd) => pd.seatNumber),
+    );
+    const { maxPlayers } = table.config;
+    for (let i = 1; i <= maxPlayers; i++) {
+      const seat = ((bigBlindSeat - 1 + i) % maxPlayers) + 1;
+      if (!taken.has(seat)) {
+        return seat;
+      }
+    }
+    throw new Error('No available seats');
+  }
+
+  /**
+   * Move one player to a fair seat at another table
+   * @param {Object} playerData - Entry from the source table's players
+   * @param {Table} from - Source table (no hand in progress)
+   * @param {Table} to - Destination table
+   * @returns {Object} { playerId, fromTableId, toTableId, seatNumber }
+   */
+  movePlayer({ player, rebuyOffer }, from, to) {
+    const seatNumber = this.findFairSeat(to);
+    from.removePlayer(player.id);
+    to.addPlayer(player, { seatNumber });
+    // A busted player keeps their rebuy offer until the new table deals
+    to.players.get(player.id).rebuyOffer = rebuyOffer ?? null;
+    return {
+      playerId: player.id,
+      fromTableId: from.id,
+      toTableId: to.id,
+      seatNumber,
+    };
+  }
+}
@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import { TableBalancer } from './TableBalancer.js';
+import { Tournament } from './Tournament.js';
+import { Table } from '../Table.js';
+import { Player } from '../Player.js';
+import { Action, TableState } from '../types/index.js';
+import { TournamentTypes } from '../constants.js';
+
+class AllInPlayer extends Player {
+  getAction() {
+    return { action: Action.ALL_IN };
+  }
+}
+
+/**
+ * Table with players seated at the given seats, e.g. { a1: 1, a2: 3 }
+ */
+const createTable = (id, seats, maxPlayers = 4) => {
+  const table = new Table({ id, maxPlayers });
+  for (const [playerId, seatNumber] of Object.entries(seats)) {
+    const player = new Player({ id: playerId });
+    player.buyIn(1000);
+    table.addPlayer(player, { seatNumber });
+  }
+  return table;
+};
+
+const seating = (table) =>
+  Object.fromEntries(
+    Array.from(table.players.values(), (pd) => [pd.player.id, pd.seatNumber]),
+  );
+
+describe('TableBalancer', () => {
+  it('should move players from the biggest table to the smallest', () => {
+    const tables = [
+      createTable('t1', { a1: 1, a2: 2, a3: 3, a4: 4 }),
+      createTable('t2', { b1: 1, b2: 2, b3: 3, b4: 4 }),
+      createTable('t3', { c1: 1 }),
+    ];
+    const balancer = new TableBalancer({ tableSize: 4 });
+
+    const { moves, broken } = balancer.rebalance(tables);
+    expect(broken).toEqual([]);
+    expect(moves.map((m) => [m.playerId, m.fromTableId, m.toTableId])).toEqual([
+      ['a1', 't1', 't3'],
+      ['b1', 't2', 't3'],
+    ]);
+    expect(tables.map((t) => t.getPlayerCount())).toEqual([3, 3, 3]);
+    expect(balancer.rebalance(tables).moves).toEqual([]);
+  });
+
+  it('should move the next big blind into the seat the big blind reaches first', () => {
+    const from = createTable('t1', { a1: 1, a2: 2, a3: 3, a4: 4, a5: 5 }, 6);
+    const to = createTable('t2', { b1: 1, b2: 2, b3: 5 }, 6);
+    from.nextBigBlindSeatNumber = 3;
+    to.lastBigBlindPlayerId = 'b3';
+    const balancer = new TableBalancer({ tableSize: 6 });
+
+    const { moves } = balancer.rebalance([from, to]);
+    expect(moves).toEqual([
+      { playerId: 'a3', fromTableId: 't1', toTableId: 't2', seatNumber: 6 },
+    ]);
+    expect(seating(to)).toEqual({ b1: 1, b2: 2, b3: 5, a3: 6 });
+  });
+
+  it('should only take players from tables between hands', () => {
+    const busy = createTable('t1', { a1: 1, a2: 2, a3: 3, a4: 4 });
+    const idle = createTable('t2', { b1: 1 });
+    busy.state = TableState.IN_PROGRESS;
+    const balancer = new TableBalancer({ tableSize: 4 });
+
+    expect(balancer.rebalance([busy, idle])).toEqual({ moves: [], broken: [] });
+    expect(() => new TableBalancer({ tableSize: 4, maxImbalance: 0 })).toThrow(
+      'maxImbalance must be at least 1',
+    );
+  });
+
+  it('should break the emptiest table once the field fits on fewer', () => {
+    const tables = [
+      createTable('t1', { a1: 1, a2: 2 }, 3),
+      createTable('t2', { b1: 1, b2: 3 }, 3),
+      createTable('t3', { c1: 2 }, 3),
+    ];
+    const balancer = new TableBalancer({ tableSize: 3 });
+
+    const { moves, broken } = balancer.rebalance(tables);
+    expect(broken).toEqual(['t3']);
+    expect(moves).toEqual([
+      { playerId: 'c1', fromTableId: 't3', toTableId: 't1', seatNumber: 3 },
+    ]);
+    expect(tables.map((t) => t.getPlayerCount())).toEqual([3, 2, 0]);
+  });
+
+  it('should play a multi-table tournament down to a final table', async () => {
+    const tournament = new Tournament({
+      type: TournamentTypes.MULTI_TABLE,
+      tableSize: 3,
+      tableConfig: { simulationMode: true, seed: 11 },
+    });
+    for (let i = 1; i <= 8; i++) {
+      tournament.register(new AllInPlayer({ id: `p${i}` }));
+    }
+
+    const events = [];
+    tournament.on('*', (eventName, data) => events.push({ eventName, data }));
+    const completed = new Promise((resolve) => {
+      tournament.on('tournament:completed', resolve);
+    });
+    tournament.start();
+    const { standings } = await completed;
+
+    const named = (name) =>
+      events.filter((e) => e.eventName === name).map((e) => e.data);
+    expect(named('tournament:table-broken').length).toBeGreaterThanOrEqual(2);
+    const [finalTable] = named('tournament:final-table');
+    expect(finalTable.players.length).toBeGreaterThanOrEqual(2);
+    expect(tournament.manager.getTables().length).toBeLessThanOrEqual(1);
+
+    expect(standings.map((s) => s.position)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    for (const move of named('tournament:player-moved')) {
+      expect(move.fromTableId).not.toBe(move.toTableId);
+    }
+  });
+});
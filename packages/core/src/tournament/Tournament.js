@@ -0,0 +1,704 @@
+import { nanoid } from 'nanoid';
+import { WildcardEventEmitter } from '../base/WildcardEventEmitter.js';
+import { PokerGameManager } from '../PokerGameManager.js';
+import { TournamentTypes } from '../constants.js';
+import { TournamentState } from '../types/index.js';
+import { TournamentEvents } from '../events/index.js';
+import { validateIntegerAmount } from '../utils/validation.js';
+import { TableBalancer } from './TableBalancer.js';
+import { BlindSchedule } from '../game/BlindSchedule.js';
+import {
+  calculatePrizePool,
+  calculatePrizes,
+  getPayoutStructure,
+  proposeChipChop,
+  proposeICMDeal,
+} from './payouts.js';
+
+/**
+ * Runs a tournament across one or more tables of a PokerGameManager
+ *
+ * Registered players get the starting stack and are spread across as few
+ * tables as `tableSize` allows. The tournament deals every hand itself: each
+ * table's next hand starts once its hand:ended has been handled, so blind
+ * levels, table balancing and other between-hand changes never land
+ * mid-hand. Eliminations from every table are merged into one finishing
+ * order, and tables are broken as the field shrinks down to a final table.
+ *
+ * With rebuys, players who bust during the rebuy period are only eliminated
+ * if they pass on the rebuy before their table's next hand. Eliminated
+ * players can re-enter while re-entry is open.
+ */
+export class Tournament extends WildcardEventEmitter {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.id] - Tournament ID
+   * @param {string} [config.type='sit-n-go'] - One of TournamentTypes
+   * @param {PokerGameManager} [config.manager] - Manager that owns the tables
+   * @param {number} [config.buyIn=0] - Entry fee paid into the prize pool
+   * @param {number} [config.rake=0] - Percentage of buy-ins kept back
+   * @param {number} [config.guarantee=0] - Minimum prize pool
+   * @param {number} [config.startingStack=1500] - Chips each player starts with
+   * @param {number} [config.tableSize=9] - Seats per table
+   * @param {number} [config.maxImbalance=1] - Largest allowed difference in
+   *   players between tables
+   * @param {number} [config.minPlayers=2] - Players needed to start
+   * @param {number} [config.maxPlayers] - Registration cap (default: one
+   *   table for single-table and sit & go events, otherwise unlimited)
+   * @param {BlindSchedule|Object} [config.blindSchedule] - Blind levels for
+   *   every table, or BlindSchedule config; hands are counted at the busiest
+   *   table (default: 10/20 throughout)
+   * @param {number[]} [config.payouts] - Prize pool percentage per finishing
+   *   position, 1st first (default: the standard table for the field size)
+   * @param {Object} [config.rebuys] - { chips (default startingStack), cost
+   *   (default buyIn), maxRebuys, levels, addOnChips, addOnCost (default
+   *   buyIn) }; rebuys are open through blind level `levels`, or until
+   *   endRebuyPeriod() if unset
+   * @param {Object} [config.reentry] - { maxEntries=2, levels }; re-entry
+   *   is open through blind level `levels`, or the whole tournament if unset
+   * @param {Object} [config.tableConfig] - Extra Table config, e.g. simulationMode
+   */
+  constructor(config = {}) {
+    super();
+
+    this.id = config.id || nanoid();
+    this.type = config.type || TournamentTypes.SIT_N_GO;
+    if (!Object.values(TournamentTypes).includes(this.type)) {
+      throw new Error(`Unknown tournament type: ${this.type}`);
+    }
+
+    const tableSize = validateIntegerAmount(config.tableSize ?? 9, 'tableSize');
+    if (tableSize < 2) {
+      throw new Error('tableSize must be at least 2');
+    }
+    const singleTable =
+      this.type === TournamentTypes.SINGLE_TABLE ||
+      this.type === TournamentTypes.SIT_N_GO;
+
+    this.config = {
+      buyIn: validateIntegerAmount(config.buyIn ?? 0, 'buyIn'),
+      rake: config.rake ?? 0,
+      guarantee: validateIntegerAmount(config.guarantee ?? 0, 'guarantee'),
+      startingStack: validateIntegerAmount(
+        config.startingStack ?? 1500,
+        'startingStack',
+      ),
+      tableSize,
+      minPlayers: Math.max(2, config.minPlayers || 2),
+      maxPlayers: config.maxPlayers || (singleTable ? tableSize : Infinity),
+      payouts: config.payouts || null,
+      tableConfig: config.tableConfig || {},
+    };
+
+    if (this.config.startingStack <= 0) {
+      throw new Error('startingStack must be positive');
+    }
+    if (singleTable && this.config.maxPlayers > tableSize) {
+      throw new Error(
+        `A ${this.type} tournament seats at most ${tableSize} players`,
+      );
+    }
+    if (this.config.payouts?.reduce((sum, pct) => sum + pct, 0) > 100) {
+      throw new Error('Payout percentages cannot exceed 100');
+    }
+
+    const { rebuys, reentry } = config;
+    const lastLevel = (levels, name) =>
+      levels === undefined || levels === null
+        ? null
+        : validateIntegerAmount(levels, name);
+    this.config.rebuys = rebuys
+      ? {
+          chips: rebuys.chips ?? this.config.startingStack,
+          cost: validateIntegerAmount(
+            rebuys.cost ?? this.config.buyIn,
+            'rebuy cost',
+          ),
+          maxRebuys: rebuys.maxRebuys ?? null,
+          levels: lastLevel(rebuys.levels, 'rebuy levels'),
+          addOnChips: rebuys.addOnChips ?? 0,
+          addOnCost: validateIntegerAmount(
+            rebuys.addOnCost ?? this.config.buyIn,
+            'addOnCost',
+          ),
+        }
+      : null;
+    this.config.reentry = reentry
+      ? {
+          maxEntries: validateIntegerAmount(
+            reentry.maxEntries ?? 2,
+            'maxEntries',
+          ),
+          levels: lastLevel(reentry.levels, 'reentry levels'),
+        }
+      : null;
+
+    this.manager = config.manager || new PokerGameManager();
+    this.state = TournamentState.REGISTERING;
+    this.players = new Map(); // playerId -> { player, tableId, position, prize, entries }
+    this.tables = new Map(); // tableId -> { table, handsPlayed }
+    this.balancer = new TableBalancer({
+      tableSize,
+      maxImbalance: config.maxImbalance,
+    });
+    this.blindSchedule =
+      config.blindSchedule instanceof BlindSchedule
+        ? config.blindSchedule
+        : new BlindSchedule({
+            simulationMode: this.config.tableConfig.simulationMode === true,
+            levels: [{ small: 10, big: 20 }],
+            ...config.blindSchedule,
+          });
+    this.blindSchedule.on('*', (eventName, data) => {
+      this.emit(eventName, { tournamentId: this.id, ...data });
+    });
+    this.levelHands = 0; // Hands played at the busiest table
+    this.breakTimer = null;
+    this.remaining = 0;
+    this.finishOrder = []; // playerIds, first eliminated first
+    this.reentries = 0;
+    this.rebuyTotal = 0; // Paid for rebuys and add-ons
+    this.rebuyPeriodOver = false;
+  }
+
+  /**
+   * Entries so far, counting re-entries
+   * @returns {number}
+   */
+  get entries() {
+    return this.players.size + this.reentries;
+  }
+
+  /**
+   * Total prize pool from entries, rebuys and add-ons
+   * @returns {number}
+   */
+  get prizePool() {
+    const { buyIn, rake, guarantee } = this.config;
+    return calculatePrizePool({
+      entries: this.entries,
+      buyIn,
+      rebuys: this.rebuyTotal,
+      rake,
+      guarantee,
+    });
+  }
+
+  /**
+   * Prize per finishing position, 1st first
+   * @returns {number[]}
+   */
+  get prizes() {
+    return calculatePrizes(
+      this.prizePool,
+      this.config.payouts || getPayoutStructure(this.entries),
+    );
+  }
+
+  /**
+   * Register a player before the tournament starts
+   * @param {Player} player - Player to register
+   */
+  register(player) {
+    if (this.state !== TournamentState.REGISTERING) {
+      throw new Error('Registration is closed');
+    }
+    if (this.players.has(player.id)) {
+      throw new Error(`Player ${player.id} is already registered`);
+    }
+    if (this.players.size >= this.config.maxPlayers) {
+      throw new Error(`Tournament is full (${this.config.maxPlayers} players)`);
+    }
+
+    this.players.set(player.id, {
+      player,
+      tableId: null,
+      position: null,
+      prize: 0,
+      entries: 1,
+    });
+    this.emit(TournamentEvents.REGISTERED, {
+      tournamentId: this.id,
+      playerId: player.id,
+      entries: this.entries,
+      prizePool: this.prizePool,
+    });
+  }
+
+  /**
+   * Withdraw a registration before the tournament starts
+   * @param {string} playerId - Player to unregister
+   * @returns {boolean} True if the player was registered
+   */
+  unregister(playerId) {
+    if (this.state !== TournamentState.REGISTERING) {
+      throw new Error('Registration is closed');
+    }
+    if (!this.players.delete(playerId)) {
+      return false;
+    }
+    this.emit(TournamentEvents.UNREGISTERED, {
+      tournamentId: this.id,
+      playerId,
+      entries: this.entries,
+      prizePool: this.prizePool,
+    });
+    return true;
+  }
+
+  /**
+   * Seat all registered players and deal the first hand at every table
+   */
+  start() {
+    if (this.state !== TournamentState.REGISTERING) {
+      throw new Error('Tournament has already started');
+    }
+    if (this.players.size < this.config.minPlayers) {
+      throw new Error(
+        `Need at least ${this.config.minPlayers} players to start, have ${this.players.size}`,
+      );
+    }
+
+    this.state = TournamentState.RUNNING;
+    this.remaining = this.players.size;
+    this.blindSchedule.start();
+
+    const entries = Array.from(this.players.values());
+    const tableCount = Math.ceil(entries.length / this.config.tableSize);
+    const tables = [];
+    for (let i = 0; i < tableCount; i++) {
+      tables.push(this.createTable(i + 1));
+    }
+
+    // Deal players round the tables so table sizes differ by at most one
+    entries.forEach((entry, index) => {
+      const table = tables[index % tableCount];
+      entry.player.buyIn(this.config.startingStack);
+      entry.tableId = table.id;
+      table.addPlayer(entry.player);
+    });
+
+    this.emit(TournamentEvents.STARTED, {
+      tournamentId: this.id,
+      type: this.type,
+      entries: entries.length,
+      prizePool: this.prizePool,
+      tables: tables.map((table) => table.id),
+      level: this.blindSchedule.current,
+    });
+
+    this.scheduleHands();
+  }
+
+  /**
+   * Create a tournament table on the manager
+   * @param {number} number - Table number, used in the table ID
+   * @returns {Table}
+   */
+  createTable(number) {
+    const { small, big, ante } = this.blindSchedule.current;
+    const { rebuys } = this.config;
+    const table = this.manager.createTable({
+      ...this.config.tableConfig,
+      id: `${this.id}-table-${number}`,
+      maxPlayers: this.config.tableSize,
+      minPlayers: 2,
+      blinds: { small, big },
+      ante,
+      ...(rebuys && {
+        rebuys: {
+          chips: rebuys.chips,
+          maxRebuys: rebuys.maxRebuys,
+          addOnChips: rebuys.addOnChips,
+        },
+      }),
+    });
+
+    this.tables.set(table.id, { table, handsPlayed: 0 });
+    table.on('player:eliminated', (data) => this.handleElimination(data));
+    if (rebuys) {
+      table.on('player:rebuy', (data) =>
+        this.collect(TournamentEvents.REBUY, rebuys.cost, data),
+      );
+      table.on('player:add-on', (data) =>
+        this.collect(TournamentEvents.ADD_ON, rebuys.addOnCost, data),
+      );
+    }
+    table.on('hand:ended', () => this.handleHandEnded(table));
+    return table;
+  }
+
+  /**
+   * Add a rebuy or add-on to the prize pool
+   * @param {string} eventName - TournamentEvents.REBUY or ADD_ON
+   * @param {number} cost - Amount paid
+   * @param {Object} data - player:rebuy or player:add-on payload
+   */
+  collect(eventName, cost, { playerId, tableId, chips }) {
+    this.rebuyTotal += cost;
+    this.updatePrizes();
+    this.emit(eventName, {
+      tournamentId: this.id,
+      playerId,
+      tableId,
+      chips,
+      cost,
+      prizePool: this.prizePool,
+    });
+  }
+
+  /**
+   * Balance the tables and deal at every idle one once the current hand's
+   * events have unwound. During a break tables wait for it to end.
+   */
+  scheduleHands() {
+    setTimeout(() => {
+      if (this.state !== TournamentState.RUNNING) {
+        return;
+      }
+      this.balanceTables();
+      if (this.applyBlindSchedule()) {
+        this.waitForBreak();
+        return;
+      }
+      for (const { table } of this.tables.values()) {
+        if (!table.isGameInProgress() && table.getPlayerCount() >= 2) {
+          table.tryStartGame().catch((error) => {
+            this.emit(TournamentEvents.ERROR, {
+              tournamentId: this.id,
+              tableId: table.id,
+              error: error.message,
+            });
+          });
+        }
+      }
+    }, 0);
+  }
+
+  /**
+   * Between hands: count the hand, raise the blinds when due and deal again
+   * @param {Table} table - Table whose hand ended
+   */
+  handleHandEnded(table) {
+    const entry = this.tables.get(table.id);
+    if (!entry || this.state !== TournamentState.RUNNING) {
+      return;
+    }
+    entry.handsPlayed++;
+    if (entry.handsPlayed > this.levelHands) {
+      this.levelHands = entry.handsPlayed;
+      this.blindSchedule.recordHand();
+    }
+    this.applyBlindSchedule();
+    this.scheduleHands();
+  }
+
+  /**
+   * Move players off idle tables to even the field, closing broken tables
+   */
+  balanceTables() {
+    if (this.tables.size < 2) {
+      return;
+    }
+
+    const tables = Array.from(this.tables.values(), (entry) => entry.table);
+    const { moves, broken } = this.balancer.rebalance(tables);
+
+    for (const move of moves) {
+      this.players.get(move.playerId).tableId = move.toTableId;
+      this.emit(TournamentEvents.PLAYER_MOVED, {
+        tournamentId: this.id,
+        ...move,
+      });
+    }
+    for (const tableId of broken) {
+      this.tables.delete(tableId);
+      this.manager.closeTable(tableId);
+      this.emit(TournamentEvents.TABLE_BROKEN, {
+        tournamentId: this.id,
+        tableId,
+        tablesRemaining: this.tables.size,
+      });
+    }
+
+    if (broken.length > 0 && this.tables.size === 1) {
+      const [table] = Array.from(this.tables.values(), (entry) => entry.table);
+      this.emit(TournamentEvents.FINAL_TABLE, {
+        tournamentId: this.id,
+        tableId: table.id,
+        players: Array.from(table.players.values())
+          .sort((a, b) => a.seatNumber - b.seatNumber)
+          .map(({ player, seatNumber }) => ({
+            playerId: player.id,
+            seatNumber,
+            chips: player.chips,
+          })),
+      });
+    }
+  }
+
+  /**
+   * Move the blind schedule on and give every table its blinds
+   * Tables mid-hand pick the new blinds up from their next hand.
+   * @returns {boolean} True if the schedule is on a break
+   */
+  applyBlindSchedule() {
+    this.blindSchedule.update();
+    const { small, big, ante } = this.blindSchedule.current;
+    for (const { table } of this.tables.values()) {
+      table.config.blinds = { small, big };
+      table.config.ante = ante;
+    }
+
+    const levels = this.config.rebuys?.levels ?? null;
+    if (levels !== null && this.isPastLevel(levels)) {
+      this.endRebuyPeriod();
+    }
+    return this.blindSchedule.onBreak;
+  }
+
+  /**
+   * Whether the blind schedule has moved on from a level
+   * A break straight after the level counts as past it.
+   * @param {number} level - Blind level number
+   * @returns {boolean}
+   */
+  isPastLevel(level) {
+    const { current, onBreak } = this.blindSchedule;
+    return current.level > level || (onBreak && current.level === level);
+  }
+
+  /**
+   * Close rebuys at every table
+   * Players who have already busted may still rebuy before their table's
+   * next hand, and add-ons are offered until then.
+   */
+  endRebuyPeriod() {
+    if (!this.config.rebuys || this.rebuyPeriodOver) {
+      return;
+    }
+    this.rebuyPeriodOver = true;
+    for (const { table } of this.tables.values()) {
+      table.endRebuyPeriod();
+    }
+  }
+
+  /**
+   * Buy an eliminated player back in with a new stack at a new seat
+   * Their elimination no longer counts: players who busted after them move
+   * down a place, and the entry adds a buy-in to the prize pool, which every
+   * prize already awarded is recomputed from. They join the table with the
+   * fewest players.
+   * @param {string} playerId - Eliminated player
+   * @returns {Object} { tableId, seatNumber }
+   */
+  reenter(playerId) {
+    const { reentry, tableSize, startingStack } = this.config;
+    if (!reentry) {
+      throw new Error('This tournament does not allow re-entry');
+    }
+    if (
+      this.state !== TournamentState.RUNNING ||
+      (reentry.levels !== null && this.isPastLevel(reentry.levels))
+    ) {
+      throw new Error('Re-entry is closed');
+    }
+    const entry = this.players.get(playerId);
+    if (!entry) {
+      throw new Error(`Player ${playerId} is not registered`);
+    }
+    if (entry.position === null) {
+      throw new Error(`Player ${playerId} is still in the tournament`);
+    }
+    if (entry.entries >= reentry.maxEntries) {
+      throw new Error(
+        `Player ${playerId} has used all ${reentry.maxEntries} entries`,
+      );
+    }
+    const table = this.balancer.findSmallest(
+      Array.from(this.tables.values(), ({ table }) => table),
+    );
+    if (table.getPlayerCount() >= tableSize) {
+      throw new Error('Every table is full');
+    }
+
+    const { player } = entry;
+    const freedPosition = entry.position;
+    entry.entries++;
+    entry.position = null;
+    entry.prize = 0;
+    entry.tableId = table.id;
+    this.finishOrder.splice(this.finishOrder.indexOf(playerId), 1);
+    this.reentries++;
+    this.remaining++;
+
+    // Everyone who busted after this player moves down into the freed place
+    for (const other of this.players.values()) {
+      if (other.position !== null && other.position < freedPosition) {
+        other.position++;
+      }
+    }
+    this.updatePrizes();
+
+    player.rebuys = 0;
+    player.addOns = 0;
+    player.buyIn(startingStack);
+    table.addPlayer(player);
+    const { seatNumber } = table.players.get(playerId);
+
+    this.emit(TournamentEvents.PLAYER_REENTERED, {
+      tournamentId: this.id,
+      playerId,
+      tableId: table.id,
+      seatNumber,
+      entries: this.entries,
+      prizePool: this.prizePool,
+    });
+    return { tableId: table.id, seatNumber };
+  }
+
+  /**
+   * Deal again once the current break is over
+   */
+  waitForBreak() {
+    const { breakEndsAt } = this.blindSchedule;
+    if (this.breakTimer || breakEndsAt === null) {
+      return;
+    }
+    this.breakTimer = setTimeout(
+      () => {
+        this.breakTimer = null;
+        this.scheduleHands();
+      },
+      Math.max(0, breakEndsAt - this.blindSchedule.now()),
+    );
+  }
+
+  /**
+   * Record a bust-out in the tournament-wide finishing order
+   * Tables report same-hand eliminations smallest stack first, so each
+   * player finishes in the place the field had shrunk to.
+   * @param {Object} data - player:eliminated payload from a table
+   */
+  handleElimination({ playerId, tableId }) {
+    const entry = this.players.get(playerId);
+    if (!entry || entry.position !== null) {
+      return;
+    }
+
+    this.finish(entry, this.remaining);
+    this.remaining--;
+    this.emit(TournamentEvents.PLAYER_ELIMINATED, {
+      tournamentId: this.id,
+      playerId,
+      tableId,
+      position: entry.position,
+      prize: entry.prize,
+      playersRemaining: this.remaining,
+    });
+
+    if (this.remaining === 1) {
+      this.complete();
+    }
+  }
+
+  /**
+   * Recompute every prize already awarded from the current prize pool
+   */
+  updatePrizes() {
+    const { prizes } = this;
+    for (const entry of this.players.values()) {
+      if (entry.position !== null) {
+        entry.prize = prizes[entry.position - 1] ?? 0;
+      }
+    }
+  }
+
+  /**
+   * Give a player their finishing position and prize
+   * @param {Object} entry - Player entry
+   * @param {number} position - Finishing position
+   */
+  finish(entry, position) {
+    entry.position = position;
+    entry.prize = this.prizes[position - 1] ?? 0;
+    this.finishOrder.push(entry.player.id);
+  }
+
+  /**
+   * Crown the last player standing and close the tables
+   */
+  complete() {
+    const winner = Array.from(this.players.values()).find(
+      (entry) => entry.position === null,
+    );
+    this.finish(winner, 1);
+    this.state = TournamentState.COMPLETED;
+    clearTimeout(this.breakTimer);
+    this.breakTimer = null;
+
+    // Close after the current hand:ended listeners have run
+    setTimeout(() => {
+      for (const tableId of this.tables.keys()) {
+        this.manager.closeTable(tableId);
+      }
+    }, 0);
+
+    this.emit(TournamentEvents.COMPLETED, {
+      tournamentId: this.id,
+      winnerId: winner.player.id,
+      prizePool: this.prizePool,
+      standings: this.getStandings(),
+    });
+  }
+
+  /**
+   * Deal the players still in could agree to instead of playing on
+   * @param {Object} [options]
+   * @param {string} [options.type='icm'] - 'icm' or 'chip-chop'
+   * @param {number} [options.reserve=0] - Amount left to play for
+   * @returns {Object} { type, reserve, players: [{ id, name, chips, amount }] }
+   */
+  proposeDeal({ type = 'icm', reserve = 0 } = {}) {
+    if (this.state !== TournamentState.RUNNING) {
+      throw new Error('Deals can only be made while the tournament is running');
+    }
+    const stillIn = new Map(
+      Array.from(this.players.entries()).filter(
+        ([, entry]) => entry.position === null,
+      ),
+    );
+    if (type === 'icm') {
+      return proposeICMDeal(stillIn, this.prizes, { reserve });
+    }
+    if (type === 'chip-chop') {
+      return proposeChipChop(stillIn, this.prizes, { reserve });
+    }
+    throw new Error(`Unknown deal type: ${type}`);
+  }
+
+  /**
+   * Players still in, biggest stack first, then finishers best place first
+   * @returns {Object[]} [{ playerId, name, chips, tableId, position, prize }]
+   */
+  getStandings() {
+    const row = ({ player, tableId, position, prize }) => ({
+      playerId: player.id,
+      name: player.name,
+      chips: player.chips,
+      tableId: position === null ? tableId : null,
+      position,
+      prize,
+    });
+
+    const entries = Array.from(this.players.values());
+    const active = entries
+      .filter((entry) => entry.position === null)
+      .sort((a, b) => b.player.chips - a.player.chips);
+    const finished = entries
+      .filter((entry) => entry.position !== null)
+      .sort((a, b) => a.position - b.position);
+
+    return [...active, ...finished].map(row);
+  }
+}
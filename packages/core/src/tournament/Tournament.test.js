@@ -0,0 +1,199 @@
+import { describe, it, expect } from 'vitest';
+import { Tournament } from './Tournament.js';
+import { PokerGameManager } from '../PokerGameManager.js';
+import { Player } from '../Player.js';
+import { Action, TournamentState } from '../types/index.js';
+import { TournamentTypes } from '../constants.js';
+
+class AllInPlayer extends Player {
+  getAction() {
+    return { action: Action.ALL_IN };
+  }
+}
+
+/**
+ * Player that never puts in a chip it does not have to
+ */
+class FoldingPlayer extends Player {
+  getAction(gameState) {
+    return gameState.toCall > 0
+      ? { action: Action.FOLD }
+      : { action: Action.CHECK };
+  }
+}
+
+const register = (tournament, ids, PlayerClass = AllInPlayer) => {
+  for (const id of ids) {
+    tournament.register(new PlayerClass({ id }));
+  }
+};
+
+const untilCompleted = (tournament) =>
+  new Promise((resolve) => {
+    tournament.on('tournament:completed', resolve);
+  });
+
+describe('Tournament', () => {
+  it('should run a sit & go to a winner and pay the places', async () => {
+    const tournament = new Tournament({
+      buyIn: 100,
+      startingStack: 1000,
+      tableSize: 6,
+      payouts: [60, 30, 10],
+      tableConfig: { simulationMode: true, seed: 7 },
+    });
+    const registered = [];
+    tournament.on('tournament:registered', (data) => registered.push(data));
+    register(tournament, ['alice', 'bob', 'carol', 'dave', 'erin']);
+    expect(tournament.unregister('erin')).toBe(true);
+    expect(registered[3]).toMatchObject({ entries: 4, prizePool: 400 });
+    expect(tournament.prizePool).toBe(400);
+
+    const eliminated = [];
+    tournament.on('tournament:player-eliminated', (data) =>
+      eliminated.push(data),
+    );
+    const completed = untilCompleted(tournament);
+    tournament.start();
+    expect(tournament.state).toBe(TournamentState.RUNNING);
+    expect(tournament.manager.getTables()).toHaveLength(1);
+
+    const { winnerId, standings, prizePool } = await completed;
+    expect(tournament.state).toBe(TournamentState.COMPLETED);
+    expect(prizePool).toBe(400);
+    expect(eliminated.map((e) => e.position)).toEqual([4, 3, 2]);
+    expect(eliminated.map((e) => e.prize)).toEqual([0, 40, 120]);
+
+    expect(standings.map((s) => s.position)).toEqual([1, 2, 3, 4]);
+    expect(standings[0]).toMatchObject({
+      playerId: winnerId,
+      chips: 4000,
+      prize: 240,
+    });
+  });
+
+  it('should raise the blinds at every table between hands', async () => {
+    const tournament = new Tournament({
+      startingStack: 1500,
+      blindSchedule: {
+        levels: [
+          { small: 10, big: 20 },
+          { small: 50, big: 100, ante: 10 },
+          { break: true, minutes: 5 },
+          { small: 1000, big: 2000 },
+        ],
+        handsPerLevel: 2,
+      },
+      tableConfig: { simulationMode: true },
+    });
+    register(tournament, ['alice', 'bob'], FoldingPlayer);
+
+    const levels = [];
+    const bigBlinds = [];
+    tournament.on('blinds:level-up', ({ level }) => levels.push(level));
+    tournament.manager.on('table:event', ({ eventName, data }) => {
+      if (eventName === 'blind:posted' && data.type === 'big') {
+        bigBlinds.push(data.amount);
+      }
+    });
+    const completed = untilCompleted(tournament);
+    tournament.start();
+    await completed;
+
+    expect(levels).toEqual([
+      { level: 2, small: 50, big: 100, ante: 10 },
+      { level: 3, small: 1000, big: 2000, ante: 0 },
+    ]);
+    // Blinds move up together after every second hand
+    expect(bigBlinds.slice(0, 4)).toEqual([20, 20, 100, 100]);
+    expect(bigBlinds[4]).toBeGreaterThan(1000);
+  });
+
+  it('should seat a multi-table field evenly and rank busts across tables', async () => {
+    const manager = new PokerGameManager();
+    const tournament = new Tournament({
+      id: 'mtt',
+      type: TournamentTypes.MULTI_TABLE,
+      manager,
+      buyIn: 10,
+      tableSize: 3,
+      payouts: [50, 30, 20],
+      tableConfig: { simulationMode: true, seed: 3 },
+    });
+    register(tournament, ['p1', 'p2', 'p3', 'p4', 'p5']);
+
+    const started = [];
+    const eliminated = [];
+    tournament.on('tournament:started', (data) => started.push(data));
+    tournament.on('tournament:player-eliminated', (data) =>
+      eliminated.push(data),
+    );
+    const firstHands = new Promise((resolve) => {
+      let ended = 0;
+      manager.on('table:event', ({ eventName }) => {
+        if (eventName === 'hand:ended' && ++ended === 2) {
+          resolve();
+        }
+      });
+    });
+    tournament.start();
+
+    expect(started[0].tables).toEqual(['mtt-table-1', 'mtt-table-2']);
+    expect(manager.getTable('mtt-table-1').getPlayerCount()).toBe(3);
+    expect(manager.getTable('mtt-table-2').getPlayerCount()).toBe(2);
+
+    await firstHands;
+    expect(eliminated.length).toBeGreaterThan(0);
+    eliminated.forEach((e, i) => {
+      expect(e.position).toBe(5 - i);
+      expect(e.playersRemaining).toBe(4 - i);
+    });
+    const third = eliminated.find((e) => e.position === 3);
+    if (third) {
+      expect(third.prize).toBe(10);
+    }
+    manager.closeAllTables();
+  });
+
+  it('should report a table that fails to deal instead of rejecting', async () => {
+    const tournament = new Tournament({
+      tableSize: 2,
+      tableConfig: { simulationMode: true },
+    });
+    register(tournament, ['alice', 'bob']);
+    const failed = new Promise((resolve) => {
+      tournament.on('tournament:error', resolve);
+    });
+    tournament.start();
+    const [table] = tournament.manager.getTables();
+    table.tryStartGame = () => Promise.reject(new Error('Dealer walked off'));
+
+    expect(await failed).toEqual({
+      tournamentId: tournament.id,
+      tableId: table.id,
+      error: 'Dealer walked off',
+    });
+  });
+
+  it('should validate registration and configuration', () => {
+    expect(() => new Tournament({ type: 'freeroll' })).toThrow(
+      'Unknown tournament type: freeroll',
+    );
+    expect(() => new Tournament({ payouts: [70, 40] })).toThrow(
+      'Payout percentages cannot exceed 100',
+    );
+
+    const tournament = new Tournament({ tableSize: 2 });
+    register(tournament, ['alice']);
+    expect(() => tournament.start()).toThrow(
+      'Need at least 2 players to start, have 1',
+    );
+    expect(() => register(tournament, ['alice'])).toThrow(
+      'Player alice is already registered',
+    );
+    register(tournament, ['bob']);
+    expect(() => register(tournament, ['carol'])).toThrow(
+      'Tournament is full (2 players)',
+    );
+  });
+});
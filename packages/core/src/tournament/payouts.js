@@ -0,0 +1,271 @@
+import { getFormattedStandings } from '../utils/playerStatus.js';
+import { validateIntegerAmount } from '../utils/validation.js';
+
+/**
+ * Standard payout tables: percentage of the prize pool per finishing
+ * position, 1st first, for fields of up to maxEntries players
+ */
+export const PAYOUT_STRUCTURES = [
+  { maxEntries: 3, percentages: [100] },
+  { maxEntries: 6, percentages: [65, 35] },
+  { maxEntries: 10, percentages: [50, 30, 20] },
+  { maxEntries: 18, percentages: [40, 30, 20, 10] },
+  { maxEntries: 27, percentages: [35, 22, 15, 11, 9, 8] },
+  { maxEntries: 45, percentages: [30, 20, 14, 10, 8, 6.5, 5, 3.5, 3] },
+  {
+    maxEntries: 100,
+    percentages: [25, 16, 12, 9, 7.5, 6, 5, 4, 3, 3, 2.5, 2.5, 1.5, 1.5, 1.5],
+  },
+];
+
+// Exact ICM considers every finishing order, which grows exponentially
+const MAX_ICM_PLAYERS = 20;
+
+/**
+ * Prize pool from entries, less rake, topped up to any guarantee
+ * @param {Object} options
+ * @param {number} options.entries - Number of entries
+ * @param {number} options.buyIn - Buy-in per entry
+ * @param {number} [options.rebuys=0] - Total paid for rebuys and add-ons
+ * @param {number} [options.rake=0] - Percentage of entries kept by the house
+ * @param {number} [options.guarantee=0] - Minimum prize pool
+ * @returns {number} Whole-number prize pool
+ */
+export function calculatePrizePool({
+  entries,
+  buyIn,
+  rebuys = 0,
+  rake = 0,
+  guarantee = 0,
+}) {
+  validateIntegerAmount(entries, 'entries');
+  validateIntegerAmount(buyIn, 'buyIn');
+  validateIntegerAmount(rebuys, 'rebuys');
+  validateIntegerAmount(guarantee, 'guarantee');
+  if (rake < 0 || rake > 100) {
+    throw new Error(`rake must be a percentage, got ${rake}`);
+  }
+  const paid = entries * buyIn + rebuys;
+  const collected = Math.floor((paid * (100 - rake)) / 100);
+  return Math.max(collected, guarantee);
+}
+
+/**
+ * Standard payout percentages for a field
+ * Fields bigger than the largest table pay the top 15%, each place worth
+ * less than the one above.
+ * @param {number} entries - Number of entries
+ * @returns {number[]} Percentage per finishing position, 1st first
+ */
+export function getPayoutStructure(entries) {
+  validateIntegerAmount(entries, 'entries');
+  const structure = PAYOUT_STRUCTURES.find((s) => entries <= s.maxEntries);
+  if (structure) {
+    return [...structure.percentages];
+  }
+
+  const places = Math.ceil(entries * 0.15);
+  const weights = Array.from({ length: places }, (_, i) => 1 / (i + 1));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return weights.map((weight) => (weight / total) * 100);
+}
+
+/**
+ * Split a prize pool by percentage, paying rounding leftovers to first place
+ * @param {number} prizePool - Total chips or currency to pay out
+ * @param {number[]} percentages - Share per finishing position, 1st first
+ * @returns {number[]} Whole-number prize per finishing position
+ */
+export function calculatePrizes(prizePool, percentages) {
+  const prizes = percentages.map((pct) => Math.floor((prizePool * pct) / 100));
+  if (prizes.length > 0) {
+    const total = percentages.reduce((sum, pct) => sum + pct, 0);
+    const paid = prizes.reduce((sum, prize) => sum + prize, 0);
+    prizes[0] += Math.round((prizePool * total) / 100) - paid;
+  }
+  return prizes;
+}
+
+/**
+ * Independent Chip Model equity (Malmuth-Harville)
+ * Each player wins the next prize in proportion to their share of the
+ * chips still in play.
+ * @param {number[]} stacks - Chip counts, all positive
+ * @param {number[]} prizes - Prize per finishing position, 1st first
+ * @returns {number[]} Expected prize per player, in stack order
+ */
+export function calculateICM(stacks, prizes) {
+  const count = stacks.length;
+  if (count > MAX_ICM_PLAYERS) {
+    throw new Error(
+      `ICM supports at most ${MAX_ICM_PLAYERS} players, got ${count}`,
+    );
+  }
+  for (const stack of stacks) {
+    if (!(stack > 0)) {
+      throw new Error(`ICM stacks must be positive, got ${stack}`);
+    }
+  }
+
+  // Equity from the prizes still to award, by the set of players left in
+  const memo = new Map();
+  const solve = (mask, place) => {
+    if (place >= prizes.length || mask === 0) {
+      return new Array(count).fill(0);
+    }
+    if (memo.has(mask)) {
+      return memo.get(mask);
+    }
+
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+      if (mask & (1 << i)) {
+        total += stacks[i];
+      }
+    }
+    const equities = new Array(count).fill(0);
+    for (let i = 0; i < count; i++) {
+      if (!(mask & (1 << i))) {
+        continue;
+      }
+      const chance = stacks[i] / total;
+      equities[i] += chance * prizes[place];
+      const rest = solve(mask & ~(1 << i), place + 1);
+      for (let j = 0; j < count; j++) {
+        equities[j] += chance * rest[j];
+      }
+    }
+    memo.set(mask, equities);
+    return equities;
+  };
+
+  return solve((1 << count) - 1, 0);
+}
+
+/**
+ * ICM equity for the players still in
+ * @param {Map<string, Object>} playersMap - Players map, as for getFormattedStandings
+ * @param {number[]} prizes - Prize per finishing position, 1st first
+ * @returns {Object[]} Standings rows with their equity, chip leader first
+ */
+export function getICMEquities(playersMap, prizes) {
+  const { standings } = getFormattedStandings(playersMap);
+  const equities = calculateICM(
+    standings.map((row) => row.chips),
+    prizes.slice(0, standings.length),
+  );
+  return standings.map((row, index) => ({ ...row, equity: equities[index] }));
+}
+
+/**
+ * Share a total in whole amounts, handing leftovers to the biggest fractions
+ * @param {number[]} shares - Exact shares summing to total
+ * @param {number} total - Whole amount to split
+ * @returns {number[]} Whole amounts summing to total
+ */
+function roundShares(shares, total) {
+  const amounts = shares.map(Math.floor);
+  let leftover = total - amounts.reduce((sum, amount) => sum + amount, 0);
+  const byFraction = shares
+    .map((share, index) => ({ index, fraction: share - Math.floor(share) }))
+    .sort((a, b) => b.fraction - a.fraction);
+  for (let i = 0; leftover > 0; i = (i + 1) % byFraction.length) {
+    amounts[byFraction[i].index]++;
+    leftover--;
+  }
+  return amounts;
+}
+
+/**
+ * Prizes still to be won by the players left, and the reserve to check
+ * @param {number} playersLeft - Players still in
+ * @param {number[]} prizes - Prize per finishing position, 1st first
+ * @param {number} reserve - Amount left to play for
+ * @returns {number[]} Prizes for places 1 to playersLeft
+ */
+function getRemainingPrizes(playersLeft, prizes, reserve) {
+  if (playersLeft < 2) {
+    throw new Error('A deal needs at least two players');
+  }
+  const remaining = Array.from(
+    { length: playersLeft },
+    (_, i) => prizes[i] ?? 0,
+  );
+  validateIntegerAmount(reserve, 'reserve');
+  if (reserve > remaining[0] - remaining[1]) {
+    throw new Error(
+      'reserve cannot exceed the gap between first and second prize',
+    );
+  }
+  return remaining;
+}
+
+/**
+ * Chip-chop deal: everyone locks up the smallest prize left and splits the
+ * rest by chip count
+ * @param {Map<string, Object>} playersMap - Players map, as for getFormattedStandings
+ * @param {number[]} prizes - Prize per finishing position, 1st first
+ * @param {Object} [options]
+ * @param {number} [options.reserve=0] - Amount kept back for the winner of
+ *   the rest of the game
+ * @returns {Object} { type: 'chip-chop', reserve, players: [{ id, name,
+ *   chips, amount }] }
+ */
+export function proposeChipChop(playersMap, prizes, { reserve = 0 } = {}) {
+  const { standings, summary } = getFormattedStandings(playersMap);
+  const remaining = getRemainingPrizes(standings.length, prizes, reserve);
+
+  const locked = remaining.at(-1);
+  const total = remaining.reduce((sum, prize) => sum + prize, 0) - reserve;
+  const toSplit = total - locked * standings.length;
+  const amounts = roundShares(
+    standings.map(
+      (row) => locked + (toSplit * row.chips) / summary.totalChipsInPlay,
+    ),
+    total,
+  );
+
+  return {
+    type: 'chip-chop',
+    reserve,
+    players: standings.map(({ id, name, chips }, index) => ({
+      id,
+      name,
+      chips,
+      amount: amounts[index],
+    })),
+  };
+}
+
+/**
+ * ICM deal: everyone takes their ICM equity of the prizes left
+ * @param {Map<string, Object>} playersMap - Players map, as for getFormattedStandings
+ * @param {number[]} prizes - Prize per finishing position, 1st first
+ * @param {Object} [options]
+ * @param {number} [options.reserve=0] - Amount kept back for the winner of
+ *   the rest of the game
+ * @returns {Object} { type: 'icm', reserve, players: [{ id, name, chips,
+ *   amount }] }
+ */
+export function proposeICMDeal(playersMap, prizes, { reserve = 0 } = {}) {
+  const { standings } = getFormattedStandings(playersMap);
+  const remaining = getRemainingPrizes(standings.length, prizes, reserve);
+  remaining[0] -= reserve;
+
+  const equities = getICMEquities(playersMap, remaining);
+  const amounts = roundShares(
+    equities.map((row) => row.equity),
+    remaining.reduce((sum, prize) => sum + prize, 0),
+  );
+
+  return {
+    type: 'icm',
+    reserve,
+    players: equities.map(({ id, name, chips }, index) => ({
+      id,
+      name,
+      chips,
+      amount: amounts[index],
+    })),
+  };
+}
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PAYOUT_STRUCTURES,
+  calculateICM,
+  calculatePrizePool,
+  calculatePrizes,
+  getICMEquities,
+  getPayoutStructure,
+  proposeChipChop,
+  proposeICMDeal,
+} from './payouts.js';
+import { Tournament } from './Tournament.js';
+import { Player } from '../Player.js';
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Players map in the shape getFormattedStandings expects
+ */
+const createPlayers = (stacks) =>
+  new Map(
+    Object.entries(stacks).map(([id, chips], index) => {
+      const player = new Player({ id, name: id.toUpperCase() });
+      player.chips = chips;
+      return [id, { player, seatNumber: index + 1 }];
+    }),
+  );
+
+describe('payouts', () => {
+  it('should build the prize pool from entries, rake and guarantee', () => {
+    expect(calculatePrizePool({ entries: 10, buyIn: 100 })).toBe(1000);
+    expect(calculatePrizePool({ entries: 10, buyIn: 110, rake: 10 })).toBe(990);
+    expect(
+      calculatePrizePool({ entries: 3, buyIn: 100, guarantee: 1000 }),
+    ).toBe(1000);
+    expect(() =>
+      calculatePrizePool({ entries: 10, buyIn: 100, rake: 120 }),
+    ).toThrow('rake must be a percentage, got 120');
+  });
+
+  it('should pick a standard payout table by field size', () => {
+    expect(getPayoutStructure(2)).toEqual([100]);
+    expect(getPayoutStructure(6)).toEqual([65, 35]);
+    expect(getPayoutStructure(9)).toEqual([50, 30, 20]);
+    expect(getPayoutStructure(18)).toHaveLength(4);
+
+    for (const { percentages } of PAYOUT_STRUCTURES) {
+      expect(sum(percentages)).toBe(100);
+    }
+
+    // Big fields pay the top 15%, each place less than the one above
+    const big = getPayoutStructure(200);
+    expect(big).toHaveLength(30);
+    expect(sum(big)).toBeCloseTo(100);
+    big.slice(1).forEach((pct, i) => expect(pct).toBeLessThan(big[i]));
+  });
+
+  it('should split a prize pool into whole prizes', () => {
+    expect(calculatePrizes(1000, [50, 30, 20])).toEqual([500, 300, 200]);
+    expect(calculatePrizes(100, [33.4, 33.3, 33.3])).toEqual([34, 33, 33]);
+    expect(calculatePrizes(0, [100])).toEqual([0]);
+    expect(sum(calculatePrizes(12345, getPayoutStructure(500)))).toBe(12345);
+  });
+
+  it('should compute ICM equity', () => {
+    expect(calculateICM([3000, 1000], [100])).toEqual([75, 25]);
+    for (const equity of calculateICM([100, 100, 100], [50, 30, 20])) {
+      expect(equity).toBeCloseTo(100 / 3);
+    }
+
+    const equities = calculateICM([5000, 3000, 2000], [50, 30, 20]);
+    expect(equities[0]).toBeCloseTo(38.393, 3);
+    expect(sum(equities)).toBeCloseTo(100);
+    // The short stack is worth more than its share of the chips
+    expect(equities[2]).toBeGreaterThan(20);
+
+    expect(() => calculateICM([100, 0], [100])).toThrow(
+      'ICM stacks must be positive, got 0',
+    );
+  });
+
+  it('should report equity from table standings', () => {
+    const players = createPlayers({ bob: 3000, alice: 5000, carol: 0 });
+    const rows = getICMEquities(players, [70, 30]);
+
+    expect(rows.map((r) => [r.id, r.rank])).toEqual([
+      ['alice', 1],
+      ['bob', 2],
+    ]);
+    expect(rows[0].equity).toBeCloseTo(55);
+    expect(rows[1].equity).toBeCloseTo(45);
+  });
+
+  it('should propose chip-chop and ICM deals', () => {
+    const players = createPlayers({ alice: 6000, bob: 3000, carol: 1000 });
+    const prizes = [500, 300, 200, 100];
+
+    const chop = proposeChipChop(players, prizes);
+    // Everyone locks up 200 and splits the other 400 by chips
+    expect(chop.players.map((p) => [p.id, p.amount])).toEqual([
+      ['alice', 440],
+      ['bob', 320],
+      ['carol', 240],
+    ]);
+
+    const icm = proposeICMDeal(players, prizes, { reserve: 100 });
+    expect(icm).toMatchObject({ type: 'icm', reserve: 100 });
+    expect(sum(icm.players.map((p) => p.amount))).toBe(900);
+    expect(icm.players[2].amount).toBeGreaterThan(200);
+
+    expect(() => proposeICMDeal(players, prizes, { reserve: 300 })).toThrow(
+      'reserve cannot exceed the gap between first and second prize',
+    );
+    expect(() =>
+      proposeChipChop(createPlayers({ alice: 100 }), prizes),
+    ).toThrow('A deal needs at least two players');
+  });
+
+  it('should pay tournaments from the standard tables and offer deals', () => {
+    const tournament = new Tournament({ buyIn: 100, rake: 10, tableSize: 6 });
+    for (const id of ['alice', 'bob', 'carol', 'dave', 'erin']) {
+      tournament.register(new Player({ id }));
+    }
+    expect(tournament.prizePool).toBe(450);
+    expect(tournament.prizes).toEqual([293, 157]);
+    expect(() => tournament.proposeDeal()).toThrow(
+      'Deals can only be made while the tournament is running',
+    );
+
+    tournament.start();
+    const deal = tournament.proposeDeal({ type: 'chip-chop' });
+    expect(deal.players).toHaveLength(5);
+    // Even stacks split the money evenly
+    deal.players.forEach((p) => expect(p.amount).toBe(90));
+    expect(() => tournament.proposeDeal({ type: 'split' })).toThrow(
+      'Unknown deal type: split',
+    );
+    tournament.manager.closeAllTables();
+  });
+});
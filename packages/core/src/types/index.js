@@ -9,6 +9,12 @@ export const TableState = {
   CLOSED: 'CLOSED',
 };
 
+export const TournamentState = {
+  REGISTERING: 'REGISTERING',
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+};
+
 export const PlayerState = {
   WAITING: 'WAITING',
   ACTIVE: 'ACTIVE',
@@ -24,6 +30,12 @@ export const GamePhase = {
   FLOP: 'FLOP',
   TURN: 'TURN',
   RIVER: 'RIVER',
+  // Seven-card stud streets
+  THIRD_STREET: 'THIRD_STREET',
+  FOURTH_STREET: 'FOURTH_STREET',
+  FIFTH_STREET: 'FIFTH_STREET',
+  SIXTH_STREET: 'SIXTH_STREET',
+  SEVENTH_STREET: 'SEVENTH_STREET',
   SHOWDOWN: 'SHOWDOWN',
   ENDED: 'ENDED',
 };
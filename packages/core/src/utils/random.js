@@ -0,0 +1,80 @@
+/**
+ * Seeded pseudo-random numbers for reproducible simulations, plus a
+ * cryptographic source for when deals must not be predictable
+ */
+
+/**
+ * Turn a numeric or string seed into a 32-bit unsigned integer
+ * @param {number|string} seed - Seed value
+ * @returns {number} 32-bit seed
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+  if (typeof seed === 'string') {
+    // FNV-1a hash of the string
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+  throw new Error(`Seed must be a number or string, got ${typeof seed}`);
+}
+
+/**
+ * Create a random seed for callers that did not provide one
+ * Drawn from crypto.getRandomValues when available, so it cannot be
+ * predicted from earlier seeded draws.
+ * @returns {number} 32-bit seed
+ */
+export function createRandomSeed() {
+  if (globalThis.crypto?.getRandomValues) {
+    return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * The same seed always produces the same sequence.
+ * @param {number|string} seed - Seed value
+ * @returns {Function} Function returning floats in [0, 1), like Math.random
+ */
+export function createSeededRandom(seed) {
+  let state = normalizeSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+/**
+ * Derive the next seed in a chain, so one seed covers many hands
+ * @param {number|string} seed - Current seed
+ * @returns {number} 32-bit seed
+ */
+export function nextSeed(seed) {
+  return Math.floor(createSeededRandom(seed)() * 0x100000000);
+}
+
+/**
+ * Create a random number generator backed by crypto.getRandomValues
+ * Draws are unpredictable and cannot be replayed from a seed.
+ * @returns {Function} Function returning floats in [0, 1), like Math.random
+ */
+export function createCryptoRandom() {
+  if (!globalThis.crypto?.getRandomValues) {
+    throw new Error('crypto.getRandomValues is not available');
+  }
+  const buffer = new Uint32Array(1);
+  return () => {
+    globalThis.crypto.getRandomValues(buffer);
+    return buffer[0] / 0x100000000;
+  };
+}